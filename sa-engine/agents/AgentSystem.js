@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
+import { getConversationSession, endConversationSession } from '../ai-providers/ConversationSession.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -477,6 +478,50 @@ class AgentSystem extends EventEmitter {
         }
     }
 
+    buildSystemPrompt(agentId) {
+        const agent = this.getAgent(agentId);
+        if (!agent) {
+            throw new Error(`Agent ${agentId} not found`);
+        }
+
+        const { name, title } = agent.agent;
+        const { role, style, identity, focus, core_principles: principles = [] } = agent.persona;
+        return [
+            `You are ${name}, the ${title}. ${role}.`,
+            `Identity: ${identity}`,
+            `Focus: ${focus}`,
+            `Style: ${style}`,
+            'Core principles:',
+            ...principles.map(principle => `- ${principle}`)
+        ].join('\n');
+    }
+
+    // The chat session is process-wide (agent:<id>), so later calls continue it until endChat
+    async chat(agentId, message, { provider, ...params } = {}) {
+        if (!provider) {
+            throw new Error('An AI provider is required to chat with an agent');
+        }
+
+        const session = getConversationSession(`agent:${agentId}`, {
+            provider,
+            system: this.buildSystemPrompt(agentId),
+            role: 'main'
+        });
+        const result = await session.send(message, params);
+
+        this.emit('agent_chat', { id: agentId, sessionId: session.id });
+        return {
+            text: session.messages[session.messages.length - 1].content,
+            sessionId: session.id,
+            messages: session.messages.length,
+            result
+        };
+    }
+
+    endChat(agentId) {
+        return endConversationSession(`agent:${agentId}`);
+    }
+
     getAgentStats() {
         const stats = {
             total: this.agents.size,
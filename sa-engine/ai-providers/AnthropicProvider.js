@@ -1,4 +1,5 @@
 import BaseAIProvider from './BaseAIProvider.js';
+import ToolSchemaMapper from './ToolSchemaMapper.js';
 import Anthropic from '@anthropic-ai/sdk';
 
 /**
@@ -220,6 +221,47 @@ export default class AnthropicProvider extends BaseAIProvider {
     }
   }
 
+  /**
+   * Internal tool-calling step implementation
+   */
+  async _generateWithTools(params) {
+    try {
+      const { system, messages } = ToolSchemaMapper.toAnthropicMessages(params.messages);
+
+      const request = {
+        model: params.model || this.options.defaultModel,
+        max_tokens: params.maxTokens || 4000,
+        temperature: params.temperature ?? 0.7,
+        top_p: params.topP ?? 1,
+        messages,
+        tools: ToolSchemaMapper.toAnthropicTools(params.tools),
+        ...(params.toolChoice && { tool_choice: params.toolChoice }),
+        ...(system && { system })
+      };
+
+      const response = await this.anthropic.messages.create(request);
+      const { text, toolCalls } = ToolSchemaMapper.fromAnthropicContent(response.content);
+
+      return {
+        text,
+        toolCalls,
+        model: response.model,
+        usage: {
+          inputTokens: response.usage.input_tokens,
+          outputTokens: response.usage.output_tokens,
+          promptTokens: response.usage.input_tokens,
+          completionTokens: response.usage.output_tokens,
+          totalTokens: response.usage.input_tokens + response.usage.output_tokens
+        },
+        finishReason: response.stop_reason,
+        id: response.id
+      };
+
+    } catch (error) {
+      this.handleAnthropicError(error);
+    }
+  }
+
   /**
    * Format messages for Anthropic API
    */
@@ -1,6 +1,7 @@
 import { EventEmitter } from 'events';
 import RetryManager from './RetryManager.js';
 import CostTracker from './CostTracker.js';
+import ToolSchemaMapper from './ToolSchemaMapper.js';
 
 /**
  * BaseAIProvider - Abstract base class for all AI providers in Super Agents
@@ -107,13 +108,14 @@ export default class BaseAIProvider extends EventEmitter {
    */
   async generateText(params = {}) {
     const startTime = Date.now();
+    let enhancedParams = params;
     
     try {
       this.validateTextParams(params);
       this.emit('textGenerationStarting', params);
 
       // Apply role-based model selection
-      const enhancedParams = this.applyRoleConfig(params);
+      enhancedParams = this.applyRoleConfig(params);
       
       // Track metrics
       this.metrics.requestCount++;
@@ -176,13 +178,14 @@ export default class BaseAIProvider extends EventEmitter {
    */
   async generateObject(params = {}) {
     const startTime = Date.now();
+    let enhancedParams = params;
     
     try {
       this.validateObjectParams(params);
       this.emit('objectGenerationStarting', params);
 
       // Apply role-based model selection
-      const enhancedParams = this.applyRoleConfig(params);
+      enhancedParams = this.applyRoleConfig(params);
       
       // Track metrics
       this.metrics.requestCount++;
@@ -267,6 +270,192 @@ export default class BaseAIProvider extends EventEmitter {
     }
   }
 
+  /**
+   * Generate a reply with native tool calling. Runs a bounded loop: each step the model
+   * either answers or asks for tool calls, which are executed through the ToolRegistry
+   * (or an executeTool callback) and fed back, until it answers or maxSteps is reached.
+   * Failed or unknown tool calls are reported back to the model as error results.
+   * @param {Object} params - Generation parameters
+   * @param {Array} params.messages - Conversation messages
+   * @param {Array<Object|string>} [params.tools] - MCP tool definitions or registry tool names (default: all enabled registry tools)
+   * @param {Object} [params.toolRegistry] - ToolRegistry that resolves tool names and executes calls
+   * @param {Function} [params.executeTool] - (name, args, context) => result, used instead of the registry
+   * @param {Object} [params.toolContext] - Context passed to every tool execution
+   * @param {number} [params.maxSteps] - Maximum number of model calls (default 8)
+   * @returns {Promise<Object>} Final text, transcript, executed tool calls and summed usage
+   */
+  async generateWithTools(params = {}) {
+    const startTime = Date.now();
+    const {
+      tools: requestedTools,
+      toolRegistry,
+      executeTool,
+      toolContext = {},
+      maxSteps = this.options.maxToolSteps || 8,
+      ...generationParams
+    } = params;
+    let enhancedParams = generationParams;
+
+    try {
+      this.validateToolParams(params);
+
+      if (!this.getCapabilities().functionCalling) {
+        throw new Error(`Provider ${this.name} does not support tool calling`);
+      }
+
+      const tools = this.resolveTools(requestedTools, toolRegistry);
+      this.emit('toolGenerationStarting', { params, tools: tools.map(tool => tool.name) });
+
+      // Apply role-based model selection
+      enhancedParams = this.applyRoleConfig(generationParams);
+
+      const transcript = [...params.messages];
+      const toolCalls = [];
+      const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+      let result = null;
+      let steps = 0;
+
+      while (steps < maxSteps) {
+        steps++;
+        this.metrics.requestCount++;
+
+        const stepStart = Date.now();
+        result = await this.retryManager.executeWithRetry(
+          () => this._generateWithTools({ ...enhancedParams, messages: [...transcript], tools, step: steps }),
+          {
+            provider: this.name,
+            operation: 'generateWithTools',
+            metadata: { model: enhancedParams.model, step: steps }
+          }
+        );
+
+        usage.promptTokens += result.usage?.promptTokens || 0;
+        usage.completionTokens += result.usage?.completionTokens || 0;
+        usage.totalTokens += result.usage?.totalTokens || 0;
+
+        await this.trackUsage({
+          operation: 'generateWithTools',
+          model: enhancedParams.model,
+          promptTokens: result.usage?.promptTokens || 0,
+          completionTokens: result.usage?.completionTokens || 0,
+          totalTokens: result.usage?.totalTokens || 0,
+          cost: this.calculateCost(result.usage, enhancedParams.model),
+          duration: Date.now() - stepStart,
+          success: true,
+          metadata: { role: params.role, step: steps }
+        });
+
+        const calls = result.toolCalls || [];
+        transcript.push({ role: 'assistant', content: result.text || '', ...(calls.length > 0 && { toolCalls: calls }) });
+
+        if (calls.length === 0) {
+          break;
+        }
+
+        // Results are fed back even on the last step so the transcript can be continued
+        for (const call of calls) {
+          const outcome = await this.executeToolCall(call, tools, { toolRegistry, executeTool, toolContext });
+          toolCalls.push({ ...call, ...outcome, step: steps });
+          transcript.push({
+            role: 'tool',
+            toolCallId: call.id,
+            name: call.name,
+            content: outcome.result,
+            ...(outcome.isError && { isError: true })
+          });
+          this.emit('toolCallCompleted', { call, ...outcome, step: steps });
+        }
+      }
+
+      const completed = !(result.toolCalls?.length > 0);
+      const enrichedResult = this.enrichResult({
+        text: result.text || '',
+        model: result.model,
+        usage,
+        finishReason: completed ? result.finishReason : 'max_steps',
+        stoppedReason: completed ? 'completed' : 'maxSteps',
+        steps,
+        toolCalls,
+        transcript
+      }, startTime);
+
+      this.updateMetrics(startTime, true);
+      this.emit('toolGenerationCompleted', { params, result: enrichedResult });
+
+      return enrichedResult;
+
+    } catch (error) {
+      this.metrics.errorCount++;
+      this.lastError = error;
+
+      await this.trackUsage({
+        operation: 'generateWithTools',
+        model: enhancedParams.model,
+        duration: Date.now() - startTime,
+        success: false,
+        metadata: { role: params.role, error: error.message }
+      });
+
+      this.updateMetrics(startTime, false);
+      this.emit('toolGenerationError', { params, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve requested tools to normalized definitions
+   * @param {Array<Object|string>} [tools] - Tool definitions or registry tool names
+   * @param {Object} [toolRegistry] - ToolRegistry for name lookups
+   * @returns {Array<Object>} Tools as { name, description, parameters }
+   */
+  resolveTools(tools, toolRegistry) {
+    const requested = tools || toolRegistry?.listTools({ enabled: true }) || [];
+
+    const resolved = requested.map(tool => {
+      if (typeof tool !== 'string') {
+        return ToolSchemaMapper.normalizeTool(tool);
+      }
+
+      const registered = toolRegistry?.getTool(tool);
+      if (!registered) {
+        throw new Error(`Tool not found: ${tool}`);
+      }
+      return ToolSchemaMapper.normalizeTool(registered);
+    });
+
+    if (resolved.length === 0) {
+      throw new Error('At least one tool is required for tool calling');
+    }
+    return resolved;
+  }
+
+  /**
+   * Execute one tool call requested by the model
+   * @param {Object} call - Tool call { id, name, arguments }
+   * @param {Array<Object>} tools - Tools offered to the model
+   * @param {Object} options - { toolRegistry, executeTool, toolContext }
+   * @returns {Promise<Object>} { result, isError } where result is the text sent back
+   */
+  async executeToolCall(call, tools, { toolRegistry, executeTool, toolContext }) {
+    if (!tools.some(tool => tool.name === call.name)) {
+      return { result: `Unknown tool: ${call.name}`, isError: true };
+    }
+
+    if (!call.arguments || typeof call.arguments !== 'object' || Array.isArray(call.arguments)) {
+      return { result: `Invalid arguments for ${call.name}: expected a JSON object`, isError: true };
+    }
+
+    try {
+      const output = executeTool
+        ? await executeTool(call.name, call.arguments, toolContext)
+        : await toolRegistry.executeTool(call.name, call.arguments, toolContext);
+
+      return { result: ToolSchemaMapper.toolResultText(output), isError: Boolean(output?.isError) };
+    } catch (error) {
+      return { result: `Error: ${error.message}`, isError: true };
+    }
+  }
+
   /**
    * Configure model for specific role
    * @param {string} role - Role name (main, research, fallback)
@@ -351,7 +540,9 @@ export default class BaseAIProvider extends EventEmitter {
     try {
       await this.costTracker.trackUsage({
         provider: this.name,
-        ...usage
+        ...usage,
+        // calculateCost() may return a number or { totalCost, ... }
+        cost: typeof usage.cost === 'object' ? usage.cost?.totalCost || 0 : usage.cost
       });
     } catch (error) {
       this.log('Failed to track usage', { error: error.message }, 'warn');
@@ -415,6 +606,33 @@ export default class BaseAIProvider extends EventEmitter {
     }
   }
 
+  /**
+   * Validate tool-calling parameters. Assistant turns that only call tools may have
+   * empty content.
+   * @param {Object} params - Parameters to validate
+   */
+  validateToolParams(params) {
+    if (!params.messages || !Array.isArray(params.messages) || params.messages.length === 0) {
+      throw new Error('Messages array is required and must not be empty');
+    }
+
+    for (const message of params.messages) {
+      if (!message.role || (!message.content && !message.toolCalls?.length)) {
+        throw new Error('Each message must have role and content');
+      }
+    }
+
+    if (!params.toolRegistry && typeof params.executeTool !== 'function') {
+      throw new Error('Tool calling needs a toolRegistry or an executeTool function');
+    }
+
+    if (params.maxSteps !== undefined && (!Number.isInteger(params.maxSteps) || params.maxSteps <= 0)) {
+      throw new Error('maxSteps must be a positive integer');
+    }
+
+    this.validateCommonParams(params);
+  }
+
   /**
    * Validate common parameters
    * @param {Object} params - Parameters to validate
@@ -582,6 +800,26 @@ export default class BaseAIProvider extends EventEmitter {
     return `${this.name.toUpperCase()}_API_KEY`;
   }
 
+  /**
+   * Parse a JSON reply, tolerating a markdown code fence or text around the object
+   * @param {string} text - Model output
+   * @returns {Object} Parsed value
+   */
+  parseJsonText(text) {
+    const trimmed = (text || '').trim();
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    const candidates = [fenced?.[1], trimmed, trimmed.match(/[[{][\s\S]*[\]}]/)?.[0]].filter(Boolean);
+
+    for (const candidate of candidates) {
+      try {
+        return JSON.parse(candidate);
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    throw new Error(`Failed to parse JSON response from ${this.name}: ${trimmed.slice(0, 200)}`);
+  }
+
   /**
    * Sleep utility function
    * @param {number} ms - Milliseconds to sleep
@@ -652,4 +890,13 @@ export default class BaseAIProvider extends EventEmitter {
   async _streamText(_params) {
     throw new Error('_streamText() must be implemented by subclass');
   }
+
+  /**
+   * Internal tool-calling step: one model call with the transcript so far
+   * @param {Object} _params - Generation parameters with normalized tools and step number
+   * @returns {Promise<Object>} { text, toolCalls: [{ id, name, arguments }], model, usage, finishReason }
+   */
+  async _generateWithTools(_params) {
+    throw new Error(`Provider ${this.name} does not support tool calling`);
+  }
 }
\ No newline at end of file
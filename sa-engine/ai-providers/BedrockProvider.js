@@ -0,0 +1,447 @@
+import { BedrockRuntimeClient, ConverseCommand, ConverseStreamCommand } from '@aws-sdk/client-bedrock-runtime';
+import BaseAIProvider from './BaseAIProvider.js';
+import ToolSchemaMapper from './ToolSchemaMapper.js';
+
+/**
+ * BedrockProvider - Amazon Bedrock provider implementation
+ * Uses the Bedrock Converse API, which gives every Bedrock model the same message
+ * format. Authenticates with the standard AWS credential chain (environment,
+ * shared config/SSO profile, or instance role) instead of an API key.
+ */
+export default class BedrockProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'bedrock',
+      version: '1.0.0',
+      defaultModel: 'anthropic.claude-3-5-sonnet-20241022-v2:0',
+      supportedRoles: ['main', 'research', 'fallback'],
+      timeout: 60000,
+      ...options
+    });
+
+    this.region = options.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+    this.profile = options.profile || process.env.AWS_PROFILE;
+    this.bedrock = null;
+
+    // Model configurations with on-demand pricing (us-east-1) and capabilities
+    this.models = {
+      'anthropic.claude-3-5-sonnet-20241022-v2:0': {
+        maxTokens: 8192,
+        contextWindow: 200000,
+        costPer1kInput: 0.003,
+        costPer1kOutput: 0.015,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'function-calling', 'vision']
+      },
+      'anthropic.claude-3-5-haiku-20241022-v1:0': {
+        maxTokens: 8192,
+        contextWindow: 200000,
+        costPer1kInput: 0.0008,
+        costPer1kOutput: 0.004,
+        capabilities: ['text', 'speed', 'code', 'function-calling']
+      },
+      'amazon.nova-pro-v1:0': {
+        maxTokens: 5120,
+        contextWindow: 300000,
+        costPer1kInput: 0.0008,
+        costPer1kOutput: 0.0032,
+        capabilities: ['text', 'reasoning', 'analysis', 'function-calling', 'vision']
+      },
+      'amazon.nova-lite-v1:0': {
+        maxTokens: 5120,
+        contextWindow: 300000,
+        costPer1kInput: 0.00006,
+        costPer1kOutput: 0.00024,
+        capabilities: ['text', 'speed', 'efficiency', 'function-calling']
+      },
+      'meta.llama3-1-70b-instruct-v1:0': {
+        maxTokens: 2048,
+        contextWindow: 128000,
+        costPer1kInput: 0.00072,
+        costPer1kOutput: 0.00072,
+        capabilities: ['text', 'code']
+      },
+      'mistral.mistral-large-2407-v1:0': {
+        maxTokens: 8192,
+        contextWindow: 128000,
+        costPer1kInput: 0.002,
+        costPer1kOutput: 0.006,
+        capabilities: ['text', 'reasoning', 'code', 'function-calling']
+      }
+    };
+
+    // Set default role configurations
+    this.setDefaultRoleConfigs();
+  }
+
+  /**
+   * Initialize the Bedrock provider
+   */
+  async initialize() {
+    try {
+      const clientOptions = { region: this.region };
+      if (this.options.credentials) {
+        clientOptions.credentials = this.options.credentials;
+      }
+      if (this.profile) {
+        clientOptions.profile = this.profile;
+      }
+
+      this.bedrock = new BedrockRuntimeClient(clientOptions);
+
+      // Test connection
+      await this.testConnection();
+
+      this.log('Bedrock provider initialized successfully', { region: this.region });
+      this.emit('initialized');
+
+      return true;
+
+    } catch (error) {
+      this.log('Failed to initialize Bedrock provider', { error: error.message }, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Set default role configurations
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', {
+      model: 'anthropic.claude-3-5-sonnet-20241022-v2:0',
+      temperature: 0.7,
+      maxTokens: 4000,
+      topP: 1
+    });
+
+    this.configureRole('research', {
+      model: 'anthropic.claude-3-5-sonnet-20241022-v2:0',
+      temperature: 0.3,
+      maxTokens: 8000,
+      topP: 0.9
+    });
+
+    this.configureRole('fallback', {
+      model: 'anthropic.claude-3-5-haiku-20241022-v1:0',
+      temperature: 0.5,
+      maxTokens: 2000,
+      topP: 1
+    });
+  }
+
+  /**
+   * Internal text generation implementation
+   */
+  async _generateText(params) {
+    const model = params.model || this.options.defaultModel;
+
+    try {
+      const response = await this.bedrock.send(new ConverseCommand(this.buildRequest(params, model)));
+
+      return {
+        text: this.extractText(response.output?.message),
+        model,
+        usage: this.convertUsage(response.usage),
+        finishReason: response.stopReason,
+        id: response.$metadata?.requestId
+      };
+
+    } catch (error) {
+      this.handleBedrockError(error, model);
+    }
+  }
+
+  /**
+   * Internal object generation implementation
+   */
+  async _generateObject(params) {
+    const model = params.model || this.options.defaultModel;
+
+    try {
+      const request = this.buildRequest({
+        ...params,
+        temperature: params.temperature ?? 0.3
+      }, model);
+      request.system = [
+        ...(request.system || []),
+        { text: this.buildObjectSystemMessage(params.schema, params.objectDescription) }
+      ];
+
+      const response = await this.bedrock.send(new ConverseCommand(request));
+      const text = this.extractText(response.output?.message);
+
+      return {
+        object: this.parseJsonText(text),
+        text,
+        model,
+        usage: this.convertUsage(response.usage),
+        finishReason: response.stopReason,
+        id: response.$metadata?.requestId
+      };
+
+    } catch (error) {
+      this.handleBedrockError(error, model);
+    }
+  }
+
+  /**
+   * Internal text streaming implementation
+   */
+  async _streamText(params) {
+    const model = params.model || this.options.defaultModel;
+
+    try {
+      const response = await this.bedrock.send(new ConverseStreamCommand(this.buildRequest(params, model)));
+      return this.createStreamWrapper(response.stream);
+
+    } catch (error) {
+      this.handleBedrockError(error, model);
+    }
+  }
+
+  /**
+   * Build a Converse request; system messages go in the separate `system` field
+   */
+  buildRequest(params, model) {
+    const system = params.messages.filter(message => message.role === 'system');
+    const messages = params.messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({
+        role: message.role === 'assistant' ? 'assistant' : 'user',
+        content: [{ text: message.content }]
+      }));
+
+    return {
+      modelId: model,
+      messages,
+      ...(system.length > 0 && { system: system.map(message => ({ text: message.content })) }),
+      inferenceConfig: {
+        maxTokens: params.maxTokens || 4000,
+        temperature: params.temperature ?? 0.7,
+        topP: params.topP ?? 1
+      }
+    };
+  }
+
+  /**
+   * Internal tool-calling step implementation
+   */
+  async _generateWithTools(params) {
+    const model = params.model || this.options.defaultModel;
+
+    try {
+      const request = {
+        ...this.buildRequest(params, model),
+        messages: ToolSchemaMapper.toBedrockMessages(params.messages),
+        toolConfig: ToolSchemaMapper.toBedrockToolConfig(params.tools)
+      };
+
+      const response = await this.bedrock.send(new ConverseCommand(request));
+      const { text, toolCalls } = ToolSchemaMapper.fromBedrockContent(response.output?.message?.content);
+
+      return {
+        text,
+        toolCalls,
+        model,
+        usage: this.convertUsage(response.usage),
+        finishReason: response.stopReason,
+        id: response.$metadata?.requestId
+      };
+
+    } catch (error) {
+      this.handleBedrockError(error, model);
+    }
+  }
+
+  /**
+   * Join the text blocks of a Converse message
+   */
+  extractText(message) {
+    return (message?.content || [])
+      .filter(block => block.text)
+      .map(block => block.text)
+      .join('');
+  }
+
+  /**
+   * Convert Converse usage to the token counts the cost tracker records
+   */
+  convertUsage(usage) {
+    const promptTokens = usage?.inputTokens || 0;
+    const completionTokens = usage?.outputTokens || 0;
+    return { promptTokens, completionTokens, totalTokens: usage?.totalTokens || promptTokens + completionTokens };
+  }
+
+  /**
+   * Build system message for object generation
+   */
+  buildObjectSystemMessage(schema, description) {
+    return `You generate structured JSON responses.
+${description ? `\nTask: ${description}\n` : ''}
+Respond only with valid JSON that conforms to this schema, with no text before or after it:
+${JSON.stringify(schema, null, 2)}`;
+  }
+
+  /**
+   * Create stream wrapper for consistent interface
+   */
+  createStreamWrapper(stream) {
+    const provider = this;
+
+    return {
+      async *[Symbol.asyncIterator]() {
+        let buffer = '';
+        let finishReason = null;
+
+        for await (const event of stream) {
+          const text = event.contentBlockDelta?.delta?.text;
+          if (text) {
+            buffer += text;
+            yield { type: 'textDelta', textDelta: text, fullText: buffer };
+          }
+
+          if (event.messageStop) {
+            finishReason = event.messageStop.stopReason;
+          }
+
+          // Usage arrives in the metadata event after messageStop
+          if (event.metadata) {
+            yield {
+              type: 'finish',
+              fullText: buffer,
+              finishReason,
+              usage: provider.convertUsage(event.metadata.usage)
+            };
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Handle Bedrock-specific errors
+   */
+  handleBedrockError(error, model) {
+    let errorMessage = error.message || 'Unknown Bedrock API error';
+    let errorType = 'api_error';
+
+    switch (error.name) {
+      case 'AccessDeniedException':
+        errorType = 'permission_error';
+        errorMessage = `Access to Bedrock model ${model} denied; enable it under Model access in the Bedrock console`;
+        break;
+      case 'CredentialsProviderError':
+      case 'UnrecognizedClientException':
+        errorType = 'authentication_error';
+        errorMessage = 'No valid AWS credentials for Bedrock (set AWS_PROFILE or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY)';
+        break;
+      case 'ResourceNotFoundException':
+        errorType = 'not_found';
+        errorMessage = `Bedrock model ${model} not found in ${this.region}`;
+        break;
+      case 'ValidationException':
+        errorType = 'invalid_request';
+        break;
+      case 'ThrottlingException':
+        errorType = 'rate_limit';
+        errorMessage = 'Bedrock request rate exceeded';
+        break;
+      case 'ModelNotReadyException':
+      case 'ServiceUnavailableException':
+      case 'InternalServerException':
+        errorType = 'service_error';
+        errorMessage = 'Bedrock service temporarily unavailable';
+        break;
+    }
+
+    const enhancedError = new Error(errorMessage);
+    enhancedError.type = errorType;
+    enhancedError.status = error.$metadata?.httpStatusCode;
+    enhancedError.provider = this.name;
+
+    throw enhancedError;
+  }
+
+  /**
+   * Get available models
+   */
+  async getAvailableModels() {
+    return Object.keys(this.models);
+  }
+
+  /**
+   * Get maximum tokens for model
+   */
+  getMaxTokens(model = null) {
+    const modelName = model || this.options.defaultModel;
+    return this.models[modelName]?.maxTokens || 4096;
+  }
+
+  /**
+   * Get rate limits (default on-demand quotas; they vary by model and region)
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 50,
+      tokensPerMinute: 400000,
+      requestsPerDay: 50000
+    };
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      textGeneration: true,
+      objectGeneration: true,
+      streaming: true,
+      imageGeneration: false,
+      imageAnalysis: false,
+      functionCalling: true,
+      supportedRoles: this.options.supportedRoles,
+      maxTokens: this.getMaxTokens(),
+      supportedFormats: ['text', 'json'],
+      rateLimits: this.getRateLimits(),
+      models: this.models
+    };
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo(model) {
+    return this.models[model] || null;
+  }
+
+  /**
+   * Calculate cost for token usage
+   */
+  calculateCost(usage, model = null) {
+    const modelInfo = this.models[model || this.options.defaultModel];
+
+    if (!modelInfo || !usage) {
+      return null;
+    }
+
+    const inputCost = ((usage.promptTokens ?? usage.inputTokens ?? 0) / 1000) * modelInfo.costPer1kInput;
+    const outputCost = ((usage.completionTokens ?? usage.outputTokens ?? 0) / 1000) * modelInfo.costPer1kOutput;
+
+    return {
+      inputCost,
+      outputCost,
+      totalCost: inputCost + outputCost,
+      currency: 'USD'
+    };
+  }
+
+  requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Bedrock uses AWS credentials; this is the variable the credential chain reads first
+   */
+  getApiKeyEnvVar() {
+    return 'AWS_ACCESS_KEY_ID';
+  }
+}
@@ -0,0 +1,210 @@
+import CliAIProvider from './CliAIProvider.js';
+
+/**
+ * ClaudeCodeProvider - Claude Code CLI provider implementation
+ * Runs `claude -p` (print mode) with the user's existing Claude Code login, so
+ * requests go through a Claude subscription or whatever account the CLI is set up
+ * with. The CLI does not take temperature or max token settings; they are ignored.
+ */
+export default class ClaudeCodeProvider extends CliAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'claude-code',
+      version: '1.0.0',
+      vendor: 'Claude Code',
+      command: process.env.CLAUDE_CODE_PATH || 'claude',
+      defaultModel: 'sonnet',
+      supportedRoles: ['main', 'research', 'fallback'],
+      ...options
+    });
+
+    // Plain generation is one turn; raise it to let the agent use tools
+    this.maxTurns = options.maxTurns || 1;
+    this.allowedTools = options.allowedTools || [];
+    this.disallowedTools = options.disallowedTools || [];
+
+    // Model aliases the CLI accepts. Costs are API list prices; the CLI reports
+    // its own figure, which is what usage tracking records.
+    this.models = {
+      'sonnet': {
+        maxTokens: 64000,
+        contextWindow: 200000,
+        costPer1kInput: 0.003,
+        costPer1kOutput: 0.015,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'agentic']
+      },
+      'opus': {
+        maxTokens: 32000,
+        contextWindow: 200000,
+        costPer1kInput: 0.015,
+        costPer1kOutput: 0.075,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'agentic']
+      },
+      'haiku': {
+        maxTokens: 8192,
+        contextWindow: 200000,
+        costPer1kInput: 0.0008,
+        costPer1kOutput: 0.004,
+        capabilities: ['text', 'speed', 'code']
+      }
+    };
+
+    // Set default role configurations
+    this.setDefaultRoleConfigs();
+  }
+
+  /**
+   * Set default role configurations
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', { model: 'sonnet' });
+    this.configureRole('research', { model: 'opus' });
+    this.configureRole('fallback', { model: 'haiku' });
+  }
+
+  /**
+   * Internal text generation implementation
+   */
+  async _generateText(params) {
+    const model = params.model || this.options.defaultModel;
+    const { system, prompt } = this.formatPrompt(params.messages);
+
+    const { stdout } = await this.runCli(this.buildArgs(model, system, 'json'), prompt);
+
+    let result;
+    try {
+      result = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(`Claude Code returned output that is not JSON: ${stdout.slice(0, 200)}`);
+    }
+
+    if (result.is_error) {
+      const error = new Error(`Claude Code request failed: ${result.result || result.subtype}`);
+      error.type = 'api_error';
+      error.provider = this.name;
+      throw error;
+    }
+
+    return {
+      text: result.result || '',
+      model,
+      usage: this.convertUsage(result),
+      finishReason: result.subtype === 'success' ? 'stop' : result.subtype,
+      id: result.session_id
+    };
+  }
+
+  /**
+   * Internal text streaming implementation. `stream-json` emits one event per line;
+   * each assistant event carries a complete message, and the result event closes the run.
+   */
+  async _streamText(params) {
+    const model = params.model || this.options.defaultModel;
+    const { system, prompt } = this.formatPrompt(params.messages);
+    const provider = this;
+
+    return {
+      async *[Symbol.asyncIterator]() {
+        let buffer = '';
+        let fullText = '';
+
+        for await (const chunk of provider.streamCli(provider.buildArgs(model, system, 'stream-json'), prompt)) {
+          buffer += chunk;
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines.filter(line => line.trim())) {
+            const event = JSON.parse(line);
+
+            if (event.type === 'assistant') {
+              const text = (event.message?.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+              if (text) {
+                fullText += text;
+                yield { type: 'textDelta', textDelta: text, fullText };
+              }
+            } else if (event.type === 'result') {
+              if (event.is_error) {
+                throw new Error(`Claude Code request failed: ${event.result || event.subtype}`);
+              }
+              yield {
+                type: 'finish',
+                fullText,
+                finishReason: event.subtype === 'success' ? 'stop' : event.subtype,
+                usage: provider.convertUsage(event)
+              };
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Build the print-mode command line; the prompt itself goes on stdin
+   */
+  buildArgs(model, system, outputFormat) {
+    const args = ['-p', '--output-format', outputFormat, '--model', model, '--max-turns', String(this.maxTurns)];
+
+    if (outputFormat === 'stream-json') {
+      // The CLI requires --verbose to stream JSON events
+      args.push('--verbose');
+    }
+    if (system) {
+      args.push('--append-system-prompt', system);
+    }
+    if (this.allowedTools.length > 0) {
+      args.push('--allowedTools', this.allowedTools.join(','));
+    }
+    if (this.disallowedTools.length > 0) {
+      args.push('--disallowedTools', this.disallowedTools.join(','));
+    }
+
+    return args;
+  }
+
+  /**
+   * Convert the CLI's result usage (cache reads count as prompt tokens)
+   */
+  convertUsage(result) {
+    const usage = result?.usage || {};
+    const promptTokens = (usage.input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0);
+    const completionTokens = usage.output_tokens || 0;
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      ...(typeof result?.total_cost_usd === 'number' && { cost: result.total_cost_usd })
+    };
+  }
+
+  /**
+   * Calculate cost, preferring the figure the CLI reported for the run
+   */
+  calculateCost(usage, model = null) {
+    if (typeof usage?.cost === 'number') {
+      return { inputCost: 0, outputCost: 0, totalCost: usage.cost, currency: 'USD' };
+    }
+    return super.calculateCost(usage, model);
+  }
+
+  getInstallHint() {
+    return 'Install it with `npm install -g @anthropic-ai/claude-code` and run `claude` once to log in.';
+  }
+
+  /**
+   * Get rate limits (set by the account's plan, not fixed)
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 20,
+      tokensPerMinute: 200000,
+      requestsPerDay: 5000
+    };
+  }
+}
@@ -0,0 +1,303 @@
+import { spawn } from 'child_process';
+import BaseAIProvider from './BaseAIProvider.js';
+
+const MAX_STDERR = 4000;
+
+/**
+ * CliAIProvider - Base class for providers that drive a locally installed, already
+ * logged-in AI command-line tool (Claude Code, Gemini CLI) instead of calling an API.
+ * The CLI handles authentication, so no API key is needed. Subclasses build the
+ * command line and parse its output; this class runs the process and turns chat
+ * messages into a single prompt.
+ */
+export default class CliAIProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super({
+      // Agentic CLIs start slowly and may take minutes on large prompts
+      timeout: 300000,
+      maxRetries: 1,
+      ...options
+    });
+
+    if (this.constructor === CliAIProvider) {
+      throw new Error('CliAIProvider cannot be instantiated directly');
+    }
+
+    this.vendor = options.vendor;
+    this.command = options.command;
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || {};
+    this.cliVersion = null;
+    this.models = {};
+  }
+
+  /**
+   * Initialize the provider by checking that the CLI is installed
+   */
+  async initialize() {
+    try {
+      const { stdout } = await this.runCli(['--version'], null, { timeout: 30000 });
+      this.cliVersion = stdout.trim();
+      this.isConnected = true;
+
+      this.log(`${this.vendor} provider initialized successfully`, { command: this.command, version: this.cliVersion });
+      this.emit('initialized');
+
+      return true;
+
+    } catch (error) {
+      this.log(`Failed to initialize ${this.vendor} provider`, { error: error.message }, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Internal object generation implementation: the CLI has no JSON mode, so the
+   * schema goes into the instructions and the reply is parsed
+   */
+  async _generateObject(params) {
+    const result = await this._generateText({
+      ...params,
+      messages: [
+        { role: 'system', content: this.buildObjectSystemMessage(params.schema, params.objectDescription) },
+        ...params.messages
+      ]
+    });
+
+    return {
+      ...result,
+      object: this.parseJsonText(result.text)
+    };
+  }
+
+  /**
+   * Split chat messages into system instructions and one prompt. A single user
+   * message is sent as is; a longer conversation becomes a transcript.
+   * @returns {Object} { system, prompt }
+   */
+  formatPrompt(messages) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const turns = messages.filter(message => message.role !== 'system');
+
+    const prompt = turns.length === 1 && turns[0].role === 'user'
+      ? turns[0].content
+      : turns.map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`).join('\n\n');
+
+    return { system, prompt };
+  }
+
+  /**
+   * Build system message for object generation
+   */
+  buildObjectSystemMessage(schema, description) {
+    return `Respond only with valid JSON that conforms to the schema below. Do not use tools, and write nothing before or after the JSON.
+${description ? `\nTask: ${description}\n` : ''}
+${JSON.stringify(schema, null, 2)}`;
+  }
+
+  /**
+   * Start the CLI with the prompt on stdin
+   */
+  spawnCli(args, input) {
+    const child = spawn(this.command, args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    child.stdin.on('error', () => {
+      // The CLI may exit before reading all of stdin; its exit status reports why
+    });
+    child.stdin.end(input ?? '');
+
+    return child;
+  }
+
+  /**
+   * Run the CLI to completion
+   * @returns {Promise<Object>} { stdout, stderr }
+   */
+  runCli(args, input, options = {}) {
+    const timeout = options.timeout || this.options.timeout;
+
+    return new Promise((resolve, reject) => {
+      const child = this.spawnCli(args, input);
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGTERM');
+        reject(new Error(`${this.vendor} CLI timed out after ${timeout}ms`));
+      }, timeout);
+
+      child.stdout.on('data', chunk => {
+        stdout += chunk.toString();
+      });
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk.toString()).slice(-MAX_STDERR);
+      });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(this.cliError(error));
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve({ stdout, stderr });
+        } else {
+          reject(this.cliError(null, code, stderr || stdout));
+        }
+      });
+    });
+  }
+
+  /**
+   * Run the CLI and yield its stdout as it arrives
+   * @returns {AsyncGenerator<string>} Output chunks
+   */
+  async *streamCli(args, input) {
+    const child = this.spawnCli(args, input);
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, this.options.timeout);
+
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString()).slice(-MAX_STDERR);
+    });
+    const exit = new Promise(resolve => {
+      child.on('error', error => resolve({ error }));
+      child.on('close', code => resolve({ code }));
+    });
+
+    try {
+      child.stdout.setEncoding('utf8');
+      for await (const chunk of child.stdout) {
+        yield chunk;
+      }
+
+      const { error, code } = await exit;
+      if (timedOut) {
+        throw new Error(`${this.vendor} CLI timed out after ${this.options.timeout}ms`);
+      }
+      if (error || code !== 0) {
+        throw this.cliError(error, code, stderr);
+      }
+    } finally {
+      clearTimeout(timer);
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+      }
+    }
+  }
+
+  /**
+   * Describe a failed CLI run
+   */
+  cliError(error, code = null, output = '') {
+    if (error?.code === 'ENOENT') {
+      const notFound = new Error(`${this.vendor} CLI not found ('${this.command}'). ${this.getInstallHint()}`);
+      notFound.type = 'not_found';
+      notFound.provider = this.name;
+      return notFound;
+    }
+
+    const detail = error?.message || output.trim().split('\n').slice(-10).join('\n');
+    const failed = new Error(`${this.vendor} CLI failed${code !== null ? ` with exit code ${code}` : ''}${detail ? `: ${detail}` : ''}`);
+    failed.type = 'api_error';
+    failed.provider = this.name;
+    return failed;
+  }
+
+  /**
+   * How to install and log in to the CLI
+   * @abstract
+   */
+  getInstallHint() {
+    return '';
+  }
+
+  /**
+   * Get available models
+   */
+  async getAvailableModels() {
+    return Object.keys(this.models);
+  }
+
+  /**
+   * Get maximum tokens for model
+   */
+  getMaxTokens(model = null) {
+    const modelName = model || this.options.defaultModel;
+    return this.models[modelName]?.maxTokens || 8192;
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      textGeneration: true,
+      objectGeneration: true,
+      streaming: true,
+      imageGeneration: false,
+      imageAnalysis: false,
+      functionCalling: false,
+      supportedRoles: this.options.supportedRoles,
+      maxTokens: this.getMaxTokens(),
+      supportedFormats: ['text', 'json'],
+      rateLimits: this.getRateLimits(),
+      models: this.models
+    };
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo(model) {
+    return this.models[model] || null;
+  }
+
+  /**
+   * Calculate cost for token usage
+   */
+  calculateCost(usage, model = null) {
+    const modelInfo = this.models[model || this.options.defaultModel];
+
+    if (!modelInfo || !usage) {
+      return null;
+    }
+
+    const inputCost = ((usage.promptTokens ?? usage.inputTokens ?? 0) / 1000) * modelInfo.costPer1kInput;
+    const outputCost = ((usage.completionTokens ?? usage.outputTokens ?? 0) / 1000) * modelInfo.costPer1kOutput;
+
+    return {
+      inputCost,
+      outputCost,
+      totalCost: inputCost + outputCost,
+      currency: 'USD'
+    };
+  }
+
+  /**
+   * Check that the CLI runs, without spending a request
+   */
+  async testConnection() {
+    try {
+      await this.runCli(['--version'], null, { timeout: 30000 });
+      this.isConnected = true;
+    } catch (error) {
+      this.isConnected = false;
+      this.lastError = error;
+      this.emit('connectionError', { error });
+    }
+    return this.isConnected;
+  }
+
+  requiresApiKey() {
+    return false;
+  }
+}
@@ -0,0 +1,361 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { getTokenCounter } from './TokenCounter.js';
+
+const SUMMARY_PROMPT = `You compress conversation history for an AI assistant that will continue the conversation.
+Write a concise summary of the conversation below, merged with the existing summary if one is given.
+Keep decisions, facts, names, task and file references, open questions and anything the user asked to remember.
+Drop pleasantries and repetition. Reply with the summary only.`;
+
+/**
+ * ConversationSession - Multi-turn message history with context-window management
+ * Holds the messages of one agent or research session, counts their tokens for the
+ * session's model with the TokenCounter, and before each request summarizes the oldest
+ * turns through the provider itself once the history nears the model's contextWindow.
+ * The summary is sent as a system message ahead of the recent turns.
+ */
+export default class ConversationSession extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      role: 'main',
+      // Start summarizing when the request would use this share of the context window
+      summarizeThreshold: 0.8,
+      // Turns that are always sent verbatim
+      keepRecentMessages: 6,
+      // Tokens left free for the reply
+      responseTokens: 4000,
+      summaryMaxTokens: 1000,
+      // Used when neither the options nor the provider's model table give a window
+      defaultContextWindow: 8192,
+      ...options
+    };
+
+    this.id = options.id || randomUUID();
+    this.provider = options.provider || null;
+    this.system = options.system || null;
+    this.tokenCounter = options.tokenCounter || getTokenCounter();
+    this.messages = [...(options.messages || [])];
+    this.summary = options.summary || null;
+    this.summarizedMessages = 0;
+    // Ratio of reported prompt tokens to estimated ones, for models without a tokenizer
+    this.calibration = 1;
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = this.createdAt;
+    // Milliseconds timestamp of the last message or registry lookup, for idle eviction
+    this.lastUsed = Date.now();
+  }
+
+  /**
+   * Model the session's requests go to
+   * @returns {string|null} Model name
+   */
+  getModel() {
+    return this.options.model ||
+      this.provider?.getRoleConfig?.(this.options.role)?.model ||
+      this.provider?.options?.defaultModel ||
+      null;
+  }
+
+  /**
+   * Context window of the session's model
+   * @returns {number} Context window in tokens
+   */
+  getContextWindow() {
+    return this.options.contextWindow ||
+      this.provider?.getModelInfo?.(this.getModel())?.contextWindow ||
+      this.options.defaultContextWindow;
+  }
+
+  /**
+   * Tokens the messages may use before older turns are summarized
+   * @param {number} [responseTokens] - Tokens to leave free for the reply
+   * @returns {number} Token budget
+   */
+  getTokenBudget(responseTokens = this.options.responseTokens) {
+    return Math.floor(this.getContextWindow() * this.options.summarizeThreshold) - responseTokens;
+  }
+
+  /**
+   * Append a message to the history
+   * @param {string} role - user, assistant, system or tool
+   * @param {string} content - Message content
+   * @param {Object} [extra] - Extra message fields (toolCalls, toolCallId, name)
+   * @returns {Object} The stored message
+   */
+  addMessage(role, content, extra = {}) {
+    const message = { role, content, ...extra };
+    this.messages.push(message);
+    this.updatedAt = new Date().toISOString();
+    this.lastUsed = Date.now();
+    this.emit('messageAdded', { sessionId: this.id, message });
+    return message;
+  }
+
+  /**
+   * Messages for the next request: system prompt, summary of older turns, recent turns
+   * @returns {Array} Chat messages
+   */
+  getMessages() {
+    return [
+      ...(this.system ? [{ role: 'system', content: this.system }] : []),
+      ...(this.summary ? [{ role: 'system', content: `Summary of the earlier conversation:\n${this.summary}` }] : []),
+      ...this.messages
+    ];
+  }
+
+  /**
+   * Count the tokens of a message list for the session's model
+   * @param {Array} [messages] - Messages to count (default: the next request)
+   * @returns {number} Token count
+   */
+  countTokens(messages = this.getMessages()) {
+    const model = this.getModel();
+    const tokens = this.tokenCounter.countMessages(messages, model);
+    return this.tokenCounter.hasTokenizer(model) ? tokens : Math.ceil(tokens * this.calibration);
+  }
+
+  /**
+   * Send a user message and record the reply
+   * @param {string} content - User message
+   * @param {Object} [params] - Extra generateText parameters; `system` replaces the system prompt
+   * @returns {Promise<Object>} Provider result
+   */
+  async send(content, params = {}) {
+    if (!this.provider) {
+      throw new Error(`Conversation session ${this.id} has no AI provider`);
+    }
+
+    const { system, ...generationParams } = params;
+    if (system !== undefined) {
+      this.system = system;
+    }
+
+    const userMessage = this.addMessage('user', content);
+    const responseTokens = generationParams.maxTokens || this.options.responseTokens;
+    let messages;
+    let result;
+
+    try {
+      await this.fitContext(responseTokens);
+
+      messages = this.getMessages();
+      const model = this.options.model;
+      result = await this.provider.generateText({
+        role: this.options.role,
+        ...(model && { model }),
+        ...generationParams,
+        messages
+      });
+    } catch (error) {
+      // A failed turn leaves no unanswered user message behind
+      this.messages = this.messages.filter(message => message !== userMessage);
+      throw error;
+    }
+
+    const text = typeof result === 'string' ? result : result?.text ?? result?.content ?? '';
+    this.addMessage('assistant', text);
+    this.calibrate(messages, result?.usage || result?.tokenUsage);
+
+    this.emit('turnCompleted', { sessionId: this.id, tokens: this.countTokens() });
+    return result;
+  }
+
+  /**
+   * Summarize older turns until the next request fits the token budget. The oldest
+   * turns go first; the most recent keepRecentMessages are kept verbatim unless the
+   * budget cannot be met otherwise, and the latest message is never summarized.
+   * @param {number} [responseTokens] - Tokens to leave free for the reply
+   * @returns {Promise<boolean>} True when the history was summarized
+   */
+  async fitContext(responseTokens = this.options.responseTokens) {
+    const budget = this.getTokenBudget(responseTokens);
+    let summarized = false;
+
+    // Summarizing cannot help when the latest message alone is too large
+    const latest = this.messages.slice(-1);
+    const minimum = this.countTokens(this.system ? [{ role: 'system', content: this.system }, ...latest] : latest);
+    if (minimum > budget) {
+      throw this.overflowError(minimum, budget, responseTokens);
+    }
+
+    for (const keep of [this.options.keepRecentMessages, 1]) {
+      if (this.countTokens() <= budget) {
+        return summarized;
+      }
+
+      let count = this.messages.length - keep;
+      // Keep tool results together with the assistant turn that called the tools
+      while (count > 0 && count < this.messages.length - 1 && this.messages[count].role === 'tool') {
+        count++;
+      }
+
+      if (count > 0) {
+        await this.summarize(count);
+        summarized = true;
+      }
+    }
+
+    const tokens = this.countTokens();
+    if (tokens > budget) {
+      throw this.overflowError(tokens, budget, responseTokens);
+    }
+    return summarized;
+  }
+
+  /**
+   * Error for a request that does not fit the model's context window
+   */
+  overflowError(tokens, budget, responseTokens) {
+    return new Error(`Conversation session ${this.id} needs ${tokens} tokens but ${this.getModel() || 'the model'} ` +
+      `allows ${budget} (context window ${this.getContextWindow()}, ${responseTokens} reserved for the reply)`);
+  }
+
+  /**
+   * Fold the oldest messages into the running summary using the provider
+   * @param {number} count - Number of messages to summarize
+   * @returns {Promise<string>} New summary
+   */
+  async summarize(count) {
+    const older = this.messages.slice(0, count);
+    const transcript = older
+      .map(message => `${message.name ? `${message.role} (${message.name})` : message.role}: ${message.content}`)
+      .join('\n\n');
+    const tokensBefore = this.countTokens();
+
+    const result = await this.provider.generateText({
+      role: this.options.summaryRole || this.options.role,
+      ...(this.options.model && { model: this.options.model }),
+      messages: [
+        { role: 'system', content: SUMMARY_PROMPT },
+        {
+          role: 'user',
+          content: `${this.summary ? `Existing summary:\n${this.summary}\n\n` : ''}Conversation to summarize:\n${transcript}`
+        }
+      ],
+      maxTokens: this.options.summaryMaxTokens,
+      temperature: 0.2
+    });
+
+    this.summary = (typeof result === 'string' ? result : result?.text ?? result?.content ?? '').trim();
+    this.messages = this.messages.slice(count);
+    this.summarizedMessages += count;
+    this.updatedAt = new Date().toISOString();
+
+    this.emit('summarized', {
+      sessionId: this.id,
+      messages: count,
+      tokensBefore,
+      tokensAfter: this.countTokens()
+    });
+    return this.summary;
+  }
+
+  /**
+   * Learn how far the estimator is off from the prompt tokens the provider reported
+   * @param {Array} messages - Messages that were sent
+   * @param {Object} [usage] - Reported usage
+   */
+  calibrate(messages, usage) {
+    const model = this.getModel();
+    const reported = usage?.promptTokens || usage?.inputTokens;
+    if (!reported || this.tokenCounter.hasTokenizer(model)) {
+      return;
+    }
+
+    const estimated = this.tokenCounter.countMessages(messages, model);
+    if (estimated > 0) {
+      this.calibration = Math.min(2, Math.max(0.5, reported / estimated));
+    }
+  }
+
+  /**
+   * Drop all messages and the summary
+   */
+  clear() {
+    this.messages = [];
+    this.summary = null;
+    this.summarizedMessages = 0;
+    this.updatedAt = new Date().toISOString();
+    this.emit('cleared', { sessionId: this.id });
+  }
+
+  /**
+   * Get session statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      id: this.id,
+      role: this.options.role,
+      model: this.getModel(),
+      messages: this.messages.length,
+      summarizedMessages: this.summarizedMessages,
+      hasSummary: Boolean(this.summary),
+      tokens: this.countTokens(),
+      contextWindow: this.getContextWindow(),
+      exactTokenCounts: this.tokenCounter.hasTokenizer(this.getModel()),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+// Process-wide sessions in least recently used order; idle or surplus ones are dropped
+const sessions = new Map();
+const MAX_SESSIONS = 100;
+const SESSION_TTL = 60 * 60 * 1000;
+
+/**
+ * Drop sessions idle for longer than the TTL, then the least recently used ones
+ * beyond the session limit
+ */
+function pruneSessions(now = Date.now()) {
+  for (const [id, session] of sessions) {
+    if (now - session.lastUsed > SESSION_TTL) {
+      sessions.delete(id);
+    }
+  }
+  while (sessions.size > MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+}
+
+/**
+ * Get a process-wide session by id, creating it on first use. Research follow-ups
+ * and agent chats use this to continue a conversation across tool calls. Sessions
+ * unused for an hour, and the least recently used beyond 100, are forgotten.
+ * @param {string} id - Session id (e.g. a research session id or `agent:dev`)
+ * @param {Object} [options] - ConversationSession options for a new session
+ * @returns {ConversationSession} Session
+ */
+export function getConversationSession(id, options = {}) {
+  const now = Date.now();
+  let session = sessions.get(id);
+  if (session && now - session.lastUsed > SESSION_TTL) {
+    session = null;
+  }
+
+  if (!session) {
+    session = new ConversationSession({ ...options, id });
+  } else if (options.provider) {
+    session.provider = options.provider;
+  }
+
+  // Re-inserting moves the session to the most recently used end
+  session.lastUsed = now;
+  sessions.delete(id);
+  sessions.set(id, session);
+  pruneSessions(now);
+  return session;
+}
+
+/**
+ * Forget a process-wide session
+ * @param {string} id - Session id
+ * @returns {boolean} True when a session was removed
+ */
+export function endConversationSession(id) {
+  return sessions.delete(id);
+}
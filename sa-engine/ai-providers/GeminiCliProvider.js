@@ -0,0 +1,167 @@
+import CliAIProvider from './CliAIProvider.js';
+
+/**
+ * GeminiCliProvider - Gemini CLI provider implementation
+ * Runs the `gemini` CLI non-interactively with the user's existing Google login
+ * (`gemini` once to sign in), or with GEMINI_API_KEY when one is set. The CLI does
+ * not take temperature or max token settings; they are ignored.
+ */
+export default class GeminiCliProvider extends CliAIProvider {
+  constructor(options = {}) {
+    const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+
+    super({
+      name: 'gemini-cli',
+      version: '1.0.0',
+      vendor: 'Gemini CLI',
+      command: process.env.GEMINI_CLI_PATH || 'gemini',
+      defaultModel: 'gemini-2.5-pro',
+      supportedRoles: ['main', 'research', 'fallback'],
+      ...options,
+      env: { ...(apiKey && { GEMINI_API_KEY: apiKey }), ...options.env }
+    });
+
+    // 'json' adds token usage to the reply; older CLIs only support 'text'
+    this.outputFormat = options.outputFormat || 'json';
+
+    // With a Google login the CLI runs on the free quota, so no per-token cost
+    this.models = {
+      'gemini-2.5-pro': {
+        maxTokens: 65536,
+        contextWindow: 1048576,
+        costPer1kInput: 0,
+        costPer1kOutput: 0,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'long-context', 'agentic']
+      },
+      'gemini-2.5-flash': {
+        maxTokens: 65536,
+        contextWindow: 1048576,
+        costPer1kInput: 0,
+        costPer1kOutput: 0,
+        capabilities: ['text', 'speed', 'code', 'long-context']
+      }
+    };
+
+    // Set default role configurations
+    this.setDefaultRoleConfigs();
+  }
+
+  /**
+   * Set default role configurations
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', { model: 'gemini-2.5-pro' });
+    this.configureRole('research', { model: 'gemini-2.5-pro' });
+    this.configureRole('fallback', { model: 'gemini-2.5-flash' });
+  }
+
+  /**
+   * Internal text generation implementation
+   */
+  async _generateText(params) {
+    const model = params.model || this.options.defaultModel;
+    const prompt = this.buildPrompt(params.messages);
+
+    const { stdout } = await this.runCli(this.buildArgs(model, this.outputFormat), prompt);
+
+    if (this.outputFormat !== 'json') {
+      return {
+        text: stdout.trim(),
+        model,
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+        finishReason: 'stop'
+      };
+    }
+
+    let result;
+    try {
+      result = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(`Gemini CLI returned output that is not JSON: ${stdout.slice(0, 200)}`);
+    }
+
+    if (result.error) {
+      const error = new Error(`Gemini CLI request failed: ${result.error.message || result.error}`);
+      error.type = 'api_error';
+      error.provider = this.name;
+      throw error;
+    }
+
+    return {
+      text: result.response || '',
+      model,
+      usage: this.convertUsage(result.stats, model),
+      finishReason: 'stop'
+    };
+  }
+
+  /**
+   * Internal text streaming implementation; the CLI writes plain text as it goes
+   */
+  async _streamText(params) {
+    const model = params.model || this.options.defaultModel;
+    const prompt = this.buildPrompt(params.messages);
+    const provider = this;
+
+    return {
+      async *[Symbol.asyncIterator]() {
+        let fullText = '';
+
+        for await (const chunk of provider.streamCli(provider.buildArgs(model, 'text'), prompt)) {
+          fullText += chunk;
+          yield { type: 'textDelta', textDelta: chunk, fullText };
+        }
+
+        yield {
+          type: 'finish',
+          fullText,
+          finishReason: 'stop',
+          usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+      }
+    };
+  }
+
+  /**
+   * The CLI has no system prompt option, so instructions lead the prompt
+   */
+  buildPrompt(messages) {
+    const { system, prompt } = this.formatPrompt(messages);
+    return system ? `${system}\n\n${prompt}` : prompt;
+  }
+
+  /**
+   * Build the command line; the prompt goes on stdin
+   */
+  buildArgs(model, outputFormat) {
+    return [
+      '--model', model,
+      ...(outputFormat === 'json' ? ['--output-format', 'json'] : [])
+    ];
+  }
+
+  /**
+   * Convert the CLI's per-model stats to token counts
+   */
+  convertUsage(stats, model) {
+    const tokens = stats?.models?.[model]?.tokens || Object.values(stats?.models || {})[0]?.tokens || {};
+    const promptTokens = tokens.prompt || 0;
+    const completionTokens = tokens.candidates || 0;
+    return { promptTokens, completionTokens, totalTokens: tokens.total || promptTokens + completionTokens };
+  }
+
+  getInstallHint() {
+    return 'Install it with `npm install -g @google/gemini-cli` and run `gemini` once to log in.';
+  }
+
+  /**
+   * Get rate limits (free-tier quota for a personal Google account)
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 60,
+      tokensPerMinute: 1000000,
+      requestsPerDay: 1000
+    };
+  }
+}
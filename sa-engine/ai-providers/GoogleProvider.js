@@ -1,5 +1,6 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import BaseAIProvider from './BaseAIProvider.js';
+import ToolSchemaMapper from './ToolSchemaMapper.js';
 
 /**
  * GoogleProvider - Google Gemini AI provider for Super Agents
@@ -308,6 +309,57 @@ export default class GoogleProvider extends BaseAIProvider {
     }
   }
 
+  /**
+   * Internal tool-calling step implementation
+   */
+  async _generateWithTools(params) {
+    const modelName = params.model || this.options.defaultModel;
+    const modelData = this.models.get(modelName);
+    
+    if (!modelData) {
+      throw new Error(`Model ${modelName} is not available`);
+    }
+
+    try {
+      const system = params.messages.filter(message => message.role === 'system').map(message => message.content);
+
+      const result = await modelData.instance.generateContent({
+        contents: ToolSchemaMapper.toGeminiContents(params.messages),
+        tools: ToolSchemaMapper.toGeminiTools(params.tools),
+        ...(system.length > 0 && { systemInstruction: { role: 'system', parts: [{ text: system.join('\n\n') }] } }),
+        generationConfig: {
+          temperature: params.temperature ?? 0.7,
+          topP: params.topP ?? 1,
+          maxOutputTokens: params.maxTokens ?? 1000,
+          candidateCount: 1
+        }
+      });
+
+      const response = result.response;
+      const candidate = response.candidates?.[0];
+      const { text, toolCalls } = ToolSchemaMapper.fromGeminiParts(candidate?.content?.parts, params.step);
+
+      return {
+        text,
+        toolCalls,
+        model: modelName,
+        usage: response.usageMetadata ? {
+          promptTokens: response.usageMetadata.promptTokenCount || 0,
+          completionTokens: response.usageMetadata.candidatesTokenCount || 0,
+          totalTokens: response.usageMetadata.totalTokenCount || 0
+        } : null,
+        finishReason: candidate?.finishReason || 'stop'
+      };
+
+    } catch (error) {
+      this.log('Google tool calling failed', { 
+        model: modelName, 
+        error: error.message 
+      }, 'error');
+      throw error;
+    }
+  }
+
   /**
    * Convert OpenAI-style messages to Google format
    */
@@ -0,0 +1,126 @@
+import OpenAIProvider from './OpenAIProvider.js';
+
+/**
+ * GroqProvider - Groq provider implementation
+ * Runs open-weight models on Groq's LPU inference API, which is OpenAI-compatible
+ */
+export default class GroqProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'groq',
+      version: '1.0.0',
+      defaultModel: 'llama-3.3-70b-versatile',
+      supportedRoles: ['main', 'research', 'fallback'],
+      ...options
+    });
+
+    this.vendor = 'Groq';
+    this.apiKey = options.apiKey || process.env.GROQ_API_KEY;
+    this.baseURL = options.baseURL || 'https://api.groq.com/openai/v1';
+    this.organization = null;
+    this.project = null;
+
+    // Model configurations with pricing and capabilities
+    this.models = {
+      'llama-3.3-70b-versatile': {
+        maxTokens: 32768,
+        contextWindow: 131072,
+        costPer1kInput: 0.00059,
+        costPer1kOutput: 0.00079,
+        capabilities: ['text', 'reasoning', 'code', 'function-calling']
+      },
+      'llama-3.1-8b-instant': {
+        maxTokens: 8192,
+        contextWindow: 131072,
+        costPer1kInput: 0.00005,
+        costPer1kOutput: 0.00008,
+        capabilities: ['text', 'speed', 'efficiency', 'function-calling']
+      },
+      'deepseek-r1-distill-llama-70b': {
+        maxTokens: 16384,
+        contextWindow: 131072,
+        costPer1kInput: 0.00075,
+        costPer1kOutput: 0.00099,
+        capabilities: ['text', 'reasoning', 'code']
+      },
+      'gemma2-9b-it': {
+        maxTokens: 8192,
+        contextWindow: 8192,
+        costPer1kInput: 0.0002,
+        costPer1kOutput: 0.0002,
+        capabilities: ['text', 'speed']
+      }
+    };
+  }
+
+  /**
+   * Set default role configurations
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', {
+      model: 'llama-3.3-70b-versatile',
+      temperature: 0.7,
+      maxTokens: 4000,
+      topP: 1
+    });
+
+    this.configureRole('research', {
+      model: 'deepseek-r1-distill-llama-70b',
+      temperature: 0.3,
+      maxTokens: 8000,
+      topP: 0.9
+    });
+
+    this.configureRole('fallback', {
+      model: 'llama-3.1-8b-instant',
+      temperature: 0.5,
+      maxTokens: 2000,
+      topP: 1
+    });
+  }
+
+  /**
+   * Get available models (everything the account can use, else the known table)
+   */
+  async getAvailableModels() {
+    try {
+      const response = await this.openai.models.list();
+      return response.data.map(model => model.id).sort();
+    } catch (error) {
+      return Object.keys(this.models);
+    }
+  }
+
+  /**
+   * Get maximum tokens for model
+   */
+  getMaxTokens(model = null) {
+    const modelName = model || this.options.defaultModel;
+    return this.models[modelName]?.maxTokens || 8192;
+  }
+
+  /**
+   * Get rate limits (free tier; paid tiers are higher)
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 30,
+      tokensPerMinute: 6000,
+      requestsPerDay: 14400
+    };
+  }
+
+  /**
+   * Get API key environment variable name
+   */
+  getApiKeyEnvVar() {
+    return 'GROQ_API_KEY';
+  }
+
+  /**
+   * Validate API key format
+   */
+  validateApiKey(apiKey) {
+    return apiKey && typeof apiKey === 'string' && apiKey.startsWith('gsk_');
+  }
+}
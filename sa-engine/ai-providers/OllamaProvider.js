@@ -0,0 +1,460 @@
+import BaseAIProvider from './BaseAIProvider.js';
+import ToolSchemaMapper from './ToolSchemaMapper.js';
+
+/**
+ * OllamaProvider - Ollama provider implementation
+ * Runs models on a local (or self-hosted) Ollama server through its HTTP API, so no
+ * API key or vendor SDK is needed. Models must be pulled first (`ollama pull llama3.1`).
+ */
+export default class OllamaProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'ollama',
+      version: '1.0.0',
+      defaultModel: 'llama3.1',
+      supportedRoles: ['main', 'research', 'fallback'],
+      // Local models can take a while to load and generate
+      timeout: 120000,
+      maxRetries: 2,
+      ...options
+    });
+
+    this.baseURL = (options.baseURL || process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/+$/, '');
+    // Only needed when the server sits behind an authenticating proxy
+    this.apiKey = options.apiKey || process.env.OLLAMA_API_KEY || null;
+    this.keepAlive = options.keepAlive;
+    this.installedModels = [];
+
+    // Model configurations; local models have no per-token cost
+    this.models = {
+      'llama3.1': {
+        maxTokens: 131072,
+        contextWindow: 131072,
+        costPer1kInput: 0,
+        costPer1kOutput: 0,
+        capabilities: ['text', 'reasoning', 'code']
+      },
+      'llama3.2': {
+        maxTokens: 131072,
+        contextWindow: 131072,
+        costPer1kInput: 0,
+        costPer1kOutput: 0,
+        capabilities: ['text', 'speed', 'efficiency']
+      },
+      'qwen2.5-coder': {
+        maxTokens: 32768,
+        contextWindow: 32768,
+        costPer1kInput: 0,
+        costPer1kOutput: 0,
+        capabilities: ['text', 'code']
+      },
+      'deepseek-r1': {
+        maxTokens: 131072,
+        contextWindow: 131072,
+        costPer1kInput: 0,
+        costPer1kOutput: 0,
+        capabilities: ['text', 'reasoning']
+      },
+      'mistral': {
+        maxTokens: 32768,
+        contextWindow: 32768,
+        costPer1kInput: 0,
+        costPer1kOutput: 0,
+        capabilities: ['text', 'speed']
+      },
+      'gemma2': {
+        maxTokens: 8192,
+        contextWindow: 8192,
+        costPer1kInput: 0,
+        costPer1kOutput: 0,
+        capabilities: ['text', 'efficiency']
+      }
+    };
+
+    // Set default role configurations
+    this.setDefaultRoleConfigs();
+  }
+
+  /**
+   * Initialize the Ollama provider
+   */
+  async initialize() {
+    try {
+      this.installedModels = await this.listInstalledModels();
+      this.isConnected = true;
+
+      const defaultModel = this.options.defaultModel;
+      if (!this.installedModels.some(name => name === defaultModel || name.split(':')[0] === defaultModel)) {
+        this.log(`Model ${defaultModel} is not pulled yet; run \`ollama pull ${defaultModel}\``, {}, 'warn');
+      }
+
+      this.log('Ollama provider initialized successfully', {
+        baseURL: this.baseURL,
+        installedModels: this.installedModels
+      });
+      this.emit('initialized');
+
+      return true;
+
+    } catch (error) {
+      this.log('Failed to initialize Ollama provider', { error: error.message }, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Set default role configurations. Every role uses the default model, since a
+   * local install usually has one model pulled.
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', {
+      model: this.options.defaultModel,
+      temperature: 0.7,
+      maxTokens: 4000,
+      topP: 1
+    });
+
+    this.configureRole('research', {
+      model: this.options.defaultModel,
+      temperature: 0.3,
+      maxTokens: 8000,
+      topP: 0.9
+    });
+
+    this.configureRole('fallback', {
+      model: this.options.defaultModel,
+      temperature: 0.5,
+      maxTokens: 2000,
+      topP: 1
+    });
+  }
+
+  /**
+   * Internal text generation implementation
+   */
+  async _generateText(params) {
+    const model = params.model || this.options.defaultModel;
+    const data = await this.chat(this.buildRequest(params, model, { stream: false }));
+
+    return {
+      text: data.message?.content || '',
+      model: data.model || model,
+      usage: this.convertUsage(data),
+      finishReason: data.done_reason || 'stop'
+    };
+  }
+
+  /**
+   * Internal object generation implementation
+   */
+  async _generateObject(params) {
+    const model = params.model || this.options.defaultModel;
+    const messages = [
+      { role: 'system', content: this.buildObjectSystemMessage(params.schema, params.objectDescription) },
+      ...params.messages
+    ];
+
+    // Ollama constrains the output to a JSON schema (or to any JSON with 'json')
+    const data = await this.chat(this.buildRequest({ ...params, messages }, model, {
+      stream: false,
+      format: this.options.schemaFormat === false ? 'json' : params.schema,
+      temperature: params.temperature ?? 0.1
+    }));
+    const text = data.message?.content || '';
+
+    return {
+      object: this.parseJsonText(text),
+      text,
+      model: data.model || model,
+      usage: this.convertUsage(data),
+      finishReason: data.done_reason || 'stop'
+    };
+  }
+
+  /**
+   * Internal text streaming implementation
+   */
+  async _streamText(params) {
+    const model = params.model || this.options.defaultModel;
+    const response = await this.request('/api/chat', this.buildRequest(params, model, { stream: true }));
+    const provider = this;
+
+    // Ollama streams one JSON object per line
+    return {
+      async *[Symbol.asyncIterator]() {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+
+        try {
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines.filter(line => line.trim())) {
+              const chunk = JSON.parse(line);
+              if (chunk.error) {
+                throw new Error(`Ollama stream error: ${chunk.error}`);
+              }
+
+              const text = chunk.message?.content;
+              if (text) {
+                fullText += text;
+                yield { type: 'textDelta', textDelta: text, fullText };
+              }
+
+              if (chunk.done) {
+                yield {
+                  type: 'finish',
+                  fullText,
+                  finishReason: chunk.done_reason || 'stop',
+                  usage: provider.convertUsage(chunk)
+                };
+              }
+            }
+          }
+        } finally {
+          reader.releaseLock();
+        }
+      }
+    };
+  }
+
+  /**
+   * Internal tool-calling step implementation. Only models trained for tools
+   * (llama3.1, qwen2.5, mistral-nemo, ...) will call them.
+   */
+  async _generateWithTools(params) {
+    const model = params.model || this.options.defaultModel;
+    const data = await this.chat({
+      ...this.buildRequest(params, model, { stream: false }),
+      messages: ToolSchemaMapper.toOllamaMessages(params.messages),
+      tools: ToolSchemaMapper.toOpenAITools(params.tools)
+    });
+
+    return {
+      text: data.message?.content || '',
+      toolCalls: ToolSchemaMapper.fromOllamaToolCalls(data.message?.tool_calls, params.step),
+      model: data.model || model,
+      usage: this.convertUsage(data),
+      finishReason: data.done_reason || 'stop'
+    };
+  }
+
+  /**
+   * Build an /api/chat request body
+   */
+  buildRequest(params, model, overrides = {}) {
+    const { stream, format, temperature } = overrides;
+    const options = {
+      temperature: temperature ?? params.temperature ?? 0.7,
+      top_p: params.topP ?? 1,
+      num_predict: params.maxTokens || 4000
+    };
+
+    // Ollama's default context is small and silently truncates long prompts
+    const contextLength = params.contextLength || this.options.contextLength;
+    if (contextLength) {
+      options.num_ctx = contextLength;
+    }
+
+    return {
+      model,
+      messages: params.messages.map(message => ({ role: message.role, content: message.content })),
+      stream,
+      options,
+      ...(format && { format }),
+      ...(this.keepAlive !== undefined && { keep_alive: this.keepAlive })
+    };
+  }
+
+  /**
+   * Run a non-streaming chat request
+   */
+  async chat(body) {
+    const response = await this.request('/api/chat', body);
+    return await response.json();
+  }
+
+  /**
+   * Make an HTTP request to the Ollama server with timeout and error mapping
+   */
+  async request(endpoint, body = null) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      const response = await fetch(`${this.baseURL}${endpoint}`, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+        },
+        ...(body && { body: JSON.stringify(body) }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let message = errorText;
+        try {
+          message = JSON.parse(errorText).error || errorText;
+        } catch (error) {
+          // Not JSON; use the raw text
+        }
+
+        const error = new Error(response.status === 404 && body?.model
+          ? `Ollama model ${body.model} not found; run \`ollama pull ${body.model}\``
+          : `Ollama API error (${response.status}): ${message}`);
+        error.status = response.status;
+        error.provider = this.name;
+        throw error;
+      }
+
+      return response;
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Ollama request timeout after ${this.options.timeout}ms`);
+      }
+      if (error.cause?.code === 'ECONNREFUSED') {
+        throw new Error(`Ollama server is not reachable at ${this.baseURL}; start it with \`ollama serve\``);
+      }
+      throw error;
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Convert Ollama's eval counts to the token counts the cost tracker records
+   */
+  convertUsage(data) {
+    const promptTokens = data?.prompt_eval_count || 0;
+    const completionTokens = data?.eval_count || 0;
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  /**
+   * Build system message for object generation
+   */
+  buildObjectSystemMessage(schema, description) {
+    return `You generate structured JSON responses.
+${description ? `\nTask: ${description}\n` : ''}
+Respond only with valid JSON that conforms to this schema:
+${JSON.stringify(schema, null, 2)}`;
+  }
+
+  /**
+   * Names of the models pulled on the server
+   */
+  async listInstalledModels() {
+    const response = await this.request('/api/tags');
+    const data = await response.json();
+    return (data.models || []).map(model => model.name);
+  }
+
+  /**
+   * Get available models
+   */
+  async getAvailableModels() {
+    try {
+      this.installedModels = await this.listInstalledModels();
+      return this.installedModels;
+    } catch (error) {
+      return Object.keys(this.models);
+    }
+  }
+
+  /**
+   * Get model information (`llama3.1:8b` uses the `llama3.1` entry)
+   */
+  getModelInfo(model) {
+    return this.models[model] || this.models[model?.split(':')[0]] || null;
+  }
+
+  /**
+   * Get maximum tokens for model
+   */
+  getMaxTokens(model = null) {
+    return this.getModelInfo(model || this.options.defaultModel)?.maxTokens || 8192;
+  }
+
+  /**
+   * Get rate limits (bounded only by the local hardware)
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 60,
+      tokensPerMinute: 100000,
+      requestsPerDay: 100000
+    };
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      textGeneration: true,
+      objectGeneration: true,
+      streaming: true,
+      imageGeneration: false,
+      imageAnalysis: false,
+      functionCalling: true,
+      supportedRoles: this.options.supportedRoles,
+      maxTokens: this.getMaxTokens(),
+      supportedFormats: ['text', 'json'],
+      rateLimits: this.getRateLimits(),
+      models: this.models
+    };
+  }
+
+  /**
+   * Calculate cost for token usage (always zero for local models)
+   */
+  calculateCost(usage, model = null) {
+    const modelInfo = this.getModelInfo(model || this.options.defaultModel);
+    const inputCost = ((usage?.promptTokens ?? usage?.inputTokens ?? 0) / 1000) * (modelInfo?.costPer1kInput || 0);
+    const outputCost = ((usage?.completionTokens ?? usage?.outputTokens ?? 0) / 1000) * (modelInfo?.costPer1kOutput || 0);
+
+    return {
+      inputCost,
+      outputCost,
+      totalCost: inputCost + outputCost,
+      currency: 'USD'
+    };
+  }
+
+  /**
+   * Check that the server answers, without loading a model
+   */
+  async testConnection() {
+    try {
+      await this.listInstalledModels();
+      this.isConnected = true;
+    } catch (error) {
+      this.isConnected = false;
+      this.lastError = error;
+      this.emit('connectionError', { error });
+    }
+    return this.isConnected;
+  }
+
+  requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Get API key environment variable name (optional, for authenticating proxies)
+   */
+  getApiKeyEnvVar() {
+    return 'OLLAMA_API_KEY';
+  }
+}
@@ -0,0 +1,508 @@
+import BaseAIProvider from './BaseAIProvider.js';
+import ToolSchemaMapper from './ToolSchemaMapper.js';
+
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'tool', 'prompt'];
+
+/**
+ * OpenAICompatibleProvider - Generic provider for self-hosted servers that speak the
+ * OpenAI chat completions protocol (vLLM, LM Studio, llama.cpp server, LocalAI).
+ * Talks to `${baseURL}/chat/completions` with fetch, so no SDK is needed. The model
+ * table is whatever the deployment declares; served models found at startup are added
+ * with the server's context length when it reports one.
+ */
+export default class OpenAICompatibleProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'openai-compatible',
+      version: '1.0.0',
+      supportedRoles: ['main', 'research', 'fallback'],
+      // Self-hosted models are often slower than hosted APIs
+      timeout: 120000,
+      maxRetries: 2,
+      ...options
+    });
+
+    this.baseURL = (options.baseURL || process.env.OPENAI_COMPATIBLE_BASE_URL || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_COMPATIBLE_API_KEY || null;
+    this.headers = options.headers || {};
+    this.structuredOutput = options.structuredOutput || 'json_schema';
+    // vLLM and llama.cpp report usage on the last chunk when asked; turn off for servers that reject the option
+    this.streamUsage = options.streamUsage !== false;
+    // Native tool calling for generateWithTools; turn off for servers without `tools` support
+    this.toolCalling = options.toolCalling !== false;
+    this.servedModels = [];
+
+    if (!STRUCTURED_OUTPUT_MODES.includes(this.structuredOutput)) {
+      throw new Error(`Unknown structuredOutput mode "${this.structuredOutput}"; use one of ${STRUCTURED_OUTPUT_MODES.join(', ')}`);
+    }
+
+    // Model configurations declared by the deployment; unknown models cost nothing
+    this.models = this.normalizeModels(options.models);
+    this.options.defaultModel = this.options.defaultModel || process.env.OPENAI_COMPATIBLE_MODEL || Object.keys(this.models)[0] || null;
+
+    // Set default role configurations
+    this.setDefaultRoleConfigs();
+  }
+
+  /**
+   * Accept models as { id: info }, or as an array of ids or { id, ...info } entries
+   */
+  normalizeModels(models = {}) {
+    const entries = Array.isArray(models)
+      ? models.map(model => (typeof model === 'string' ? [model, {}] : [model.id, model]))
+      : Object.entries(models);
+
+    return Object.fromEntries(entries.map(([id, info]) => [id, this.modelEntry(info)]));
+  }
+
+  /**
+   * Fill in a model table entry
+   */
+  modelEntry(info = {}) {
+    const contextWindow = info.contextWindow || 8192;
+    return {
+      maxTokens: info.maxTokens || Math.min(contextWindow, 8192),
+      contextWindow,
+      costPer1kInput: info.costPer1kInput || 0,
+      costPer1kOutput: info.costPer1kOutput || 0,
+      capabilities: info.capabilities || ['text']
+    };
+  }
+
+  /**
+   * Initialize the provider by listing the models the server serves
+   */
+  async initialize() {
+    try {
+      if (!this.baseURL) {
+        throw new Error('baseURL is required for the OpenAI-compatible provider. Set OPENAI_COMPATIBLE_BASE_URL environment variable.');
+      }
+
+      await this.listServedModels();
+
+      if (!this.options.defaultModel) {
+        this.options.defaultModel = this.servedModels[0] || null;
+        this.setDefaultRoleConfigs();
+      }
+      if (!this.options.defaultModel) {
+        throw new Error(`No models declared or served at ${this.baseURL}`);
+      }
+      if (this.servedModels.length > 0 && !this.servedModels.includes(this.options.defaultModel)) {
+        this.log(`Model ${this.options.defaultModel} is not served at ${this.baseURL}`, { servedModels: this.servedModels }, 'warn');
+      }
+
+      this.isConnected = true;
+
+      this.log(`${this.name} provider initialized successfully`, {
+        baseURL: this.baseURL,
+        defaultModel: this.options.defaultModel,
+        servedModels: this.servedModels
+      });
+      this.emit('initialized');
+
+      return true;
+
+    } catch (error) {
+      this.log(`Failed to initialize ${this.name} provider`, { error: error.message }, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Set default role configurations. Every role uses the default model, since a
+   * self-hosted server usually serves one model.
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', {
+      model: this.options.defaultModel,
+      temperature: 0.7,
+      maxTokens: 4000,
+      topP: 1
+    });
+
+    this.configureRole('research', {
+      model: this.options.defaultModel,
+      temperature: 0.3,
+      maxTokens: 8000,
+      topP: 0.9
+    });
+
+    this.configureRole('fallback', {
+      model: this.options.defaultModel,
+      temperature: 0.5,
+      maxTokens: 2000,
+      topP: 1
+    });
+  }
+
+  /**
+   * Internal text generation implementation
+   */
+  async _generateText(params) {
+    const model = params.model || this.options.defaultModel;
+    const data = await this.complete(this.buildRequest(params, model));
+    const choice = data.choices?.[0];
+
+    return {
+      text: choice?.message?.content || '',
+      model: data.model || model,
+      usage: this.convertUsage(data.usage),
+      finishReason: choice?.finish_reason,
+      id: data.id
+    };
+  }
+
+  /**
+   * Internal object generation implementation. How the schema is enforced depends on
+   * what the server supports: `json_schema` (vLLM, LM Studio, llama.cpp), `json_object`,
+   * a forced `tool` call, or `prompt` instructions only.
+   */
+  async _generateObject(params) {
+    const model = params.model || this.options.defaultModel;
+    const mode = params.structuredOutput || this.structuredOutput;
+    const messages = [
+      { role: 'system', content: this.buildObjectSystemMessage(params.schema, params.objectDescription) },
+      ...params.messages
+    ];
+    const body = this.buildRequest({ ...params, messages, temperature: params.temperature ?? 0.1 }, model);
+
+    if (mode === 'json_schema') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: params.schema, strict: true }
+      };
+    } else if (mode === 'json_object') {
+      body.response_format = { type: 'json_object' };
+    } else if (mode === 'tool') {
+      body.tools = [{
+        type: 'function',
+        function: {
+          name: 'respond',
+          description: params.objectDescription || 'Return the structured response',
+          parameters: params.schema
+        }
+      }];
+      body.tool_choice = { type: 'function', function: { name: 'respond' } };
+    }
+
+    const data = await this.complete(body);
+    const choice = data.choices?.[0];
+    const toolCall = choice?.message?.tool_calls?.[0];
+    const text = toolCall ? toolCall.function.arguments : choice?.message?.content || '';
+
+    return {
+      object: this.parseJsonText(text),
+      text,
+      model: data.model || model,
+      usage: this.convertUsage(data.usage),
+      finishReason: choice?.finish_reason,
+      id: data.id
+    };
+  }
+
+  /**
+   * Internal text streaming implementation
+   */
+  async _streamText(params) {
+    const model = params.model || this.options.defaultModel;
+    const response = await this.request('/chat/completions', {
+      ...this.buildRequest(params, model),
+      stream: true,
+      ...(this.streamUsage && { stream_options: { include_usage: true } })
+    });
+
+    return this.createStreamWrapper(response.body);
+  }
+
+  /**
+   * Internal tool-calling step implementation. The server must support the `tools`
+   * parameter (vLLM needs --enable-auto-tool-choice and a --tool-call-parser).
+   */
+  async _generateWithTools(params) {
+    const model = params.model || this.options.defaultModel;
+    const data = await this.complete({
+      ...this.buildRequest(params, model),
+      messages: ToolSchemaMapper.toOpenAIMessages(params.messages),
+      tools: ToolSchemaMapper.toOpenAITools(params.tools),
+      tool_choice: params.toolChoice || 'auto'
+    });
+    const choice = data.choices?.[0];
+
+    return {
+      text: choice?.message?.content || '',
+      toolCalls: ToolSchemaMapper.fromOpenAIToolCalls(choice?.message?.tool_calls),
+      model: data.model || model,
+      usage: this.convertUsage(data.usage),
+      finishReason: choice?.finish_reason,
+      id: data.id
+    };
+  }
+
+  /**
+   * Build a chat completions request body
+   */
+  buildRequest(params, model) {
+    return {
+      model,
+      messages: params.messages.map(message => ({ role: message.role, content: message.content })),
+      max_tokens: params.maxTokens || 4000,
+      temperature: params.temperature ?? 0.7,
+      top_p: params.topP ?? 1,
+      ...(params.stop && { stop: params.stop })
+    };
+  }
+
+  /**
+   * Run a non-streaming chat completion
+   */
+  async complete(body) {
+    const response = await this.request('/chat/completions', body);
+    return await response.json();
+  }
+
+  /**
+   * Make an HTTP request to the server with timeout and error mapping
+   */
+  async request(endpoint, body = null) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      const response = await fetch(`${this.baseURL}${endpoint}`, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+          ...this.headers
+        },
+        ...(body && { body: JSON.stringify(body) }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let message = errorText;
+        try {
+          const parsed = JSON.parse(errorText);
+          message = parsed.error?.message || parsed.message || parsed.detail || errorText;
+        } catch (error) {
+          // Not JSON; use the raw text
+        }
+
+        const error = new Error(`${this.name} API error (${response.status}): ${message}`);
+        error.status = response.status;
+        error.type = response.status === 401 || response.status === 403 ? 'authentication_error'
+          : response.status === 404 ? 'not_found'
+            : response.status === 429 ? 'rate_limit'
+              : response.status >= 500 ? 'service_error' : 'invalid_request';
+        error.provider = this.name;
+        throw error;
+      }
+
+      return response;
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.name} request timeout after ${this.options.timeout}ms`);
+      }
+      if (error.cause?.code === 'ECONNREFUSED') {
+        throw new Error(`${this.name} server is not reachable at ${this.baseURL}`);
+      }
+      throw error;
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Create stream wrapper for a server-sent events body
+   */
+  createStreamWrapper(body) {
+    const provider = this;
+
+    return {
+      async *[Symbol.asyncIterator]() {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+        let finishReason = null;
+        let usage = null;
+
+        try {
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+              const data = line.trim().replace(/^data:\s*/, '');
+              if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+
+              const chunk = JSON.parse(data);
+              if (chunk.error) {
+                throw new Error(`${provider.name} stream error: ${chunk.error.message || chunk.error}`);
+              }
+
+              const text = chunk.choices?.[0]?.delta?.content;
+              if (text) {
+                fullText += text;
+                yield { type: 'textDelta', textDelta: text, fullText };
+              }
+
+              finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+              usage = chunk.usage || usage;
+            }
+          }
+        } finally {
+          reader.releaseLock();
+        }
+
+        yield {
+          type: 'finish',
+          fullText,
+          finishReason: finishReason || 'stop',
+          usage: provider.convertUsage(usage)
+        };
+      }
+    };
+  }
+
+  /**
+   * Convert OpenAI-style usage to the token counts the cost tracker records
+   */
+  convertUsage(usage) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    return { promptTokens, completionTokens, totalTokens: usage?.total_tokens || promptTokens + completionTokens };
+  }
+
+  /**
+   * Build system message for object generation
+   */
+  buildObjectSystemMessage(schema, description) {
+    return `You generate structured JSON responses.
+${description ? `\nTask: ${description}\n` : ''}
+Respond only with valid JSON that conforms to this schema:
+${JSON.stringify(schema, null, 2)}`;
+  }
+
+  /**
+   * List the models the server serves, adding undeclared ones to the model table.
+   * vLLM reports `max_model_len`, which becomes the context window.
+   */
+  async listServedModels() {
+    const response = await this.request('/models');
+    const data = await response.json();
+
+    this.servedModels = (data.data || []).map(model => model.id);
+    for (const model of data.data || []) {
+      if (!this.models[model.id]) {
+        this.models[model.id] = this.modelEntry({ contextWindow: model.max_model_len || model.context_length });
+      }
+    }
+
+    return this.servedModels;
+  }
+
+  /**
+   * Get available models
+   */
+  async getAvailableModels() {
+    try {
+      return await this.listServedModels();
+    } catch (error) {
+      return Object.keys(this.models);
+    }
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo(model) {
+    return this.models[model] || null;
+  }
+
+  /**
+   * Get maximum tokens for model
+   */
+  getMaxTokens(model = null) {
+    return this.getModelInfo(model || this.options.defaultModel)?.maxTokens || 4096;
+  }
+
+  /**
+   * Get rate limits (bounded only by the deployment's hardware)
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 60,
+      tokensPerMinute: 100000,
+      requestsPerDay: 100000
+    };
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      textGeneration: true,
+      objectGeneration: true,
+      streaming: true,
+      imageGeneration: false,
+      imageAnalysis: false,
+      functionCalling: this.toolCalling,
+      supportedRoles: this.options.supportedRoles,
+      maxTokens: this.getMaxTokens(),
+      supportedFormats: ['text', 'json'],
+      rateLimits: this.getRateLimits(),
+      models: this.models
+    };
+  }
+
+  /**
+   * Calculate cost for token usage from the declared prices (zero when none are declared)
+   */
+  calculateCost(usage, model = null) {
+    const modelInfo = this.getModelInfo(model || this.options.defaultModel);
+    const inputCost = ((usage?.promptTokens ?? usage?.inputTokens ?? 0) / 1000) * (modelInfo?.costPer1kInput || 0);
+    const outputCost = ((usage?.completionTokens ?? usage?.outputTokens ?? 0) / 1000) * (modelInfo?.costPer1kOutput || 0);
+
+    return {
+      inputCost,
+      outputCost,
+      totalCost: inputCost + outputCost,
+      currency: 'USD'
+    };
+  }
+
+  /**
+   * Check that the server answers, without running a model
+   */
+  async testConnection() {
+    try {
+      await this.listServedModels();
+      this.isConnected = true;
+    } catch (error) {
+      this.isConnected = false;
+      this.lastError = error;
+      this.emit('connectionError', { error });
+    }
+    return this.isConnected;
+  }
+
+  requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Get API key environment variable name (optional; most local servers need none)
+   */
+  getApiKeyEnvVar() {
+    return 'OPENAI_COMPATIBLE_API_KEY';
+  }
+}
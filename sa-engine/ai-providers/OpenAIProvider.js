@@ -1,9 +1,12 @@
 import BaseAIProvider from './BaseAIProvider.js';
+import ToolSchemaMapper from './ToolSchemaMapper.js';
 import OpenAI from 'openai';
 
 /**
  * OpenAIProvider - OpenAI GPT provider implementation
- * Provides integration with OpenAI's GPT models for Super Agents
+ * Provides integration with OpenAI's GPT models for Super Agents. Services that
+ * speak the same chat-completions API (Groq, xAI, OpenRouter) extend it with their
+ * own `baseURL`, API key and model table.
  */
 export default class OpenAIProvider extends BaseAIProvider {
   constructor(options = {}) {
@@ -15,9 +18,12 @@ export default class OpenAIProvider extends BaseAIProvider {
       ...options
     });
 
+    this.vendor = 'OpenAI';
     this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
     this.organization = options.organization || process.env.OPENAI_ORGANIZATION;
     this.project = options.project || process.env.OPENAI_PROJECT;
+    this.baseURL = options.baseURL || null;
+    this.defaultHeaders = options.defaultHeaders || null;
     this.openai = null;
     
     // Model configurations with pricing and capabilities
@@ -69,7 +75,7 @@ export default class OpenAIProvider extends BaseAIProvider {
   async initialize() {
     try {
       if (!this.apiKey) {
-        throw new Error('OpenAI API key is required');
+        throw new Error(`${this.vendor} API key is required. Set ${this.getApiKeyEnvVar()} environment variable.`);
       }
 
       const clientOptions = {
@@ -77,6 +83,14 @@ export default class OpenAIProvider extends BaseAIProvider {
         timeout: this.options.timeout
       };
 
+      if (this.baseURL) {
+        clientOptions.baseURL = this.baseURL;
+      }
+
+      if (this.defaultHeaders) {
+        clientOptions.defaultHeaders = this.defaultHeaders;
+      }
+
       if (this.organization) {
         clientOptions.organization = this.organization;
       }
@@ -90,13 +104,13 @@ export default class OpenAIProvider extends BaseAIProvider {
       // Test connection
       await this.testConnection();
       
-      this.log('OpenAI provider initialized successfully');
+      this.log(`${this.vendor} provider initialized successfully`);
       this.emit('initialized');
       
       return true;
 
     } catch (error) {
-      this.log('Failed to initialize OpenAI provider', { error: error.message }, 'error');
+      this.log(`Failed to initialize ${this.vendor} provider`, { error: error.message }, 'error');
       throw error;
     }
   }
@@ -170,11 +184,7 @@ export default class OpenAIProvider extends BaseAIProvider {
       return {
         text: response.choices[0]?.message?.content || '',
         model: response.model,
-        usage: {
-          inputTokens: response.usage?.prompt_tokens || 0,
-          outputTokens: response.usage?.completion_tokens || 0,
-          totalTokens: response.usage?.total_tokens || 0
-        },
+        usage: this.convertUsage(response.usage),
         finishReason: response.choices[0]?.finish_reason,
         id: response.id,
         functionCall: response.choices[0]?.message?.function_call,
@@ -230,11 +240,7 @@ export default class OpenAIProvider extends BaseAIProvider {
         object: parsedObject,
         text: textResponse,
         model: response.model,
-        usage: {
-          inputTokens: response.usage?.prompt_tokens || 0,
-          outputTokens: response.usage?.completion_tokens || 0,
-          totalTokens: response.usage?.total_tokens || 0
-        },
+        usage: this.convertUsage(response.usage),
         finishReason: response.choices[0]?.finish_reason,
         id: response.id
       };
@@ -271,6 +277,53 @@ export default class OpenAIProvider extends BaseAIProvider {
     }
   }
 
+  /**
+   * Internal tool-calling step implementation
+   */
+  async _generateWithTools(params) {
+    try {
+      const request = {
+        model: params.model || this.options.defaultModel,
+        messages: ToolSchemaMapper.toOpenAIMessages(params.messages),
+        max_tokens: params.maxTokens || 4000,
+        temperature: params.temperature ?? 0.7,
+        top_p: params.topP ?? 1,
+        tools: ToolSchemaMapper.toOpenAITools(params.tools),
+        tool_choice: params.toolChoice || 'auto'
+      };
+
+      const response = await this.openai.chat.completions.create(request);
+      const message = response.choices[0]?.message;
+
+      return {
+        text: message?.content || '',
+        toolCalls: ToolSchemaMapper.fromOpenAIToolCalls(message?.tool_calls),
+        model: response.model,
+        usage: this.convertUsage(response.usage),
+        finishReason: response.choices[0]?.finish_reason,
+        id: response.id
+      };
+
+    } catch (error) {
+      this.handleOpenAIError(error);
+    }
+  }
+
+  /**
+   * Convert chat-completions usage to the token counts the cost tracker records
+   */
+  convertUsage(usage) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    return {
+      promptTokens,
+      completionTokens,
+      inputTokens: promptTokens,
+      outputTokens: completionTokens,
+      totalTokens: usage?.total_tokens || promptTokens + completionTokens
+    };
+  }
+
   /**
    * Format messages for OpenAI API
    */
@@ -345,7 +398,7 @@ Rules:
    * Handle OpenAI-specific errors
    */
   handleOpenAIError(error) {
-    let errorMessage = error.message || 'Unknown OpenAI API error';
+    let errorMessage = error.message || `Unknown ${this.vendor} API error`;
     let errorType = 'api_error';
 
     if (error.status) {
@@ -355,24 +408,24 @@ Rules:
           break;
         case 401:
           errorType = 'authentication_error';
-          errorMessage = 'Invalid OpenAI API key';
+          errorMessage = `Invalid ${this.vendor} API key`;
           break;
         case 403:
           errorType = 'permission_error';
           break;
         case 404:
           errorType = 'not_found';
-          errorMessage = 'OpenAI model or endpoint not found';
+          errorMessage = `${this.vendor} model or endpoint not found`;
           break;
         case 429:
           errorType = 'rate_limit';
-          errorMessage = 'OpenAI API rate limit exceeded';
+          errorMessage = `${this.vendor} API rate limit exceeded`;
           break;
         case 500:
         case 502:
         case 503:
           errorType = 'service_error';
-          errorMessage = 'OpenAI service temporarily unavailable';
+          errorMessage = `${this.vendor} service temporarily unavailable`;
           break;
       }
     }
@@ -380,7 +433,7 @@ Rules:
     const enhancedError = new Error(errorMessage);
     enhancedError.type = errorType;
     enhancedError.status = error.status;
-    enhancedError.provider = 'openai';
+    enhancedError.provider = this.name;
     
     throw enhancedError;
   }
@@ -457,8 +510,8 @@ Rules:
       return null;
     }
 
-    const inputCost = (usage.inputTokens / 1000) * modelInfo.costPer1kInput;
-    const outputCost = (usage.outputTokens / 1000) * modelInfo.costPer1kOutput;
+    const inputCost = ((usage.promptTokens ?? usage.inputTokens ?? 0) / 1000) * modelInfo.costPer1kInput;
+    const outputCost = ((usage.completionTokens ?? usage.outputTokens ?? 0) / 1000) * modelInfo.costPer1kOutput;
     
     return {
       inputCost,
@@ -488,7 +541,7 @@ Rules:
   async testConnection() {
     try {
       const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+        model: this.getRoleConfig('fallback').model || this.options.defaultModel,
         messages: [{ role: 'user', content: 'Hello' }],
         max_tokens: 5
       });
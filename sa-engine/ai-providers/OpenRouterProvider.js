@@ -0,0 +1,176 @@
+import OpenAIProvider from './OpenAIProvider.js';
+
+/**
+ * OpenRouterProvider - OpenRouter provider implementation
+ * Reaches models from many vendors through OpenRouter's OpenAI-compatible API.
+ * Model names are `vendor/model`; any model in the OpenRouter catalog can be used,
+ * and getAvailableModels() adds the catalog's context windows and prices to the table.
+ */
+export default class OpenRouterProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'openrouter',
+      version: '1.0.0',
+      defaultModel: 'anthropic/claude-3.5-sonnet',
+      supportedRoles: ['main', 'research', 'fallback'],
+      timeout: 60000,
+      ...options
+    });
+
+    this.vendor = 'OpenRouter';
+    this.apiKey = options.apiKey || process.env.OPENROUTER_API_KEY;
+    this.baseURL = options.baseURL || 'https://openrouter.ai/api/v1';
+    this.organization = null;
+    this.project = null;
+
+    // OpenRouter uses these to attribute requests to the app in its rankings
+    this.defaultHeaders = {
+      'HTTP-Referer': options.siteUrl || process.env.OPENROUTER_SITE_URL || 'https://github.com/super-agents/super-agents',
+      'X-Title': options.appName || 'Super Agents',
+      ...options.defaultHeaders
+    };
+
+    // Model configurations with pricing and capabilities
+    this.models = {
+      'anthropic/claude-3.5-sonnet': {
+        maxTokens: 8192,
+        contextWindow: 200000,
+        costPer1kInput: 0.003,
+        costPer1kOutput: 0.015,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'function-calling', 'vision']
+      },
+      'anthropic/claude-3.5-haiku': {
+        maxTokens: 8192,
+        contextWindow: 200000,
+        costPer1kInput: 0.0008,
+        costPer1kOutput: 0.004,
+        capabilities: ['text', 'speed', 'code', 'function-calling']
+      },
+      'openai/gpt-4o': {
+        maxTokens: 16384,
+        contextWindow: 128000,
+        costPer1kInput: 0.0025,
+        costPer1kOutput: 0.01,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'function-calling', 'vision']
+      },
+      'openai/gpt-4o-mini': {
+        maxTokens: 16384,
+        contextWindow: 128000,
+        costPer1kInput: 0.00015,
+        costPer1kOutput: 0.0006,
+        capabilities: ['text', 'speed', 'efficiency', 'function-calling']
+      },
+      'google/gemini-flash-1.5': {
+        maxTokens: 8192,
+        contextWindow: 1000000,
+        costPer1kInput: 0.000075,
+        costPer1kOutput: 0.0003,
+        capabilities: ['text', 'speed', 'long-context', 'vision']
+      },
+      'meta-llama/llama-3.1-70b-instruct': {
+        maxTokens: 8192,
+        contextWindow: 131072,
+        costPer1kInput: 0.00012,
+        costPer1kOutput: 0.0003,
+        capabilities: ['text', 'code', 'efficiency']
+      },
+      'mistralai/mistral-large': {
+        maxTokens: 8192,
+        contextWindow: 128000,
+        costPer1kInput: 0.002,
+        costPer1kOutput: 0.006,
+        capabilities: ['text', 'reasoning', 'code', 'function-calling']
+      },
+      'deepseek/deepseek-chat': {
+        maxTokens: 8192,
+        contextWindow: 64000,
+        costPer1kInput: 0.00014,
+        costPer1kOutput: 0.00028,
+        capabilities: ['text', 'code', 'efficiency']
+      }
+    };
+  }
+
+  /**
+   * Set default role configurations
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', {
+      model: 'anthropic/claude-3.5-sonnet',
+      temperature: 0.7,
+      maxTokens: 4000,
+      topP: 1
+    });
+
+    this.configureRole('research', {
+      model: 'openai/gpt-4o',
+      temperature: 0.3,
+      maxTokens: 8000,
+      topP: 0.9
+    });
+
+    this.configureRole('fallback', {
+      model: 'openai/gpt-4o-mini',
+      temperature: 0.5,
+      maxTokens: 2000,
+      topP: 1
+    });
+  }
+
+  /**
+   * Get available models from the OpenRouter catalog, recording their limits and prices
+   */
+  async getAvailableModels() {
+    try {
+      const response = await this.openai.models.list();
+      for (const model of response.data) {
+        if (!model.pricing) continue;
+        this.models[model.id] = {
+          ...this.models[model.id],
+          maxTokens: model.top_provider?.max_completion_tokens || this.models[model.id]?.maxTokens || 4096,
+          contextWindow: model.context_length || this.models[model.id]?.contextWindow,
+          // The catalog prices are USD per token
+          costPer1kInput: Number(model.pricing.prompt) * 1000,
+          costPer1kOutput: Number(model.pricing.completion) * 1000,
+          capabilities: this.models[model.id]?.capabilities || ['text']
+        };
+      }
+      return response.data.map(model => model.id).sort();
+    } catch (error) {
+      return Object.keys(this.models);
+    }
+  }
+
+  /**
+   * Get maximum tokens for model
+   */
+  getMaxTokens(model = null) {
+    const modelName = model || this.options.defaultModel;
+    return this.models[modelName]?.maxTokens || 4096;
+  }
+
+  /**
+   * Get rate limits (OpenRouter limits by credits rather than a fixed rate)
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 200,
+      tokensPerMinute: 1000000,
+      requestsPerDay: 100000
+    };
+  }
+
+  /**
+   * Get API key environment variable name
+   */
+  getApiKeyEnvVar() {
+    return 'OPENROUTER_API_KEY';
+  }
+
+  /**
+   * Validate API key format
+   */
+  validateApiKey(apiKey) {
+    return apiKey && typeof apiKey === 'string' && apiKey.startsWith('sk-or-');
+  }
+}
@@ -150,12 +150,13 @@ export default class ProviderManager extends EventEmitter {
   async generateText(params = {}) {
     const role = params.role || 'main';
     const startTime = Date.now();
+    let provider = null;
     
     try {
       this.emit('textGenerationStarting', { params, role });
 
       // Select provider for role
-      const provider = await this.selectProvider(role, 'textGeneration');
+      provider = await this.selectProvider(role, 'textGeneration');
       if (!provider) {
         throw new Error(`No available provider for role: ${role}`);
       }
@@ -212,12 +213,13 @@ export default class ProviderManager extends EventEmitter {
   async generateObject(params = {}) {
     const role = params.role || 'main';
     const startTime = Date.now();
+    let provider = null;
     
     try {
       this.emit('objectGenerationStarting', { params, role });
 
       // Select provider for role
-      const provider = await this.selectProvider(role, 'objectGeneration');
+      provider = await this.selectProvider(role, 'objectGeneration');
       if (!provider) {
         throw new Error(`No available provider for role: ${role}`);
       }
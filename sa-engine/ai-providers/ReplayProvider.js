@@ -0,0 +1,309 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import BaseAIProvider from './BaseAIProvider.js';
+import CostTracker from './CostTracker.js';
+
+/**
+ * Prompt parts that change between runs without changing the request
+ */
+const DEFAULT_NORMALIZERS = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+  [/\b\d{4}-\d{2}-\d{2}\b/g, '<date>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>']
+];
+
+/**
+ * Thrown in replay mode when no fixture matches a request
+ */
+export class ReplayMissError extends Error {
+  constructor(key, fixturePath, preview) {
+    super(`No recorded AI response for request ${key} (expected ${fixturePath}). ` +
+      `Record it by running with SA_AI_REPLAY_MODE=record and an API key.\nPrompt: ${preview}`);
+    this.name = 'ReplayMissError';
+    this.code = 'REPLAY_MISS';
+    this.type = 'replay_miss';
+    // Tools must not cover an unrecorded prompt with template output
+    this.recoverable = false;
+    this.key = key;
+    this.fixturePath = fixturePath;
+  }
+}
+
+/**
+ * ReplayProvider - Deterministic record/replay provider for offline tests
+ * In record mode it forwards each request to a real provider and saves the response
+ * as a fixture file named after a hash of the normalized request (operation, role,
+ * messages and schema). In replay mode it serves those fixtures back and throws
+ * ReplayMissError for any request that was never recorded.
+ */
+export default class ReplayProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'replay',
+      version: '1.0.0',
+      defaultModel: 'replay',
+      // A miss is permanent, so never retry it or trip the circuit breaker
+      maxRetries: 1,
+      circuitBreakerEnabled: false,
+      // Replayed responses cost nothing, so there is nothing to persist or report
+      costTracker: new CostTracker({ persistData: false, enableReporting: false, enableLogging: false }),
+      ...options
+    });
+
+    this.mode = options.mode || process.env.SA_AI_REPLAY_MODE || 'replay';
+    this.fixturesDir = options.fixturesDir || process.env.SA_AI_REPLAY_DIR;
+    this.provider = options.provider || null;
+    this.normalizers = [...DEFAULT_NORMALIZERS, ...(options.normalizers || [])];
+
+    if (!['record', 'replay'].includes(this.mode)) {
+      throw new Error(`Unknown replay mode "${this.mode}"; use record or replay`);
+    }
+  }
+
+  /**
+   * Initialize the provider; record mode also initializes the wrapped provider
+   */
+  async initialize() {
+    try {
+      if (!this.fixturesDir) {
+        throw new Error('fixturesDir is required for the replay provider. Set SA_AI_REPLAY_DIR environment variable.');
+      }
+
+      if (this.mode === 'record') {
+        if (!this.provider) {
+          throw new Error('Record mode needs a provider to record from');
+        }
+        if (!this.provider.isConnected) {
+          await this.provider.initialize();
+        }
+        await fs.mkdir(this.fixturesDir, { recursive: true });
+      }
+
+      this.isConnected = true;
+
+      this.log('Replay provider initialized successfully', {
+        mode: this.mode,
+        fixturesDir: this.fixturesDir,
+        recordingFrom: this.provider?.name
+      });
+      this.emit('initialized');
+
+      return true;
+
+    } catch (error) {
+      this.log('Failed to initialize replay provider', { error: error.message }, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Role configuration belongs to the wrapped provider, so requests pass through as given
+   */
+  applyRoleConfig(params) {
+    return params;
+  }
+
+  /**
+   * Internal text generation implementation
+   */
+  async _generateText(params) {
+    return await this.handle('generateText', params, () => this.provider.generateText(params));
+  }
+
+  /**
+   * Internal object generation implementation
+   */
+  async _generateObject(params) {
+    return await this.handle('generateObject', params, () => this.provider.generateObject(params));
+  }
+
+  /**
+   * Internal tool-calling step implementation; each step of the tool loop is its own fixture
+   */
+  async _generateWithTools(params) {
+    return await this.handle('generateWithTools', params,
+      () => this.provider._generateWithTools(this.provider.applyRoleConfig(params)));
+  }
+
+  /**
+   * Internal text streaming implementation. Recording saves every chunk once the
+   * stream has been read to the end.
+   */
+  async _streamText(params) {
+    const key = this.getRequestKey('streamText', params);
+
+    if (this.mode === 'replay') {
+      const { chunks } = await this.readFixture(key, params);
+      return {
+        async *[Symbol.asyncIterator]() {
+          yield* chunks;
+        }
+      };
+    }
+
+    const stream = await this.provider.streamText(params);
+    const provider = this;
+
+    return {
+      async *[Symbol.asyncIterator]() {
+        const chunks = [];
+        for await (const chunk of stream) {
+          chunks.push(chunk);
+          yield chunk;
+        }
+        await provider.writeFixture(key, 'streamText', params, { chunks });
+      }
+    };
+  }
+
+  /**
+   * Serve a fixture, or call the wrapped provider and record its response
+   */
+  async handle(operation, params, call) {
+    const key = this.getRequestKey(operation, params);
+
+    if (this.mode === 'replay') {
+      return await this.readFixture(key, params);
+    }
+
+    const result = await call();
+    const response = {
+      text: result.text,
+      ...(result.object !== undefined && { object: result.object }),
+      ...(result.toolCalls?.length > 0 && { toolCalls: result.toolCalls }),
+      model: result.model,
+      usage: result.usage || result.tokenUsage || null,
+      finishReason: result.finishReason
+    };
+
+    await this.writeFixture(key, operation, params, response);
+    return response;
+  }
+
+  /**
+   * Hash the parts of a request that determine its response. Model and sampling
+   * settings are left out so fixtures survive changes to role configuration.
+   */
+  getRequestKey(operation, params) {
+    const request = {
+      operation,
+      role: params.role || 'main',
+      messages: (params.messages || []).map(message => this.describeMessage(message)),
+      ...(params.schema && { schema: params.schema }),
+      ...(params.tools && { tools: params.tools.map(tool => tool.name) })
+    };
+
+    const hash = createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+    return `${operation}-${hash}`;
+  }
+
+  /**
+   * One normalized line per message; tool calls and tool results include the tool name
+   */
+  describeMessage(message) {
+    const role = message.role === 'tool' ? `tool ${message.name}` : message.role;
+    const calls = (message.toolCalls || [])
+      .map(call => ` -> ${call.name}(${this.normalize(call.arguments)})`)
+      .join('');
+    return `${role}: ${this.normalize(message.content)}${calls}`;
+  }
+
+  /**
+   * Replace volatile values and collapse whitespace
+   */
+  normalize(content) {
+    let text = typeof content === 'string' ? content : JSON.stringify(content);
+    for (const [pattern, replacement] of this.normalizers) {
+      text = text.replace(pattern, replacement);
+    }
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  getFixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  /**
+   * Read the recorded response for a request
+   */
+  async readFixture(key, params) {
+    const fixturePath = this.getFixturePath(key);
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+      return fixture.response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read replay fixture ${fixturePath}: ${error.message}`);
+      }
+
+      const lastMessage = params.messages?.[params.messages.length - 1]?.content || '';
+      const missError = new ReplayMissError(key, fixturePath, this.normalize(lastMessage).slice(0, 200));
+      this.emit('replayMiss', { key, fixturePath });
+      throw missError;
+    }
+  }
+
+  /**
+   * Save a request/response pair; the request is kept for readable diffs
+   */
+  async writeFixture(key, operation, params, response) {
+    const fixture = {
+      key,
+      operation,
+      recordedFrom: this.provider.name,
+      recordedAt: new Date().toISOString(),
+      request: {
+        role: params.role || 'main',
+        messages: params.messages,
+        ...(params.schema && { schema: params.schema }),
+        ...(params.tools && { tools: params.tools.map(tool => tool.name) })
+      },
+      response
+    };
+
+    await fs.writeFile(this.getFixturePath(key), `${JSON.stringify(fixture, null, 2)}\n`, 'utf8');
+    this.emit('replayRecorded', { key, operation });
+  }
+
+  /**
+   * Get provider capabilities (those of the wrapped provider when recording)
+   */
+  getCapabilities() {
+    return {
+      textGeneration: true,
+      objectGeneration: true,
+      streaming: true,
+      imageGeneration: false,
+      imageAnalysis: false,
+      functionCalling: true,
+      supportedRoles: this.options.supportedRoles,
+      maxTokens: 8192,
+      supportedFormats: ['text', 'json'],
+      rateLimits: this.getRateLimits(),
+      ...this.provider?.getCapabilities(),
+      replayMode: this.mode
+    };
+  }
+
+  async getAvailableModels() {
+    return this.provider ? await this.provider.getAvailableModels() : ['replay'];
+  }
+
+  /**
+   * Always zero: when recording, the wrapped provider tracks the real cost
+   */
+  calculateCost() {
+    return { inputCost: 0, outputCost: 0, totalCost: 0, currency: 'USD' };
+  }
+
+  async testConnection() {
+    this.isConnected = this.mode === 'replay' || await this.provider.testConnection();
+    return this.isConnected;
+  }
+
+  requiresApiKey() {
+    return false;
+  }
+}
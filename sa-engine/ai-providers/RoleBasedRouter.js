@@ -177,6 +177,25 @@ export default class RoleBasedRouter extends EventEmitter {
     this.emit('routingRuleAdded', { role, rule });
   }
 
+  /**
+   * Add a provider to a role's routing rule, or update its entry if already listed.
+   * Give it a higher priority than the rule's other providers to route the role to it.
+   * @param {string} role - Role name
+   * @param {Object} provider - Provider entry ({ name, priority, weight, models, contextPatterns })
+   */
+  addProviderToRule(role, provider) {
+    const rule = this.routingRules.get(role);
+    if (!rule) {
+      throw new Error(`No routing rule found for role: ${role}`);
+    }
+
+    const providers = rule.providers.filter(p => p.name !== provider.name);
+    providers.push({ priority: 1, weight: 1, ...provider });
+    providers.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+    this.addRoutingRule(role, { ...rule, providers });
+  }
+
   /**
    * Route request to best provider based on role and context
    * @param {Object} params - Request parameters
@@ -0,0 +1,140 @@
+/**
+ * Tokens every chat message costs on top of its content (role and separators)
+ */
+const MESSAGE_OVERHEAD = 4;
+
+/**
+ * TokenCounter - Per-model token counting for context-window management
+ * Tokenizers are registered against model name patterns (a prefix string, a RegExp or
+ * a predicate) and take precedence in registration order, most recent first. A
+ * tokenizer is a function `(text) => number` or an object with `count(text)`, e.g. a
+ * wrapper around js-tiktoken or @anthropic-ai/tokenizer where those are installed.
+ * Models without a tokenizer use an estimator based on words and punctuation.
+ */
+export default class TokenCounter {
+  constructor(options = {}) {
+    this.tokenizers = [];
+    this.messageOverhead = options.messageOverhead ?? MESSAGE_OVERHEAD;
+
+    for (const [pattern, tokenizer] of options.tokenizers || []) {
+      this.register(pattern, tokenizer);
+    }
+  }
+
+  /**
+   * Register a tokenizer for the models matching a pattern
+   * @param {string|RegExp|Function} pattern - Model name prefix, RegExp or (model) => boolean
+   * @param {Function|Object} tokenizer - (text) => number, or { count(text) }
+   * @returns {TokenCounter} This counter, for chaining
+   */
+  register(pattern, tokenizer) {
+    const count = typeof tokenizer === 'function' ? tokenizer : tokenizer?.count?.bind(tokenizer);
+    if (!count) {
+      throw new Error('Tokenizers must be a function or have a count(text) method');
+    }
+
+    this.tokenizers.unshift({ pattern, count });
+    return this;
+  }
+
+  /**
+   * Find the tokenizer for a model
+   * @param {string} [model] - Model name
+   * @returns {Function|null} Token counting function, or null for the estimator
+   */
+  getTokenizer(model) {
+    if (!model) {
+      return null;
+    }
+
+    const entry = this.tokenizers.find(({ pattern }) => {
+      if (pattern instanceof RegExp) return pattern.test(model);
+      if (typeof pattern === 'function') return pattern(model);
+      return model.startsWith(pattern);
+    });
+    return entry?.count || null;
+  }
+
+  /**
+   * Check whether counts for a model come from a real tokenizer
+   * @param {string} [model] - Model name
+   * @returns {boolean} True when a tokenizer is registered for the model
+   */
+  hasTokenizer(model) {
+    return this.getTokenizer(model) !== null;
+  }
+
+  /**
+   * Count the tokens in a piece of text
+   * @param {string} text - Text to count
+   * @param {string} [model] - Model name
+   * @returns {number} Token count
+   */
+  countText(text, model) {
+    if (!text) {
+      return 0;
+    }
+
+    const content = typeof text === 'string' ? text : JSON.stringify(text);
+    const tokenizer = this.getTokenizer(model);
+    return tokenizer ? tokenizer(content) : TokenCounter.estimate(content);
+  }
+
+  /**
+   * Count the tokens a list of chat messages takes up in a request
+   * @param {Array} messages - Chat messages
+   * @param {string} [model] - Model name
+   * @returns {number} Token count
+   */
+  countMessages(messages, model) {
+    return messages.reduce((total, message) => (
+      total + this.messageOverhead + this.countText(message.content, model) +
+        (message.toolCalls ? this.countText(JSON.stringify(message.toolCalls), model) : 0)
+    ), 0);
+  }
+
+  /**
+   * Estimate tokens without a tokenizer. BPE vocabularies keep common words whole and
+   * split long words and numbers into pieces of about four characters; punctuation and
+   * symbols are mostly tokens of their own. Closer than characters / 4 for code and
+   * markdown, which are punctuation-heavy.
+   * @param {string} text - Text to estimate
+   * @returns {number} Estimated token count
+   */
+  static estimate(text) {
+    if (!text) {
+      return 0;
+    }
+
+    let tokens = 0;
+    for (const piece of text.match(/[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]/gu) || []) {
+      if (/^[^\p{L}\p{M}\p{N}]$/u.test(piece)) {
+        tokens += 1;
+      } else if (/^\p{N}+$/u.test(piece)) {
+        tokens += Math.ceil(piece.length / 3);
+      } else if (!/^[\p{Script=Latin}\p{M}]+$/u.test(piece)) {
+        // Other scripts take up to one token per character; overestimating is the safe side
+        tokens += piece.length;
+      } else {
+        tokens += piece.length <= 6 ? 1 : Math.ceil(piece.length / 4);
+      }
+    }
+
+    // Runs of newlines and indentation also cost tokens
+    tokens += Math.ceil((text.match(/\n/g) || []).length / 2);
+    return tokens;
+  }
+}
+
+let sharedCounter = null;
+
+/**
+ * Get the process-wide counter; tokenizers registered on it apply to every session
+ * @returns {TokenCounter} Shared counter
+ */
+export function getTokenCounter() {
+  if (!sharedCounter) {
+    sharedCounter = new TokenCounter();
+  }
+  return sharedCounter;
+}
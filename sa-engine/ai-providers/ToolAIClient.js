@@ -0,0 +1,241 @@
+import ProviderRegistry from './ProviderRegistry.js';
+import RoleBasedRouter from './RoleBasedRouter.js';
+
+/**
+ * ToolAIClient - Shared AI access for MCP tools
+ * Resolves the request role (main, or research when useResearch is set), lets the
+ * RoleBasedRouter pick a provider and falls back to ProviderManager role selection
+ */
+export default class ToolAIClient {
+  constructor(options = {}) {
+    this.options = {
+      autoRegister: options.autoRegister !== false,
+      enableRouting: options.enableRouting !== false,
+      maxTokens: options.maxTokens || 4000,
+      temperature: options.temperature ?? 0.3,
+      ...options
+    };
+
+    this.registry = options.registry || null;
+    this.router = options.router || null;
+    this.registrationPromise = null;
+  }
+
+  /**
+   * Get the provider registry, auto-registering providers on first use
+   * @returns {Promise<ProviderRegistry>} Provider registry
+   */
+  async getRegistry() {
+    if (!this.registry) {
+      this.registry = new ProviderRegistry({ enableHealthChecks: false });
+    }
+
+    if (!this.registrationPromise) {
+      const needsRegistration = this.options.autoRegister &&
+        this.registry.getRegisteredProviders().length === 0;
+
+      this.registrationPromise = needsRegistration
+        ? this.registry.autoRegisterProviders()
+        : Promise.resolve([]);
+    }
+
+    await this.registrationPromise;
+    return this.registry;
+  }
+
+  /**
+   * Get the role-based router, creating one over the registry if needed
+   * @returns {Promise<RoleBasedRouter|null>} Router instance
+   */
+  async getRouter() {
+    if (!this.options.enableRouting) {
+      return null;
+    }
+
+    if (!this.router) {
+      this.router = new RoleBasedRouter(await this.getRegistry(), {
+        enableCostOptimization: false
+      });
+    }
+
+    return this.router;
+  }
+
+  /**
+   * Resolve the provider role for a tool request
+   * @param {boolean} useResearch - Whether research mode was requested
+   * @returns {string} Role name
+   */
+  resolveRole(useResearch = false) {
+    return useResearch ? 'research' : 'main';
+  }
+
+  /**
+   * Check whether any provider is available
+   * @returns {Promise<boolean>} Availability
+   */
+  async isAvailable() {
+    const registry = await this.getRegistry();
+    return registry.getRegisteredProviders().length > 0;
+  }
+
+  /**
+   * Generate a structured object for a tool prompt
+   * @param {Object} params - Request parameters
+   * @param {string} params.prompt - User prompt
+   * @param {Object} params.schema - JSON schema for the expected output
+   * @param {string} [params.system] - Optional system prompt
+   * @param {boolean} [params.useResearch] - Use the research role
+   * @param {Function} [params.validate] - Validator applied to the parsed object
+   * @returns {Promise<Object>} Validated object with provider metadata
+   */
+  async generateObject({ prompt, schema, system, useResearch = false, validate, maxTokens, temperature }) {
+    if (!prompt) {
+      throw new Error('Prompt is required for AI generation');
+    }
+
+    if (!schema) {
+      throw new Error('Schema is required for structured AI generation');
+    }
+
+    if (!(await this.isAvailable())) {
+      throw new Error('No AI provider configured. Set an API key or register a provider.');
+    }
+
+    const role = this.resolveRole(useResearch);
+    const params = {
+      role,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt }
+      ],
+      schema,
+      objectDescription: schema.title,
+      maxTokens: maxTokens || this.options.maxTokens,
+      temperature: temperature ?? this.options.temperature
+    };
+
+    const provider = await this.selectRoutedProvider(params);
+    const result = provider
+      ? await provider.generateObject(params)
+      : await this.registry.generateObject(params);
+
+    const parsed = result.object !== undefined ? result.object : this.parseJSON(result.text);
+    const object = validate ? validate(parsed) : parsed;
+
+    return {
+      object,
+      role,
+      provider: result.provider || provider?.name || 'unknown',
+      model: result.model || null,
+      usage: result.usage || result.tokenUsage || null
+    };
+  }
+
+  /**
+   * Run an AI-backed step, falling back to template output when it fails. Errors marked
+   * `recoverable: false` (a replay miss) are rethrown instead
+   * @param {Function} generate - AI-backed step
+   * @param {Function} fallback - Template-based result, called with the error
+   * @param {string} [warning] - Logged when falling back
+   * @returns {Promise<any>} Step result, or the fallback's
+   */
+  async withFallback(generate, fallback, warning = 'AI provider failed, using template-based fallback') {
+    try {
+      return await generate();
+    } catch (error) {
+      if (error.recoverable === false) {
+        throw error;
+      }
+
+      console.warn(`${warning}:`, error.message);
+      return fallback(error);
+    }
+  }
+
+  /**
+   * Ask the router for a provider; null means use ProviderManager selection
+   * @param {Object} params - Request parameters
+   * @returns {Promise<BaseAIProvider|null>} Routed provider
+   */
+  async selectRoutedProvider(params) {
+    const router = await this.getRouter();
+    if (!router) {
+      return null;
+    }
+
+    // Only route when the role's rule names a provider we actually have
+    const rule = router.routingRules.get(params.role);
+    if (!rule?.providers.some(p => this.registry.isProviderRegistered(p.name))) {
+      return null;
+    }
+
+    try {
+      const decision = await router.routeRequest(params);
+      return this.registry.getProvider(decision.provider?.name);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the provider serving a role, for callers such as conversation sessions that
+   * need the provider itself (its model and context window) rather than a single request
+   * @param {string} [role] - Role name
+   * @returns {Promise<BaseAIProvider|null>} Routed provider, else ProviderManager's pick for the role
+   */
+  async getRoleProvider(role = 'main') {
+    if (!(await this.isAvailable())) {
+      return null;
+    }
+
+    const routed = await this.selectRoutedProvider({ role, messages: [] });
+    return routed || this.registry.providerManager.selectProvider(role, 'textGeneration');
+  }
+
+  /**
+   * Parse JSON from a text response, tolerating markdown code fences
+   * @param {string} text - Response text
+   * @returns {any} Parsed value
+   */
+  parseJSON(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('AI response did not contain any content');
+    }
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : text;
+
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      const start = candidate.search(/[[{]/);
+      const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+      if (start >= 0 && end > start) {
+        return JSON.parse(candidate.slice(start, end + 1));
+      }
+      throw new Error(`Failed to parse AI response as JSON: ${error.message}`);
+    }
+  }
+}
+
+let sharedClient = null;
+
+/**
+ * Get the process-wide client used by MCP tools
+ * @returns {ToolAIClient} Shared client
+ */
+export function getToolAIClient() {
+  if (!sharedClient) {
+    sharedClient = new ToolAIClient();
+  }
+  return sharedClient;
+}
+
+/**
+ * Replace the process-wide client (e.g. with one over a test registry)
+ * @param {ToolAIClient|null} client - Client to use, or null to reset
+ */
+export function setToolAIClient(client) {
+  sharedClient = client;
+}
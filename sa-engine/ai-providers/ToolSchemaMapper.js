@@ -0,0 +1,379 @@
+/**
+ * JSON schema keywords Gemini function declarations accept; anything else is rejected
+ */
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type', 'format', 'description', 'nullable', 'enum', 'properties', 'required',
+  'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf'
+]);
+
+/**
+ * ToolSchemaMapper - Maps provider-neutral tool definitions and tool-calling
+ * transcripts to each vendor's function-calling format and back.
+ *
+ * Tools are MCP-style definitions ({ name, description, inputSchema }). Transcripts use
+ * chat messages plus two tool-specific shapes:
+ * - { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ * - { role: 'tool', toolCallId, name, content, isError }
+ */
+export default class ToolSchemaMapper {
+  /**
+   * Reduce a tool definition to { name, description, parameters }
+   * @param {Object} tool - MCP tool ({ inputSchema }) or function definition ({ parameters })
+   * @returns {Object} Normalized tool
+   */
+  static normalizeTool(tool) {
+    if (!tool?.name) {
+      throw new Error('Tool definitions need a name');
+    }
+
+    return {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.inputSchema || tool.parameters || { type: 'object', properties: {} }
+    };
+  }
+
+  /**
+   * OpenAI chat completions tools (also used by Groq, xAI, OpenRouter and compatible servers)
+   */
+  static toOpenAITools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+  }
+
+  /**
+   * Anthropic Messages API tools
+   */
+  static toAnthropicTools(tools) {
+    return tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters
+    }));
+  }
+
+  /**
+   * Gemini / Vertex function declarations
+   */
+  static toGeminiTools(tools) {
+    return [{
+      functionDeclarations: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: this.toGeminiSchema(tool.parameters)
+      }))
+    }];
+  }
+
+  /**
+   * Bedrock Converse tool configuration
+   */
+  static toBedrockToolConfig(tools) {
+    return {
+      tools: tools.map(tool => ({
+        toolSpec: { name: tool.name, description: tool.description, inputSchema: { json: tool.parameters } }
+      }))
+    };
+  }
+
+  /**
+   * Strip the JSON schema keywords Gemini does not support (defaults, patterns,
+   * additionalProperties and so on), recursing into properties and items
+   * @param {Object} schema - JSON schema
+   * @returns {Object} Gemini-compatible schema
+   */
+  static toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (!GEMINI_SCHEMA_KEYS.has(key)) {
+        continue;
+      }
+
+      if (key === 'properties') {
+        result.properties = Object.fromEntries(
+          Object.entries(value).map(([name, property]) => [name, this.toGeminiSchema(property)])
+        );
+      } else if (key === 'items') {
+        result.items = this.toGeminiSchema(value);
+      } else if (key === 'anyOf') {
+        result.anyOf = value.map(option => this.toGeminiSchema(option));
+      } else {
+        result[key] = value;
+      }
+    }
+
+    // An empty object schema is rejected; Gemini wants no parameters at all instead
+    if (result.type === 'object' && result.properties && Object.keys(result.properties).length === 0) {
+      delete result.properties;
+    }
+    return result;
+  }
+
+  /**
+   * Convert a transcript to OpenAI chat messages
+   */
+  static toOpenAIMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+      }
+
+      if (message.role === 'assistant' && message.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+          }))
+        };
+      }
+
+      return { role: message.role, content: message.content };
+    });
+  }
+
+  /**
+   * Read tool calls from an OpenAI chat completion message
+   */
+  static fromOpenAIToolCalls(toolCalls = []) {
+    return (toolCalls || []).map((call, index) => ({
+      id: call.id || `call_${index}`,
+      name: call.function?.name,
+      arguments: this.parseArguments(call.function?.arguments)
+    }));
+  }
+
+  /**
+   * Convert a transcript to Anthropic messages. Tool results go back as tool_result
+   * blocks in a user turn, and consecutive results share one turn.
+   * @returns {Object} { system, messages }
+   */
+  static toAnthropicMessages(messages) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content);
+    const converted = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        continue;
+      }
+
+      if (message.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: message.toolCallId,
+          content: message.content,
+          ...(message.isError && { is_error: true })
+        };
+        const previous = converted[converted.length - 1];
+        if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content[0]?.type === 'tool_result') {
+          previous.content.push(block);
+        } else {
+          converted.push({ role: 'user', content: [block] });
+        }
+        continue;
+      }
+
+      if (message.role === 'assistant' && message.toolCalls?.length) {
+        converted.push({
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments ?? {} }))
+          ]
+        });
+        continue;
+      }
+
+      converted.push({ role: message.role === 'assistant' ? 'assistant' : 'user', content: message.content });
+    }
+
+    return { system: system.length > 0 ? system.join('\n\n') : null, messages: converted };
+  }
+
+  /**
+   * Read text and tool calls from Anthropic content blocks
+   */
+  static fromAnthropicContent(content = []) {
+    return {
+      text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input ?? {} }))
+    };
+  }
+
+  /**
+   * Convert a transcript to Gemini contents; system messages are left to the caller
+   */
+  static toGeminiContents(messages) {
+    return messages
+      .filter(message => message.role !== 'system')
+      .map(message => {
+        if (message.role === 'tool') {
+          return {
+            role: 'user',
+            parts: [{ functionResponse: { name: message.name, response: { content: message.content, isError: Boolean(message.isError) } } }]
+          };
+        }
+
+        if (message.role === 'assistant') {
+          return {
+            role: 'model',
+            parts: [
+              ...(message.content ? [{ text: message.content }] : []),
+              ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments ?? {} } }))
+            ]
+          };
+        }
+
+        return { role: 'user', parts: [{ text: message.content }] };
+      });
+  }
+
+  /**
+   * Read text and tool calls from Gemini parts. Gemini has no call ids, so they are
+   * made up from the step and position.
+   */
+  static fromGeminiParts(parts = [], step = 0) {
+    return {
+      text: parts.filter(part => part.text).map(part => part.text).join(''),
+      toolCalls: parts
+        .filter(part => part.functionCall)
+        .map((part, index) => ({ id: `call_${step}_${index}`, name: part.functionCall.name, arguments: part.functionCall.args ?? {} }))
+    };
+  }
+
+  /**
+   * Convert a transcript to Bedrock Converse messages; system messages are left to the caller
+   */
+  static toBedrockMessages(messages) {
+    const converted = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        continue;
+      }
+
+      if (message.role === 'tool') {
+        const block = {
+          toolResult: {
+            toolUseId: message.toolCallId,
+            content: [{ text: message.content }],
+            status: message.isError ? 'error' : 'success'
+          }
+        };
+        const previous = converted[converted.length - 1];
+        if (previous?.role === 'user' && previous.content[0]?.toolResult) {
+          previous.content.push(block);
+        } else {
+          converted.push({ role: 'user', content: [block] });
+        }
+        continue;
+      }
+
+      if (message.role === 'assistant') {
+        converted.push({
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ text: message.content }] : []),
+            ...(message.toolCalls || []).map(call => ({ toolUse: { toolUseId: call.id, name: call.name, input: call.arguments ?? {} } }))
+          ]
+        });
+        continue;
+      }
+
+      converted.push({ role: 'user', content: [{ text: message.content }] });
+    }
+
+    return converted;
+  }
+
+  /**
+   * Read text and tool calls from a Bedrock Converse message
+   */
+  static fromBedrockContent(content = []) {
+    return {
+      text: content.filter(block => block.text).map(block => block.text).join(''),
+      toolCalls: content
+        .filter(block => block.toolUse)
+        .map(block => ({ id: block.toolUse.toolUseId, name: block.toolUse.name, arguments: block.toolUse.input ?? {} }))
+    };
+  }
+
+  /**
+   * Convert a transcript to Ollama chat messages (tool arguments are objects, results
+   * are matched by tool name)
+   */
+  static toOllamaMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', content: message.content, tool_name: message.name };
+      }
+
+      if (message.role === 'assistant' && message.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: message.content || '',
+          tool_calls: message.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments ?? {} } }))
+        };
+      }
+
+      return { role: message.role, content: message.content };
+    });
+  }
+
+  /**
+   * Read tool calls from an Ollama chat message
+   */
+  static fromOllamaToolCalls(toolCalls = [], step = 0) {
+    return (toolCalls || []).map((call, index) => ({
+      id: `call_${step}_${index}`,
+      name: call.function?.name,
+      arguments: this.parseArguments(call.function?.arguments)
+    }));
+  }
+
+  /**
+   * Parse tool call arguments. Invalid JSON is kept as the raw string so the tool
+   * loop can report it back to the model.
+   */
+  static parseArguments(value) {
+    if (value === undefined || value === null || value === '') {
+      return {};
+    }
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Flatten a tool execution result (MCP content blocks, a string or any value) to text
+   */
+  static toolResultText(result) {
+    if (typeof result === 'string') {
+      return result;
+    }
+
+    if (Array.isArray(result?.content)) {
+      return result.content
+        .map(block => (block.type === 'text' ? block.text : JSON.stringify(block)))
+        .join('\n');
+    }
+
+    return JSON.stringify(result ?? null);
+  }
+}
@@ -0,0 +1,440 @@
+import { VertexAI } from '@google-cloud/vertexai';
+import BaseAIProvider from './BaseAIProvider.js';
+import ToolSchemaMapper from './ToolSchemaMapper.js';
+
+/**
+ * VertexProvider - Google Vertex AI provider implementation
+ * Runs Gemini models in a Google Cloud project. Authenticates with Application
+ * Default Credentials (`gcloud auth application-default login`, or a service
+ * account key in GOOGLE_APPLICATION_CREDENTIALS) rather than an API key.
+ */
+export default class VertexProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'vertex',
+      version: '1.0.0',
+      defaultModel: 'gemini-2.0-flash-001',
+      supportedRoles: ['main', 'research', 'fallback'],
+      timeout: 60000,
+      retryDelay: 2000,
+      ...options
+    });
+
+    this.projectId = options.projectId || process.env.VERTEX_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT;
+    this.location = options.location || process.env.VERTEX_LOCATION || 'us-central1';
+    this.keyFilename = options.credentials || process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    this.vertex = null;
+
+    // Model configurations with pricing and capabilities
+    this.models = {
+      'gemini-2.5-pro': {
+        maxTokens: 65536,
+        contextWindow: 1048576,
+        costPer1kInput: 0.00125,
+        costPer1kOutput: 0.01,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'long-context', 'vision']
+      },
+      'gemini-2.5-flash': {
+        maxTokens: 65536,
+        contextWindow: 1048576,
+        costPer1kInput: 0.0003,
+        costPer1kOutput: 0.0025,
+        capabilities: ['text', 'reasoning', 'speed', 'long-context', 'vision']
+      },
+      'gemini-2.0-flash-001': {
+        maxTokens: 8192,
+        contextWindow: 1048576,
+        costPer1kInput: 0.00015,
+        costPer1kOutput: 0.0006,
+        capabilities: ['text', 'speed', 'code', 'long-context', 'vision']
+      },
+      'gemini-1.5-pro-002': {
+        maxTokens: 8192,
+        contextWindow: 2097152,
+        costPer1kInput: 0.00125,
+        costPer1kOutput: 0.005,
+        capabilities: ['text', 'reasoning', 'analysis', 'long-context', 'vision']
+      },
+      'gemini-1.5-flash-002': {
+        maxTokens: 8192,
+        contextWindow: 1048576,
+        costPer1kInput: 0.000075,
+        costPer1kOutput: 0.0003,
+        capabilities: ['text', 'speed', 'efficiency', 'long-context']
+      }
+    };
+
+    // Set default role configurations
+    this.setDefaultRoleConfigs();
+  }
+
+  /**
+   * Initialize the Vertex AI provider
+   */
+  async initialize() {
+    try {
+      if (!this.projectId) {
+        throw new Error('Google Cloud project ID is required for Vertex AI. Set VERTEX_PROJECT_ID environment variable.');
+      }
+
+      this.vertex = new VertexAI({
+        project: this.projectId,
+        location: this.location,
+        ...(this.keyFilename && { googleAuthOptions: { keyFilename: this.keyFilename } })
+      });
+
+      // Test connection
+      await this.testConnection();
+
+      this.log('Vertex AI provider initialized successfully', { project: this.projectId, location: this.location });
+      this.emit('initialized');
+
+      return true;
+
+    } catch (error) {
+      this.log('Failed to initialize Vertex AI provider', { error: error.message }, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Set default role configurations
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', {
+      model: 'gemini-2.0-flash-001',
+      temperature: 0.7,
+      maxTokens: 4000,
+      topP: 1
+    });
+
+    this.configureRole('research', {
+      model: 'gemini-2.5-pro',
+      temperature: 0.3,
+      maxTokens: 8000,
+      topP: 0.9
+    });
+
+    this.configureRole('fallback', {
+      model: 'gemini-1.5-flash-002',
+      temperature: 0.5,
+      maxTokens: 2000,
+      topP: 1
+    });
+  }
+
+  /**
+   * Internal text generation implementation
+   */
+  async _generateText(params) {
+    const model = params.model || this.options.defaultModel;
+
+    try {
+      const result = await this.getModel(params, model).generateContent({
+        contents: this.convertMessages(params.messages)
+      });
+      const response = result.response;
+
+      return {
+        text: this.extractText(response),
+        model,
+        usage: this.convertUsage(response.usageMetadata),
+        finishReason: response.candidates?.[0]?.finishReason || 'STOP'
+      };
+
+    } catch (error) {
+      this.handleVertexError(error, model);
+    }
+  }
+
+  /**
+   * Internal object generation implementation
+   */
+  async _generateObject(params) {
+    const model = params.model || this.options.defaultModel;
+
+    try {
+      const generativeModel = this.getModel({
+        ...params,
+        temperature: params.temperature ?? 0.1,
+        system: this.buildObjectSystemMessage(params.schema, params.objectDescription)
+      }, model, { responseMimeType: 'application/json' });
+
+      const result = await generativeModel.generateContent({
+        contents: this.convertMessages(params.messages)
+      });
+      const response = result.response;
+      const text = this.extractText(response);
+
+      return {
+        object: this.parseJsonText(text),
+        text,
+        model,
+        usage: this.convertUsage(response.usageMetadata),
+        finishReason: response.candidates?.[0]?.finishReason || 'STOP'
+      };
+
+    } catch (error) {
+      this.handleVertexError(error, model);
+    }
+  }
+
+  /**
+   * Internal text streaming implementation
+   */
+  async _streamText(params) {
+    const model = params.model || this.options.defaultModel;
+
+    try {
+      const result = await this.getModel(params, model).generateContentStream({
+        contents: this.convertMessages(params.messages)
+      });
+      return this.createStreamWrapper(result.stream);
+
+    } catch (error) {
+      this.handleVertexError(error, model);
+    }
+  }
+
+  /**
+   * Internal tool-calling step implementation
+   */
+  async _generateWithTools(params) {
+    const model = params.model || this.options.defaultModel;
+
+    try {
+      const result = await this.getModel(params, model).generateContent({
+        contents: ToolSchemaMapper.toGeminiContents(params.messages),
+        tools: ToolSchemaMapper.toGeminiTools(params.tools)
+      });
+      const response = result.response;
+      const candidate = response.candidates?.[0];
+      const { text, toolCalls } = ToolSchemaMapper.fromGeminiParts(candidate?.content?.parts, params.step);
+
+      return {
+        text,
+        toolCalls,
+        model,
+        usage: this.convertUsage(response.usageMetadata),
+        finishReason: candidate?.finishReason || 'STOP'
+      };
+
+    } catch (error) {
+      this.handleVertexError(error, model);
+    }
+  }
+
+  /**
+   * Get a generative model configured for one request. System messages become the
+   * model's system instruction.
+   */
+  getModel(params, model, generationConfig = {}) {
+    const system = [
+      ...params.messages.filter(message => message.role === 'system').map(message => message.content),
+      ...(params.system ? [params.system] : [])
+    ];
+
+    return this.vertex.getGenerativeModel({
+      model,
+      generationConfig: {
+        temperature: params.temperature ?? 0.7,
+        topP: params.topP ?? 1,
+        maxOutputTokens: params.maxTokens || 4000,
+        candidateCount: 1,
+        ...generationConfig
+      },
+      ...(system.length > 0 && { systemInstruction: { role: 'system', parts: [{ text: system.join('\n\n') }] } })
+    });
+  }
+
+  /**
+   * Convert chat messages to Vertex contents (assistant turns have the 'model' role)
+   */
+  convertMessages(messages) {
+    return messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      }));
+  }
+
+  /**
+   * Join the text parts of the first candidate
+   */
+  extractText(response) {
+    return (response?.candidates?.[0]?.content?.parts || [])
+      .filter(part => part.text)
+      .map(part => part.text)
+      .join('');
+  }
+
+  /**
+   * Convert Vertex usage metadata to the token counts the cost tracker records
+   */
+  convertUsage(usageMetadata) {
+    const promptTokens = usageMetadata?.promptTokenCount || 0;
+    const completionTokens = usageMetadata?.candidatesTokenCount || 0;
+    return { promptTokens, completionTokens, totalTokens: usageMetadata?.totalTokenCount || promptTokens + completionTokens };
+  }
+
+  /**
+   * Build system message for object generation
+   */
+  buildObjectSystemMessage(schema, description) {
+    return `You generate structured JSON responses.
+${description ? `\nTask: ${description}\n` : ''}
+Respond only with valid JSON that conforms to this schema:
+${JSON.stringify(schema, null, 2)}`;
+  }
+
+  /**
+   * Create stream wrapper for consistent interface
+   */
+  createStreamWrapper(stream) {
+    const provider = this;
+
+    return {
+      async *[Symbol.asyncIterator]() {
+        let buffer = '';
+        let finishReason = null;
+        let usage = null;
+
+        for await (const chunk of stream) {
+          const text = provider.extractText(chunk);
+          if (text) {
+            buffer += text;
+            yield { type: 'textDelta', textDelta: text, fullText: buffer };
+          }
+
+          finishReason = chunk.candidates?.[0]?.finishReason || finishReason;
+          usage = chunk.usageMetadata || usage;
+        }
+
+        yield {
+          type: 'finish',
+          fullText: buffer,
+          finishReason: finishReason || 'STOP',
+          usage: provider.convertUsage(usage)
+        };
+      }
+    };
+  }
+
+  /**
+   * Handle Vertex-specific errors
+   */
+  handleVertexError(error, model) {
+    const status = error.code || error.status;
+    let errorMessage = error.message || 'Unknown Vertex AI error';
+    let errorType = 'api_error';
+
+    if (/Could not load the default credentials|invalid_grant/i.test(errorMessage)) {
+      errorType = 'authentication_error';
+      errorMessage = 'No Google Cloud credentials for Vertex AI (run `gcloud auth application-default login` or set GOOGLE_APPLICATION_CREDENTIALS)';
+    } else if (status === 403 || /PERMISSION_DENIED/.test(errorMessage)) {
+      errorType = 'permission_error';
+      errorMessage = `Permission denied for Vertex AI in project ${this.projectId}; enable the Vertex AI API and grant roles/aiplatform.user`;
+    } else if (status === 404 || /NOT_FOUND/.test(errorMessage)) {
+      errorType = 'not_found';
+      errorMessage = `Vertex AI model ${model} not found in ${this.location}`;
+    } else if (status === 429 || /RESOURCE_EXHAUSTED/.test(errorMessage)) {
+      errorType = 'rate_limit';
+      errorMessage = 'Vertex AI quota exceeded';
+    } else if (status >= 500) {
+      errorType = 'service_error';
+      errorMessage = 'Vertex AI service temporarily unavailable';
+    }
+
+    const enhancedError = new Error(errorMessage);
+    enhancedError.type = errorType;
+    enhancedError.status = status;
+    enhancedError.provider = this.name;
+
+    throw enhancedError;
+  }
+
+  /**
+   * Get available models
+   */
+  async getAvailableModels() {
+    return Object.keys(this.models);
+  }
+
+  /**
+   * Get maximum tokens for model
+   */
+  getMaxTokens(model = null) {
+    const modelName = model || this.options.defaultModel;
+    return this.models[modelName]?.maxTokens || 8192;
+  }
+
+  /**
+   * Get rate limits (default project quotas)
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 60,
+      tokensPerMinute: 4000000,
+      requestsPerDay: 30000
+    };
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      textGeneration: true,
+      objectGeneration: true,
+      streaming: true,
+      imageGeneration: false,
+      imageAnalysis: true,
+      functionCalling: true,
+      supportedRoles: this.options.supportedRoles,
+      maxTokens: this.getMaxTokens(),
+      supportedFormats: ['text', 'json'],
+      rateLimits: this.getRateLimits(),
+      models: this.models
+    };
+  }
+
+  /**
+   * Get model information
+   */
+  getModelInfo(model) {
+    return this.models[model] || null;
+  }
+
+  /**
+   * Calculate cost for token usage
+   */
+  calculateCost(usage, model = null) {
+    const modelInfo = this.models[model || this.options.defaultModel];
+
+    if (!modelInfo || !usage) {
+      return null;
+    }
+
+    const inputCost = ((usage.promptTokens ?? usage.inputTokens ?? 0) / 1000) * modelInfo.costPer1kInput;
+    const outputCost = ((usage.completionTokens ?? usage.outputTokens ?? 0) / 1000) * modelInfo.costPer1kOutput;
+
+    return {
+      inputCost,
+      outputCost,
+      totalCost: inputCost + outputCost,
+      currency: 'USD'
+    };
+  }
+
+  requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * Vertex uses Application Default Credentials rather than an API key
+   */
+  getApiKeyEnvVar() {
+    return 'GOOGLE_APPLICATION_CREDENTIALS';
+  }
+}
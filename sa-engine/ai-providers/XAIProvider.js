@@ -0,0 +1,127 @@
+import OpenAIProvider from './OpenAIProvider.js';
+
+/**
+ * XAIProvider - xAI Grok provider implementation
+ * Integrates Grok models through xAI's OpenAI-compatible API
+ */
+export default class XAIProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'xai',
+      version: '1.0.0',
+      defaultModel: 'grok-3',
+      supportedRoles: ['main', 'research', 'fallback'],
+      timeout: 60000,
+      ...options
+    });
+
+    this.vendor = 'xAI';
+    this.apiKey = options.apiKey || process.env.XAI_API_KEY;
+    this.baseURL = options.baseURL || 'https://api.x.ai/v1';
+    this.organization = null;
+    this.project = null;
+
+    // Model configurations with pricing and capabilities
+    this.models = {
+      'grok-4': {
+        maxTokens: 256000,
+        contextWindow: 256000,
+        costPer1kInput: 0.003,
+        costPer1kOutput: 0.015,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'function-calling']
+      },
+      'grok-3': {
+        maxTokens: 131072,
+        contextWindow: 131072,
+        costPer1kInput: 0.003,
+        costPer1kOutput: 0.015,
+        capabilities: ['text', 'reasoning', 'code', 'analysis', 'function-calling']
+      },
+      'grok-3-mini': {
+        maxTokens: 131072,
+        contextWindow: 131072,
+        costPer1kInput: 0.0003,
+        costPer1kOutput: 0.0005,
+        capabilities: ['text', 'reasoning', 'speed', 'function-calling']
+      },
+      'grok-2-vision-1212': {
+        maxTokens: 32768,
+        contextWindow: 32768,
+        costPer1kInput: 0.002,
+        costPer1kOutput: 0.01,
+        capabilities: ['text', 'vision']
+      }
+    };
+  }
+
+  /**
+   * Set default role configurations
+   */
+  setDefaultRoleConfigs() {
+    this.configureRole('main', {
+      model: 'grok-3',
+      temperature: 0.7,
+      maxTokens: 4000,
+      topP: 1
+    });
+
+    this.configureRole('research', {
+      model: 'grok-4',
+      temperature: 0.3,
+      maxTokens: 8000,
+      topP: 0.9
+    });
+
+    this.configureRole('fallback', {
+      model: 'grok-3-mini',
+      temperature: 0.5,
+      maxTokens: 2000,
+      topP: 1
+    });
+  }
+
+  /**
+   * Get available models (everything the account can use, else the known table)
+   */
+  async getAvailableModels() {
+    try {
+      const response = await this.openai.models.list();
+      return response.data.map(model => model.id).sort();
+    } catch (error) {
+      return Object.keys(this.models);
+    }
+  }
+
+  /**
+   * Get maximum tokens for model
+   */
+  getMaxTokens(model = null) {
+    const modelName = model || this.options.defaultModel;
+    return this.models[modelName]?.maxTokens || 131072;
+  }
+
+  /**
+   * Get rate limits
+   */
+  getRateLimits() {
+    return {
+      requestsPerMinute: 480,
+      tokensPerMinute: 2000000,
+      requestsPerDay: 100000
+    };
+  }
+
+  /**
+   * Get API key environment variable name
+   */
+  getApiKeyEnvVar() {
+    return 'XAI_API_KEY';
+  }
+
+  /**
+   * Validate API key format
+   */
+  validateApiKey(apiKey) {
+    return apiKey && typeof apiKey === 'string' && apiKey.startsWith('xai-');
+  }
+}
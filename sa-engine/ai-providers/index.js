@@ -8,6 +8,10 @@ export { default as BaseAIProvider } from './BaseAIProvider.js';
 export { default as ProviderManager } from './ProviderManager.js';
 export { default as ProviderRegistry } from './ProviderRegistry.js';
 export { default as RoleBasedRouter } from './RoleBasedRouter.js';
+export { default as ToolAIClient, getToolAIClient, setToolAIClient } from './ToolAIClient.js';
+export { default as ToolSchemaMapper } from './ToolSchemaMapper.js';
+export { default as ConversationSession, getConversationSession, endConversationSession } from './ConversationSession.js';
+export { default as TokenCounter, getTokenCounter } from './TokenCounter.js';
 
 // Phase 16: Enhanced AI Features - New Management Systems
 export { default as RetryManager } from './RetryManager.js';
@@ -18,17 +22,20 @@ export { default as AnthropicProvider } from './AnthropicProvider.js';
 export { default as OpenAIProvider } from './OpenAIProvider.js';
 export { default as GoogleProvider } from './GoogleProvider.js';
 export { default as PerplexityProvider } from './PerplexityProvider.js';
+export { default as OllamaProvider } from './OllamaProvider.js';
+export { default as OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+export { default as ReplayProvider, ReplayMissError } from './ReplayProvider.js';
+export { default as OpenRouterProvider } from './OpenRouterProvider.js';
+export { default as GroqProvider } from './GroqProvider.js';
+export { default as XAIProvider } from './XAIProvider.js';
+export { default as BedrockProvider } from './BedrockProvider.js';
+export { default as VertexProvider } from './VertexProvider.js';
+export { default as CliAIProvider } from './CliAIProvider.js';
+export { default as ClaudeCodeProvider } from './ClaudeCodeProvider.js';
+export { default as GeminiCliProvider } from './GeminiCliProvider.js';
 
 // Legacy Provider Implementations (Vercel AI SDK based)
 export { AnthropicAIProvider } from './anthropic.js';
 export { PerplexityAIProvider } from './perplexity.js';
 export { GoogleAIProvider } from './google.js';
 export { OpenAIProvider as LegacyOpenAIProvider } from './openai.js';
-export { XAIProvider } from './xai.js';
-export { GroqProvider } from './groq.js';
-export { OpenRouterAIProvider } from './openrouter.js';
-export { OllamaAIProvider } from './ollama.js';
-export { BedrockAIProvider } from './bedrock.js';
-export { VertexAIProvider } from './google-vertex.js';
-export { ClaudeCodeProvider } from './claude-code.js';
-export { GeminiCliProvider } from './gemini-cli.js';
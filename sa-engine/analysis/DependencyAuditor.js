@@ -0,0 +1,237 @@
+import { existsSync, readFileSync } from 'fs';
+import { isAbsolute, join } from 'path';
+
+const DEFAULT_ADVISORY_FILE = join('.super-agents', 'advisories.json');
+const SEVERITY_ORDER = ['low', 'moderate', 'medium', 'high', 'critical'];
+
+/**
+ * DependencyAuditor - Matches installed dependency versions against a local advisory file
+ *
+ * Advisory file format (JSON):
+ *   { "advisories": [{ "id": "GHSA-xxxx", "package": "lodash", "vulnerableVersions": "<4.17.21",
+ *                      "severity": "high", "title": "Prototype pollution", "patchedVersions": ">=4.17.21" }] }
+ * Version ranges use npm syntax: comparators, ^, ~, x-ranges, hyphen ranges and ||.
+ */
+export default class DependencyAuditor {
+  /**
+   * Audit the project's dependencies
+   * @param {string} projectPath - Project root
+   * @param {Object} [options] - Audit options
+   * @param {string} [options.advisoryFile] - Advisory file, relative to projectPath
+   * @returns {Object} { advisoryFile, dependencies, vulnerabilities }
+   */
+  audit(projectPath, options = {}) {
+    const advisoryFile = options.advisoryFile || DEFAULT_ADVISORY_FILE;
+    const advisories = this.readAdvisories(isAbsolute(advisoryFile) ? advisoryFile : join(projectPath, advisoryFile));
+    const dependencies = this.readInstalledVersions(projectPath);
+    const vulnerabilities = [];
+
+    for (const dependency of dependencies) {
+      for (const advisory of advisories.filter(a => a.package === dependency.name)) {
+        if (this.satisfies(dependency.version, advisory.vulnerableVersions)) {
+          vulnerabilities.push({
+            id: advisory.id,
+            package: dependency.name,
+            version: dependency.version,
+            path: dependency.path,
+            severity: advisory.severity || 'high',
+            title: advisory.title || advisory.id,
+            patchedVersions: advisory.patchedVersions || null
+          });
+        }
+      }
+    }
+
+    vulnerabilities.sort((a, b) => SEVERITY_ORDER.indexOf(b.severity) - SEVERITY_ORDER.indexOf(a.severity));
+
+    return { advisoryFile, dependencies: dependencies.length, vulnerabilities };
+  }
+
+  /**
+   * Read the advisory list
+   * @param {string} filePath - Absolute advisory file path
+   * @returns {Object[]} Advisories
+   */
+  readAdvisories(filePath) {
+    if (!existsSync(filePath)) {
+      throw new Error(`Advisory file not found: ${filePath}`);
+    }
+
+    const data = JSON.parse(readFileSync(filePath, 'utf8'));
+    const advisories = Array.isArray(data) ? data : data.advisories;
+    if (!Array.isArray(advisories)) {
+      throw new Error(`Advisory file must contain an "advisories" array: ${filePath}`);
+    }
+
+    return advisories.filter(advisory => advisory.package && advisory.vulnerableVersions);
+  }
+
+  /**
+   * Resolve installed versions from the lockfile, node_modules, or declared versions as a last resort
+   * @param {string} projectPath - Project root
+   * @returns {Object[]} [{ name, version, path }]
+   */
+  readInstalledVersions(projectPath) {
+    const lockPath = join(projectPath, 'package-lock.json');
+    if (existsSync(lockPath)) {
+      const lock = JSON.parse(readFileSync(lockPath, 'utf8'));
+
+      // lockfileVersion 2 and 3
+      if (lock.packages) {
+        return Object.entries(lock.packages)
+          .filter(([path, entry]) => path.includes('node_modules/') && entry.version && !entry.link)
+          .map(([path, entry]) => ({
+            name: path.slice(path.lastIndexOf('node_modules/') + 'node_modules/'.length),
+            version: entry.version,
+            path
+          }));
+      }
+
+      // lockfileVersion 1
+      const collect = (dependencies = {}, parent = '') => Object.entries(dependencies).flatMap(([name, entry]) => [
+        { name, version: entry.version, path: `${parent}node_modules/${name}` },
+        ...collect(entry.dependencies, `${parent}node_modules/${name}/`)
+      ]);
+      return collect(lock.dependencies).filter(dependency => dependency.version);
+    }
+
+    const pkgPath = join(projectPath, 'package.json');
+    if (!existsSync(pkgPath)) {
+      return [];
+    }
+
+    const pkg = JSON.parse(readFileSync(pkgPath, 'utf8'));
+    const declared = { ...pkg.devDependencies, ...pkg.optionalDependencies, ...pkg.dependencies };
+
+    return Object.entries(declared).map(([name, range]) => {
+      const installed = join(projectPath, 'node_modules', name, 'package.json');
+      if (existsSync(installed)) {
+        return { name, version: JSON.parse(readFileSync(installed, 'utf8')).version, path: `node_modules/${name}` };
+      }
+      // Not installed: the lowest version the declared range allows
+      const base = String(range).match(/\d+\.\d+\.\d+[\w.+-]*/);
+      return base ? { name, version: base[0], path: 'package.json' } : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Whether a version falls inside an npm-style range
+   * @param {string} version - Version such as '1.2.3'
+   * @param {string} range - Range such as '>=1.0.0 <1.2.5 || 2.0.0'
+   * @returns {boolean}
+   */
+  satisfies(version, range) {
+    const parsed = this.parseVersion(version);
+    if (!parsed) return false;
+
+    return String(range).split('||').some(set => {
+      const comparators = this.expandRange(set.trim());
+      return comparators.every(({ operator, version: target }) => {
+        const diff = this.compare(parsed, target);
+        switch (operator) {
+          case '<': return diff < 0;
+          case '<=': return diff <= 0;
+          case '>': return diff > 0;
+          case '>=': return diff >= 0;
+          default: return diff === 0;
+        }
+      });
+    });
+  }
+
+  /**
+   * Turn one range set into primitive comparators
+   * @param {string} set - Range without '||'
+   * @returns {Object[]} [{ operator, version }]
+   */
+  expandRange(set) {
+    const hyphen = set.match(/^(\S+)\s+-\s+(\S+)$/);
+    if (hyphen) {
+      return [
+        { operator: '>=', version: this.parsePartial(hyphen[1]).version },
+        ...this.upperBound('<=', hyphen[2])
+      ];
+    }
+
+    return set.split(/\s+/).filter(Boolean).flatMap(token => {
+      const match = token.match(/^(\^|~|<=|>=|<|>|=)?v?(.*)$/);
+      const operator = match[1] || '=';
+      const { version, parts } = this.parsePartial(match[2]);
+
+      if (parts === 0) return [];
+      if (operator === '^') {
+        const [major, minor, patch] = version.numbers;
+        const upper = major > 0 || parts === 1 ? [major + 1, 0, 0]
+          : minor > 0 || parts === 2 ? [0, minor + 1, 0]
+            : [0, 0, patch + 1];
+        return [{ operator: '>=', version }, { operator: '<', version: { numbers: upper, prerelease: [] } }];
+      }
+      if (operator === '~') {
+        const [major, minor] = version.numbers;
+        const upper = parts === 1 ? [major + 1, 0, 0] : [major, minor + 1, 0];
+        return [{ operator: '>=', version }, { operator: '<', version: { numbers: upper, prerelease: [] } }];
+      }
+      if (operator === '=' && parts < 3) {
+        return [{ operator: '>=', version }, ...this.upperBound('<=', match[2])];
+      }
+      if ((operator === '<=' || operator === '>') && parts < 3) {
+        // "<=1.2" means below 1.3.0; ">1.2" means at or above 1.3.0
+        return this.upperBound(operator, match[2]).map(c => ({ ...c, operator: operator === '<=' ? '<' : '>=' }));
+      }
+      return [{ operator, version }];
+    });
+  }
+
+  upperBound(operator, text) {
+    const { version, parts } = this.parsePartial(text);
+    if (parts === 0) return [];
+    if (parts === 3) return [{ operator, version }];
+
+    const numbers = [...version.numbers];
+    numbers[parts - 1] += 1;
+    return [{ operator: '<', version: { numbers, prerelease: [] } }];
+  }
+
+  /**
+   * Parse a possibly partial version ('1', '1.2', '1.2.x', '*')
+   * @returns {Object} { version, parts } where parts is the number of specified components
+   */
+  parsePartial(text) {
+    const components = text.replace(/^v/, '').split(/[-+]/)[0].split('.');
+    const specified = [];
+    for (const component of components.slice(0, 3)) {
+      if (!/^\d+$/.test(component)) break;
+      specified.push(Number(component));
+    }
+
+    const prerelease = specified.length === 3 ? (text.match(/^[^-+]*-([^+]+)/)?.[1].split('.') || []) : [];
+    const numbers = [...specified, 0, 0, 0].slice(0, 3);
+    return { version: { numbers, prerelease }, parts: specified.length };
+  }
+
+  parseVersion(text) {
+    const { version, parts } = this.parsePartial(String(text || ''));
+    return parts === 3 ? version : null;
+  }
+
+  compare(a, b) {
+    for (let i = 0; i < 3; i++) {
+      if (a.numbers[i] !== b.numbers[i]) return a.numbers[i] - b.numbers[i];
+    }
+
+    // A prerelease sorts before its release
+    if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+      return b.prerelease.length - a.prerelease.length;
+    }
+    for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+      const x = a.prerelease[i];
+      const y = b.prerelease[i];
+      if (x === undefined) return -1;
+      if (y === undefined) return 1;
+      if (x === y) continue;
+      const bothNumeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+      return bothNumeric ? Number(x) - Number(y) : (x < y ? -1 : 1);
+    }
+    return 0;
+  }
+}
@@ -0,0 +1,208 @@
+import { execFile } from 'child_process';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * GitDiffReader - Reads changed files and changed line ranges from a local git repository
+ * Supports the working tree (staged + unstaged + untracked), the index only, or a base..head range
+ */
+export default class GitDiffReader {
+  constructor(options = {}) {
+    this.options = {
+      gitBinary: options.gitBinary || 'git',
+      maxBuffer: options.maxBuffer || 64 * 1024 * 1024,
+      ...options
+    };
+  }
+
+  /**
+   * Run a git command in the project directory
+   * @param {string} cwd - Working directory
+   * @param {string[]} args - Git arguments
+   * @returns {Promise<string>} stdout
+   */
+  git(cwd, args) {
+    return new Promise((resolve, reject) => {
+      execFile(
+        this.options.gitBinary,
+        ['-c', 'core.quotepath=off', ...args],
+        { cwd, maxBuffer: this.options.maxBuffer },
+        (error, stdout, stderr) => {
+          if (error) {
+            reject(new Error((stderr || error.message).trim()));
+          } else {
+            resolve(stdout);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Read changes from the repository containing projectPath
+   * @param {string} projectPath - Project directory (may be a subdirectory of the repository)
+   * @param {Object} [options] - Diff options
+   * @param {boolean} [options.staged] - Only staged changes
+   * @param {string} [options.range] - Commit range such as 'main..HEAD' or 'main...feature'
+   * @returns {Promise<Object>} { mode, range, files, addedLines, deletedLines }
+   */
+  async getChanges(projectPath, options = {}) {
+    try {
+      await this.git(projectPath, ['rev-parse', '--is-inside-work-tree']);
+    } catch (error) {
+      throw new Error(`Not a git repository: ${projectPath}`);
+    }
+
+    let mode = 'working-tree';
+    let diffArgs = ['HEAD'];
+
+    if (options.range) {
+      // A leading dash would make git read the range as an option such as --output
+      if (!/^[^\s.-][^\s]*\.\.\.?[^\s]+$/.test(options.range)) {
+        throw new Error(`Invalid git range "${options.range}", expected base..head`);
+      }
+      mode = 'range';
+      diffArgs = ['--end-of-options', options.range];
+    } else if (options.staged) {
+      mode = 'staged';
+      diffArgs = ['--cached'];
+    } else if (!(await this.hasHead(projectPath))) {
+      // A repository without commits has nothing to diff against; everything staged is new
+      diffArgs = ['--cached'];
+    }
+
+    const diff = await this.git(projectPath, ['diff', '--relative', '--unified=0', '--no-color', '--find-renames', ...diffArgs, '--']);
+    const files = this.parseDiff(diff);
+
+    if (mode === 'working-tree') {
+      files.push(...await this.readUntrackedFiles(projectPath));
+    }
+
+    return {
+      mode,
+      range: options.range || null,
+      files,
+      addedLines: files.reduce((sum, file) => sum + file.addedLines, 0),
+      deletedLines: files.reduce((sum, file) => sum + file.deletedLines, 0)
+    };
+  }
+
+  async hasHead(projectPath) {
+    try {
+      await this.git(projectPath, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Untracked files count as entirely added
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object[]>} File changes
+   */
+  async readUntrackedFiles(projectPath) {
+    const output = await this.git(projectPath, ['ls-files', '--others', '--exclude-standard']);
+    const files = [];
+
+    for (const path of output.split('\n').filter(Boolean)) {
+      let lineCount = 0;
+      try {
+        const content = await readFile(join(projectPath, path), 'utf8');
+        lineCount = content.length === 0 ? 0 : content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+      } catch (error) {
+        // Unreadable entries (sockets, permission errors) are listed without lines
+      }
+
+      files.push({
+        path,
+        previousPath: null,
+        status: 'added',
+        addedLines: lineCount,
+        deletedLines: 0,
+        hunks: lineCount > 0 ? [{ start: 1, end: lineCount }] : []
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse `git diff --unified=0` output
+   * @param {string} diff - Diff text
+   * @returns {Object[]} File changes with added line ranges in the new version
+   */
+  parseDiff(diff) {
+    const files = [];
+    let current = null;
+    let inHunk = false;
+
+    for (const line of diff.split('\n')) {
+      if (line.startsWith('diff --git ')) {
+        inHunk = false;
+        const paths = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+        current = {
+          path: paths ? paths[2] : null,
+          previousPath: null,
+          status: 'modified',
+          addedLines: 0,
+          deletedLines: 0,
+          hunks: []
+        };
+        files.push(current);
+      } else if (!current) {
+        continue;
+      } else if (inHunk) {
+        // Content lines; headers cannot appear until the next "diff --git"
+        if (line.startsWith('@@')) {
+          this.addHunk(current, line);
+        } else if (line.startsWith('+')) {
+          current.addedLines++;
+        } else if (line.startsWith('-')) {
+          current.deletedLines++;
+        }
+      } else if (line.startsWith('new file mode')) {
+        current.status = 'added';
+      } else if (line.startsWith('deleted file mode')) {
+        current.status = 'deleted';
+      } else if (line.startsWith('rename from ')) {
+        current.status = 'renamed';
+        current.previousPath = line.slice('rename from '.length);
+      } else if (line.startsWith('rename to ')) {
+        current.path = line.slice('rename to '.length);
+      } else if (line.startsWith('+++ ')) {
+        if (line !== '+++ /dev/null') current.path = line.replace(/^\+\+\+ b\//, '');
+      } else if (line.startsWith('--- ')) {
+        if (line !== '--- /dev/null' && current.status === 'deleted') current.path = line.replace(/^--- a\//, '');
+      } else if (line.startsWith('@@')) {
+        inHunk = true;
+        this.addHunk(current, line);
+      }
+    }
+
+    return files.filter(file => file.path);
+  }
+
+  addHunk(file, header) {
+    const hunk = header.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (!hunk) return;
+
+    const start = Number(hunk[1]);
+    const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+    // Pure deletions have no lines in the new version
+    if (count > 0) file.hunks.push({ start, end: start + count - 1 });
+  }
+
+  /**
+   * Map of path to changed line ranges, for restricting analysis to hunks
+   * @param {Object} changes - Result of getChanges
+   * @returns {Object} { [path]: [{ start, end }] }
+   */
+  static toLineRanges(changes) {
+    return Object.fromEntries(
+      changes.files
+        .filter(file => file.status !== 'deleted')
+        .map(file => [file.path, file.hunks])
+    );
+  }
+}
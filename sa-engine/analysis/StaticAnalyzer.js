@@ -0,0 +1,655 @@
+import { readFile } from 'fs/promises';
+import { extname, join } from 'path';
+import { createHash } from 'crypto';
+import { parse } from '@babel/parser';
+
+const LANGUAGES = {
+  '.js': 'JavaScript',
+  '.jsx': 'JavaScript',
+  '.mjs': 'JavaScript',
+  '.cjs': 'JavaScript',
+  '.ts': 'TypeScript',
+  '.tsx': 'TypeScript',
+  '.mts': 'TypeScript',
+  '.cts': 'TypeScript'
+};
+
+const DEFAULT_STANDARDS = {
+  complexity: 10,
+  lineLength: 120,
+  functionLength: 50,
+  classSize: 300,
+  duplication: 5
+};
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'tokens', 'comments']);
+
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+
+const SYNC_IO_CALLS = new Set(['readFileSync', 'writeFileSync', 'appendFileSync', 'readdirSync', 'statSync', 'copyFileSync', 'execSync']);
+
+const CHILD_PROCESS_SINKS = new Set(['exec', 'execSync', 'spawn', 'spawnSync', 'execFile', 'execFileSync']);
+
+const SECRET_NAME_PATTERN = /(secret|passw(or)?d|pwd|api[_-]?key|access[_-]?key|private[_-]?key|auth[_-]?token|client[_-]?secret|token)$/i;
+const SECRET_PLACEHOLDER_PATTERN = /^(your|xxx|changeme|example|placeholder|dummy|test|<|\$\{)|\*{3,}|process\.env/i;
+const SECRET_VALUE_PATTERNS = [
+  { name: 'AWS access key', pattern: /\bAKIA[0-9A-Z]{16}\b/ },
+  { name: 'private key', pattern: /-----BEGIN (RSA |EC |OPENSSH |DSA )?PRIVATE KEY-----/ },
+  { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/ },
+  { name: 'Slack token', pattern: /\bxox[baprs]-[A-Za-z0-9-]{10,}\b/ },
+  { name: 'API secret key', pattern: /\bsk-[A-Za-z0-9_-]{20,}\b/ }
+];
+
+/**
+ * StaticAnalyzer - Parses JavaScript/TypeScript with @babel/parser and reports
+ * complexity, size, line length, duplication, security, performance and
+ * best-practice findings with real file/line locations
+ */
+export default class StaticAnalyzer {
+  constructor(standards = {}) {
+    this.standards = { ...DEFAULT_STANDARDS };
+    for (const [key, value] of Object.entries(standards)) {
+      if (typeof value === 'number' && value > 0) {
+        this.standards[key] = value;
+      }
+    }
+  }
+
+  /**
+   * Check whether a file can be analyzed
+   * @param {string} file - File path
+   * @returns {boolean} True for JS/TS sources
+   */
+  static isSupported(file) {
+    return Boolean(LANGUAGES[extname(file)]);
+  }
+
+  /**
+   * Get the language name for a file
+   * @param {string} file - File path
+   * @returns {string|null} Language name
+   */
+  static getLanguage(file) {
+    return LANGUAGES[extname(file)] || null;
+  }
+
+  /**
+   * Analyze a set of files, including cross-file duplication
+   * @param {string} projectPath - Project root
+   * @param {string[]} files - Project-relative file paths
+   * @param {Object} [options] - Analysis options
+   * @param {Object} [options.changedLines] - { [file]: [{ start, end }] }; keeps only findings inside these ranges
+   * @returns {Promise<Object>} { files, findings, metrics }
+   */
+  async analyzeFiles(projectPath, files, options = {}) {
+    const results = [];
+
+    for (const file of files.filter(f => StaticAnalyzer.isSupported(f))) {
+      const source = await readFile(join(projectPath, file), 'utf8');
+      results.push(this.analyzeSource(file, source));
+    }
+
+    let findings = [
+      ...results.flatMap(result => result.findings),
+      ...this.findDuplicates(results)
+    ];
+
+    if (options.changedLines) {
+      findings = findings.filter(finding => this.isInChangedLines(finding, options.changedLines));
+    }
+
+    const functions = results.flatMap(result => result.functions);
+    const complexities = functions.map(fn => fn.complexity);
+
+    return {
+      files: results.map(({ findings: _, blocks: __, ...result }) => result),
+      findings,
+      metrics: {
+        files: results.length,
+        lines: results.reduce((sum, result) => sum + result.lines, 0),
+        functions: functions.length,
+        complexity: {
+          average: complexities.length > 0
+            ? Math.round((complexities.reduce((sum, c) => sum + c, 0) / complexities.length) * 10) / 10
+            : 0,
+          highest: complexities.length > 0 ? Math.max(...complexities) : 0
+        },
+        largestFile: results.reduce((max, result) => Math.max(max, result.lines), 0)
+      }
+    };
+  }
+
+  /**
+   * Analyze a single source file
+   * @param {string} file - Project-relative path used in findings
+   * @param {string} source - File contents
+   * @returns {Object} File analysis with functions, findings and duplication blocks
+   */
+  analyzeSource(file, source) {
+    const lines = source.split(/\r?\n/);
+    const result = {
+      file,
+      language: StaticAnalyzer.getLanguage(file),
+      lines: lines.length,
+      commentLines: 0,
+      functions: [],
+      classes: [],
+      findings: [],
+      blocks: this.collectBlocks(file, lines)
+    };
+
+    result.findings.push(...this.checkLineLength(file, lines));
+
+    let ast;
+    try {
+      ast = parse(source, this.getParserOptions(file));
+    } catch (error) {
+      result.findings.push(this.finding('code-quality', 'warning', {
+        type: 'parse-error',
+        severity: 'medium',
+        file,
+        line: error.loc?.line || 1,
+        message: `Could not parse file: ${error.message}`,
+        suggestion: 'Fix the syntax error so the file can be analyzed'
+      }));
+      return result;
+    }
+
+    for (const error of ast.errors || []) {
+      result.findings.push(this.finding('code-quality', 'warning', {
+        type: 'parse-error',
+        severity: 'low',
+        file,
+        line: error.loc?.line || 1,
+        message: `Recoverable syntax error: ${error.message}`,
+        suggestion: 'Fix the syntax error'
+      }));
+    }
+
+    result.commentLines = (ast.comments || [])
+      .reduce((sum, comment) => sum + comment.loc.end.line - comment.loc.start.line + 1, 0);
+
+    this.walk(ast.program, [], (node, ancestors) => {
+      const parent = ancestors[ancestors.length - 1] || null;
+
+      if (FUNCTION_TYPES.has(node.type)) {
+        result.functions.push(this.measureFunction(node, parent));
+      } else if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+        result.classes.push({
+          name: node.id?.name || '<anonymous class>',
+          line: node.loc.start.line,
+          endLine: node.loc.end.line,
+          length: node.loc.end.line - node.loc.start.line + 1
+        });
+      }
+
+      result.findings.push(...this.checkSecurity(file, node, parent));
+      result.findings.push(...this.checkPerformance(file, node, ancestors));
+      result.findings.push(...this.checkBestPractices(file, node));
+    });
+
+    for (const fn of result.functions) {
+      result.findings.push(...this.checkFunction(file, fn));
+    }
+
+    for (const cls of result.classes) {
+      if (cls.length > this.standards.classSize) {
+        result.findings.push(this.finding('maintainability', 'warning', {
+          type: 'large-class',
+          severity: 'medium',
+          file,
+          line: cls.line,
+          endLine: cls.endLine,
+          message: `Class ${cls.name} is ${cls.length} lines, exceeds limit of ${this.standards.classSize}`,
+          suggestion: 'Split the class by responsibility'
+        }));
+      }
+    }
+
+    return result;
+  }
+
+  getParserOptions(file) {
+    const extension = extname(file);
+    const plugins = ['decorators-legacy'];
+
+    if (['.ts', '.mts', '.cts'].includes(extension)) {
+      plugins.push('typescript');
+    } else if (extension === '.tsx') {
+      plugins.push('typescript', 'jsx');
+    } else {
+      plugins.push('jsx');
+    }
+
+    return {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      plugins
+    };
+  }
+
+  /**
+   * Depth-first AST walk
+   * @param {Object} node - Root node
+   * @param {Object[]} ancestors - Ancestor chain, nearest last
+   * @param {Function} visit - Called with (node, ancestors)
+   */
+  walk(node, ancestors, visit) {
+    visit(node, ancestors);
+    ancestors.push(node);
+
+    for (const [key, value] of Object.entries(node)) {
+      if (SKIPPED_KEYS.has(key) || !value || typeof value !== 'object') continue;
+
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string') this.walk(child, ancestors, visit);
+      }
+    }
+
+    ancestors.pop();
+  }
+
+  /**
+   * Measure a function's length and cyclomatic complexity (nested functions excluded)
+   * @param {Object} node - Function node
+   * @param {Object|null} parent - Parent node, used to name anonymous functions
+   * @returns {Object} { name, line, endLine, length, complexity }
+   */
+  measureFunction(node, parent) {
+    let complexity = 1;
+
+    const countDecisions = current => {
+      for (const [key, value] of Object.entries(current)) {
+        if (SKIPPED_KEYS.has(key) || !value || typeof value !== 'object') continue;
+
+        for (const child of Array.isArray(value) ? value : [value]) {
+          if (!child || typeof child.type !== 'string' || FUNCTION_TYPES.has(child.type)) continue;
+          complexity += this.decisionWeight(child);
+          countDecisions(child);
+        }
+      }
+    };
+    countDecisions(node);
+
+    return {
+      name: this.functionName(node, parent),
+      line: node.loc.start.line,
+      endLine: node.loc.end.line,
+      length: node.loc.end.line - node.loc.start.line + 1,
+      complexity
+    };
+  }
+
+  decisionWeight(node) {
+    switch (node.type) {
+      case 'IfStatement':
+      case 'ConditionalExpression':
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+      case 'CatchClause':
+        return 1;
+      case 'SwitchCase':
+        return node.test ? 1 : 0;
+      case 'LogicalExpression':
+        return ['&&', '||', '??'].includes(node.operator) ? 1 : 0;
+      default:
+        return 0;
+    }
+  }
+
+  functionName(node, parent) {
+    if (node.id?.name) return node.id.name;
+    if (node.key) return node.key.name || node.key.value || '<computed>';
+    if (parent?.type === 'VariableDeclarator' && parent.id?.name) return parent.id.name;
+    if ((parent?.type === 'ObjectProperty' || parent?.type === 'ClassProperty') && parent.key) {
+      return parent.key.name || parent.key.value || '<computed>';
+    }
+    if (parent?.type === 'AssignmentExpression' && parent.left?.property?.name) return parent.left.property.name;
+    return '<anonymous>';
+  }
+
+  checkFunction(file, fn) {
+    const findings = [];
+    const { complexity, functionLength } = this.standards;
+
+    if (fn.complexity > complexity) {
+      findings.push(this.finding('code-quality', 'issue', {
+        type: 'complexity',
+        severity: fn.complexity > complexity * 2 ? 'high' : 'medium',
+        file,
+        line: fn.line,
+        endLine: fn.endLine,
+        message: `Cyclomatic complexity of ${fn.name} is ${fn.complexity}, exceeds limit of ${complexity}`,
+        suggestion: 'Break down this function into smaller, more focused functions'
+      }));
+    }
+
+    if (fn.length > functionLength) {
+      findings.push(this.finding('maintainability', fn.length > functionLength * 2 ? 'issue' : 'warning', {
+        type: 'long-function',
+        severity: fn.length > functionLength * 2 ? 'high' : 'medium',
+        file,
+        line: fn.line,
+        endLine: fn.endLine,
+        message: `Function ${fn.name} is ${fn.length} lines, exceeds limit of ${functionLength}`,
+        suggestion: 'Extract cohesive steps into helper functions'
+      }));
+    }
+
+    return findings;
+  }
+
+  checkLineLength(file, lines) {
+    const findings = [];
+
+    lines.forEach((text, index) => {
+      if (text.length > this.standards.lineLength) {
+        findings.push(this.finding('readability', 'warning', {
+          type: 'line-length',
+          severity: 'low',
+          file,
+          line: index + 1,
+          message: `Line is ${text.length} characters, exceeds limit of ${this.standards.lineLength}`,
+          suggestion: 'Wrap the line or extract intermediate variables'
+        }));
+      }
+    });
+
+    return findings;
+  }
+
+  checkSecurity(file, node, parent) {
+    const findings = [];
+    const line = node.loc?.start.line || 1;
+
+    if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+      const callee = node.callee;
+      const calleeName = callee?.type === 'Identifier'
+        ? callee.name
+        : callee?.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+
+      if (node.type === 'CallExpression' && callee?.type === 'Identifier' && callee.name === 'eval') {
+        findings.push(this.finding('security', 'issue', {
+          type: 'eval',
+          severity: 'high',
+          file,
+          line,
+          message: 'Use of eval() executes arbitrary code',
+          suggestion: 'Replace eval with JSON.parse or explicit logic'
+        }));
+      }
+
+      if (node.type === 'NewExpression' && calleeName === 'Function') {
+        findings.push(this.finding('security', 'issue', {
+          type: 'eval',
+          severity: 'high',
+          file,
+          line,
+          message: 'new Function() compiles code from a string',
+          suggestion: 'Avoid constructing functions from strings'
+        }));
+      }
+
+      if (CHILD_PROCESS_SINKS.has(calleeName) && this.isInterpolated(node.arguments[0])) {
+        const usesShell = ['exec', 'execSync'].includes(calleeName) ||
+          node.arguments.some(arg => arg?.type === 'ObjectExpression' &&
+            arg.properties.some(p => p.key?.name === 'shell' && p.value?.value !== false));
+
+        findings.push(this.finding('security', usesShell ? 'issue' : 'warning', {
+          type: 'command-injection',
+          severity: usesShell ? 'critical' : 'medium',
+          file,
+          line,
+          message: `${calleeName}() is called with an interpolated command string`,
+          suggestion: 'Pass arguments as an array to execFile/spawn without a shell and validate inputs'
+        }));
+      }
+    }
+
+    const secretName = this.secretTargetName(node);
+    const value = this.stringValue(secretName ? this.secretValueNode(node) : null);
+    if (secretName && value && value.length >= 8 && !SECRET_PLACEHOLDER_PATTERN.test(value)) {
+      findings.push(this.finding('security', 'issue', {
+        type: 'hardcoded-secret',
+        severity: 'high',
+        file,
+        line,
+        message: `Hard-coded secret assigned to ${secretName}`,
+        suggestion: 'Load secrets from environment variables or a secret manager'
+      }));
+    } else if (node.type === 'StringLiteral' || node.type === 'TemplateElement') {
+      const text = node.type === 'StringLiteral' ? node.value : node.value?.raw;
+      const match = SECRET_VALUE_PATTERNS.find(({ pattern }) => pattern.test(text || ''));
+      if (match && !this.isSecretAssignment(parent)) {
+        findings.push(this.finding('security', 'issue', {
+          type: 'hardcoded-secret',
+          severity: 'high',
+          file,
+          line,
+          message: `String looks like a ${match.name}`,
+          suggestion: 'Remove the credential from source and rotate it'
+        }));
+      }
+    }
+
+    return findings;
+  }
+
+  checkPerformance(file, node, ancestors) {
+    const findings = [];
+    const line = node.loc?.start.line || 1;
+
+    // Only the ancestors inside the nearest enclosing function matter
+    const functionIndex = ancestors.findLastIndex(ancestor => FUNCTION_TYPES.has(ancestor.type));
+    const scope = ancestors.slice(functionIndex + 1);
+
+    if (node.type === 'AwaitExpression' && scope.some(ancestor => LOOP_TYPES.has(ancestor.type))) {
+      findings.push(this.finding('performance', 'warning', {
+        type: 'await-in-loop',
+        severity: 'low',
+        file,
+        line,
+        message: 'await inside a loop serializes asynchronous work',
+        suggestion: 'Collect the promises and await them with Promise.all when iterations are independent'
+      }));
+    }
+
+    if (node.type === 'CallExpression' && functionIndex >= 0) {
+      const name = node.callee?.type === 'MemberExpression' ? node.callee.property?.name : node.callee?.name;
+      if (SYNC_IO_CALLS.has(name)) {
+        findings.push(this.finding('performance', 'warning', {
+          type: 'sync-io',
+          severity: 'low',
+          file,
+          line,
+          message: `${name}() blocks the event loop inside a function`,
+          suggestion: 'Use the fs/promises equivalent'
+        }));
+      }
+    }
+
+    return findings;
+  }
+
+  checkBestPractices(file, node) {
+    const line = node.loc?.start.line || 1;
+
+    if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+      return [this.finding('best-practices', 'warning', {
+        type: 'no-var',
+        severity: 'low',
+        file,
+        line,
+        message: 'var declaration',
+        suggestion: 'Use const or let for block scoping'
+      })];
+    }
+
+    if (node.type === 'BinaryExpression' && (node.operator === '==' || node.operator === '!=')) {
+      const comparesNull = [node.left, node.right].some(side => side.type === 'NullLiteral');
+      if (!comparesNull) {
+        return [this.finding('best-practices', 'warning', {
+          type: 'loose-equality',
+          severity: 'low',
+          file,
+          line,
+          message: `Loose equality operator ${node.operator}`,
+          suggestion: `Use ${node.operator}= to avoid type coercion`
+        })];
+      }
+    }
+
+    if (node.type === 'CatchClause' && node.body.body.length === 0 && !node.body.innerComments?.length) {
+      return [this.finding('best-practices', 'warning', {
+        type: 'empty-catch',
+        severity: 'medium',
+        file,
+        line,
+        message: 'Empty catch block swallows errors',
+        suggestion: 'Handle, log or rethrow the error, or comment why it is ignored'
+      })];
+    }
+
+    return [];
+  }
+
+  isInterpolated(node) {
+    if (!node) return false;
+    if (node.type === 'TemplateLiteral') return node.expressions.length > 0;
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      return !(this.isStatic(node.left) && this.isStatic(node.right));
+    }
+    return false;
+  }
+
+  isStatic(node) {
+    if (node.type === 'StringLiteral' || node.type === 'NumericLiteral') return true;
+    if (node.type === 'TemplateLiteral') return node.expressions.length === 0;
+    if (node.type === 'BinaryExpression') return this.isStatic(node.left) && this.isStatic(node.right);
+    return false;
+  }
+
+  secretTargetName(node) {
+    let name = null;
+    if (node.type === 'VariableDeclarator') name = node.id?.name;
+    if (node.type === 'ObjectProperty' || node.type === 'ClassProperty') name = node.key?.name || node.key?.value;
+    if (node.type === 'AssignmentExpression') name = node.left?.property?.name || node.left?.name;
+    return typeof name === 'string' && SECRET_NAME_PATTERN.test(name) ? name : null;
+  }
+
+  secretValueNode(node) {
+    if (node.type === 'VariableDeclarator') return node.init;
+    if (node.type === 'AssignmentExpression') return node.right;
+    return node.value;
+  }
+
+  isSecretAssignment(parent) {
+    return Boolean(parent && this.secretTargetName(parent));
+  }
+
+  stringValue(node) {
+    if (node?.type === 'StringLiteral') return node.value;
+    if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0]?.value.cooked;
+    return null;
+  }
+
+  /**
+   * Hash every window of `duplication` consecutive meaningful lines
+   * @param {string} file - File path
+   * @param {string[]} lines - Source lines
+   * @returns {Object[]} Blocks with hash and start line
+   */
+  collectBlocks(file, lines) {
+    const meaningful = lines
+      .map((text, index) => ({ text: text.trim().replace(/\s+/g, ' '), line: index + 1 }))
+      .filter(({ text }) => text.length > 2 && !/^(\/\/|\/?\*|import\b|\}|\{|\)|\]|[})\];,]+)/.test(text));
+
+    const size = this.standards.duplication;
+    const blocks = [];
+    for (let i = 0; i + size <= meaningful.length; i++) {
+      const window = meaningful.slice(i, i + size);
+      blocks.push({
+        file,
+        line: window[0].line,
+        endLine: window[size - 1].line,
+        hash: createHash('sha1').update(window.map(entry => entry.text).join('\n')).digest('hex')
+      });
+    }
+    return blocks;
+  }
+
+  /**
+   * Report blocks whose normalized text appears earlier in the analyzed set
+   * @param {Object[]} results - File analysis results
+   * @returns {Object[]} Duplication findings, one per duplicated region
+   */
+  findDuplicates(results) {
+    const seen = new Map();
+    const findings = [];
+
+    for (const result of results) {
+      let reportedUntil = 0;
+
+      for (const block of result.blocks) {
+        const original = seen.get(block.hash);
+
+        if (!original) {
+          seen.set(block.hash, block);
+          continue;
+        }
+
+        // Overlapping windows describe the same region; report it once
+        if (block.line <= reportedUntil || (original.file === block.file && original.endLine >= block.line)) {
+          continue;
+        }
+
+        reportedUntil = block.endLine;
+        findings.push(this.finding('code-quality', 'warning', {
+          type: 'duplication',
+          severity: 'medium',
+          file: block.file,
+          line: block.line,
+          endLine: block.endLine,
+          message: `Duplicated code block (lines ${block.line}-${block.endLine}) also found at ${original.file}:${original.line}`,
+          suggestion: 'Extract common logic into a shared utility function'
+        }));
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Whether a finding's line span overlaps a changed hunk of its file
+   * @param {Object} finding - Finding with file, line and optional endLine
+   * @param {Object} changedLines - { [file]: [{ start, end }] }
+   * @returns {boolean}
+   */
+  isInChangedLines(finding, changedLines) {
+    const hunks = changedLines[finding.file];
+    if (!hunks) return false;
+
+    const start = finding.line || 1;
+    const end = finding.endLine || start;
+    return hunks.some(hunk => hunk.start <= end && hunk.end >= start);
+  }
+
+  finding(category, kind, details) {
+    return { category, kind, ...details };
+  }
+}
@@ -6,6 +6,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { existsSync } from 'fs';
 import { readFile, writeFile } from 'fs/promises';
+import ToolRegistry from './ToolRegistry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -39,7 +40,8 @@ export default class MCPServer extends EventEmitter {
     this.transport = null;
     this.isRunning = false;
     this.registeredTools = new Map();
-    this.toolRegistry = null;
+    // Runs tool calls (validation, timeout, metrics); created on first call when not given
+    this.toolRegistry = options.toolRegistry || null;
     this.startTime = null;
     this.metrics = {
       toolCalls: 0,
@@ -276,28 +278,30 @@ export default class MCPServer extends EventEmitter {
       throw new Error(`Tool not found: ${toolName}`);
     }
 
-    // Validate arguments if schema is provided
-    if (tool.inputSchema && tool.validate) {
-      const validation = tool.validate(args);
-      if (!validation.isValid) {
-        throw new Error(`Invalid arguments: ${validation.errors.join(', ')}`);
-      }
+    const registry = this.getToolRegistry();
+    if (!registry.getTool(toolName)) {
+      await registry.registerTool(tool);
     }
 
-    // Execute tool with timeout
-    const executionPromise = tool.execute(args, {
-      server: this,
-      timestamp: new Date(),
-      toolName
-    });
-
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new Error(`Tool execution timeout: ${toolName}`));
-      }, this.options.toolTimeout);
-    });
+    return registry.executeTool(toolName, args, { server: this });
+  }
 
-    return Promise.race([executionPromise, timeoutPromise]);
+  /**
+   * Get the registry that executes tool calls
+   * @returns {ToolRegistry} Tool registry
+   */
+  getToolRegistry() {
+    if (!this.toolRegistry) {
+      // Only used to run the tools registered here, so it neither scans nor watches the tools directory
+      this.toolRegistry = new ToolRegistry({
+        toolsPath: this.options.toolsPath,
+        toolTimeout: this.options.toolTimeout,
+        enableHotReload: false,
+        generateDocs: false,
+        enableLogging: false
+      });
+    }
+    return this.toolRegistry;
   }
 
   /**
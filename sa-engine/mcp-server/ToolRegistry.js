@@ -201,6 +201,78 @@ export default class ToolRegistry extends EventEmitter {
     return this.tools.get(toolName) || null;
   }
 
+  /**
+   * Execute a registered tool with argument validation, timeout and metrics
+   * @param {string} toolName - Name of the tool
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context passed to the tool
+   * @returns {Promise<Object>} Tool result
+   */
+  async executeTool(toolName, args = {}, context = {}) {
+    const tool = this.tools.get(toolName);
+    if (!tool) {
+      throw new Error(`Tool not found: ${toolName}`);
+    }
+    if (!tool.enabled) {
+      throw new Error(`Tool is disabled: ${toolName}`);
+    }
+
+    if (tool.validate) {
+      const validation = tool.validate(args);
+      if (!validation.isValid) {
+        throw new Error(`Invalid arguments for ${toolName}: ${validation.errors.join(', ')}`);
+      }
+    }
+
+    const startTime = Date.now();
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tool execution timeout: ${toolName}`)), this.options.toolTimeout);
+    });
+
+    try {
+      const result = await Promise.race([
+        tool.execute(args, { registry: this, timestamp: new Date(), toolName, ...context }),
+        timeoutPromise
+      ]);
+      this.recordExecution(tool, Date.now() - startTime, result?.isError ? result.metadata?.error || 'Tool returned an error' : null);
+      this.emit('toolExecuted', { name: toolName, result });
+      return result;
+    } catch (error) {
+      this.recordExecution(tool, Date.now() - startTime, error.message);
+      this.emit('toolError', { name: toolName, error });
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Update call metrics after a tool execution
+   * @param {Object} tool - Registered tool
+   * @param {number} duration - Execution time in ms
+   * @param {string|null} error - Error message when the call failed
+   */
+  recordExecution(tool, duration, error) {
+    const now = new Date().toISOString();
+    tool.metrics.callCount++;
+    tool.metrics.avgExecutionTime = ((tool.metrics.avgExecutionTime * (tool.metrics.callCount - 1)) + duration) / tool.metrics.callCount;
+    tool.metrics.lastCalled = now;
+    if (error) tool.metrics.errorCount++;
+
+    const metrics = this.toolMetrics.get(tool.name);
+    if (metrics) {
+      metrics.callCount++;
+      metrics.totalExecutionTime += duration;
+      metrics.avgExecutionTime = metrics.totalExecutionTime / metrics.callCount;
+      metrics.lastCalled = now;
+      if (error) {
+        metrics.errorCount++;
+        metrics.errors = [...metrics.errors, { error, timestamp: now }].slice(-10);
+      }
+    }
+  }
+
   /**
    * List all tools with optional filtering
    * @param {Object} filters - Optional filters
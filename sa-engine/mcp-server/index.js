@@ -98,7 +98,8 @@ class SuperAgentsMCPLauncher {
       description: 'Super Agents MCP Server for IDE integration',
       transport: 'stdio',
       enableLogging: true,
-      autoLoadTools: false // We'll manually register tools
+      autoLoadTools: false, // We'll manually register tools
+      toolRegistry: this.toolRegistry
     });
 
     // Setup event listeners
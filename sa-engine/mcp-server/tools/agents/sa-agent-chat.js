@@ -0,0 +1,147 @@
+import AgentSystem from '../../../agents/AgentSystem.js';
+import { getToolAIClient } from '../../../ai-providers/ToolAIClient.js';
+
+let sharedAgentSystem = null;
+
+/**
+ * Load the agent definitions once per server process
+ * @returns {Promise<AgentSystem>} Agent system
+ */
+async function getAgentSystem() {
+  if (!sharedAgentSystem) {
+    sharedAgentSystem = new AgentSystem();
+    await sharedAgentSystem.loadAllAgents();
+  }
+  return sharedAgentSystem;
+}
+
+/**
+ * sa_agent_chat MCP Tool
+ * Chats with an agent in its persona; the conversation continues across calls
+ */
+export const saAgentChat = {
+  name: 'sa_agent_chat',
+  description: 'Chat with an agent (e.g. architect, developer) in its persona; later calls continue the conversation',
+  category: 'agents',
+  version: '1.0.0',
+  enabled: true,
+
+  inputSchema: {
+    type: 'object',
+    properties: {
+      agentId: {
+        type: 'string',
+        description: 'ID of the agent to chat with (e.g. architect, developer, qa)',
+        minLength: 1
+      },
+      message: {
+        type: 'string',
+        description: 'Message to send to the agent',
+        minLength: 1
+      },
+      reset: {
+        type: 'boolean',
+        description: 'Start a new conversation instead of continuing the previous one',
+        default: false
+      }
+    },
+    required: ['agentId', 'message']
+  },
+
+  /**
+   * Validate tool arguments
+   * @param {Object} args - Tool arguments
+   * @returns {Object} Validation result
+   */
+  validate(args) {
+    const errors = [];
+
+    if (!args.agentId || typeof args.agentId !== 'string' || args.agentId.trim().length === 0) {
+      errors.push('agentId is required and must be a non-empty string');
+    }
+
+    if (!args.message || typeof args.message !== 'string' || args.message.trim().length === 0) {
+      errors.push('message is required and must be a non-empty string');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  },
+
+  /**
+   * Send the message to the agent's conversation session
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context (agentSystem and aiProvider override the shared ones)
+   * @returns {Promise<Object>} Execution result
+   */
+  async execute(args, context = {}) {
+    const agentId = args.agentId.trim();
+
+    try {
+      const agentSystem = context.agentSystem || await getAgentSystem();
+      const agent = agentSystem.getAgent(agentId);
+
+      if (!agent) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Agent not found: ${agentId}\n\nAvailable agents: ${agentSystem.listAgents().map(a => a.agent.id).join(', ')}`
+            }
+          ],
+          isError: true,
+          metadata: {
+            error: 'Agent not found',
+            errorMessage: `Agent not found: ${agentId}`,
+            errorType: 'agent_not_found'
+          }
+        };
+      }
+
+      // A concrete provider, not the registry, so the session knows its model and context window
+      const provider = context.aiProvider || await getToolAIClient().getRoleProvider('main');
+      if (!provider) {
+        throw new Error('No AI provider configured. Set an API key or register a provider.');
+      }
+
+      if (args.reset) {
+        agentSystem.endChat(agentId);
+      }
+
+      const reply = await agentSystem.chat(agentId, args.message, { provider });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${agent.agent.icon || '🤖'} **${agent.agent.name}** (${agent.agent.title})\n\n${reply.text}`
+          }
+        ],
+        metadata: {
+          agentId,
+          sessionId: reply.sessionId,
+          messages: reply.messages,
+          provider: reply.result?.provider || provider.name || 'unknown',
+          model: reply.result?.model || null
+        }
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ Error chatting with agent ${agentId}: ${error.message}`
+          }
+        ],
+        isError: true,
+        metadata: {
+          error: error.message,
+          errorMessage: error.message,
+          errorType: 'agent_chat_error'
+        }
+      };
+    }
+  }
+};
@@ -1,6 +1,7 @@
 import { join } from 'path';
 import { existsSync } from 'fs';
 import TaskManager from '../../../tasks/TaskManager.js';
+import ProjectLocator from '../../../tasks/ProjectLocator.js';
 import TaskDependencyManager from '../../../tasks/TaskDependencyManager.js';
 
 /**
@@ -32,6 +33,12 @@ export const saGetTask = {
         description: 'Include task change history',
         default: true
       },
+      historyLimit: {
+        type: 'number',
+        description: 'Maximum number of history entries to include, newest first',
+        minimum: 1,
+        default: 20
+      },
       includeDependencies: {
         type: 'boolean',
         description: 'Include task dependencies and dependents',
@@ -94,12 +101,13 @@ export const saGetTask = {
     const projectPath = args.projectPath || process.cwd();
     const taskId = args.taskId.trim();
     
+    let taskManager = null;
+    
     try {
-      // Find Super Agents config
-      const saConfigPath = join(projectPath, '.super-agents', 'config.json');
-      const tasksPath = join(projectPath, '.super-agents', 'tasks.json');
+      // Find the Super Agents project containing projectPath
+      const projectRoot = ProjectLocator.findProjectRoot(projectPath);
       
-      if (!existsSync(saConfigPath) || !existsSync(tasksPath)) {
+      if (!projectRoot) {
         return {
           content: [
             {
@@ -117,12 +125,8 @@ export const saGetTask = {
         };
       }
 
-      // Initialize TaskManager
-      const taskManager = new TaskManager({
-        dataPath: tasksPath
-      });
-      
-      await taskManager.initialize();
+      // Open the project's task store
+      taskManager = await TaskManager.open({ projectRoot, requireProject: true });
       
       // Get the task
       const task = await taskManager.getTask(taskId);
@@ -156,12 +160,12 @@ export const saGetTask = {
 
       // Get task history if requested
       if (args.includeHistory) {
-        taskInfo.history = await this.getTaskHistory(taskManager, taskId);
+        taskInfo.history = await this.getTaskHistory(taskManager, taskId, args.historyLimit || 20);
       }
 
       // Get dependencies if requested
       if (args.includeDependencies) {
-        taskInfo.dependencies = await this.getTaskDependencies(tasksPath, taskId);
+        taskInfo.dependencies = await this.getTaskDependencies(taskManager, taskId);
       }
 
       // Get related tasks if requested
@@ -213,6 +217,8 @@ export const saGetTask = {
           projectPath
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
 
@@ -220,12 +226,12 @@ export const saGetTask = {
    * Get task change history
    * @param {TaskManager} taskManager - Task manager instance
    * @param {string} taskId - Task ID
-   * @returns {Promise<Array>} Task history
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Task history, newest first
    */
-  async getTaskHistory(taskManager, taskId) {
+  async getTaskHistory(taskManager, taskId, limit) {
     try {
-      // Get history from task manager (if it tracks history)
-      const history = await taskManager.getTaskHistory(taskId);
+      const history = await taskManager.getTaskHistory(taskId, { limit });
       return history || [];
     } catch (error) {
       // History may not be available in all implementations
@@ -235,15 +241,13 @@ export const saGetTask = {
 
   /**
    * Get task dependencies and dependents
-   * @param {string} tasksPath - Path to tasks file
+   * @param {TaskManager} taskManager - Task manager instance
    * @param {string} taskId - Task ID
    * @returns {Promise<Object>} Dependencies object
    */
-  async getTaskDependencies(tasksPath, taskId) {
+  async getTaskDependencies(taskManager, taskId) {
     try {
-      const dependencyManager = new TaskDependencyManager({
-        dataPath: tasksPath
-      });
+      const dependencyManager = new TaskDependencyManager(taskManager);
       
       await dependencyManager.initialize();
       
@@ -251,8 +255,8 @@ export const saGetTask = {
       const dependents = await dependencyManager.getDependents(taskId);
       
       return {
-        dependsOn: dependsOn || [],
-        dependents: dependents || []
+        dependsOn: (dependsOn || []).map(dependency => dependency.id),
+        dependents: (dependents || []).map(dependent => dependent.id)
       };
       
     } catch (error) {
@@ -392,6 +396,16 @@ export const saGetTask = {
     }
   },
 
+  /**
+   * Who made a history entry
+   * @param {Object} actor - { type, id, name }
+   * @returns {string} Formatted actor
+   */
+  formatActor(actor = {}) {
+    const icon = actor.type === 'agent' ? '🤖' : actor.type === 'human' ? '👤' : '⚙️';
+    return `${icon} ${actor.name || actor.id || actor.type || 'system'}`;
+  },
+
   /**
    * Format task as summary
    * @param {Object} taskInfo - Task information
@@ -488,7 +502,7 @@ export const saGetTask = {
       output += `📜 **Change History:**\n`;
       history.slice(0, 5).forEach(change => { // Show last 5 changes
         const changeDate = new Date(change.timestamp).toLocaleString();
-        output += `  • ${changeDate}: ${change.description}\n`;
+        output += `  • ${changeDate}: ${change.description} — ${this.formatActor(change.actor)}\n`;
       });
       if (history.length > 5) {
         output += `  ... and ${history.length - 5} more changes\n`;
@@ -312,7 +312,8 @@ ${args.license || 'MIT'}
       version: '1.0.0',
       createdAt: new Date().toISOString(),
       taskManager: {
-        dataPath: '.super-agents/tasks',
+        dataPath: '.super-agents',
+        storage: 'json',
         autoBackup: true,
         maxBackups: 10
       },
@@ -333,15 +334,9 @@ ${args.license || 'MIT'}
     result.createdFiles.push(configPath);
     
     // Create initial task storage
-    const tasksPath = join(projectPath, '.super-agents', 'tasks.json');
-    const initialTasks = {
-      tasks: [],
-      lastId: 0,
-      created: new Date().toISOString()
-    };
-    
-    await writeFile(tasksPath, JSON.stringify(initialTasks, null, 2));
-    result.createdFiles.push(tasksPath);
+    const taskManager = await TaskManager.open({ projectRoot: projectPath });
+    await taskManager.cleanup();
+    result.createdFiles.push(taskManager.tasksFile);
   },
 
   /**
@@ -352,12 +347,12 @@ ${args.license || 'MIT'}
    */
   async createInitialTasks(projectPath, args, result) {
     try {
-      const taskManager = new TaskManager({
-        dataPath: join(projectPath, '.super-agents', 'tasks.json')
+      const taskManager = await TaskManager.open({
+        projectRoot: projectPath,
+        requireProject: true,
+        actor: { type: 'system', id: 'sa_initialize_project' }
       });
       
-      await taskManager.initialize();
-      
       // Create initial tasks based on template
       const initialTasks = this.getInitialTasksForTemplate(args.template || 'basic', args);
       
@@ -1,6 +1,5 @@
-import { join } from 'path';
-import { existsSync } from 'fs';
 import TaskManager from '../../../tasks/TaskManager.js';
+import ProjectLocator from '../../../tasks/ProjectLocator.js';
 
 /**
  * sa_list_tasks MCP Tool
@@ -23,8 +22,7 @@ export const saListTasks = {
       },
       status: {
         type: 'string',
-        description: 'Filter tasks by status',
-        enum: ['pending', 'in-progress', 'completed', 'cancelled', 'blocked']
+        description: "Filter tasks by status (any status defined by the tag's workflow)"
       },
       assignee: {
         type: 'string',
@@ -51,6 +49,12 @@ export const saListTasks = {
         type: 'string',
         description: 'Search tasks by title or description'
       },
+      query: {
+        type: 'string',
+        description: 'Task query, e.g. "status:in-progress priority>=high tag:backend due<7d -assignee:dev blocked:true". ' +
+          'Fields: status, priority, type, id, parent, depends, tag, label, assignee, owner, title, description, complexity, ' +
+          'estimate, actual, due, start, completed, created, modified, blocked, has. Use @name for a saved project query.'
+      },
       limit: {
         type: 'integer',
         description: 'Maximum number of tasks to return',
@@ -72,7 +76,7 @@ export const saListTasks = {
       },
       includeCompleted: {
         type: 'boolean',
-        description: 'Include completed tasks in results',
+        description: 'Include tasks in a final status of their workflow (done, cancelled) in results',
         default: true
       },
       includeArchived: {
@@ -109,6 +113,10 @@ export const saListTasks = {
     if (args.tags && !Array.isArray(args.tags)) {
       errors.push('tags must be an array of strings');
     }
+
+    if (args.query !== undefined && typeof args.query !== 'string') {
+      errors.push('query must be a string');
+    }
     
     return {
       isValid: errors.length === 0,
@@ -126,12 +134,13 @@ export const saListTasks = {
     const startTime = Date.now();
     const projectPath = args.projectPath || process.cwd();
     
+    let taskManager = null;
+    
     try {
-      // Find Super Agents config
-      const saConfigPath = join(projectPath, '.super-agents', 'config.json');
-      const tasksPath = join(projectPath, '.super-agents', 'tasks.json');
+      // Find the Super Agents project containing projectPath
+      const projectRoot = ProjectLocator.findProjectRoot(projectPath);
       
-      if (!existsSync(saConfigPath) || !existsSync(tasksPath)) {
+      if (!projectRoot) {
         return {
           content: [
             {
@@ -149,12 +158,8 @@ export const saListTasks = {
         };
       }
 
-      // Initialize TaskManager
-      const taskManager = new TaskManager({
-        dataPath: tasksPath
-      });
-      
-      await taskManager.initialize();
+      // Open the project's task store
+      taskManager = await TaskManager.open({ projectRoot, requireProject: true });
       
       // Apply filters
       const filters = this.buildFilters(args);
@@ -207,6 +212,8 @@ export const saListTasks = {
           projectPath
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
 
@@ -241,9 +248,14 @@ export const saListTasks = {
     if (args.search) {
       filters.search = args.search;
     }
+
+    if (args.query) {
+      filters.query = args.query;
+    }
     
-    if (!args.includeCompleted) {
-      filters.excludeStatus = ['completed'];
+    // includeCompleted defaults to true
+    if (args.includeCompleted === false) {
+      filters.excludeFinal = true;
     }
     
     if (!args.includeArchived) {
@@ -483,7 +495,9 @@ export const saListTasks = {
     const statusEmojis = {
       pending: '⏳ Pending',
       'in-progress': '🔄 In Progress',
-      completed: '✅ Completed',
+      review: '👀 Review',
+      done: '✅ Done',
+      deferred: '💤 Deferred',
       cancelled: '❌ Cancelled',
       blocked: '🚫 Blocked'
     };
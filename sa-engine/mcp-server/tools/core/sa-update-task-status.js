@@ -1,10 +1,12 @@
-import { join } from 'path';
-import { existsSync } from 'fs';
 import TaskManager from '../../../tasks/TaskManager.js';
+import { TaskTransitionError } from '../../../tasks/TaskWorkflow.js';
+import ProjectLocator from '../../../tasks/ProjectLocator.js';
 
 /**
  * sa_update_task_status MCP Tool
- * Updates the status of a task with validation and change logging
+ * Updates the status of a task with validation and change logging. Transitions and
+ * hooks come from the tag's workflow (configuration.statusTransitions), so this tool
+ * enforces the same rules as TaskManager.updateTask and the CLI.
  */
 export const saUpdateTaskStatus = {
   name: 'sa_update_task_status',
@@ -23,8 +25,11 @@ export const saUpdateTaskStatus = {
       },
       status: {
         type: 'string',
-        description: 'New status for the task',
-        enum: ['pending', 'in-progress', 'completed', 'cancelled', 'blocked']
+        description: "New status for the task; must be defined by the tag's workflow ('completed' is accepted for 'done')"
+      },
+      tag: {
+        type: 'string',
+        description: 'Tag containing the task (defaults to the current tag)'
       },
       projectPath: {
         type: 'string',
@@ -69,8 +74,12 @@ export const saUpdateTaskStatus = {
       },
       validateTransition: {
         type: 'boolean',
-        description: 'Validate that status transition is allowed',
+        description: "Enforce the workflow's transitions and hooks; false forces the change to any status the workflow defines",
         default: true
+      },
+      agent: {
+        type: 'string',
+        description: 'Agent making the change, recorded in the task history (defaults to the tool name)'
       }
     },
     required: ['taskId', 'status']
@@ -96,9 +105,8 @@ export const saUpdateTaskStatus = {
       errors.push('status is required and must be a string');
     }
     
-    const validStatuses = ['pending', 'in-progress', 'completed', 'cancelled', 'blocked'];
-    if (args.status && !validStatuses.includes(args.status)) {
-      errors.push(`status must be one of: ${validStatuses.join(', ')}`);
+    if (args.tag !== undefined && typeof args.tag !== 'string') {
+      errors.push('tag must be a string');
     }
     
     if (args.projectPath && typeof args.projectPath !== 'string') {
@@ -129,14 +137,14 @@ export const saUpdateTaskStatus = {
     const startTime = Date.now();
     const projectPath = args.projectPath || process.cwd();
     const taskId = args.taskId.trim();
-    const newStatus = args.status;
+    
+    let taskManager = null;
     
     try {
-      // Find Super Agents config
-      const saConfigPath = join(projectPath, '.super-agents', 'config.json');
-      const tasksPath = join(projectPath, '.super-agents', 'tasks.json');
+      // Find the Super Agents project containing projectPath
+      const projectRoot = ProjectLocator.findProjectRoot(projectPath);
       
-      if (!existsSync(saConfigPath) || !existsSync(tasksPath)) {
+      if (!projectRoot) {
         return {
           content: [
             {
@@ -154,15 +162,16 @@ export const saUpdateTaskStatus = {
         };
       }
 
-      // Initialize TaskManager
-      const taskManager = new TaskManager({
-        dataPath: tasksPath
+      // Open the project's task store
+      taskManager = await TaskManager.open({
+        projectRoot,
+        requireProject: true,
+        actor: { type: 'agent', id: args.agent || context?.toolName || this.name }
       });
       
-      await taskManager.initialize();
-      
       // Get the current task
-      const currentTask = await taskManager.getTask(taskId);
+      const tag = args.tag || taskManager.currentTag;
+      const currentTask = await taskManager.getTask(taskId, tag);
       
       if (!currentTask) {
         return {
@@ -182,44 +191,35 @@ export const saUpdateTaskStatus = {
         };
       }
 
-      // Validate status transition if requested
-      if (args.validateTransition) {
-        const transitionValidation = this.validateStatusTransition(currentTask.status, newStatus);
-        if (!transitionValidation.isValid) {
-          return {
-            content: [
-              {
-                type: 'text',
-                text: `❌ Invalid status transition: ${this.formatStatus(currentTask.status)} → ${this.formatStatus(newStatus)}\n\n` +
-                      `${transitionValidation.reason}\n\n` +
-                      `Current status: ${this.formatStatus(currentTask.status)}\n` +
-                      `Allowed transitions: ${transitionValidation.allowedTransitions.map(s => this.formatStatus(s)).join(', ')}`
-              }
-            ],
-            isError: true,
-            metadata: {
-              error: 'Invalid status transition',
-              currentStatus: currentTask.status,
-              newStatus,
-              allowedTransitions: transitionValidation.allowedTransitions
+      const workflow = taskManager.getWorkflow(tag);
+      const newStatus = args.status === 'completed' && !workflow.statuses.includes('completed') ? 'done' : args.status;
+
+      if (currentTask.status === newStatus) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Task ${taskId} is already ${this.formatStatus(newStatus)}`
             }
-          };
-        }
+          ],
+          isError: true,
+          metadata: {
+            error: 'Task is already in the requested status',
+            currentStatus: currentTask.status,
+            newStatus,
+            allowedTransitions: workflow.next(currentTask.status)
+          }
+        };
       }
 
       // Prepare update data
       const updateData = {
-        status: newStatus,
-        updatedAt: new Date().toISOString()
+        status: newStatus
       };
 
       // Add optional fields
-      if (args.comment) {
-        updateData.lastComment = args.comment;
-      }
-      
       if (args.assignee) {
-        updateData.assignee = args.assignee;
+        updateData.assignee = { type: 'agent', id: args.assignee };
       }
       
       if (args.priority) {
@@ -234,37 +234,17 @@ export const saUpdateTaskStatus = {
         updateData.actualHours = args.actualHours;
       }
 
-      // Status-specific updates
-      if (newStatus === 'completed') {
-        updateData.completedAt = new Date().toISOString();
-        if (args.completionNotes) {
-          updateData.completionNotes = args.completionNotes;
-        }
-      } else if (newStatus === 'blocked') {
-        updateData.blockedAt = new Date().toISOString();
-        if (args.blockingReason) {
-          updateData.blockingReason = args.blockingReason;
-        }
-      } else if (newStatus === 'in-progress') {
-        updateData.startedAt = updateData.startedAt || new Date().toISOString();
+      // Status-specific notes
+      const note = newStatus === 'blocked' ? args.blockingReason : args.completionNotes;
+      if (note) {
+        updateData.notes = currentTask.notes ? `${currentTask.notes}\n\n${note}` : note;
       }
 
-      // Add change history entry
-      if (!updateData.changeHistory) {
-        updateData.changeHistory = currentTask.changeHistory || [];
-      }
-      
-      updateData.changeHistory.push({
-        timestamp: new Date().toISOString(),
-        field: 'status',
-        oldValue: currentTask.status,
-        newValue: newStatus,
-        comment: args.comment || `Status changed from ${currentTask.status} to ${newStatus}`,
-        changedBy: 'sa_update_task_status'
+      // Update the task; the task history records the change with the comment
+      const updatedTask = await taskManager.updateTask(taskId, updateData, tag, {
+        comment: args.comment,
+        force: args.validateTransition === false
       });
-
-      // Update the task
-      const updatedTask = await taskManager.updateTask(taskId, updateData);
       
       // Generate status change summary
       const summary = this.generateUpdateSummary(currentTask, updatedTask, args);
@@ -295,6 +275,30 @@ export const saUpdateTaskStatus = {
       };
       
     } catch (error) {
+      if (error instanceof TaskTransitionError) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ ${error.message}\n\n` +
+                    `Current status: ${this.formatStatus(error.from)}\n` +
+                    `Allowed transitions: ${error.allowed.map(s => this.formatStatus(s)).join(', ') || 'none'}`
+            }
+          ],
+          isError: true,
+          metadata: {
+            error: error.message,
+            code: error.code,
+            taskId,
+            projectPath,
+            currentStatus: error.from,
+            newStatus: error.to,
+            allowedTransitions: error.allowed,
+            hook: error.hook
+          }
+        };
+      }
+
       return {
         content: [
           {
@@ -309,49 +313,11 @@ export const saUpdateTaskStatus = {
           projectPath
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
 
-  /**
-   * Validate status transition
-   * @param {string} currentStatus - Current task status
-   * @param {string} newStatus - Proposed new status
-   * @returns {Object} Validation result
-   */
-  validateStatusTransition(currentStatus, newStatus) {
-    // Define allowed transitions
-    const transitions = {
-      pending: ['in-progress', 'cancelled', 'blocked'],
-      'in-progress': ['completed', 'pending', 'blocked', 'cancelled'],
-      completed: ['in-progress'], // Allow reopening completed tasks
-      cancelled: ['pending'], // Allow reactivating cancelled tasks
-      blocked: ['pending', 'in-progress', 'cancelled']
-    };
-
-    const allowedTransitions = transitions[currentStatus] || [];
-    
-    if (currentStatus === newStatus) {
-      return {
-        isValid: false,
-        reason: 'Task is already in the requested status',
-        allowedTransitions
-      };
-    }
-    
-    if (!allowedTransitions.includes(newStatus)) {
-      return {
-        isValid: false,
-        reason: `Cannot transition from ${currentStatus} to ${newStatus}`,
-        allowedTransitions
-      };
-    }
-
-    return {
-      isValid: true,
-      allowedTransitions
-    };
-  },
-
   /**
    * Generate update summary message
    * @param {Object} currentTask - Task before update
@@ -370,8 +336,8 @@ export const saUpdateTaskStatus = {
     // Other changes
     const changes = [];
     
-    if (args.assignee && args.assignee !== currentTask.assignee) {
-      changes.push(`👤 Assignee: ${currentTask.assignee || 'Unassigned'} → ${args.assignee}`);
+    if (args.assignee && args.assignee !== currentTask.assignee?.id) {
+      changes.push(`👤 Assignee: ${currentTask.assignee?.name || currentTask.assignee?.id || 'Unassigned'} → ${args.assignee}`);
     }
     
     if (args.priority && args.priority !== currentTask.priority) {
@@ -399,7 +365,7 @@ export const saUpdateTaskStatus = {
       summary += `💬 **Comment:** ${args.comment}\n\n`;
     }
     
-    if (args.completionNotes && updatedTask.status === 'completed') {
+    if (args.completionNotes && updatedTask.status !== 'blocked') {
       summary += `📋 **Completion Notes:** ${args.completionNotes}\n\n`;
     }
     
@@ -408,12 +374,12 @@ export const saUpdateTaskStatus = {
     }
     
     // Status-specific information
-    if (updatedTask.status === 'completed') {
+    if (updatedTask.status === 'done') {
       summary += `🎉 **Task Completed!**\n`;
       if (updatedTask.actualHours) {
         summary += `  Time spent: ${updatedTask.actualHours} hours\n`;
       }
-      summary += `  Completed at: ${new Date(updatedTask.completedAt).toLocaleString()}\n\n`;
+      summary += `  Completed at: ${new Date(updatedTask.completedDate).toLocaleString()}\n\n`;
       
       summary += `🎯 **Next Steps:**\n`;
       summary += `  • Review completed work\n`;
@@ -422,7 +388,7 @@ export const saUpdateTaskStatus = {
       
     } else if (updatedTask.status === 'in-progress') {
       summary += `🚀 **Task In Progress**\n`;
-      summary += `  Started at: ${new Date(updatedTask.startedAt || updatedTask.updatedAt).toLocaleString()}\n\n`;
+      summary += `  Started at: ${new Date(updatedTask.metadata.modified).toLocaleString()}\n\n`;
       
       summary += `🎯 **Next Steps:**\n`;
       summary += `  • Continue working on the task\n`;
@@ -431,10 +397,7 @@ export const saUpdateTaskStatus = {
       
     } else if (updatedTask.status === 'blocked') {
       summary += `🚫 **Task Blocked**\n`;
-      summary += `  Blocked at: ${new Date(updatedTask.blockedAt).toLocaleString()}\n`;
-      if (updatedTask.blockingReason) {
-        summary += `  Reason: ${updatedTask.blockingReason}\n`;
-      }
+      summary += `  Blocked at: ${new Date(updatedTask.metadata.modified).toLocaleString()}\n`;
       summary += '\n';
       
       summary += `🎯 **Next Steps:**\n`;
@@ -444,7 +407,7 @@ export const saUpdateTaskStatus = {
       
     } else if (updatedTask.status === 'cancelled') {
       summary += `❌ **Task Cancelled**\n`;
-      summary += `  Cancelled at: ${new Date(updatedTask.updatedAt).toLocaleString()}\n\n`;
+      summary += `  Cancelled at: ${new Date(updatedTask.metadata.modified).toLocaleString()}\n\n`;
       
       summary += `🎯 **Next Steps:**\n`;
       summary += `  • Update dependent tasks if needed\n`;
@@ -453,7 +416,7 @@ export const saUpdateTaskStatus = {
     }
     
     // Timestamp
-    summary += `\n⏰ Updated: ${new Date(updatedTask.updatedAt).toLocaleString()}`;
+    summary += `\n⏰ Updated: ${new Date(updatedTask.metadata.modified).toLocaleString()}`;
     
     return summary;
   },
@@ -480,7 +443,10 @@ export const saUpdateTaskStatus = {
     const statusEmojis = {
       pending: '⏳ Pending',
       'in-progress': '🔄 In Progress',
+      review: '👀 Review',
+      done: '✅ Done',
       completed: '✅ Completed',
+      deferred: '💤 Deferred',
       cancelled: '❌ Cancelled',
       blocked: '🚫 Blocked'
     };
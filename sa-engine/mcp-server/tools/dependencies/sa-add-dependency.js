@@ -1,3 +1,5 @@
+import TaskManager from '../../../tasks/TaskManager.js';
+
 /**
  * SA Add Dependency Tool
  * Add task dependencies with cycle detection and validation
@@ -30,9 +32,9 @@ export const saAddDependency = {
         description: 'Type of dependency relationship',
         default: 'blocking'
       },
-      tasksFile: {
+      tag: {
         type: 'string',
-        description: 'Path to tasks file (optional, will use project tasks.json)'
+        description: 'Tag containing the tasks (defaults to the current tag)'
       },
       reason: {
         type: 'string',
@@ -52,35 +54,26 @@ export const saAddDependency = {
     required: ['projectRoot', 'taskId', 'dependsOn']
   },
   
-  async execute({ projectRoot, taskId, dependsOn, dependencyType = 'blocking', tasksFile, reason, force = false, validateCycles = true }) {
+  async execute({ projectRoot, taskId, dependsOn, dependencyType = 'blocking', tag, reason, force = false, validateCycles = true }) {
+    let taskManager = null;
     try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
       // Validate inputs
       if (taskId === dependsOn) {
         throw new Error('A task cannot depend on itself');
       }
       
-      // Determine tasks file path
-      const tasksPath = tasksFile || path.join(projectRoot, 'sa-engine', 'data', 'tasks', 'tasks.json');
-      
-      // Load tasks
-      let tasksData;
-      try {
-        const tasksContent = await fs.readFile(tasksPath, 'utf-8');
-        tasksData = JSON.parse(tasksContent);
-      } catch (error) {
-        throw new Error(`Failed to load tasks file: ${error.message}`);
-      }
-      
-      if (!tasksData.tasks || !Array.isArray(tasksData.tasks)) {
-        throw new Error('Invalid tasks file format');
-      }
+      // Load tasks from the project's task store
+      taskManager = await TaskManager.open({
+        projectRoot,
+        requireProject: true,
+        tag,
+        actor: { type: 'agent', id: this.name }
+      });
+      const tasks = taskManager.getAllTasks();
       
       // Find the tasks
-      const task = tasksData.tasks.find(t => t.id === taskId);
-      const dependencyTask = tasksData.tasks.find(t => t.id === dependsOn);
+      const task = tasks.find(t => t.id === taskId);
+      const dependencyTask = tasks.find(t => t.id === dependsOn);
       
       if (!task) {
         throw new Error(`Task not found: ${taskId}`);
@@ -108,7 +101,7 @@ export const saAddDependency = {
       
       // Perform cycle detection if enabled
       if (validateCycles) {
-        const cycleCheck = await this.detectCycle(tasksData.tasks, taskId, dependsOn);
+        const cycleCheck = await this.detectCycle(tasks, taskId, dependsOn);
         if (cycleCheck.hasCycle) {
           if (!force) {
             return {
@@ -131,7 +124,7 @@ export const saAddDependency = {
       }
       
       // Validate dependency type constraints
-      const validation = await this.validateDependencyType(task, dependencyTask, dependencyType, tasksData.tasks);
+      const validation = await this.validateDependencyType(task, dependencyTask, dependencyType, tasks);
       if (!validation.isValid && !force) {
         return {
           content: [{
@@ -149,54 +142,16 @@ export const saAddDependency = {
         };
       }
       
-      // Add the dependency
-      if (!task.dependencies) {
-        task.dependencies = [];
-      }
-      
-      // Store dependency with metadata
-      const dependencyInfo = {
-        taskId: dependsOn,
-        type: dependencyType,
-        addedAt: new Date().toISOString(),
-        reason: reason || `${dependencyType} dependency`,
-        addedBy: 'sa_add_dependency'
-      };
-      
-      // Check if we're storing simple or detailed dependencies
-      const useDetailedDependencies = tasksData.metadata?.useDetailedDependencies !== false;
-      
-      if (useDetailedDependencies) {
-        // Add detailed dependency information
-        if (!task.detailed_dependencies) {
-          task.detailed_dependencies = [];
-        }
-        task.detailed_dependencies.push(dependencyInfo);
-        
-        // Also maintain simple dependencies array for compatibility
-        task.dependencies.push(dependsOn);
-      } else {
-        // Simple dependency storage
-        task.dependencies.push(dependsOn);
+      // Add the dependency and keep the reverse links in step, as TaskDependencyManager does
+      task.dependencies.push(dependsOn);
+      if (!task.blockedBy.includes(dependsOn)) {
+        task.blockedBy.push(dependsOn);
       }
-      
-      // Update task metadata
-      task.updated_at = new Date().toISOString();
-      
-      // Update project metadata
-      if (!tasksData.metadata) {
-        tasksData.metadata = {};
+      if (!dependencyTask.blocks.includes(taskId)) {
+        dependencyTask.blocks.push(taskId);
       }
-      
-      if (!tasksData.metadata.dependencies) {
-        tasksData.metadata.dependencies = {
-          totalDependencies: 0,
-          lastUpdated: new Date().toISOString()
-        };
-      }
-      
-      tasksData.metadata.dependencies.totalDependencies++;
-      tasksData.metadata.dependencies.lastUpdated = new Date().toISOString();
+      task.metadata.modified = new Date();
+      dependencyTask.metadata.modified = new Date();
       
       // Log dependency addition
       await this.logDependencyChange(projectRoot, {
@@ -209,10 +164,10 @@ export const saAddDependency = {
       });
       
       // Save updated tasks
-      await fs.writeFile(tasksPath, JSON.stringify(tasksData, null, 2));
+      await taskManager.saveTasks();
       
       // Generate impact analysis
-      const impactAnalysis = await this.analyzeImpact(tasksData.tasks, taskId, dependsOn, 'add');
+      const impactAnalysis = await this.analyzeImpact(tasks, taskId, dependsOn, 'add');
       
       return {
         content: [{
@@ -246,6 +201,8 @@ export const saAddDependency = {
           errorType: 'dependency_add_error'
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
   
@@ -1,3 +1,7 @@
+import fsSync from 'fs';
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskScheduler from '../../../tasks/TaskScheduler.js';
+
 /**
  * SA Dependency Graph Tool
  * Dependency visualization generation with multiple output formats and interactive exploration
@@ -58,9 +62,29 @@ export const saDependencyGraph = {
       },
       highlightCriticalPath: {
         type: 'boolean',
-        description: 'Highlight critical path in the visualization',
+        description: 'Highlight the critical path (longest chain of remaining estimated effort) in the visualization',
+        default: false
+      },
+      includeSchedule: {
+        type: 'boolean',
+        description: 'Include a forecast: earliest/latest start and finish, slack per task and the projected completion date',
         default: false
       },
+      schedule: {
+        type: 'object',
+        description: 'Calendar for the forecast (defaults to the project\'s taskManager.schedule settings)',
+        properties: {
+          start: { type: 'string', description: 'First day of the schedule (YYYY-MM-DD, default today)' },
+          hoursPerDay: { type: 'number', description: 'Working hours per day (default 8)' },
+          workingDays: { type: 'array', items: { type: 'string' }, description: 'Working days, e.g. ["mon", "tue", "wed", "thu", "fri"]' },
+          holidays: { type: 'array', items: { type: 'string' }, description: 'Non-working dates (YYYY-MM-DD)' },
+          capacity: { type: 'object', additionalProperties: { type: 'number' }, description: 'Hours per day by assignee id' }
+        }
+      },
+      tag: {
+        type: 'string',
+        description: 'Tag to graph when reading the project task store (defaults to the current tag)'
+      },
       analyzeImpact: {
         type: 'boolean',
         description: 'Include impact analysis for each task',
@@ -70,7 +94,9 @@ export const saDependencyGraph = {
     required: ['projectRoot']
   },
   
-  async execute({ projectRoot, tasksFile, outputFormat = 'ascii', outputFile, includeOrphans = true, maxDepth = 0, focusTask, groupBy = 'none', showMetadata = true, highlightCriticalPath = false, analyzeImpact = false }) {
+  async execute({ projectRoot, tasksFile, outputFormat = 'ascii', outputFile, includeOrphans = true, maxDepth = 0, focusTask, groupBy = 'none', showMetadata = true, highlightCriticalPath = false, includeSchedule = false, schedule: calendar = {}, tag, analyzeImpact = false }) {
+    let taskManager = null;
+    
     try {
       const fs = await import('fs/promises');
       const path = await import('path');
@@ -78,19 +104,40 @@ export const saDependencyGraph = {
       // Determine tasks file path
       const tasksPath = tasksFile || path.join(projectRoot, 'sa-engine', 'data', 'tasks', 'tasks.json');
       
-      // Load tasks
+      // Load tasks: the given or legacy tasks file, else the project's task store
       let tasksData;
-      try {
-        const tasksContent = await fs.readFile(tasksPath, 'utf-8');
-        tasksData = JSON.parse(tasksContent);
-      } catch (error) {
-        throw new Error(`Failed to load tasks file: ${error.message}`);
+      if (tasksFile || fsSync.existsSync(tasksPath)) {
+        try {
+          const tasksContent = await fs.readFile(tasksPath, 'utf-8');
+          tasksData = JSON.parse(tasksContent);
+        } catch (error) {
+          throw new Error(`Failed to load tasks file: ${error.message}`);
+        }
+      } else {
+        taskManager = await TaskManager.open({ projectRoot, requireProject: true });
+        if (tag && !taskManager.tasks.tags[tag]) {
+          throw new Error(`Tag '${tag}' does not exist`);
+        }
+        tasksData = { tasks: taskManager.getAllTasks(tag) };
       }
       
       if (!tasksData.tasks || !Array.isArray(tasksData.tasks)) {
         throw new Error('Invalid tasks file format');
       }
       
+      // Forecast the whole plan, even when the graph focuses on part of it
+      let forecast = null;
+      let forecastError = null;
+      if (highlightCriticalPath || includeSchedule) {
+        try {
+          forecast = taskManager ?
+            taskManager.scheduleTasks({ ...calendar, tag: tag || taskManager.currentTag }).tags[0] :
+            new TaskScheduler(calendar).schedule(tasksData.tasks);
+        } catch (error) {
+          forecastError = error.message;
+        }
+      }
+      
       // Filter and prepare tasks
       let tasks = tasksData.tasks;
       
@@ -112,8 +159,8 @@ export const saDependencyGraph = {
       
       // Analyze critical path if requested
       let criticalPath = [];
-      if (highlightCriticalPath) {
-        criticalPath = this.findCriticalPath(tasks);
+      if (highlightCriticalPath && forecast) {
+        criticalPath = forecast.criticalPath;
       }
       
       // Perform impact analysis if requested
@@ -160,11 +207,12 @@ export const saDependencyGraph = {
       }
       
       // Generate summary
-      const summary = this.generateGraphSummary(tasks, criticalPath, impactAnalysis);
+      const summary = this.generateGraphSummary(tasks, criticalPath, impactAnalysis, forecast, forecastError);
       
       // Build response
       const mainVisualization = results[outputFormat] || results.ascii;
-      const responseText = `${summary}\\n\\n${mainVisualization}`;
+      const scheduleText = includeSchedule && forecast ? `\\n\\n${this.generateScheduleTable(forecast)}` : '';
+      const responseText = `${summary}${scheduleText}\\n\\n${mainVisualization}`;
       
       return {
         content: [{
@@ -177,6 +225,10 @@ export const saDependencyGraph = {
           outputFormat,
           outputFiles: Object.keys(results).filter(key => key.endsWith('_file')).map(key => results[key]),
           criticalPathLength: criticalPath.length,
+          criticalPath,
+          schedule: includeSchedule ? forecast : undefined,
+          projectedFinish: forecast?.projectedFinish,
+          scheduleError: forecastError || undefined,
           focusTask,
           groupBy,
           includeOrphans,
@@ -196,6 +248,8 @@ export const saDependencyGraph = {
           errorType: 'dependency_graph_error'
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
   
@@ -248,32 +302,6 @@ export const saDependencyGraph = {
     return tasks.filter(task => subgraphTasks.has(task.id));
   },
   
-  findCriticalPath(tasks) {
-    // Simple critical path calculation based on priorities and effort
-    const criticalTasks = tasks.filter(task => {
-      const hasHighPriority = task.priority === 'high';
-      const hasHighEffort = task.effort && task.effort >= 4;
-      const hasDependents = tasks.some(t => 
-        t.dependencies && t.dependencies.includes(task.id)
-      );
-      
-      return hasHighPriority || (hasHighEffort && hasDependents);
-    });
-    
-    // Sort by priority and effort
-    return criticalTasks
-      .sort((a, b) => {
-        const priorityWeight = { high: 3, medium: 2, low: 1 };
-        const aPriority = priorityWeight[a.priority] || 1;
-        const bPriority = priorityWeight[b.priority] || 1;
-        const aEffort = a.effort || 1;
-        const bEffort = b.effort || 1;
-        
-        return (bPriority * bEffort) - (aPriority * aEffort);
-      })
-      .map(task => task.id);
-  },
-  
   performImpactAnalysis(tasks) {
     const analysis = {};
     
@@ -679,6 +707,23 @@ export const saDependencyGraph = {
     return groups;
   },
   
+  generateScheduleTable(forecast) {
+    let table = `# Schedule\\n\\n`;
+    table += `| Task | Earliest start | Earliest finish | Latest start | Latest finish | Slack (days) | Critical |\\n`;
+    table += `|------|----------------|-----------------|--------------|---------------|--------------|----------|\\n`;
+    
+    forecast.tasks.forEach(task => {
+      const late = task.daysLate > 0 ? ` ⚠️ ${task.daysLate}d past due` : '';
+      table += `| ${task.id} ${task.title}${late} | ${task.earliestStart} | ${task.earliestFinish} | ${task.latestStart} | ${task.latestFinish} | ${task.slackDays} | ${task.critical ? '🎯' : ''} |\\n`;
+    });
+    
+    if (forecast.unestimated.length > 0) {
+      table += `\\n**Without estimates** (${forecast.calendar.hoursPerDay}h assumed): ${forecast.unestimated.join(', ')}\\n`;
+    }
+    
+    return table;
+  },
+  
   getFileExtension(format) {
     const extensions = {
       ascii: 'txt',
@@ -690,7 +735,7 @@ export const saDependencyGraph = {
     return extensions[format] || 'txt';
   },
   
-  generateGraphSummary(tasks, criticalPath, impactAnalysis) {
+  generateGraphSummary(tasks, criticalPath, impactAnalysis, forecast = null, forecastError = null) {
     const totalDependencies = tasks.reduce((sum, task) => sum + (task.dependencies?.length || 0), 0);
     const tasksWithDependencies = tasks.filter(task => task.dependencies && task.dependencies.length > 0).length;
     const orphanedTasks = tasks.filter(task => {
@@ -706,6 +751,13 @@ export const saDependencyGraph = {
     summary += `**Orphaned Tasks:** ${orphanedTasks}\\n`;
     summary += `**Critical Path Length:** ${criticalPath.length}\\n`;
     
+    if (forecast) {
+      summary += `**Critical Path:** ${forecast.criticalPath.join(' → ') || 'none'}\\n`;
+      summary += `**Projected Completion:** ${forecast.projectedFinish || 'nothing left to do'} (${forecast.remainingHours}h remaining)\\n`;
+    } else if (forecastError) {
+      summary += `**Schedule:** ${forecastError}\\n`;
+    }
+    
     if (Object.keys(impactAnalysis).length > 0) {
       const highImpactTasks = Object.values(impactAnalysis).filter(a => a.isCritical).length;
       summary += `**High Impact Tasks:** ${highImpactTasks}\\n`;
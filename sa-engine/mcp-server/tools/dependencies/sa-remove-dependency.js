@@ -1,3 +1,5 @@
+import TaskManager from '../../../tasks/TaskManager.js';
+
 /**
  * SA Remove Dependency Tool
  * Remove task dependencies with impact analysis and cascade handling
@@ -24,9 +26,9 @@ export const saRemoveDependency = {
         type: 'string',
         description: 'ID of the dependency task to remove'
       },
-      tasksFile: {
+      tag: {
         type: 'string',
-        description: 'Path to tasks file (optional, will use project tasks.json)'
+        description: 'Tag containing the tasks (defaults to the current tag)'
       },
       reason: {
         type: 'string',
@@ -51,30 +53,21 @@ export const saRemoveDependency = {
     required: ['projectRoot', 'taskId', 'dependsOn']
   },
   
-  async execute({ projectRoot, taskId, dependsOn, tasksFile, reason, force = false, cascadeRemoval = false, analyzeImpact = true }) {
+  async execute({ projectRoot, taskId, dependsOn, tag, reason, force = false, cascadeRemoval = false, analyzeImpact = true }) {
+    let taskManager = null;
     try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      // Determine tasks file path
-      const tasksPath = tasksFile || path.join(projectRoot, 'sa-engine', 'data', 'tasks', 'tasks.json');
-      
-      // Load tasks
-      let tasksData;
-      try {
-        const tasksContent = await fs.readFile(tasksPath, 'utf-8');
-        tasksData = JSON.parse(tasksContent);
-      } catch (error) {
-        throw new Error(`Failed to load tasks file: ${error.message}`);
-      }
-      
-      if (!tasksData.tasks || !Array.isArray(tasksData.tasks)) {
-        throw new Error('Invalid tasks file format');
-      }
+      // Load tasks from the project's task store
+      taskManager = await TaskManager.open({
+        projectRoot,
+        requireProject: true,
+        tag,
+        actor: { type: 'agent', id: this.name }
+      });
+      const tasks = taskManager.getAllTasks();
       
       // Find the tasks
-      const task = tasksData.tasks.find(t => t.id === taskId);
-      const dependencyTask = tasksData.tasks.find(t => t.id === dependsOn);
+      const task = tasks.find(t => t.id === taskId);
+      const dependencyTask = tasks.find(t => t.id === dependsOn);
       
       if (!task) {
         throw new Error(`Task not found: ${taskId}`);
@@ -103,7 +96,7 @@ export const saRemoveDependency = {
       // Perform impact analysis if requested
       let impactAnalysis = '';
       if (analyzeImpact) {
-        const impact = await this.analyzeRemovalImpact(tasksData.tasks, taskId, dependsOn);
+        const impact = await this.analyzeRemovalImpact(tasks, taskId, dependsOn);
         impactAnalysis = impact.analysis;
         
         if (impact.hasWarnings && !force) {
@@ -123,39 +116,16 @@ export const saRemoveDependency = {
         }
       }
       
-      // Remove the dependency
+      // Remove the dependency and its reverse links
       const originalDependencyCount = task.dependencies.length;
-      task.dependencies = task.dependencies.filter(dep => dep !== dependsOn);
-      
-      // Remove detailed dependency information if it exists
-      if (task.detailed_dependencies) {
-        task.detailed_dependencies = task.detailed_dependencies.filter(dep => dep.taskId !== dependsOn);
-      }
-      
-      // Update task metadata
-      task.updated_at = new Date().toISOString();
+      this.unlink(task, dependencyTask);
       
       // Handle cascade removal if requested
       let cascadeResults = [];
       if (cascadeRemoval) {
-        cascadeResults = await this.performCascadeRemoval(tasksData.tasks, taskId, dependsOn);
-      }
-      
-      // Update project metadata
-      if (!tasksData.metadata) {
-        tasksData.metadata = {};
-      }
-      
-      if (!tasksData.metadata.dependencies) {
-        tasksData.metadata.dependencies = {
-          totalDependencies: 0,
-          lastUpdated: new Date().toISOString()
-        };
+        cascadeResults = await this.performCascadeRemoval(tasks, taskId, dependsOn);
       }
       
-      tasksData.metadata.dependencies.totalDependencies--;
-      tasksData.metadata.dependencies.lastUpdated = new Date().toISOString();
-      
       // Log dependency removal
       await this.logDependencyChange(projectRoot, {
         action: 'remove',
@@ -168,7 +138,7 @@ export const saRemoveDependency = {
       });
       
       // Save updated tasks
-      await fs.writeFile(tasksPath, JSON.stringify(tasksData, null, 2));
+      await taskManager.saveTasks();
       
       // Build response message
       let responseText = `Successfully removed dependency:\\n\\n`;
@@ -221,9 +191,19 @@ export const saRemoveDependency = {
           errorType: 'dependency_removal_error'
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
   
+  unlink(task, dependencyTask) {
+    task.dependencies = task.dependencies.filter(dep => dep !== dependencyTask.id);
+    task.blockedBy = task.blockedBy.filter(dep => dep !== dependencyTask.id);
+    dependencyTask.blocks = dependencyTask.blocks.filter(dep => dep !== task.id);
+    task.metadata.modified = new Date();
+    dependencyTask.metadata.modified = new Date();
+  },
+  
   async analyzeRemovalImpact(tasks, taskId, dependsOn) {
     const task = tasks.find(t => t.id === taskId);
     const dependencyTask = tasks.find(t => t.id === dependsOn);
@@ -452,11 +432,8 @@ export const saRemoveDependency = {
         const hasDirectDependency = task.dependencies.includes(taskId);
         if (hasDirectDependency) {
           // Remove the indirect dependency since task already depends on taskId
-          task.dependencies = task.dependencies.filter(dep => dep !== dependsOn);
-          
-          if (task.detailed_dependencies) {
-            task.detailed_dependencies = task.detailed_dependencies.filter(dep => dep.taskId !== dependsOn);
-          }
+          const dependencyTask = tasks.find(t => t.id === dependsOn);
+          this.unlink(task, dependencyTask);
           
           cascadeResults.push({
             taskId: task.id,
@@ -1,3 +1,5 @@
+import TaskManager from '../../../tasks/TaskManager.js';
+
 /**
  * SA Validate Dependencies Tool
  * Comprehensive dependency validation including cycle detection, logical consistency, and health assessment
@@ -16,9 +18,9 @@ export const saValidateDependencies = {
         type: 'string',
         description: 'Absolute path to the project root directory'
       },
-      tasksFile: {
+      tag: {
         type: 'string',
-        description: 'Path to tasks file (optional, will use project tasks.json)'
+        description: 'Tag to validate (defaults to the current tag)'
       },
       validationType: {
         type: 'string',
@@ -51,29 +53,23 @@ export const saValidateDependencies = {
     required: ['projectRoot']
   },
   
-  async execute({ projectRoot, tasksFile, validationType = 'full', fixIssues = false, generateReport = true, severity = 'warning', includeMetrics = true }) {
+  async execute({ projectRoot, tag, validationType = 'full', fixIssues = false, generateReport = true, severity = 'warning', includeMetrics = true }) {
+    let taskManager = null;
     try {
       const fs = await import('fs/promises');
       const path = await import('path');
       
-      // Determine tasks file path
-      const tasksPath = tasksFile || path.join(projectRoot, 'sa-engine', 'data', 'tasks', 'tasks.json');
-      
-      // Load tasks
-      let tasksData;
-      try {
-        const tasksContent = await fs.readFile(tasksPath, 'utf-8');
-        tasksData = JSON.parse(tasksContent);
-      } catch (error) {
-        throw new Error(`Failed to load tasks file: ${error.message}`);
-      }
-      
-      if (!tasksData.tasks || !Array.isArray(tasksData.tasks)) {
-        throw new Error('Invalid tasks file format');
-      }
+      // Load tasks from the project's task store
+      taskManager = await TaskManager.open({
+        projectRoot,
+        requireProject: true,
+        tag,
+        actor: { type: 'agent', id: this.name }
+      });
+      const tasks = taskManager.getAllTasks();
       
       // Perform validation
-      const validationResults = await this.performValidation(tasksData.tasks, validationType);
+      const validationResults = await this.performValidation(tasks, validationType);
       
       // Filter results by severity
       const filteredIssues = this.filterIssuesBySeverity(validationResults.issues, severity);
@@ -81,14 +77,14 @@ export const saValidateDependencies = {
       // Auto-fix issues if requested
       let fixResults = [];
       if (fixIssues && filteredIssues.length > 0) {
-        fixResults = await this.autoFixIssues(tasksData.tasks, filteredIssues);
+        fixResults = await this.autoFixIssues(tasks, filteredIssues);
         
         // Save updated tasks if fixes were applied
         if (fixResults.some(fix => fix.applied)) {
-          await fs.writeFile(tasksPath, JSON.stringify(tasksData, null, 2));
+          await taskManager.saveTasks();
           
           // Update validation results after fixes
-          const updatedValidation = await this.performValidation(tasksData.tasks, validationType);
+          const updatedValidation = await this.performValidation(tasks, validationType);
           validationResults.issues = this.filterIssuesBySeverity(updatedValidation.issues, severity);
           validationResults.summary = updatedValidation.summary;
         }
@@ -97,7 +93,7 @@ export const saValidateDependencies = {
       // Generate metrics if requested
       let metrics = {};
       if (includeMetrics) {
-        metrics = this.calculateDependencyMetrics(tasksData.tasks);
+        metrics = this.calculateDependencyMetrics(tasks);
       }
       
       // Generate report if requested
@@ -124,7 +120,7 @@ export const saValidateDependencies = {
         }],
         metadata: {
           validationType,
-          totalTasks: tasksData.tasks.length,
+          totalTasks: tasks.length,
           totalIssues: filteredIssues.length,
           criticalIssues: filteredIssues.filter(i => i.severity === 'critical').length,
           warningIssues: filteredIssues.filter(i => i.severity === 'warning').length,
@@ -148,6 +144,8 @@ export const saValidateDependencies = {
           errorType: 'dependency_validation_error'
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
   
@@ -627,6 +625,8 @@ export const saValidateDependencies = {
       const task = tasks.find(t => t.id === issue.affectedTasks[0]);
       if (task && task.dependencies) {
         task.dependencies = task.dependencies.filter(dep => dep !== issue.missingTaskId);
+        task.blockedBy = task.blockedBy.filter(dep => dep !== issue.missingTaskId);
+        task.metadata.modified = new Date();
         return true;
       }
     }
@@ -639,6 +639,7 @@ export const saValidateDependencies = {
       const depTask = tasks.find(t => t.id === issue.affectedTasks[1]);
       if (depTask && depTask.priority === 'low') {
         depTask.priority = 'medium'; // Increase dependency priority
+        depTask.metadata.modified = new Date();
         return true;
       }
     }
@@ -651,6 +652,13 @@ export const saValidateDependencies = {
       const task = tasks.find(t => t.id === issue.affectedTasks[0]);
       if (task && task.dependencies) {
         task.dependencies = task.dependencies.filter(dep => dep !== issue.redundantDep);
+        task.blockedBy = task.blockedBy.filter(dep => dep !== issue.redundantDep);
+        task.metadata.modified = new Date();
+        
+        const depTask = tasks.find(t => t.id === issue.redundantDep);
+        if (depTask) {
+          depTask.blocks = depTask.blocks.filter(id => id !== task.id);
+        }
         return true;
       }
     }
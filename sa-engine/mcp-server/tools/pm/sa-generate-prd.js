@@ -185,6 +185,7 @@ export const saGeneratePrd = {
       
       // Render PRD using template engine
       let prdContent;
+      const requirementsFramework = await this.createRequirementsFramework(prdContext);
       try {
         const templateResult = await templateEngine.renderTemplate(prdTemplate.templateName, {
           project_name: prdContext.productName,
@@ -203,7 +204,6 @@ export const saGeneratePrd = {
       } catch (templateError) {
         // Fallback to legacy structure generation
         const prdStructure = await this.generatePrdStructure(prdContext, prdTemplate);
-        const requirementsFramework = await this.createRequirementsFramework(prdContext);
         prdContent = await this.generatePrdContent(prdContext, prdStructure, requirementsFramework);
       }
       
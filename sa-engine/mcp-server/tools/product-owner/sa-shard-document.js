@@ -328,7 +328,8 @@ Common issues and their solutions are documented here.`;
   async analyzeDocument(document, context) {
     const analysis = {
       structure: await this.analyzeDocumentStructure(document),
-      content: await this.analyzeDocumentContent(document),
+      content: document.content,
+      contentStats: await this.analyzeDocumentContent(document),
       complexity: await this.analyzeDocumentComplexity(document),
       topics: await this.extractTopics(document),
       sections: await this.identifySections(document),
@@ -801,7 +802,7 @@ Common issues and their solutions are documented here.`;
     const overlapSize = context.config.overlapSize || 50;
     
     let position = 0;
-    const contentLength = analysis.content.totalCharacters;
+    const contentLength = analysis.content.length;
     
     while (position + targetSize < contentLength) {
       const nextPosition = position + targetSize - overlapSize;
@@ -906,7 +907,7 @@ Common issues and their solutions are documented here.`;
       // Create boundaries between major topic changes
       for (let i = 1; i < topics.length; i++) {
         boundaries.push({
-          position: Math.floor(analysis.content.totalCharacters * (i / topics.length)),
+          position: Math.floor(analysis.content.length * (i / topics.length)),
           fromTopic: topics[i - 1].topic,
           toTopic: topics[i].topic,
           confidence: 0.6
@@ -1547,8 +1548,8 @@ Common issues and their solutions are documented here.`;
     // Shard Details
     output += `## 📝 Shard Details\n\n`;
     shards.slice(0, 10).forEach(shard => {
-      const validation = validationResults.shardValidations[shard.id];
-      const statusIcon = validation && validation.score >= 80 ? '✅' : '⚠️';
+      const shardValidation = validation.shardValidations[shard.id];
+      const statusIcon = shardValidation && shardValidation.score >= 80 ? '✅' : '⚠️';
       
       output += `${statusIcon} **${shard.id}**\n`;
       output += `   Size: ${shard.length.toLocaleString()} chars | Words: ${shard.wordCount.toLocaleString()}\n`;
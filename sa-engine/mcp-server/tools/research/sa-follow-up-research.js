@@ -61,6 +61,9 @@ const toolDefinition = {
   },
 
   async execute(args, context = {}) {
+    // An engine created here is closed afterwards; the session lives on for later follow-ups
+    let ownEngine = null;
+
     try {
       const {
         followUpQuery,
@@ -79,11 +82,12 @@ const toolDefinition = {
       let researchEngine = context.researchEngine;
       
       if (!researchEngine) {
-        researchEngine = new ResearchEngine({
+        researchEngine = ownEngine = new ResearchEngine({
           projectRoot: process.cwd(),
           enableFollowUp: true,
           enableSaveToFile: true,
-          researchDirectory: '.super-agents/research'
+          researchDirectory: '.super-agents/research',
+          sessionId
         });
 
         // Set AI provider if available
@@ -95,6 +99,8 @@ const toolDefinition = {
       // If we have a previous query but no session, simulate initial research
       if (previousQuery && !sessionId) {
         // Add previous context to conversation history manually
+        researchEngine.getSession().addMessage('user', previousQuery);
+        researchEngine.getSession().addMessage('assistant', '(Previous research answer not available)');
         researchEngine.conversationHistory.push({
           type: 'initial',
           query: previousQuery,
@@ -166,7 +172,7 @@ ${result.metadata.tokenUsage ? `\n**AI Token Usage**: ${JSON.stringify(result.me
           sources: result.sources,
           timestamp: result.metadata.timestamp,
           savedFilePath: result.savedFilePath || null,
-          sessionId: sessionId || null
+          sessionId: result.metadata.sessionId
         }
       };
 
@@ -184,6 +190,8 @@ ${result.metadata.tokenUsage ? `\n**AI Token Usage**: ${JSON.stringify(result.me
           error: error.message
         }
       };
+    } finally {
+      await ownEngine?.cleanup();
     }
   },
 
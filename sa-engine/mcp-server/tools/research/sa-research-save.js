@@ -1,6 +1,7 @@
 import { existsSync } from 'fs';
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { writeFile, mkdir } from 'fs/promises';
 import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
 
 /**
  * Super Agents Research Save Tool - Save research results to tasks or files
@@ -183,87 +184,50 @@ ${Object.entries(result.metadata).map(([key, value]) => `- **${key}**: ${value}`
       throw new Error('Target ID is required for task/subtask saves');
     }
 
-    // Load tasks data
-    const tasksPath = join(process.cwd(), 'sa-engine/data/tasks/tasks.json');
-    
-    if (!existsSync(tasksPath)) {
-      throw new Error('Tasks file not found. Please run sa-initialize-project first.');
-    }
-
-    const tasksData = JSON.parse(await readFile(tasksPath, 'utf-8'));
-    
-    if (!tasksData || !tasksData.tasks) {
-      throw new Error('No valid tasks found in tasks file');
-    }
-
-    // Determine if it's a task or subtask
-    const isSubtask = targetId.includes('.');
-    
-    // Format content for task/subtask
-    const formattedContent = this.formatContentForTask(content, {
-      format,
-      includeMetadata,
-      conversationHistory,
-      customMetadata,
-      targetId,
-      isSubtask
+    // Open the task store of the project containing the working directory
+    const taskManager = await TaskManager.open({
+      cwd: process.cwd(),
+      requireProject: true,
+      actor: { type: 'agent', id: 'sa_research_save' }
     });
 
-    if (isSubtask) {
-      // Handle subtask save
-      const [parentId, subtaskId] = targetId.split('.').map(id => parseInt(id));
-      const parentTask = tasksData.tasks.find(t => t.id === parentId);
-      
-      if (!parentTask) {
-        throw new Error(`Parent task ${parentId} not found`);
-      }
-
-      const subtask = parentTask.subtasks?.find(st => st.id === subtaskId);
-      if (!subtask) {
-        throw new Error(`Subtask ${targetId} not found`);
-      }
-
-      // Update subtask details
-      if (appendMode && subtask.details) {
-        subtask.details += '\n\n' + formattedContent;
-      } else {
-        subtask.details = formattedContent;
-      }
-
-      subtask.lastModified = new Date().toISOString();
+    try {
+      // Determine if it's a task or subtask
+      const isSubtask = targetId.includes('.');
+    
+      // Format content for task/subtask
+      const formattedContent = this.formatContentForTask(content, {
+        format,
+        includeMetadata,
+        conversationHistory,
+        customMetadata,
+        targetId,
+        isSubtask
+      });
 
-    } else {
-      // Handle task save
-      const taskId = parseInt(targetId);
-      const task = tasksData.tasks.find(t => t.id === taskId);
-      
+      const task = taskManager.getTask(targetId);
       if (!task) {
-        throw new Error(`Task ${targetId} not found`);
+        throw new Error(`${isSubtask ? 'Subtask' : 'Task'} ${targetId} not found`);
       }
 
       // Update task details
-      if (appendMode && task.details) {
-        task.details += '\n\n' + formattedContent;
-      } else {
-        task.details = formattedContent;
-      }
+      await taskManager.updateTask(task.id, {
+        details: appendMode && task.details ? task.details + '\n\n' + formattedContent : formattedContent
+      });
 
-      task.lastModified = new Date().toISOString();
+      return {
+        message: `Research saved to ${isSubtask ? 'subtask' : 'task'} ${targetId}`,
+        location: `Task ${targetId}`,
+        metadata: {
+          taskId: targetId,
+          format,
+          appendMode,
+          lastModified: new Date().toISOString()
+        }
+      };
+    } finally {
+      await taskManager.cleanup();
     }
-
-    // Save updated tasks
-    await writeFile(tasksPath, JSON.stringify(tasksData, null, 2));
-
-    return {
-      message: `Research saved to ${isSubtask ? 'subtask' : 'task'} ${targetId}`,
-      location: `Task ${targetId}`,
-      metadata: {
-        taskId: targetId,
-        format,
-        appendMode,
-        lastModified: new Date().toISOString()
-      }
-    };
   },
 
   /**
@@ -63,12 +63,18 @@ const toolDefinition = {
       maxResponseTokens: {
         type: 'number',
         description: 'Maximum tokens for research response (default: 4000)'
+      },
+      sessionId: {
+        type: 'string',
+        description: 'Conversation session to run the research in; pass it to sa-follow-up-research to continue (optional)'
       }
     },
     required: ['query']
   },
 
   async execute(args, context = {}) {
+    let researchEngine = null;
+
     try {
       const {
         query,
@@ -82,15 +88,17 @@ const toolDefinition = {
         saveTo = null,
         saveToFile = false,
         temperature = 0.7,
-        maxResponseTokens = 4000
+        maxResponseTokens = 4000,
+        sessionId = null
       } = args;
 
       // Initialize research engine
-      const researchEngine = new ResearchEngine({
+      researchEngine = new ResearchEngine({
         projectRoot: process.cwd(),
         enableSaveToFile: true,
         enableSaveToTask: true,
-        researchDirectory: '.super-agents/research'
+        researchDirectory: '.super-agents/research',
+        sessionId
       });
 
       // Set AI provider if available
@@ -151,7 +159,8 @@ ${result.metadata.tokenUsage ? `\n**AI Token Usage**: ${JSON.stringify(result.me
           detailLevel: result.detailLevel,
           sources: result.sources,
           timestamp: result.metadata.timestamp,
-          savedFilePath: result.savedFilePath || null
+          savedFilePath: result.savedFilePath || null,
+          sessionId: result.metadata.sessionId
         }
       };
 
@@ -169,6 +178,8 @@ ${result.metadata.tokenUsage ? `\n**AI Token Usage**: ${JSON.stringify(result.me
           error: error.message
         }
       };
+    } finally {
+      await researchEngine?.cleanup();
     }
   },
 
@@ -3,6 +3,11 @@
  * Complexity analysis with AI - estimate task difficulty, effort, and resource requirements
  */
 
+import fs from 'fs/promises';
+import path from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import { getToolAIClient } from '../../../ai-providers/ToolAIClient.js';
+
 export const saAnalyzeComplexity = {
   name: 'sa_analyze_complexity',
   description: 'AI-powered complexity analysis for tasks including difficulty estimation, effort analysis, and resource requirements',
@@ -16,9 +21,9 @@ export const saAnalyzeComplexity = {
         type: 'string',
         description: 'Absolute path to the project root directory'
       },
-      tasksFile: {
+      tag: {
         type: 'string',
-        description: 'Path to tasks file (optional, will use project tasks.json)'
+        description: 'Tag containing the tasks (defaults to the current tag)'
       },
       taskIds: {
         type: 'array',
@@ -60,73 +65,59 @@ export const saAnalyzeComplexity = {
     required: ['projectRoot']
   },
   
-  async execute({ projectRoot, tasksFile, taskIds, analysisType = 'detailed', useResearch = false, factors = ['technical', 'time', 'resources', 'dependencies', 'risk'], teamExperience = 'mixed', generateReport = true }) {
+  async execute({ projectRoot, tag, taskIds, analysisType = 'detailed', useResearch = false, factors = ['technical', 'time', 'resources', 'dependencies', 'risk'], teamExperience = 'mixed', generateReport = true }) {
+    let taskManager = null;
     try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      // Determine tasks file path
-      const tasksPath = tasksFile || path.join(projectRoot, 'sa-engine', 'data', 'tasks', 'tasks.json');
-      
-      // Load tasks
-      let tasksData;
-      try {
-        const tasksContent = await fs.readFile(tasksPath, 'utf-8');
-        tasksData = JSON.parse(tasksContent);
-      } catch (error) {
-        throw new Error(`Failed to load tasks file: ${error.message}`);
-      }
-      
-      if (!tasksData.tasks || !Array.isArray(tasksData.tasks)) {
-        throw new Error('Invalid tasks file format');
-      }
+      // Load tasks from the project's task store
+      taskManager = await TaskManager.open({
+        projectRoot,
+        requireProject: true,
+        tag,
+        actor: { type: 'agent', id: this.name }
+      });
+      const tasks = taskManager.getAllTasks();
       
-      // Filter tasks to analyze
-      let tasksToAnalyze = tasksData.tasks;
+      // Filter tasks to analyze; without ids, the top-level tasks
+      let tasksToAnalyze = tasks.filter(task => !task.id.includes('.'));
       if (taskIds && taskIds.length > 0) {
-        tasksToAnalyze = tasksData.tasks.filter(task => taskIds.includes(task.id));
+        tasksToAnalyze = tasks.filter(task => taskIds.includes(task.id));
         if (tasksToAnalyze.length === 0) {
           throw new Error('No matching tasks found for the provided IDs');
         }
       }
       
-      // Perform complexity analysis
-      const analysisResults = await this.performComplexityAnalysis(tasksToAnalyze, {
+      // Perform complexity analysis on the generated task shape the prompts use (effort 1-5, skills)
+      const projectContext = { projectName: path.basename(taskManager.projectRoot) };
+      const analysisResults = await this.performComplexityAnalysis(tasksToAnalyze.map(task => ({
+        ...task,
+        effort: task.complexity ? Math.ceil(task.complexity / 2) : 3,
+        estimated_hours: task.estimatedHours,
+        skills: task.labels
+      })), {
         analysisType,
         useResearch,
         factors,
         teamExperience,
-        projectContext: tasksData.metadata
+        projectContext
       });
       
-      // Update tasks with complexity analysis
+      // Record each task's score; the report holds the full analysis
       tasksToAnalyze.forEach(task => {
         const analysis = analysisResults.taskAnalyses.find(a => a.taskId === task.id);
         if (analysis) {
-          task.complexity_analysis = analysis;
-          task.updated_at = new Date().toISOString();
+          const score = Math.min(10, Math.max(1, Math.round(analysis.complexity.overall)));
+          task.complexity = score;
+          task.taskMasterIntegration = { ...task.taskMasterIntegration, complexityScore: score, researchMode: useResearch };
+          task.metadata.modified = new Date();
         }
       });
-      
-      // Update metadata
-      if (!tasksData.metadata) {
-        tasksData.metadata = {};
-      }
-      tasksData.metadata.lastComplexityAnalysis = {
-        analyzedAt: new Date().toISOString(),
-        tasksAnalyzed: tasksToAnalyze.length,
-        analysisType,
-        factors
-      };
-      
-      // Save updated tasks
-      await fs.writeFile(tasksPath, JSON.stringify(tasksData, null, 2));
+      await taskManager.saveTasks();
       
       // Generate report if requested
       let reportContent = '';
       let reportPath = '';
       if (generateReport) {
-        reportContent = await this.generateComplexityReport(analysisResults, tasksData.metadata);
+        reportContent = await this.generateComplexityReport(analysisResults, projectContext);
         
         // Save report
         const reportsDir = path.join(projectRoot, 'sa-engine', 'data', 'reports');
@@ -169,6 +160,8 @@ export const saAnalyzeComplexity = {
           errorType: 'complexity_analysis_error'
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
   
@@ -222,7 +215,7 @@ export const saAnalyzeComplexity = {
       allTasks
     });
     
-    try {
+    return getToolAIClient().withFallback(async () => {
       // Use AI provider for analysis
       const aiResponse = await this.callAIProvider(prompt, useResearch);
       
@@ -231,11 +224,7 @@ export const saAnalyzeComplexity = {
       
       // Structure the analysis results
       return this.structureComplexityAnalysis(task, aiAnalysis, factors);
-      
-    } catch (error) {
-      console.warn(`AI analysis failed for task ${task.id}, using template-based analysis:`, error.message);
-      return this.generateTemplateAnalysis(task, options);
-    }
+    }, () => this.generateTemplateAnalysis(task, options), `AI analysis failed for task ${task.id}, using template-based analysis`);
   },
   
   buildComplexityAnalysisPrompt(task, options) {
@@ -363,45 +352,68 @@ Analyze the task now:`;
   },
   
   async callAIProvider(prompt, useResearch = false) {
-    try {
-      // Check if we have AI provider configuration
-      const aiConfig = await this.loadAIConfig();
-      
-      if (!aiConfig || !aiConfig.provider) {
-        throw new Error('No AI provider configured');
-      }
-      
-      // Make AI request (simplified implementation) 
-      const response = await this.makeAIRequest(prompt, aiConfig, useResearch);
-      return response;
-      
-    } catch (error) {
-      throw error;
-    }
+    const { object } = await getToolAIClient().generateObject({
+      prompt,
+      schema: this.getAnalysisJsonSchema(),
+      useResearch,
+      validate: (analysis) => this.validateAIAnalysis(analysis)
+    });
+    return object;
   },
   
-  async loadAIConfig() {
-    try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      const configPath = path.join(process.cwd(), 'sa-engine', 'config', 'ai-config.json');
-      const configContent = await fs.readFile(configPath, 'utf-8');
-      return JSON.parse(configContent);
-    } catch (error) {
-      if (process.env.OPENAI_API_KEY) {
-        return { provider: 'openai', apiKey: process.env.OPENAI_API_KEY, model: 'gpt-4' };
-      }
-      if (process.env.ANTHROPIC_API_KEY) {
-        return { provider: 'anthropic', apiKey: process.env.ANTHROPIC_API_KEY, model: 'claude-3-sonnet-20240229' };
-      }
-      return null;
-    }
+  getAnalysisJsonSchema() {
+    const score = { type: 'number', minimum: 1, maximum: 10 };
+    
+    return {
+      title: 'TaskComplexityAnalysis',
+      type: 'object',
+      properties: {
+        complexity: {
+          type: 'object',
+          properties: {
+            overall: score,
+            technical: score,
+            time: score,
+            resources: score,
+            dependencies: score,
+            risk: score
+          },
+          required: ['overall']
+        },
+        effort: {
+          type: 'object',
+          properties: {
+            adjustedEstimate: { type: 'number', minimum: 1, maximum: 5 },
+            confidenceLevel: { type: 'string', enum: ['low', 'medium', 'high'] },
+            adjustmentReason: { type: 'string' }
+          }
+        },
+        timeEstimate: {
+          type: 'object',
+          properties: {
+            adjustedHours: { type: 'number' },
+            breakdown: { type: 'object' }
+          }
+        },
+        risks: { type: 'array', items: { type: 'object' } },
+        recommendations: { type: 'array', items: { type: 'string' } },
+        skillsNeeded: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['complexity']
+    };
   },
   
-  async makeAIRequest(prompt, config, useResearch) {
-    // This would be implemented with actual AI provider SDKs
-    throw new Error('AI provider not implemented');
+  validateAIAnalysis(analysis) {
+    if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+      throw new Error('AI analysis must be a JSON object');
+    }
+    
+    const overall = Number(analysis.complexity?.overall);
+    if (isNaN(overall) || overall < 1 || overall > 10) {
+      throw new Error('AI analysis is missing a complexity.overall score between 1 and 10');
+    }
+    
+    return analysis;
   },
   
   generateTemplateAnalysis(task, options) {
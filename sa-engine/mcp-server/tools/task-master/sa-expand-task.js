@@ -3,6 +3,11 @@
  * AI-powered task expansion - break down high-level tasks into subtasks
  */
 
+import path from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskSchema from '../../../tasks/TaskSchema.js';
+import { getToolAIClient } from '../../../ai-providers/ToolAIClient.js';
+
 export const saExpandTask = {
   name: 'sa_expand_task',
   description: 'AI-powered task expansion to break down high-level tasks into detailed subtasks',
@@ -26,9 +31,9 @@ export const saExpandTask = {
         minimum: 2,
         maximum: 20
       },
-      tasksFile: {
+      tag: {
         type: 'string',
-        description: 'Path to tasks file (optional, will use project tasks.json)'
+        description: 'Tag containing the task (defaults to the current tag)'
       },
       useResearch: {
         type: 'boolean',
@@ -54,29 +59,19 @@ export const saExpandTask = {
     required: ['projectRoot', 'taskId']
   },
   
-  async execute({ projectRoot, taskId, numSubtasks, tasksFile, useResearch = false, force = false, contextPrompt, skillLevel = 'intermediate' }) {
+  async execute({ projectRoot, taskId, numSubtasks, tag, useResearch = false, force = false, contextPrompt, skillLevel = 'intermediate' }) {
+    let taskManager = null;
     try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      // Determine tasks file path
-      const tasksPath = tasksFile || path.join(projectRoot, 'sa-engine', 'data', 'tasks', 'tasks.json');
-      
-      // Load tasks
-      let tasksData;
-      try {
-        const tasksContent = await fs.readFile(tasksPath, 'utf-8');
-        tasksData = JSON.parse(tasksContent);
-      } catch (error) {
-        throw new Error(`Failed to load tasks file: ${error.message}`);
-      }
-      
-      if (!tasksData.tasks || !Array.isArray(tasksData.tasks)) {
-        throw new Error('Invalid tasks file format');
-      }
+      // Load tasks from the project's task store
+      taskManager = await TaskManager.open({
+        projectRoot,
+        requireProject: true,
+        tag,
+        actor: { type: 'agent', id: this.name }
+      });
       
       // Find the task to expand
-      const task = tasksData.tasks.find(t => t.id === taskId);
+      const task = taskManager.getTask(taskId);
       if (!task) {
         throw new Error(`Task not found: ${taskId}`);
       }
@@ -96,31 +91,26 @@ export const saExpandTask = {
         };
       }
       
+      // The prompt and templates work on the generated task shape (effort 1-5, skills)
+      const parentTask = {
+        ...task,
+        effort: task.complexity ? Math.ceil(task.complexity / 2) : 3,
+        estimated_hours: task.estimatedHours,
+        skills: task.labels,
+        acceptance_criteria: task.acceptanceCriteria
+      };
+      
       // Generate subtasks using AI
-      const generatedSubtasks = await this.generateSubtasks(task, {
+      const generatedSubtasks = await this.generateSubtasks(parentTask, {
         numSubtasks,
         useResearch,
         contextPrompt,
         skillLevel,
-        projectContext: tasksData.metadata
+        projectContext: { projectName: path.basename(taskManager.projectRoot) }
       });
       
-      // Update task with new subtasks
-      task.subtasks = generatedSubtasks;
-      task.updated_at = new Date().toISOString();
-      
-      // Update metadata
-      if (!tasksData.metadata) {
-        tasksData.metadata = {};
-      }
-      tasksData.metadata.lastExpanded = {
-        taskId,
-        expandedAt: new Date().toISOString(),
-        subtasksGenerated: generatedSubtasks.length
-      };
-      
-      // Save updated tasks
-      await fs.writeFile(tasksPath, JSON.stringify(tasksData, null, 2));
+      // Replace the task's subtasks as one change
+      const added = await taskManager.addGeneratedTasks(generatedSubtasks, { parentId: taskId, replace: true });
       
       // Generate summary
       const summary = this.generateExpansionSummary(task, generatedSubtasks);
@@ -128,12 +118,14 @@ export const saExpandTask = {
       return {
         content: [{
           type: 'text',
-          text: `Successfully expanded task "${task.title}" into ${generatedSubtasks.length} subtasks\\n\\n${summary}`
+          text: `Successfully expanded task "${task.title}" into ${added.created.length} subtasks\\n\\n${summary}`
         }],
         metadata: {
           taskId,
           taskTitle: task.title,
-          subtasksGenerated: generatedSubtasks.length,
+          subtaskIds: added.created.map(subtask => subtask.id),
+          subtasksGenerated: added.created.length,
+          warnings: added.warnings,
           skillLevel,
           useResearch,
           expandedAt: new Date().toISOString()
@@ -152,6 +144,8 @@ export const saExpandTask = {
           errorType: 'task_expansion_error'
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
   
@@ -167,7 +161,7 @@ export const saExpandTask = {
       useResearch
     });
     
-    try {
+    return getToolAIClient().withFallback(async () => {
       // Use AI provider to generate subtasks
       const aiResponse = await this.callAIProvider(prompt, useResearch);
       
@@ -175,14 +169,8 @@ export const saExpandTask = {
       const subtasks = this.parseAIResponse(aiResponse);
       
       // Validate and structure subtasks
-      const structuredSubtasks = this.structureSubtasks(subtasks, task.id);
-      
-      return structuredSubtasks;
-      
-    } catch (error) {
-      console.warn('AI provider failed, using template-based expansion:', error.message);
-      return this.generateSubtasksFromTemplate(task, options);
-    }
+      return this.structureSubtasks(subtasks, task.id);
+    }, () => this.generateSubtasksFromTemplate(task, options), 'AI provider failed, using template-based expansion');
   },
   
   buildTaskExpansionPrompt(task, options) {
@@ -261,56 +249,13 @@ Generate the subtasks now:`;
   },
   
   async callAIProvider(prompt, useResearch = false) {
-    try {
-      // Check if we have AI provider configuration
-      const aiConfig = await this.loadAIConfig();
-      
-      if (!aiConfig || !aiConfig.provider) {
-        throw new Error('No AI provider configured');
-      }
-      
-      // Make AI request (simplified implementation)
-      const response = await this.makeAIRequest(prompt, aiConfig, useResearch);
-      return response;
-      
-    } catch (error) {
-      throw error;
-    }
-  },
-  
-  async loadAIConfig() {
-    try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      // Try to load from sa-engine config
-      const configPath = path.join(process.cwd(), 'sa-engine', 'config', 'ai-config.json');
-      const configContent = await fs.readFile(configPath, 'utf-8');
-      return JSON.parse(configContent);
-    } catch (error) {
-      // Try environment variables
-      if (process.env.OPENAI_API_KEY) {
-        return {
-          provider: 'openai',
-          apiKey: process.env.OPENAI_API_KEY,
-          model: 'gpt-4'
-        };
-      }
-      if (process.env.ANTHROPIC_API_KEY) {
-        return {
-          provider: 'anthropic',
-          apiKey: process.env.ANTHROPIC_API_KEY,
-          model: 'claude-3-sonnet-20240229'
-        };
-      }
-      return null;
-    }
-  },
-  
-  async makeAIRequest(prompt, config, useResearch) {
-    // This would be implemented with actual AI provider SDKs
-    // For now, throw error to use template fallback
-    throw new Error('AI provider not implemented');
+    const { object } = await getToolAIClient().generateObject({
+      prompt,
+      schema: TaskSchema.getGeneratedTaskListJsonSchema(),
+      useResearch,
+      validate: (generated) => TaskSchema.validateGeneratedTasks(generated)
+    });
+    return object;
   },
   
   generateSubtasksFromTemplate(task, options) {
@@ -3,6 +3,10 @@
  * AI-powered task generation from various inputs - context-aware task creation with templates
  */
 
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskSchema from '../../../tasks/TaskSchema.js';
+import { getToolAIClient } from '../../../ai-providers/ToolAIClient.js';
+
 export const saGenerateTasks = {
   name: 'sa_generate_tasks',
   description: 'AI-powered task generation from requirements, contexts, or templates with intelligent task creation',
@@ -37,9 +41,9 @@ export const saGenerateTasks = {
         maximum: 25,
         default: 5
       },
-      outputFile: {
+      tag: {
         type: 'string',
-        description: 'Output file path (optional, will use project tasks.json)'
+        description: 'Tag to add the generated tasks to (defaults to the current tag)'
       },
       priority: {
         type: 'string',
@@ -63,6 +67,11 @@ export const saGenerateTasks = {
         description: 'Append generated tasks to existing tasks',
         default: false
       },
+      force: {
+        type: 'boolean',
+        description: 'Replace the tag\'s existing tasks without prompting',
+        default: false
+      },
       teamSize: {
         type: 'number',
         description: 'Team size for task scoping',
@@ -84,11 +93,9 @@ export const saGenerateTasks = {
     required: ['projectRoot', 'generationType']
   },
   
-  async execute({ projectRoot, generationType, input, templateName, numTasks = 5, outputFile, priority = 'medium', complexity = 'medium', useResearch = false, append = false, teamSize = 3, timeline = '4 weeks', technologies = [] }) {
+  async execute({ projectRoot, generationType, input, templateName, numTasks = 5, tag, priority = 'medium', complexity = 'medium', useResearch = false, append = false, force = false, teamSize = 3, timeline = '4 weeks', technologies = [] }) {
+    let taskManager = null;
     try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
       // Validate inputs
       if (generationType === 'template' && !templateName) {
         throw new Error('Template name is required for template-based generation');
@@ -98,21 +105,29 @@ export const saGenerateTasks = {
         throw new Error(`Input text is required for ${generationType} generation`);
       }
       
-      // Determine output file path
-      const tasksPath = outputFile || path.join(projectRoot, 'sa-engine', 'data', 'tasks', 'tasks.json');
+      // Open the project's task store
+      taskManager = await TaskManager.open({
+        projectRoot,
+        requireProject: true,
+        tag,
+        actor: { type: 'agent', id: this.name }
+      });
+      const existingTasks = taskManager.getAllTasks();
       
-      // Load existing tasks if appending
-      let existingTasks = [];
-      let existingMetadata = {};
-      if (append) {
-        try {
-          const existingContent = await fs.readFile(tasksPath, 'utf-8');
-          const tasksData = JSON.parse(existingContent);
-          existingTasks = tasksData.tasks || [];
-          existingMetadata = tasksData.metadata || {};
-        } catch (error) {
-          // File doesn't exist, start with empty array
-        }
+      // Refuse to replace existing tasks unless asked to
+      if (!append && !force && existingTasks.length > 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Tag '${taskManager.currentTag}' already has ${existingTasks.length} tasks. Use force=true to replace them or append=true to add to them.`
+          }],
+          metadata: {
+            error: true,
+            errorType: 'tasks_exist',
+            tag: taskManager.currentTag,
+            existingTasks: existingTasks.length
+          }
+        };
       }
       
       // Generate tasks based on type
@@ -152,49 +167,30 @@ export const saGenerateTasks = {
           throw new Error(`Unknown generation type: ${generationType}`);
       }
       
-      // Combine with existing tasks if appending
-      const allTasks = append ? [...existingTasks, ...generatedTasks] : generatedTasks;
-      
-      // Create tasks structure
-      const tasksStructure = {
-        metadata: {
-          ...existingMetadata,
-          projectName: path.basename(projectRoot),
-          lastGeneratedAt: new Date().toISOString(),
-          generationType,
-          totalTasks: allTasks.length,
-          generatedTasks: generatedTasks.length,
-          complexity,
-          teamSize,
-          timeline,
-          technologies
-        },
-        tasks: allTasks
-      };
-      
-      // Ensure output directory exists
-      await fs.mkdir(path.dirname(tasksPath), { recursive: true });
-      
-      // Save tasks
-      await fs.writeFile(tasksPath, JSON.stringify(tasksStructure, null, 2));
+      // Save them as one change, so one undo reverts the whole run
+      const keptTasks = append ? existingTasks.length : 0;
+      const added = await taskManager.addGeneratedTasks(generatedTasks, { replace: !append });
       
       // Generate summary
-      const summary = this.generateTasksSummary(generatedTasks, existingTasks.length, generationType);
+      const summary = this.generateTasksSummary(generatedTasks, keptTasks, generationType);
+      const warnings = added.warnings.length > 0 ? `\n\n**Warnings:**\n${added.warnings.map(warning => `- ${warning}`).join('\n')}` : '';
       
       return {
         content: [{
           type: 'text',
-          text: `Successfully generated ${generatedTasks.length} tasks using ${generationType} generation${append ? ` (appended to ${existingTasks.length} existing tasks)` : ''}\\n\\n${summary}`
+          text: `Successfully generated ${added.created.length} tasks using ${generationType} generation${append ? ` (appended to ${keptTasks} existing tasks)` : ''}\n\n${summary}${warnings}`
         }],
         metadata: {
           generationType,
-          tasksGenerated: generatedTasks.length,
-          totalTasks: allTasks.length,
-          existingTasks: existingTasks.length,
+          tag: added.tag,
+          taskIds: added.created.map(task => task.id),
+          tasksGenerated: added.created.length,
+          totalTasks: keptTasks + added.created.length,
+          existingTasks: keptTasks,
           complexity,
           priority,
-          outputFile: tasksPath,
-          generatedAt: new Date().toISOString()
+          generatedAt: new Date().toISOString(),
+          warnings: added.warnings
         }
       };
       
@@ -210,6 +206,8 @@ export const saGenerateTasks = {
           errorType: 'task_generation_error'
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
   
@@ -256,67 +254,52 @@ export const saGenerateTasks = {
     // Create AI prompt for requirements-based generation
     const prompt = this.buildRequirementsPrompt(requirements, options);
     
-    try {
+    return getToolAIClient().withFallback(async () => {
       // Use AI provider to generate tasks
       const aiResponse = await this.callAIProvider(prompt, options.useResearch);
       const tasks = this.parseAIResponse(aiResponse);
       return this.structureTasks(tasks);
-    } catch (error) {
-      console.warn('AI provider failed, using template-based fallback:', error.message);
-      return this.generateFallbackTasks('requirements', requirements, options);
-    }
+    }, () => this.generateFallbackTasks('requirements', requirements, options));
   },
   
   async generateFromFeature(featureDescription, options) {
     const prompt = this.buildFeaturePrompt(featureDescription, options);
     
-    try {
+    return getToolAIClient().withFallback(async () => {
       const aiResponse = await this.callAIProvider(prompt, options.useResearch);
       const tasks = this.parseAIResponse(aiResponse);
       return this.structureTasks(tasks);
-    } catch (error) {
-      console.warn('AI provider failed, using template-based fallback:', error.message);
-      return this.generateFallbackTasks('feature', featureDescription, options);
-    }
+    }, () => this.generateFallbackTasks('feature', featureDescription, options));
   },
   
   async generateFromBugFix(bugReport, options) {
     const prompt = this.buildBugFixPrompt(bugReport, options);
     
-    try {
+    return getToolAIClient().withFallback(async () => {
       const aiResponse = await this.callAIProvider(prompt, options.useResearch);
       const tasks = this.parseAIResponse(aiResponse);
       return this.structureTasks(tasks);
-    } catch (error) {
-      console.warn('AI provider failed, using template-based fallback:', error.message);
-      return this.generateFallbackTasks('bug-fix', bugReport, options);
-    }
+    }, () => this.generateFallbackTasks('bug-fix', bugReport, options));
   },
   
   async generateFromEnhancement(enhancementDescription, options) {
     const prompt = this.buildEnhancementPrompt(enhancementDescription, options);
     
-    try {
+    return getToolAIClient().withFallback(async () => {
       const aiResponse = await this.callAIProvider(prompt, options.useResearch);
       const tasks = this.parseAIResponse(aiResponse);
       return this.structureTasks(tasks);
-    } catch (error) {
-      console.warn('AI provider failed, using template-based fallback:', error.message);
-      return this.generateFallbackTasks('enhancement', enhancementDescription, options);
-    }
+    }, () => this.generateFallbackTasks('enhancement', enhancementDescription, options));
   },
   
   async generateFromContext(contextDescription, options) {
     const prompt = this.buildContextPrompt(contextDescription, options);
     
-    try {
+    return getToolAIClient().withFallback(async () => {
       const aiResponse = await this.callAIProvider(prompt, options.useResearch);
       const tasks = this.parseAIResponse(aiResponse);
       return this.structureTasks(tasks);
-    } catch (error) {
-      console.warn('AI provider failed, using template-based fallback:', error.message);
-      return this.generateFallbackTasks('context', contextDescription, options);
-    }
+    }, () => this.generateFallbackTasks('context', contextDescription, options));
   },
   
   buildRequirementsPrompt(requirements, options) {
@@ -464,41 +447,13 @@ Generate the tasks now:`;
   },
   
   async callAIProvider(prompt, useResearch = false) {
-    try {
-      const aiConfig = await this.loadAIConfig();
-      if (!aiConfig || !aiConfig.provider) {
-        throw new Error('No AI provider configured');
-      }
-      
-      const response = await this.makeAIRequest(prompt, aiConfig, useResearch);
-      return response;
-    } catch (error) {
-      throw error;
-    }
-  },
-  
-  async loadAIConfig() {
-    try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      const configPath = path.join(process.cwd(), 'sa-engine', 'config', 'ai-config.json');
-      const configContent = await fs.readFile(configPath, 'utf-8');
-      return JSON.parse(configContent);
-    } catch (error) {
-      if (process.env.OPENAI_API_KEY) {
-        return { provider: 'openai', apiKey: process.env.OPENAI_API_KEY, model: 'gpt-4' };
-      }
-      if (process.env.ANTHROPIC_API_KEY) {
-        return { provider: 'anthropic', apiKey: process.env.ANTHROPIC_API_KEY, model: 'claude-3-sonnet-20240229' };
-      }
-      return null;
-    }
-  },
-  
-  async makeAIRequest(prompt, config, useResearch) {
-    // This would be implemented with actual AI provider SDKs
-    throw new Error('AI provider not implemented');
+    const { object } = await getToolAIClient().generateObject({
+      prompt,
+      schema: TaskSchema.getGeneratedTaskListJsonSchema(),
+      useResearch,
+      validate: (generated) => TaskSchema.validateGeneratedTasks(generated)
+    });
+    return object;
   },
   
   generateFallbackTasks(type, input, options) {
@@ -509,16 +464,17 @@ Generate the tasks now:`;
     const taskTemplates = this.getFallbackTemplates(type);
     const selectedTemplates = taskTemplates.slice(0, Math.min(numTasks, taskTemplates.length));
     
+    const batch = Date.now();
     selectedTemplates.forEach((template, index) => {
       const task = {
-        id: `task-${Date.now()}-${index + 1}`,
+        id: `task-${batch}-${index + 1}`,
         title: template.title.replace('{input}', this.extractKeywords(input).slice(0, 3).join(' ')),
         description: this.generateFallbackDescription(template, input, options),
         priority: template.priority || priority,
         effort: this.calculateEffortFromComplexity(complexity),
         estimated_hours: this.calculateHoursFromEffort(template.effort || 3, teamSize),
         skills: template.skills || [],
-        dependencies: index > 0 ? [`task-${Date.now()}-${index}`] : [],
+        dependencies: index > 0 ? [`task-${batch}-${index}`] : [],
         acceptance_criteria: template.acceptance_criteria || [],
         status: 'pending',
         created_at: new Date().toISOString(),
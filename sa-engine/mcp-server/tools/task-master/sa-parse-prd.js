@@ -3,6 +3,10 @@
  * PRD parsing with AI - adapted from Claude Task Master
  */
 
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskSchema from '../../../tasks/TaskSchema.js';
+import { getToolAIClient } from '../../../ai-providers/ToolAIClient.js';
+
 export const saParsePrd = {
   name: 'sa_parse_prd',
   description: 'Parse Product Requirements Document (PRD) and generate initial tasks using AI',
@@ -27,13 +31,13 @@ export const saParsePrd = {
         minimum: 1,
         maximum: 50
       },
-      outputPath: {
+      tag: {
         type: 'string',
-        description: 'Output path for generated tasks (optional, will use project tasks.json)'
+        description: 'Tag to add the generated tasks to (defaults to the current tag)'
       },
       force: {
         type: 'boolean',
-        description: 'Overwrite existing tasks without prompting',
+        description: 'Replace the tag\'s existing tasks without prompting',
         default: false
       },
       append: {
@@ -56,7 +60,8 @@ export const saParsePrd = {
     required: ['projectRoot', 'prdPath']
   },
   
-  async execute({ projectRoot, prdPath, numTasks = 10, outputPath, force = false, append = false, useResearch = false, complexity = 'medium' }) {
+  async execute({ projectRoot, prdPath, numTasks = 10, tag, force = false, append = false, useResearch = false, complexity = 'medium' }) {
+    let taskManager = null;
     try {
       const fs = await import('fs/promises');
       const path = await import('path');
@@ -88,39 +93,29 @@ export const saParsePrd = {
         throw new Error('PRD file is empty');
       }
       
-      // Determine output path
-      const tasksOutputPath = outputPath || path.join(projectRoot, 'sa-engine', 'data', 'tasks', 'tasks.json');
-      
-      // Load existing tasks if appending
-      let existingTasks = [];
-      if (append) {
-        try {
-          const existingContent = await fs.readFile(tasksOutputPath, 'utf-8');
-          const tasksData = JSON.parse(existingContent);
-          existingTasks = tasksData.tasks || [];
-        } catch (error) {
-          // File doesn't exist, start with empty array
-        }
-      }
+      // Open the project's task store
+      taskManager = await TaskManager.open({
+        projectRoot,
+        requireProject: true,
+        tag,
+        actor: { type: 'agent', id: this.name }
+      });
+      const existingTasks = taskManager.getAllTasks();
       
-      // Check if output file exists and force flag
-      if (!append && !force) {
-        try {
-          await fs.access(tasksOutputPath);
-          return {
-            content: [{
-              type: 'text',
-              text: `Tasks file already exists at ${tasksOutputPath}. Use force=true to overwrite or append=true to add to existing tasks.`
-            }],
-            metadata: {
-              error: true,
-              errorType: 'file_exists',
-              existingFile: tasksOutputPath
-            }
-          };
-        } catch (error) {
-          // File doesn't exist, proceed
-        }
+      // Refuse to replace existing tasks unless asked to
+      if (!append && !force && existingTasks.length > 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: `Tag '${taskManager.currentTag}' already has ${existingTasks.length} tasks. Use force=true to replace them or append=true to add to them.`
+          }],
+          metadata: {
+            error: true,
+            errorType: 'tasks_exist',
+            tag: taskManager.currentTag,
+            existingTasks: existingTasks.length
+          }
+        };
       }
       
       // Generate tasks using AI
@@ -131,46 +126,31 @@ export const saParsePrd = {
         projectRoot
       });
       
-      // Combine with existing tasks if appending
-      const allTasks = append ? [...existingTasks, ...generatedTasks] : generatedTasks;
-      
-      // Create tasks structure
-      const tasksStructure = {
-        metadata: {
-          projectName: path.basename(projectRoot),
-          generatedAt: new Date().toISOString(),
-          source: 'sa_parse_prd',
-          prdFile: prdPath,
-          totalTasks: allTasks.length,
-          complexity,
-          useResearch
-        },
-        tasks: allTasks
-      };
-      
-      // Ensure output directory exists
-      await fs.mkdir(path.dirname(tasksOutputPath), { recursive: true });
-      
-      // Save tasks
-      await fs.writeFile(tasksOutputPath, JSON.stringify(tasksStructure, null, 2));
+      // Save them as one change, so one undo reverts the whole run
+      const keptTasks = append ? existingTasks.length : 0;
+      const added = await taskManager.addGeneratedTasks(generatedTasks, { replace: !append });
+      const generatedAt = new Date().toISOString();
       
       // Generate summary
-      const summary = this.generateTasksSummary(generatedTasks, existingTasks.length);
+      const summary = this.generateTasksSummary(generatedTasks, keptTasks);
+      const warnings = added.warnings.length > 0 ? `\n\n**Warnings:**\n${added.warnings.map(warning => `- ${warning}`).join('\n')}` : '';
       
       return {
         content: [{
           type: 'text',
-          text: `Successfully parsed PRD and generated ${generatedTasks.length} tasks${append ? ` (appended to ${existingTasks.length} existing tasks)` : ''}\\n\\n${summary}`
+          text: `Successfully parsed PRD and generated ${added.created.length} tasks${append ? ` (appended to ${keptTasks} existing tasks)` : ''}\n\n${summary}${warnings}`
         }],
         metadata: {
           prdFile: prdPath,
-          outputFile: tasksOutputPath,
-          tasksGenerated: generatedTasks.length,
-          totalTasks: allTasks.length,
-          existingTasks: existingTasks.length,
+          tag: added.tag,
+          taskIds: added.created.map(task => task.id),
+          tasksGenerated: added.created.length,
+          totalTasks: keptTasks + added.created.length,
+          existingTasks: keptTasks,
           complexity,
           useResearch,
-          generatedAt: tasksStructure.metadata.generatedAt
+          generatedAt,
+          warnings: added.warnings
         }
       };
       
@@ -186,6 +166,8 @@ export const saParsePrd = {
           errorType: 'prd_parsing_error'
         }
       };
+    } finally {
+      await taskManager?.cleanup();
     }
   },
   
@@ -196,13 +178,10 @@ export const saParsePrd = {
     const prompt = this.buildPRDParsingPrompt(prdContent, numTasks, complexity, useResearch);
     
     try {
-      // Use AI provider to generate tasks
-      const aiResponse = await this.callAIProvider(prompt, useResearch);
-      
-      // Parse AI response and extract tasks
-      const tasks = this.parseAIResponse(aiResponse);
+      // Use AI provider to generate tasks; ToolAIClient parses and validates the response
+      const tasks = await this.callAIProvider(prompt, useResearch);
       
-      // Validate and structure tasks
+      // Structure tasks
       const structuredTasks = this.structureTasks(tasks);
       
       return structuredTasks;
@@ -242,20 +221,22 @@ ${prdContent}
 - Identify potential dependencies
 
 **Output Format:**
-Return a JSON array of tasks with this structure:
-[
-  {
-    "id": "task-1",
-    "title": "Task Title",
-    "description": "Detailed description of what needs to be done",
-    "priority": "high|medium|low",
-    "effort": 3,
-    "skills": ["skill1", "skill2"],
-    "dependencies": ["task-id-if-any"],
-    "acceptance_criteria": ["criteria 1", "criteria 2"],
-    "estimated_hours": 40
-  }
-]
+Return a JSON object whose "tasks" array holds the tasks, with this structure:
+{
+  "tasks": [
+    {
+      "id": "task-1",
+      "title": "Task Title",
+      "description": "Detailed description of what needs to be done",
+      "priority": "high|medium|low",
+      "effort": 3,
+      "skills": ["skill1", "skill2"],
+      "dependencies": ["task-id-if-any"],
+      "acceptance_criteria": ["criteria 1", "criteria 2"],
+      "estimated_hours": 40
+    }
+  ]
+}
 
 Focus on creating tasks that are:
 - Independently executable where possible
@@ -267,62 +248,17 @@ Generate the tasks now:`;
   },
   
   async callAIProvider(prompt, useResearch = false) {
-    // This is a simplified implementation
-    // In a real implementation, you'd integrate with actual AI providers
-    // like OpenAI, Claude, or other LLMs available in the system
-    
-    try {
-      // Check if we have AI provider configuration
-      const aiConfig = await this.loadAIConfig();
-      
-      if (!aiConfig || !aiConfig.provider) {
-        throw new Error('No AI provider configured. Please set up AI configuration.');
-      }
-      
-      // Simulate AI call (replace with actual implementation)
-      const response = await this.makeAIRequest(prompt, aiConfig, useResearch);
-      return response;
-      
-    } catch (error) {
-      // Fallback to template-based generation if AI fails
-      console.warn('AI provider failed, using template-based generation:', error.message);
-      return this.generateTasksFromTemplate(prompt);
-    }
-  },
-  
-  async loadAIConfig() {
-    try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      // Try to load from sa-engine config
-      const configPath = path.join(process.cwd(), 'sa-engine', 'config', 'ai-config.json');
-      const configContent = await fs.readFile(configPath, 'utf-8');
-      return JSON.parse(configContent);
-    } catch (error) {
-      // Try environment variables
-      if (process.env.OPENAI_API_KEY) {
-        return {
-          provider: 'openai',
-          apiKey: process.env.OPENAI_API_KEY,
-          model: 'gpt-4'
-        };
-      }
-      if (process.env.ANTHROPIC_API_KEY) {
-        return {
-          provider: 'anthropic',
-          apiKey: process.env.ANTHROPIC_API_KEY,
-          model: 'claude-3-sonnet-20240229'
-        };
-      }
-      return null;
-    }
-  },
-  
-  async makeAIRequest(prompt, config, useResearch) {
-    // This would be implemented with actual AI provider SDKs
-    // For now, return a template response
-    return this.generateTasksFromTemplate(prompt);
+    const client = getToolAIClient();
+
+    return client.withFallback(async () => {
+      const { object } = await client.generateObject({
+        prompt,
+        schema: TaskSchema.getGeneratedTaskListJsonSchema(),
+        useResearch,
+        validate: (generated) => TaskSchema.validateGeneratedTasks(generated)
+      });
+      return object;
+    }, () => this.generateTasksFromTemplate(prompt), 'AI provider failed, using template-based generation');
   },
   
   generateTasksFromTemplate(prompt) {
@@ -446,31 +382,6 @@ Generate the tasks now:`;
     }));
   },
   
-  parseAIResponse(aiResponse) {
-    // If aiResponse is already an array, return it
-    if (Array.isArray(aiResponse)) {
-      return aiResponse;
-    }
-    
-    // Try to parse as JSON
-    try {
-      if (typeof aiResponse === 'string') {
-        // Look for JSON array in the response
-        const jsonMatch = aiResponse.match(/\\[[\\s\\S]*\\]/);
-        if (jsonMatch) {
-          return JSON.parse(jsonMatch[0]);
-        }
-        
-        // Try parsing the entire response
-        return JSON.parse(aiResponse);
-      }
-      
-      return aiResponse;
-    } catch (error) {
-      throw new Error(`Failed to parse AI response: ${error.message}`);
-    }
-  },
-  
   structureTasks(tasks) {
     const currentTime = new Date().toISOString();
     
@@ -509,7 +509,7 @@ export const saCreateFrontendSpec = {
     return {
       gestures: this.generateGestureSpecs(context.projectInfo?.platform),
       animations: this.generateInteractionAnimations(),
-      feedback: this.generateFeedbackSpecs(),
+      feedback: this.generateFeedbackSpecs(context.projectInfo?.platform),
       navigation: this.generateNavigationSpecs()
     };
   },
@@ -540,7 +540,7 @@ export const saCreateFrontendSpec = {
     };
   },
 
-  generateFeedbackSpecs() {
+  generateFeedbackSpecs(platform) {
     return {
       visual: ['color-change', 'shadow', 'transform', 'opacity'],
       haptic: platform === 'mobile' ? ['light', 'medium', 'heavy'] : [],
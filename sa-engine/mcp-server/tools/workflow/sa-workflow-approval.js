@@ -0,0 +1,105 @@
+/**
+ * SA Workflow Approval Tool
+ * Approves or rejects the checkpoint a workflow instance is waiting on; a rejection sends
+ * the work back to the producing agent step with the comment as feedback
+ */
+
+export const saWorkflowApproval = {
+  name: 'sa_workflow_approval',
+  description: 'Approve or reject a workflow instance awaiting sign-off on an artifact',
+  category: 'workflow',
+  version: '1.0.0',
+
+  inputSchema: {
+    type: 'object',
+    properties: {
+      projectRoot: {
+        type: 'string',
+        description: 'Absolute path to the project root directory'
+      },
+      instanceId: {
+        type: 'string',
+        description: 'Workflow instance awaiting approval'
+      },
+      decision: {
+        type: 'string',
+        enum: ['approve', 'reject'],
+        description: 'Approve the artifact, or reject it and rerun the producing step'
+      },
+      comment: {
+        type: 'string',
+        description: 'Reviewer comment; on rejection it is passed to the producing agent as feedback'
+      },
+      phaseId: {
+        type: 'string',
+        description: 'Phase to decide on when several are awaiting approval (optional, defaults to the oldest)'
+      }
+    },
+    required: ['projectRoot', 'instanceId', 'decision']
+  },
+
+  async execute({ projectRoot, instanceId, decision, comment = '', phaseId }) {
+    const path = await import('path');
+    const { WorkflowInstanceManager } = await import('../../../workflows/WorkflowInstanceManager.js');
+    const manager = new WorkflowInstanceManager({ storageDir: path.join(projectRoot, '.sa-workflows') });
+
+    try {
+      if (!['approve', 'reject'].includes(decision)) {
+        throw new Error(`Unknown decision "${decision}", expected approve or reject`);
+      }
+
+      await manager.initialize();
+      const options = { comment, phaseId, decidedBy: 'mcp' };
+      const { approval, status, pendingApprovals } = decision === 'approve'
+        ? await manager.approveInstance(instanceId, options)
+        : await manager.rejectInstance(instanceId, options);
+
+      const lines = [
+        `# Workflow ${decision === 'approve' ? 'Approved' : 'Rejected'}`,
+        '',
+        `**Instance:** ${instanceId}`,
+        `**Artifact:** ${approval.artifact || 'n/a'}`,
+        `**Status:** ${status}`
+      ];
+      if (approval.comment) {
+        lines.push(`**Comment:** ${approval.comment}`);
+      }
+      if (decision === 'reject') {
+        lines.push('', `Work returns to ${approval.agent || approval.producerPhaseId}, which reruns with the comment as feedback.`);
+      }
+      if (pendingApprovals.length > 0) {
+        lines.push('', `Still awaiting approval: ${pendingApprovals.map(pending => pending.phaseId).join(', ')}`);
+      }
+
+      return {
+        content: [{
+          type: 'text',
+          text: lines.join('\n')
+        }],
+        metadata: {
+          instanceId,
+          decision,
+          status,
+          approval,
+          pendingApprovals
+        }
+      };
+
+    } catch (error) {
+      return {
+        content: [{
+          type: 'text',
+          text: `Error recording workflow approval: ${error.message}`
+        }],
+        metadata: {
+          error: true,
+          errorMessage: error.message,
+          errorType: 'workflow_approval_error'
+        }
+      };
+    } finally {
+      // decideApproval saved the decided instance; leave the other recovered ones untouched
+      manager.stopMonitoring();
+    }
+  }
+};
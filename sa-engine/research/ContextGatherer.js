@@ -2,6 +2,8 @@ import { readFile, stat } from 'fs/promises';
 import { existsSync } from 'fs';
 import { join, relative, extname } from 'path';
 import { EventEmitter } from 'events';
+import TaskManager from '../tasks/TaskManager.js';
+import { getTokenCounter } from '../ai-providers/TokenCounter.js';
 
 /**
  * ContextGatherer - Intelligent context collection for AI research and analysis
@@ -15,7 +17,10 @@ export default class ContextGatherer extends EventEmitter {
     this.tag = tag;
     this.options = {
       maxTokens: options.maxTokens || 100000,
-      tokensPerCharacter: options.tokensPerCharacter || 0.25, // Rough estimate
+      // Model whose tokenizer counts context tokens; set tokensPerCharacter for a flat ratio instead
+      model: options.model || null,
+      tokenCounter: options.tokenCounter || getTokenCounter(),
+      tokensPerCharacter: options.tokensPerCharacter || null,
       includeFileExtensions: options.includeFileExtensions || [
         '.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cs', '.go', '.rs',
         '.php', '.rb', '.swift', '.kt', '.scala', '.clj', '.elm', '.dart',
@@ -453,14 +458,14 @@ export default class ContextGatherer extends EventEmitter {
    */
   async loadTasksData() {
     try {
-      const tasksPath = join(this.projectRoot, 'sa-engine/data/tasks/tasks.json');
-      
-      if (!existsSync(tasksPath)) {
-        return null;
+      // Same store as the CLI and MCP task tools, in whichever backend the project config selects
+      // Outside a project there are no tasks; the open fails rather than creating a store
+      if (!this.taskManager) {
+        this.taskManager = await TaskManager.open({ projectRoot: this.projectRoot, tag: this.tag, requireProject: true });
       }
 
-      const content = await readFile(tasksPath, 'utf-8');
-      return JSON.parse(content);
+      const tag = this.taskManager.tasks.tags[this.tag || this.taskManager.currentTag];
+      return tag ? { tasks: tag.tasks } : null;
 
     } catch (error) {
       return null;
@@ -476,16 +481,16 @@ export default class ContextGatherer extends EventEmitter {
   async extractTaskContext(tasksData, taskId) {
     try {
       // Handle both main tasks (1, 2, 3) and subtasks (1.1, 1.2, etc.)
-      const [mainId, subId] = taskId.split('.').map(id => parseInt(id));
+      const [mainId, subId] = String(taskId).split('.');
       
-      const task = tasksData.tasks.find(t => t.id === mainId);
+      const task = tasksData.tasks.find(t => String(t.id) === mainId);
       if (!task) {
         return null;
       }
 
       if (subId) {
-        // Extract subtask context
-        const subtask = task.subtasks?.find(st => st.id === subId);
+        // Extract subtask context; subtask ids are either "1.2" or 2 within task 1
+        const subtask = task.subtasks?.find(st => String(st.id) === String(taskId) || String(st.id) === subId);
         if (!subtask) {
           return null;
         }
@@ -559,16 +564,17 @@ export default class ContextGatherer extends EventEmitter {
   }
 
   /**
-   * Count tokens in text (rough estimate)
+   * Count tokens in text with the model's tokenizer, or the estimator when none is registered
    * @param {string} text - Text to count tokens for
-   * @returns {number} Estimated token count
+   * @returns {number} Token count
    */
   countTokens(text) {
     if (!text) return 0;
-    
-    // Rough token estimation: ~0.25 tokens per character for English text
-    // This is an approximation - actual tokenization would require the specific model's tokenizer
-    return Math.ceil(text.length * this.options.tokensPerCharacter);
+
+    if (this.options.tokensPerCharacter) {
+      return Math.ceil(text.length * this.options.tokensPerCharacter);
+    }
+    return this.options.tokenCounter.countText(text, this.options.model);
   }
 
   /**
@@ -584,4 +590,13 @@ export default class ContextGatherer extends EventEmitter {
       excludePatterns: this.options.excludePatterns.length
     };
   }
+
+  /**
+   * Close the task store opened for task context
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    await this.taskManager?.cleanup();
+    this.taskManager = null;
+  }
 }
\ No newline at end of file
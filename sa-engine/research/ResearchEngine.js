@@ -1,9 +1,12 @@
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 import { existsSync } from 'fs';
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { writeFile, mkdir } from 'fs/promises';
 import { join, dirname } from 'path';
 import ContextGatherer from './ContextGatherer.js';
 import FuzzyTaskSearch from './FuzzyTaskSearch.js';
+import TaskManager from '../tasks/TaskManager.js';
+import { getConversationSession } from '../ai-providers/ConversationSession.js';
 
 /**
  * ResearchEngine - AI-powered research system with project context awareness
@@ -29,6 +32,7 @@ export default class ResearchEngine extends EventEmitter {
     this.contextGatherer = null;
     this.fuzzySearch = null;
     this.aiProvider = null;
+    this.session = null;
     this.conversationHistory = [];
     
     this.initialize();
@@ -41,7 +45,8 @@ export default class ResearchEngine extends EventEmitter {
     try {
       // Initialize context gatherer
       this.contextGatherer = new ContextGatherer(this.options.projectRoot, this.options.tag, {
-        maxTokens: this.options.maxTokens
+        maxTokens: this.options.maxTokens,
+        model: this.options.model
       });
 
       // Setup event forwarding
@@ -63,6 +68,9 @@ export default class ResearchEngine extends EventEmitter {
    */
   setAIProvider(aiProvider) {
     this.aiProvider = aiProvider;
+    if (this.session) {
+      this.session.provider = aiProvider;
+    }
     this.log('AI provider set for research engine', 'info');
   }
 
@@ -131,7 +139,9 @@ export default class ResearchEngine extends EventEmitter {
           projectRoot: this.options.projectRoot,
           tag: this.options.tag,
           aiProvider: aiResult.provider,
-          tokenUsage: aiResult.tokenUsage
+          tokenUsage: aiResult.tokenUsage,
+          sessionId: this.session?.id || null,
+          conversationTokens: this.session?.countTokens() || 0
         }
       };
 
@@ -147,7 +157,7 @@ export default class ResearchEngine extends EventEmitter {
 
       // Add to conversation history
       this.conversationHistory.push({
-        type: 'initial',
+        type: researchOptions.isFollowUp ? 'followup' : 'initial',
         query,
         result: researchResult,
         timestamp: new Date().toISOString()
@@ -176,27 +186,16 @@ export default class ResearchEngine extends EventEmitter {
 
       this.emit('followUpStarting', { query: followUpQuery, options });
 
-      // Build conversation context from history
-      const conversationContext = this.buildConversationContext();
-
-      // Enhanced options with conversation context
+      // Earlier questions and answers travel in the conversation session
       const followUpOptions = {
         ...options,
-        customContext: conversationContext + (options.customContext ? `\n\n${options.customContext}` : ''),
-        autoDiscoverTasks: true // Re-discover tasks for follow-up
+        autoDiscoverTasks: true, // Re-discover tasks for follow-up
+        isFollowUp: true
       };
 
       // Perform follow-up research
       const result = await this.performResearch(followUpQuery, followUpOptions);
 
-      // Update conversation history
-      this.conversationHistory.push({
-        type: 'followup',
-        query: followUpQuery,
-        result,
-        timestamp: new Date().toISOString()
-      });
-
       this.emit('followUpCompleted', { query: followUpQuery, result });
       return result;
 
@@ -288,15 +287,20 @@ ${detailLevelInstructions[options.detailLevel] || detailLevelInstructions.medium
 - Align recommendations with project architecture and patterns
 - Account for current project status and priorities`;
 
+    const context = contextResult.context || 'No specific project context provided.';
+    const instructions = 'Please provide a comprehensive research response following the guidelines above. Focus on practical insights that would be valuable for someone working on this project.';
     const userPrompt = `# Research Query
 ${query}
 
 # Project Context
-${contextResult.context || 'No specific project context provided.'}
+${context}
 
-Please provide a comprehensive research response following the guidelines above. Focus on practical insights that would be valuable for someone working on this project.`;
+${instructions}`;
 
     return {
+      query,
+      context,
+      instructions,
       systemPrompt,
       userPrompt,
       contextTokens: contextResult.tokenBreakdown?.total || 0,
@@ -318,17 +322,25 @@ Please provide a comprehensive research response following the guidelines above.
     try {
       this.log('Querying AI provider for research', 'info');
 
-      // Prepare AI request
+      // The session sends earlier turns (summarized near the context window) ahead of
+      // this query. Only the question is kept in the history; the project context is
+      // gathered afresh for each query, so it goes in this request's system prompt along
+      // with the response instructions. systemPrompt and userPrompt are kept for simpler providers
       const aiRequest = {
+        system: [
+          promptData.systemPrompt,
+          promptData.context && `# Project Context\n${promptData.context}`,
+          promptData.instructions
+        ].filter(Boolean).join('\n\n') || null,
         systemPrompt: promptData.systemPrompt,
         userPrompt: promptData.userPrompt,
         temperature: options.temperature || 0.7,
         maxTokens: options.maxResponseTokens || 4000,
-        model: options.model || 'default'
+        ...(options.model && { model: options.model })
       };
 
       // Query AI provider
-      const response = await this.aiProvider.generateText(aiRequest);
+      const response = await this.getSession().send(promptData.query || promptData.userPrompt, aiRequest);
 
       return {
         content: response.content || response.text || response,
@@ -343,6 +355,20 @@ Please provide a comprehensive research response following the guidelines above.
     }
   }
 
+  /**
+   * Get the conversation session research queries run in. Sessions are process-wide, so
+   * a separate engine given this session's id (the sessionId reported with each result)
+   * continues it; without a sessionId option a new session is started.
+   * @returns {ConversationSession} Conversation session
+   */
+  getSession() {
+    if (!this.session) {
+      const sessionOptions = { provider: this.aiProvider, role: 'research', ...this.options.sessionOptions };
+      this.session = getConversationSession(this.options.sessionId || randomUUID(), sessionOptions);
+    }
+    return this.session;
+  }
+
   /**
    * Save research results to a task or subtask
    * @param {Object} researchResult - Research result object
@@ -355,24 +381,32 @@ Please provide a comprehensive research response following the guidelines above.
         throw new Error('Save to task is disabled');
       }
 
-      // Load task manager if available
+      // Open the project's task store
       if (!this.taskManager) {
-        const { TaskManager } = await import('../tasks/TaskManager.js');
-        this.taskManager = new TaskManager({ projectRoot: this.options.projectRoot });
+        this.taskManager = await TaskManager.open({
+          projectRoot: this.options.projectRoot,
+          tag: this.options.tag,
+          requireProject: true,
+          actor: { type: 'agent', id: 'research' }
+        });
       }
 
       // Format research content for task
       const researchContent = this.formatResearchForTask(researchResult);
 
       // Determine if it's a task or subtask
-      const isSubtask = taskId.includes('.');
+      const isSubtask = String(taskId).includes('.');
 
-      if (isSubtask) {
-        await this.taskManager.updateSubtask(taskId, researchContent, { appendMode: true });
-      } else {
-        await this.taskManager.updateTask(parseInt(taskId), researchContent, { appendMode: true });
+      const task = this.taskManager.getTask(String(taskId));
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
       }
 
+      // Append to the task details, keeping earlier research
+      await this.taskManager.updateTask(task.id, {
+        details: task.details ? `${task.details}\n\n${researchContent}` : researchContent
+      });
+
       this.log(`Research saved to ${isSubtask ? 'subtask' : 'task'} ${taskId}`, 'info');
 
     } catch (error) {
@@ -531,44 +565,12 @@ ${researchResult.metadata.tag ? `- **Tag**: ${researchResult.metadata.tag}` : ''
     return breakdown;
   }
 
-  /**
-   * Build conversation context from history
-   * @returns {string} Formatted conversation context
-   */
-  buildConversationContext() {
-    if (this.conversationHistory.length === 0) {
-      return '';
-    }
-
-    const contextParts = ['--- Previous Research Context ---'];
-
-    for (const [index, entry] of this.conversationHistory.entries()) {
-      const label = entry.type === 'initial' ? 'Initial Question' : `Follow-up ${index}`;
-      contextParts.push(`\n${label}: ${entry.query}`);
-      contextParts.push(`Answer: ${entry.result.result.substring(0, 1000)}${entry.result.result.length > 1000 ? '...' : ''}`);
-    }
-
-    return contextParts.join('\n');
-  }
-
   /**
    * Load tasks data from project
    * @returns {Promise<Object>} Tasks data
    */
   async loadTasksData() {
-    try {
-      const tasksPath = join(this.options.projectRoot, 'sa-engine/data/tasks/tasks.json');
-      
-      if (!existsSync(tasksPath)) {
-        return null;
-      }
-
-      const content = await readFile(tasksPath, 'utf-8');
-      return JSON.parse(content);
-
-    } catch (error) {
-      return null;
-    }
+    return this.contextGatherer.loadTasksData();
   }
 
   /**
@@ -591,7 +593,7 @@ ${researchResult.metadata.tag ? `- **Tag**: ${researchResult.metadata.tag}` : ''
         for (const subtask of task.subtasks) {
           flattened.push({
             ...subtask,
-            id: `${task.id}.${subtask.id}`,
+            id: String(subtask.id).includes('.') ? String(subtask.id) : `${task.id}.${subtask.id}`,
             parentId: task.id,
             isSubtask: true
           });
@@ -622,6 +624,7 @@ ${researchResult.metadata.tag ? `- **Tag**: ${researchResult.metadata.tag}` : ''
    */
   clearHistory() {
     this.conversationHistory = [];
+    this.session?.clear();
     this.log('Conversation history cleared', 'info');
   }
 
@@ -642,6 +645,7 @@ ${researchResult.metadata.tag ? `- **Tag**: ${researchResult.metadata.tag}` : ''
       projectRoot: this.options.projectRoot,
       tag: this.options.tag,
       conversationLength: this.conversationHistory.length,
+      session: this.session?.getStats() || null,
       contextGathererStats: this.contextGatherer?.getStats(),
       fuzzySearchStats: this.fuzzySearch?.getStats(),
       aiProviderConfigured: !!this.aiProvider,
@@ -649,6 +653,17 @@ ${researchResult.metadata.tag ? `- **Tag**: ${researchResult.metadata.tag}` : ''
     };
   }
 
+  /**
+   * Close the task stores opened for context and for saving to tasks. The conversation
+   * session stays registered for follow-ups.
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    await this.contextGatherer?.cleanup();
+    await this.taskManager?.cleanup();
+    this.taskManager = null;
+  }
+
   /**
    * Logging utility
    * @param {string} message - Log message
@@ -0,0 +1,105 @@
+/**
+ * RFC 4180 CSV: comma-separated fields, CRLF or LF line breaks, and fields quoted
+ * with double quotes when they hold a comma, quote or line break ("" is a literal quote).
+ */
+class Csv {
+    /**
+     * Parse CSV text into rows of fields
+     * @param {string} text - CSV content
+     * @returns {Array<Array<string>>} Rows, blank lines skipped
+     */
+    static parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+        const endRow = () => {
+            row.push(field);
+            if (row.length > 1 || row[0] !== '') {
+                rows.push(row);
+            }
+            row = [];
+            field = '';
+        };
+
+        for (; index < text.length; index++) {
+            const char = text[index];
+
+            if (quoted) {
+                if (char !== '"') {
+                    field += char;
+                } else if (text[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else {
+                    quoted = false;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[index + 1] === '\n') index++;
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+
+        if (quoted) {
+            throw new Error('Invalid CSV: unterminated quoted field');
+        }
+        if (field !== '' || row.length > 0) {
+            endRow();
+        }
+
+        return rows;
+    }
+
+    /**
+     * Parse CSV with a header row. Exports from Jira repeat a header once per value
+     * (Labels, Sprint, issue links), so every column maps to the list of its non-empty values.
+     * @param {string} text - CSV content
+     * @returns {Object} { headers, records: [{ header: [values] }] }
+     */
+    static parseRecords(text) {
+        const [headers = [], ...rows] = this.parse(text);
+        const names = headers.map(header => header.trim());
+
+        const records = rows.map(row => {
+            const record = {};
+            names.forEach((name, column) => {
+                record[name] = record[name] || [];
+                const value = (row[column] ?? '').trim();
+                if (value !== '') {
+                    record[name].push(value);
+                }
+            });
+            return record;
+        });
+
+        return { headers: [...new Set(names)], records };
+    }
+
+    /**
+     * Quote a field only when it needs it
+     */
+    static escape(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Serialize rows, CRLF-terminated as RFC 4180 specifies
+     * @param {Array<Array>} rows - Rows of fields
+     * @returns {string} CSV text
+     */
+    static stringify(rows) {
+        return rows.map(row => row.map(value => this.escape(value)).join(',')).join('\r\n') + '\r\n';
+    }
+}
+
+export default Csv;
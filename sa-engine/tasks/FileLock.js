@@ -0,0 +1,145 @@
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * Advisory lock on a file, held through a sibling `<file>.lock` created exclusively.
+ * Cooperating writers (MCP server, CLI, IDE hooks) take the lock around read-modify-write.
+ * A lock is stale when its owner process is gone (same host) or it is older than staleMs.
+ */
+class FileLock {
+    constructor(targetFile, options = {}) {
+        this.lockFile = `${targetFile}.lock`;
+        this.staleMs = options.staleMs ?? 10000;
+        this.timeoutMs = options.timeoutMs ?? 5000;
+        this.retryMs = options.retryMs ?? 25;
+        this.token = null;
+    }
+
+    /**
+     * Run fn while holding the lock
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} Result of fn
+     */
+    async withLock(fn) {
+        await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            this.release();
+        }
+    }
+
+    async acquire() {
+        const deadline = Date.now() + this.timeoutMs;
+        const token = crypto.randomBytes(8).toString('hex');
+        const owner = JSON.stringify({ pid: process.pid, hostname: os.hostname(), token, acquiredAt: new Date().toISOString() });
+
+        while (true) {
+            try {
+                fs.writeFileSync(this.lockFile, owner, { flag: 'wx' });
+                this.token = token;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            const current = this.readOwner();
+            if (this.isStale(current)) {
+                this.breakStale(current);
+                continue;
+            }
+
+            if (Date.now() >= deadline) {
+                const holder = current.owner ? `process ${current.owner.pid} on ${current.owner.hostname}` : 'another process';
+                throw new Error(`Timed out after ${this.timeoutMs}ms waiting for ${this.lockFile} held by ${holder}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, this.retryMs));
+        }
+    }
+
+    release() {
+        if (!this.token) return;
+
+        // Only remove the lock if it is still ours; it may have been broken as stale
+        if (this.readOwner().owner?.token === this.token) {
+            try {
+                fs.unlinkSync(this.lockFile);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        this.token = null;
+    }
+
+    /**
+     * @returns {Object} { raw, owner, ageMs } for the current lock file; owner is null when unreadable
+     */
+    readOwner() {
+        try {
+            const raw = fs.readFileSync(this.lockFile, 'utf8');
+            const ageMs = Date.now() - fs.statSync(this.lockFile).mtimeMs;
+            let owner = null;
+            try {
+                owner = JSON.parse(raw);
+            } catch (error) {
+                // A lock caught mid-write reads as empty; it only counts as stale once old
+            }
+            return { raw, owner, ageMs };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { raw: null, owner: null, ageMs: 0, missing: true };
+            }
+            throw error;
+        }
+    }
+
+    isStale(current) {
+        if (current.missing) {
+            return false;
+        }
+        if (current.ageMs > this.staleMs) {
+            return true;
+        }
+        if (current.owner?.hostname === os.hostname()) {
+            return !this.isProcessAlive(current.owner.pid);
+        }
+        return false;
+    }
+
+    isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Remove a stale lock. The lock is moved aside first so that, if another process
+     * replaced it after we judged it stale, the fresh lock can be put back.
+     */
+    breakStale(current) {
+        const aside = `${this.lockFile}.stale-${process.pid}-${Date.now()}`;
+        try {
+            fs.renameSync(this.lockFile, aside);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        if (fs.readFileSync(aside, 'utf8') !== current.raw) {
+            try {
+                fs.linkSync(aside, this.lockFile);
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+        }
+        fs.unlinkSync(aside);
+    }
+}
+
+export default FileLock;
@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Locates the Super Agents project a command runs in. A project is the nearest
+ * directory, walking up from the start directory, that contains `.super-agents/`;
+ * every task consumer (CLI, MCP tools, research) resolves its storage through here.
+ */
+class ProjectLocator {
+    static PROJECT_DIR = '.super-agents';
+    static TASKS_FILE = 'tasks.json';
+    static CONFIG_FILE = 'config.json';
+
+    /**
+     * Nearest ancestor of startDir (inclusive) that contains `.super-agents/`
+     * @param {string} startDir - Directory to start from
+     * @returns {string|null} Project root, or null outside a project
+     */
+    static findProjectRoot(startDir = process.cwd()) {
+        let dir = path.resolve(startDir);
+
+        while (true) {
+            const marker = path.join(dir, this.PROJECT_DIR);
+            if (fs.existsSync(marker) && fs.statSync(marker).isDirectory()) {
+                return dir;
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                return null;
+            }
+            dir = parent;
+        }
+    }
+
+    /**
+     * Project root for startDir; outside a project, startDir itself becomes the root.
+     * Only project setup should rely on that; everything else opens with requireProject.
+     * @param {string} startDir - Directory to start from
+     * @returns {string} Project root
+     */
+    static resolveProjectRoot(startDir = process.cwd()) {
+        return this.findProjectRoot(startDir) || path.resolve(startDir);
+    }
+
+    /**
+     * Storage paths of a project
+     * @param {string} projectRoot - Project root
+     * @returns {Object} { projectRoot, dataDir, tasksFile, configFile }
+     */
+    static getPaths(projectRoot) {
+        const dataDir = path.join(projectRoot, this.PROJECT_DIR);
+        return {
+            projectRoot,
+            dataDir,
+            tasksFile: path.join(dataDir, this.TASKS_FILE),
+            configFile: path.join(dataDir, this.CONFIG_FILE)
+        };
+    }
+}
+
+export default ProjectLocator;
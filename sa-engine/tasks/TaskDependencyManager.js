@@ -560,45 +560,13 @@ class TaskDependencyManager extends EventEmitter {
         return longestPath.includes(taskId);
     }
 
+    /**
+     * Critical path of the current tag: the chain of dependent tasks with the most
+     * remaining effort, as scheduled by TaskScheduler
+     * @returns {Array<string>} Task ids in order
+     */
     findLongestPath() {
-        const sortedTasks = this.getTopologicalSort();
-        const distances = new Map();
-        const previous = new Map();
-        
-        for (const task of sortedTasks) {
-            distances.set(task.id, 0);
-        }
-        
-        for (const task of sortedTasks) {
-            const deps = this.getDependencies(task.id);
-            for (const dep of deps) {
-                const newDistance = distances.get(dep.id) + 1;
-                if (newDistance > distances.get(task.id)) {
-                    distances.set(task.id, newDistance);
-                    previous.set(task.id, dep.id);
-                }
-            }
-        }
-        
-        let maxDistance = 0;
-        let endTask = null;
-        
-        for (const [taskId, distance] of distances.entries()) {
-            if (distance > maxDistance) {
-                maxDistance = distance;
-                endTask = taskId;
-            }
-        }
-        
-        const path = [];
-        let current = endTask;
-        
-        while (current) {
-            path.unshift(current);
-            current = previous.get(current);
-        }
-        
-        return path;
+        return this.taskManager.scheduleTasks({ tag: this.taskManager.currentTag }).tags[0].criticalPath;
     }
 
     calculateRiskLevel(directlyAffected, totalAffected) {
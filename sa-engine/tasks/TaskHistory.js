@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+
+const DEPENDENCY_FIELDS = ['dependencies', 'blockedBy', 'blocks'];
+const UNTRACKED_METADATA = ['modified', 'modifiedBy'];
+
+/**
+ * Audit trail of task changes, appended to `<dataDir>/history.jsonl` whatever the
+ * storage backend. TaskManager derives the entries from what each save changed
+ * against the stored copy, so every writer (task tools, dependency manager,
+ * research) is recorded, not just the ones that remember to log.
+ *
+ * Entry: { id, revision, timestamp, tag, taskId, parentId, position, action, title, actor,
+ *          changes: [{ field, from, to }], comment, task, operation, description }
+ * action is create, update, status, dependencies, delete, tag_create or tag_delete;
+ * create and delete entries carry the task itself (without subtasks) and its position
+ * among its siblings. operation marks entries written by undo, redo or restore.
+ */
+class TaskHistory {
+    static FILE = 'history.jsonl';
+
+    constructor(dataDir) {
+        this.file = path.join(dataDir, TaskHistory.FILE);
+    }
+
+    /**
+     * Entries describing how a save changes the stored collection
+     * @param {Object} base - TaskMerge snapshot of the stored collection
+     * @param {Object} collection - Collection about to be saved
+     * @param {Object} context - { revision, actor, operation, notes: Map<'tag/taskId', { actor, comment }> }
+     * @returns {Array} History entries
+     */
+    static diff(base, collection, context) {
+        const entries = [];
+        const timestamp = new Date().toISOString();
+        const tagNames = new Set([...Object.keys(base), ...Object.keys(collection.tags)]);
+
+        const record = (entry, note) => {
+            entries.push({
+                id: `${context.revision}.${entries.length + 1}`,
+                revision: context.revision,
+                timestamp,
+                ...entry,
+                actor: note?.actor || entry.actor || context.actor || { type: 'system' },
+                comment: note?.comment,
+                operation: context.operation
+            });
+        };
+
+        for (const tagName of tagNames) {
+            const before = base[tagName];
+            const after = collection.tags[tagName];
+
+            if (!before) {
+                record({ tag: tagName, taskId: null, action: 'tag_create', title: after.name || tagName, changes: [] });
+            }
+
+            // Only walk the top-level subtrees that differ from the stored copy
+            const changedBefore = [];
+            const changedAfter = [];
+            const afterIds = new Set();
+            for (const task of after?.tasks || []) {
+                afterIds.add(task.id);
+                const stored = before?.get(task.id);
+                if (stored === JSON.stringify(task)) continue;
+                changedAfter.push(task);
+                if (stored) changedBefore.push(JSON.parse(stored));
+            }
+            for (const [id, stored] of before || []) {
+                if (!afterIds.has(id)) changedBefore.push(JSON.parse(stored));
+            }
+
+            const beforeTasks = this.flatten(changedBefore);
+            const afterTasks = this.flatten(changedAfter);
+
+            for (const [id, current] of afterTasks) {
+                const note = context.notes?.get(`${tagName}/${id}`);
+                const previous = beforeTasks.get(id);
+
+                if (!previous) {
+                    record({
+                        tag: tagName,
+                        taskId: id,
+                        parentId: current.parentId,
+                        position: current.position,
+                        action: 'create',
+                        title: current.task.title,
+                        actor: current.task.metadata?.createdBy || current.task.metadata?.modifiedBy,
+                        changes: [],
+                        task: current.task
+                    }, note);
+                    continue;
+                }
+
+                const changes = this.diffTask(previous.task, current.task);
+                if (changes.length === 0) continue;
+
+                const modifiedBy = current.task.metadata?.modifiedBy;
+                const actorChanged = JSON.stringify(modifiedBy) !== JSON.stringify(previous.task.metadata?.modifiedBy);
+                record({
+                    tag: tagName,
+                    taskId: id,
+                    action: this.classify(changes),
+                    title: current.task.title,
+                    actor: actorChanged ? modifiedBy : undefined,
+                    changes
+                }, note);
+            }
+
+            for (const [id, previous] of beforeTasks) {
+                if (afterTasks.has(id)) continue;
+                record({
+                    tag: tagName,
+                    taskId: id,
+                    parentId: previous.parentId,
+                    position: previous.position,
+                    action: 'delete',
+                    title: previous.task.title,
+                    changes: [],
+                    task: previous.task
+                }, context.notes?.get(`${tagName}/${id}`));
+            }
+
+            if (!after) {
+                record({ tag: tagName, taskId: null, action: 'tag_delete', title: tagName, changes: [] });
+            }
+        }
+
+        return entries.map(entry => ({ ...entry, description: this.describe(entry) }));
+    }
+
+    /**
+     * Tasks of a subtree by id, without their subtasks, as plain JSON
+     */
+    static flatten(tasks, parentId = null, result = new Map()) {
+        tasks.forEach((task, position) => {
+            const { subtasks, ...fields } = JSON.parse(JSON.stringify(task));
+            result.set(task.id, { task: fields, parentId, position });
+            this.flatten(task.subtasks || [], task.id, result);
+        });
+        return result;
+    }
+
+    static diffTask(before, after) {
+        const changes = [];
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        fields.delete('metadata');
+
+        for (const field of fields) {
+            if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+            }
+        }
+
+        const metadataKeys = new Set([...Object.keys(before.metadata || {}), ...Object.keys(after.metadata || {})]);
+        for (const key of metadataKeys) {
+            if (UNTRACKED_METADATA.includes(key)) continue;
+            const from = before.metadata?.[key];
+            const to = after.metadata?.[key];
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ field: `metadata.${key}`, from: from ?? null, to: to ?? null });
+            }
+        }
+
+        return changes;
+    }
+
+    static classify(changes) {
+        if (changes.some(change => change.field === 'status')) {
+            return 'status';
+        }
+        if (changes.every(change => DEPENDENCY_FIELDS.includes(change.field))) {
+            return 'dependencies';
+        }
+        return 'update';
+    }
+
+    static describe(entry) {
+        const comment = entry.comment ? ` (${entry.comment})` : '';
+        switch (entry.action) {
+            case 'create':
+                return `Created "${entry.title}"${comment}`;
+            case 'delete':
+                return `Deleted "${entry.title}"${comment}`;
+            case 'tag_create':
+                return `Created tag '${entry.tag}'`;
+            case 'tag_delete':
+                return `Deleted tag '${entry.tag}'`;
+            case 'status': {
+                const status = entry.changes.find(change => change.field === 'status');
+                const others = entry.changes.filter(change => change !== status).map(change => change.field);
+                const also = others.length > 0 ? `; changed ${others.join(', ')}` : '';
+                return `Status ${status.from} → ${status.to}${also}${comment}`;
+            }
+            default:
+                return `Changed ${entry.changes.map(change => change.field).join(', ')}${comment}`;
+        }
+    }
+
+    append(entries) {
+        if (entries.length === 0) return;
+        fs.appendFileSync(this.file, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+    }
+
+    /**
+     * History entries, newest first
+     * @param {Object} filters - { tag, taskId, includeSubtasks, action, actorType, actorId, since, until, limit }
+     * @returns {Array} Matching entries
+     */
+    query(filters = {}) {
+        if (!fs.existsSync(this.file)) {
+            return [];
+        }
+
+        const since = filters.since ? new Date(filters.since).getTime() : null;
+        const until = filters.until ? new Date(filters.until).getTime() : null;
+        const actions = filters.action ? [].concat(filters.action) : null;
+        const matches = [];
+
+        for (const line of fs.readFileSync(this.file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A line cut short by a crash; the rest of the trail is still usable
+                continue;
+            }
+
+            if (filters.tag && entry.tag !== filters.tag) continue;
+            if (filters.taskId && entry.taskId !== filters.taskId &&
+                !(filters.includeSubtasks && entry.taskId?.startsWith(`${filters.taskId}.`))) continue;
+            if (actions && !actions.includes(entry.action)) continue;
+            if (filters.actorType && entry.actor?.type !== filters.actorType) continue;
+            if (filters.actorId && entry.actor?.id !== filters.actorId) continue;
+
+            const time = new Date(entry.timestamp).getTime();
+            if (since !== null && time < since) continue;
+            if (until !== null && time > until) continue;
+
+            matches.push(entry);
+        }
+
+        matches.reverse();
+        return filters.limit ? matches.slice(0, filters.limit) : matches;
+    }
+}
+
+export default TaskHistory;
@@ -1,24 +1,150 @@
 import fs from 'fs';
 import path from 'path';
 import { EventEmitter } from 'events';
-import { fileURLToPath } from 'url';
 import TaskSchema from './TaskSchema.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import ProjectLocator from './ProjectLocator.js';
+import FileLock from './FileLock.js';
+import TaskMerge, { TaskConflictError } from './TaskMerge.js';
+import TaskStorage from './storage/TaskStorage.js';
+import TaskHistory from './TaskHistory.js';
+import TaskOperationLog from './TaskOperationLog.js';
+import TaskImporter from './import/TaskImporter.js';
+import TaskExporter from './export/TaskExporter.js';
+import TaskQuery, { TaskQueryError } from './TaskQuery.js';
+import TaskScheduler from './TaskScheduler.js';
+import TaskWorkflow from './TaskWorkflow.js';
 
 class TaskManager extends EventEmitter {
-    constructor(dataDir = path.join(__dirname, '../data/tasks')) {
+    /**
+     * @param {Object|string} options - { projectRoot, cwd, dataDir, storage, actor, conflictStrategy, lock }, or a data directory.
+     *   Without a data directory the store lives in `<project>/.super-agents/`, where the
+     *   project is found by walking up from projectRoot (or cwd) to a `.super-agents/` directory.
+     *   storage names the backend (json, sqlite, jsonl); by default it is `taskManager.storage`
+     *   from `.super-agents/config.json`, or json.
+     *   actor ({ type: 'agent'|'human'|'system', id, name }) is recorded as who made the changes.
+     *   conflictStrategy is 'merge' (default) or 'reject' for saves against a stale copy;
+     *   lock holds FileLock options ({ staleMs, timeoutMs }).
+     */
+    constructor(options = {}) {
         super();
-        this.dataDir = dataDir;
-        this.tasksFile = path.join(dataDir, 'tasks.json');
-        this.backupDir = path.join(dataDir, 'backups');
+        const config = typeof options === 'string' ? { dataDir: options } : options;
+        this.projectRoot = config.dataDir
+            ? path.dirname(path.resolve(config.dataDir))
+            : ProjectLocator.resolveProjectRoot(config.projectRoot || config.cwd || process.cwd());
+        this.dataDir = config.dataDir || ProjectLocator.getPaths(this.projectRoot).dataDir;
+        this.settings = this.readSettings();
+        this.storageBackend = config.storage || this.settings.storage || TaskStorage.DEFAULT_BACKEND;
+        this.tasksFile = TaskStorage.getFile(this.storageBackend, this.dataDir);
+        this.backupDir = path.join(this.dataDir, 'backups');
+        this.storage = null;
+        this.history = new TaskHistory(this.dataDir);
+        this.actor = config.actor || null;
+        this.historyNotes = new Map();
+        this.historyOperation = null;
         this.currentTag = 'main';
         this.tasks = null;
         this.autoSave = true;
+        this.conflictStrategy = config.conflictStrategy || 'merge';
+        this.lock = new FileLock(this.tasksFile, config.lock);
+        this.revision = 0;
+        this.baseline = null;
         this.ensureDirectories();
     }
 
+    /**
+     * Open the task store of the project containing startDir. Outside a project the store
+     * is created in startDir, so everything but project setup passes requireProject.
+     * @param {Object} options - { projectRoot, cwd, tag, requireProject } plus constructor options
+     * @returns {Promise<TaskManager>} Initialized task manager
+     */
+    static async open(options = {}) {
+        const startDir = options.projectRoot || options.cwd || process.cwd();
+        const projectRoot = ProjectLocator.findProjectRoot(startDir);
+        if (!projectRoot && options.requireProject) {
+            throw new Error(`Not in a Super Agents project (run sa init): no ${ProjectLocator.PROJECT_DIR}/ directory in ${path.resolve(startDir)} or any parent`);
+        }
+
+        const taskManager = new TaskManager({ ...options, projectRoot: projectRoot || path.resolve(startDir) });
+        await taskManager.initialize();
+        if (options.tag) {
+            await taskManager.setCurrentTag(options.tag);
+        }
+        return taskManager;
+    }
+
+    /**
+     * Move a project's tasks to another storage backend and select it in the project
+     * config. The previous store is moved into the backup directory.
+     * @param {Object} options - { projectRoot, cwd, to }
+     * @returns {Promise<Object>} { from, to, tasksFile, archived, totalTasks, revision }
+     */
+    static async migrateStorage(options = {}) {
+        const { to, ...openOptions } = options;
+        TaskStorage.getBackend(to);
+
+        const source = await TaskManager.open({ ...openOptions, requireProject: true });
+        const from = source.storageBackend;
+        try {
+            if (from === to) {
+                throw new Error(`Tasks already use the ${to} storage backend`);
+            }
+
+            const target = await TaskStorage.create(to, source.dataDir, { backupDir: source.backupDir });
+            const targetLock = new FileLock(target.file, options.lock);
+            try {
+                return await source.lock.withLock(() => targetLock.withLock(async () => {
+                    if (target.exists()) {
+                        throw new Error(`${target.file} already holds tasks; move it aside before migrating`);
+                    }
+
+                    const collection = source.readStoredTasks() || source.tasks;
+                    target.write(collection, {});
+                    target.close();
+
+                    const archived = source.storage.archive();
+                    source.writeSettings({ storage: to });
+
+                    return {
+                        from,
+                        to,
+                        tasksFile: target.file,
+                        archived,
+                        totalTasks: collection.metadata.totalTasks,
+                        revision: collection.metadata.revision
+                    };
+                }));
+            } finally {
+                target.close();
+            }
+        } finally {
+            await source.cleanup();
+        }
+    }
+
+    /**
+     * `taskManager` section of the project config, if the data directory has one
+     */
+    readSettings() {
+        const configFile = path.join(this.dataDir, ProjectLocator.CONFIG_FILE);
+        if (!fs.existsSync(configFile)) {
+            return {};
+        }
+        try {
+            return JSON.parse(fs.readFileSync(configFile, 'utf8')).taskManager || {};
+        } catch (error) {
+            console.warn(`Ignoring unreadable ${configFile}:`, error.message);
+            return {};
+        }
+    }
+
+    writeSettings(changes) {
+        const configFile = path.join(this.dataDir, ProjectLocator.CONFIG_FILE);
+        const config = fs.existsSync(configFile) ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : {};
+        config.taskManager = { ...config.taskManager, ...changes };
+        fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
+        this.settings = config.taskManager;
+    }
+
     ensureDirectories() {
         if (!fs.existsSync(this.dataDir)) {
             fs.mkdirSync(this.dataDir, { recursive: true });
@@ -30,6 +156,13 @@ class TaskManager extends EventEmitter {
 
     async initialize() {
         try {
+            if (!this.storage) {
+                this.storage = await TaskStorage.create(this.storageBackend, this.dataDir, {
+                    backupDir: this.backupDir,
+                    autoBackup: this.settings.autoBackup,
+                    maxBackups: this.settings.maxBackups
+                });
+            }
             await this.loadTasks();
             this.emit('initialized');
             return { success: true, message: 'TaskManager initialized successfully' };
@@ -41,21 +174,18 @@ class TaskManager extends EventEmitter {
 
     async loadTasks() {
         try {
-            if (fs.existsSync(this.tasksFile)) {
-                const data = fs.readFileSync(this.tasksFile, 'utf8');
-                let taskData = JSON.parse(data);
-
-                if (taskData.tasks && !taskData.tags) {
-                    taskData = this.migrateLegacyFormat(taskData);
-                }
-
-                this.tasks = TaskSchema.validateTaskCollection(taskData);
+            const stored = this.readStoredTasks();
+            if (stored) {
+                this.tasks = stored;
+                this.trackRevision();
                 this.emit('tasks_loaded', { 
                     totalTasks: this.getTotalTaskCount(),
-                    tags: Object.keys(this.tasks.tags)
+                    tags: Object.keys(this.tasks.tags),
+                    revision: this.revision
                 });
             } else {
                 this.tasks = TaskSchema.createEmptyTaskCollection();
+                this.trackRevision();
                 await this.saveTasks();
                 this.emit('tasks_created');
             }
@@ -65,6 +195,29 @@ class TaskManager extends EventEmitter {
         }
     }
 
+    /**
+     * Validated collection as currently stored, or null when nothing is stored yet
+     */
+    readStoredTasks() {
+        let taskData = this.storage.read();
+        if (!taskData) {
+            return null;
+        }
+
+        if (taskData.tasks && !taskData.tags) {
+            taskData = this.migrateLegacyFormat(taskData);
+        }
+        return TaskSchema.validateTaskCollection(taskData);
+    }
+
+    /**
+     * Remember the revision and content this copy is based on
+     */
+    trackRevision() {
+        this.revision = this.tasks.metadata.revision || 0;
+        this.baseline = TaskMerge.snapshot(this.tasks);
+    }
+
     migrateLegacyFormat(legacyData) {
         const migratedData = TaskSchema.createEmptyTaskCollection();
         migratedData.tags.main.tasks = legacyData.tasks || [];
@@ -77,43 +230,133 @@ class TaskManager extends EventEmitter {
 
     async saveTasks() {
         if (!this.autoSave) return;
+        await this.lock.withLock(() => this.writeTasks());
+    }
+
+    /**
+     * Apply a change that allocates ids and save it. With autoSave the refresh, the
+     * change and the write share one lock, so another process cannot take the same id.
+     * @param {Function} change - Synchronous mutation of this.tasks
+     * @returns {Promise<*>} Result of change
+     */
+    async applyChange(change) {
+        if (!this.autoSave) {
+            this.refresh();
+            return change();
+        }
 
+        return this.lock.withLock(async () => {
+            this.refresh();
+            const result = change();
+            await this.writeTasks();
+            return result;
+        });
+    }
+
+    /**
+     * Read-compare-write; the caller holds the lock so concurrent writers never clobber each other
+     */
+    async writeTasks() {
         try {
-            await this.createBackup();
-            
+            const storedRevision = this.storage.readRevision();
+            if (storedRevision !== null && storedRevision !== this.revision) {
+                this.resolveConflict(this.readStoredTasks(), storedRevision);
+            }
+
+            this.storage.backup();
+
             this.tasks.metadata.modified = new Date();
+            this.tasks.metadata.revision = (storedRevision ?? this.revision) + 1;
             this.updateTaskCounts();
-            
-            const dataToSave = JSON.stringify(this.tasks, null, 2);
-            fs.writeFileSync(this.tasksFile, dataToSave, 'utf8');
-            
-            this.emit('tasks_saved', { timestamp: new Date() });
+
+            // The baseline is what is stored now, so backends can write only what changed
+            const entries = TaskHistory.diff(this.baseline, this.tasks, {
+                revision: this.tasks.metadata.revision,
+                actor: this.actor,
+                operation: this.historyOperation,
+                notes: this.historyNotes
+            });
+            this.storage.write(this.tasks, storedRevision === null ? {} : this.baseline);
+            this.trackRevision();
+            this.historyNotes.clear();
+            this.historyOperation = null;
+            this.recordHistory(entries);
+
+            this.emit('tasks_saved', { timestamp: new Date(), revision: this.revision });
         } catch (error) {
             this.emit('save_error', error);
+            if (error instanceof TaskConflictError) {
+                throw error;
+            }
             throw new Error(`Failed to save tasks: ${error.message}`);
         }
     }
 
-    async createBackup() {
-        if (!fs.existsSync(this.tasksFile)) return;
+    /**
+     * Append audit entries; the tasks are already saved, so a failure here only warns
+     */
+    recordHistory(entries) {
+        if (entries.length === 0) return;
 
         try {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupFile = path.join(this.backupDir, `tasks-${timestamp}.json`);
-            fs.copyFileSync(this.tasksFile, backupFile);
-
-            const backupFiles = fs.readdirSync(this.backupDir)
-                .filter(file => file.startsWith('tasks-') && file.endsWith('.json'))
-                .sort()
-                .reverse();
-
-            if (backupFiles.length > 10) {
-                for (const file of backupFiles.slice(10)) {
-                    fs.unlinkSync(path.join(this.backupDir, file));
-                }
-            }
+            this.history.append(entries);
+            this.emit('history_recorded', { entries });
         } catch (error) {
-            console.warn('Failed to create backup:', error.message);
+            console.warn('Failed to record task history:', error.message);
+            this.emit('history_error', error);
+        }
+    }
+
+    /**
+     * The stored tasks moved on since this copy was loaded: merge the other writer's
+     * changes in, or reject the save when they touch the same tasks
+     */
+    resolveConflict(stored, storedRevision) {
+        if (this.conflictStrategy === 'reject') {
+            throw new TaskConflictError(
+                `Tasks were saved by another process (revision ${storedRevision}, this copy is at ${this.revision}); reload and retry`
+            );
+        }
+
+        const { merged, conflicts } = TaskMerge.merge(this.baseline, this.tasks, stored);
+        if (conflicts.length > 0) {
+            const summary = conflicts.map(conflict => `${conflict.tag}${conflict.taskId ? `/${conflict.taskId}` : ''}: ${conflict.reason}`);
+            throw new TaskConflictError(`Conflicting task changes, reload and retry: ${summary.join('; ')}`, conflicts);
+        }
+
+        const fromRevision = this.revision;
+        this.tasks = TaskSchema.validateTaskCollection(merged);
+        this.revision = storedRevision;
+        this.baseline = TaskMerge.snapshot(stored);
+        if (!this.tasks.tags[this.currentTag]) {
+            this.currentTag = 'main';
+        }
+        this.emit('tasks_merged', { fromRevision, storedRevision });
+    }
+
+    /**
+     * Bring this copy up to the stored revision, keeping unsaved changes. Used before
+     * allocating ids so tasks created by another process are not handed out again.
+     */
+    refresh() {
+        const storedRevision = this.storage.readRevision();
+        if (storedRevision === null || storedRevision === this.revision) {
+            return;
+        }
+
+        const stored = this.readStoredTasks();
+        const current = TaskMerge.snapshot(this.tasks);
+        const unsaved = Object.keys({ ...current, ...this.baseline })
+            .some(tag => !current[tag] || !this.baseline[tag] || !TaskMerge.sameTasks(current[tag], this.baseline[tag]));
+
+        if (!unsaved) {
+            this.tasks = stored;
+            this.trackRevision();
+            if (!this.tasks.tags[this.currentTag]) {
+                this.currentTag = 'main';
+            }
+        } else if (this.conflictStrategy === 'merge') {
+            this.resolveConflict(stored, storedRevision);
         }
     }
 
@@ -163,28 +406,30 @@ class TaskManager extends EventEmitter {
     async createTask(taskData, tag = null) {
         try {
             const targetTag = tag || this.currentTag;
-            if (!this.tasks.tags[targetTag]) {
-                throw new Error(`Tag '${targetTag}' does not exist`);
-            }
+            const validatedTask = await this.applyChange(() => {
+                if (!this.tasks.tags[targetTag]) {
+                    throw new Error(`Tag '${targetTag}' does not exist`);
+                }
 
-            const existingIds = this.getAllTaskIds(targetTag);
-            const newTask = TaskSchema.createEmptyTask(taskData);
-            
-            if (!newTask.id) {
-                newTask.id = TaskSchema.generateTaskId(null, existingIds);
-            } else if (existingIds.includes(newTask.id)) {
-                throw new Error(`Task ID '${newTask.id}' already exists in tag '${targetTag}'`);
-            }
+                const existingIds = this.getAllTaskIds(targetTag);
+                const newTask = TaskSchema.createEmptyTask({ ...taskData, status: this.initialStatus(taskData.status, targetTag) });
+                
+                if (!newTask.id) {
+                    newTask.id = TaskSchema.generateTaskId(null, existingIds);
+                } else if (existingIds.includes(newTask.id)) {
+                    throw new Error(`Task ID '${newTask.id}' already exists in tag '${targetTag}'`);
+                }
 
-            newTask.metadata.created = new Date();
-            newTask.metadata.modified = new Date();
-            
-            const validatedTask = TaskSchema.validateTask(newTask);
-            this.tasks.tags[targetTag].tasks.push(validatedTask);
-            
-            if (this.autoSave) {
-                await this.saveTasks();
-            }
+                newTask.metadata.created = new Date();
+                newTask.metadata.modified = new Date();
+                if (this.actor && !newTask.metadata.createdBy) {
+                    newTask.metadata.createdBy = this.actor;
+                }
+                
+                const task = TaskSchema.validateTask(newTask);
+                this.tasks.tags[targetTag].tasks.push(task);
+                return task;
+            });
             
             this.emit('task_created', { 
                 taskId: validatedTask.id, 
@@ -202,29 +447,31 @@ class TaskManager extends EventEmitter {
     async createSubtask(parentTaskId, subtaskData, tag = null) {
         try {
             const targetTag = tag || this.currentTag;
-            const parentTask = this.getTask(parentTaskId, targetTag);
-            
-            if (!parentTask) {
-                throw new Error(`Parent task '${parentTaskId}' not found in tag '${targetTag}'`);
-            }
+            const validatedSubtask = await this.applyChange(() => {
+                const parentTask = this.getTask(parentTaskId, targetTag);
+                
+                if (!parentTask) {
+                    throw new Error(`Parent task '${parentTaskId}' not found in tag '${targetTag}'`);
+                }
 
-            const existingIds = this.getAllTaskIds(targetTag);
-            const newSubtask = TaskSchema.createEmptyTask(subtaskData);
-            
-            if (!newSubtask.id) {
-                newSubtask.id = TaskSchema.generateTaskId(parentTaskId, existingIds);
-            }
+                const existingIds = this.getAllTaskIds(targetTag);
+                const newSubtask = TaskSchema.createEmptyTask({ ...subtaskData, status: this.initialStatus(subtaskData.status, targetTag) });
+                
+                if (!newSubtask.id) {
+                    newSubtask.id = TaskSchema.generateTaskId(parentTaskId, existingIds);
+                }
 
-            newSubtask.metadata.created = new Date();
-            newSubtask.metadata.modified = new Date();
-            
-            const validatedSubtask = TaskSchema.validateTask(newSubtask);
-            parentTask.subtasks.push(validatedSubtask);
-            parentTask.metadata.modified = new Date();
-            
-            if (this.autoSave) {
-                await this.saveTasks();
-            }
+                newSubtask.metadata.created = new Date();
+                newSubtask.metadata.modified = new Date();
+                if (this.actor && !newSubtask.metadata.createdBy) {
+                    newSubtask.metadata.createdBy = this.actor;
+                }
+                
+                const subtask = TaskSchema.validateTask(newSubtask);
+                parentTask.subtasks.push(subtask);
+                parentTask.metadata.modified = new Date();
+                return subtask;
+            });
             
             this.emit('subtask_created', { 
                 parentTaskId,
@@ -240,6 +487,74 @@ class TaskManager extends EventEmitter {
         }
     }
 
+    /**
+     * Status workflow of a tag (its own, else the project default)
+     * @param {string} tag - Tag name (default: current tag)
+     * @returns {TaskWorkflow}
+     */
+    getWorkflow(tag = null) {
+        return TaskWorkflow.forTag(this.tasks.configuration, tag || this.currentTag);
+    }
+
+    /**
+     * Set the status workflow of one tag, or the default for tags without their own.
+     * Passing null removes a tag's workflow so it uses the default again.
+     * @param {Object|null} definition - { initial, transitions, hooks }
+     * @param {string} tag - Tag name, or null for the default
+     * @returns {Promise<TaskWorkflow>} The workflow now in effect
+     */
+    async setWorkflow(definition, tag = null) {
+        if (definition) {
+            new TaskWorkflow(definition);
+        } else if (!tag) {
+            throw new Error('The default workflow cannot be removed, only replaced');
+        }
+
+        await this.applyChange(() => {
+            if (tag && !this.tasks.tags[tag]) {
+                throw new Error(`Tag '${tag}' does not exist`);
+            }
+
+            const current = this.tasks.configuration.statusTransitions || TaskSchema.getStatusTransitions();
+            const config = TaskWorkflow.isStatusMap(current)
+                ? { default: { transitions: current }, tags: {} }
+                : structuredClone({ tags: {}, ...current });
+
+            if (!tag) {
+                config.default = definition;
+            } else if (definition) {
+                config.tags[tag] = definition;
+            } else {
+                delete config.tags[tag];
+            }
+
+            // Every existing task must keep a status the new workflow knows
+            const affected = tag ? [tag] : Object.keys(this.tasks.tags).filter(name => !config.tags[name]);
+            for (const name of affected) {
+                const workflow = TaskWorkflow.forTag({ statusTransitions: config }, name);
+                const stranded = this.getAllTasks(name).filter(task => !workflow.statuses.includes(task.status));
+                if (stranded.length > 0) {
+                    throw new Error(`Tasks in tag '${name}' have statuses the workflow does not define: ` +
+                        stranded.map(task => `${task.id} (${task.status})`).join(', '));
+                }
+            }
+
+            this.tasks.configuration.statusTransitions = config;
+        });
+
+        this.emit('workflow_changed', { tag });
+        return this.getWorkflow(tag);
+    }
+
+    initialStatus(status, tag) {
+        const workflow = this.getWorkflow(tag);
+        if (status === undefined) {
+            return workflow.initial;
+        }
+        workflow.assertStatus(status, tag);
+        return status;
+    }
+
     getTask(taskId, tag = null) {
         const targetTag = tag || this.currentTag;
         if (!this.tasks.tags[targetTag]) {
@@ -262,7 +577,13 @@ class TaskManager extends EventEmitter {
         return null;
     }
 
-    async updateTask(taskId, updates, tag = null) {
+    /**
+     * @param {string} taskId - Task ID
+     * @param {Object} updates - Fields to change; metadata is merged rather than replaced
+     * @param {string} tag - Tag (defaults to the current tag)
+     * @param {Object} options - { actor, comment } recorded in the task history
+     */
+    async updateTask(taskId, updates, tag = null, options = {}) {
         try {
             const targetTag = tag || this.currentTag;
             const task = this.getTask(taskId, targetTag);
@@ -272,21 +593,39 @@ class TaskManager extends EventEmitter {
             }
 
             const oldStatus = task.status;
-            Object.assign(task, updates);
-            task.metadata.modified = new Date();
+            const { metadata, ...fields } = updates;
 
+            // The tag's workflow and its hooks see the task as it would be saved
             if (updates.status && updates.status !== oldStatus) {
-                if (!TaskSchema.isValidStatusTransition(oldStatus, updates.status)) {
-                    throw new Error(`Invalid status transition from '${oldStatus}' to '${updates.status}'`);
-                }
-                
-                if (updates.status === 'done' && !task.completedDate) {
-                    task.completedDate = new Date();
-                }
+                await this.getWorkflow(targetTag).check({ ...task, ...fields, metadata: { ...task.metadata, ...metadata } }, oldStatus, updates.status, {
+                    tag: targetTag,
+                    projectRoot: this.projectRoot,
+                    force: options.force
+                });
+            }
+
+            Object.assign(task, fields);
+            task.metadata = { ...task.metadata, ...metadata, modified: new Date() };
+
+            const actor = options.actor || metadata?.modifiedBy || this.actor;
+            if (actor) {
+                task.metadata.modifiedBy = actor;
+            }
+
+            if (updates.status === 'done' && oldStatus !== 'done' && !task.completedDate) {
+                task.completedDate = new Date();
             }
 
             const validatedTask = TaskSchema.validateTask(task);
+            // Keep the in-memory task identical to what is stored: drop fields the schema strips
+            for (const key of Object.keys(task)) {
+                if (!(key in validatedTask)) delete task[key];
+            }
             Object.assign(task, validatedTask);
+
+            if (options.actor || options.comment) {
+                this.historyNotes.set(`${targetTag}/${taskId}`, { actor: options.actor, comment: options.comment });
+            }
             
             if (this.autoSave) {
                 await this.saveTasks();
@@ -386,7 +725,7 @@ class TaskManager extends EventEmitter {
         }
 
         let allTasks = this.getAllTasks(targetTag);
-        return this.applyFilters(allTasks, filters);
+        return this.applyFilters(allTasks, filters, targetTag);
     }
 
     getAllTasks(tag = null) {
@@ -408,11 +747,33 @@ class TaskManager extends EventEmitter {
         return result;
     }
 
-    applyFilters(tasks, filters) {
+    /**
+     * Filter the tasks of a tag
+     * @param {Array} tasks - Tasks of one tag
+     * @param {Object} filters - { query, status, excludeStatus, excludeFinal, priority, type, assignee, tags, search, dateRange };
+     *   excludeFinal drops tasks in a status the tag's workflow cannot leave (done, cancelled)
+     * @param {string} [tag] - Tag the tasks belong to
+     */
+    applyFilters(tasks, filters, tag = null) {
+        const query = typeof filters.query === 'string' ? this.parseQuery(filters.query) : filters.query;
+        const matchesQuery = query ? query.matcher(tasks) : null;
+        const excludedStatuses = new Set([
+            ...(filters.excludeStatus || []),
+            ...(filters.excludeFinal ? this.getWorkflow(tag).getFinalStatuses() : [])
+        ]);
+
         return tasks.filter(task => {
+            if (matchesQuery && !matchesQuery(task)) {
+                return false;
+            }
+
             if (filters.status && task.status !== filters.status) {
                 return false;
             }
+
+            if (excludedStatuses.has(task.status)) {
+                return false;
+            }
             
             if (filters.priority && task.priority !== filters.priority) {
                 return false;
@@ -459,6 +820,54 @@ class TaskManager extends EventEmitter {
         });
     }
 
+    /**
+     * Parse a task query, resolving `@name` references to this project's saved queries
+     * @param {string} text - Query text (see TaskQuery)
+     * @returns {TaskQuery}
+     */
+    parseQuery(text) {
+        const statuses = new Set([this.currentTag, ...Object.keys(this.tasks.tags)].flatMap(tag => this.getWorkflow(tag).statuses));
+        return TaskQuery.parse(text, { saved: this.getSavedQueries(), statuses: [...statuses] });
+    }
+
+    /**
+     * Named queries saved in the project config
+     * @returns {Object} { [name]: query text }
+     */
+    getSavedQueries() {
+        return { ...this.readSettings().queries };
+    }
+
+    saveQuery(name, text) {
+        if (!/^[A-Za-z0-9_-]+$/.test(name || '')) {
+            throw new TaskQueryError(`Invalid query name '${name}' (use letters, digits, '-' and '_')`);
+        }
+
+        const queries = { ...this.getSavedQueries(), [name]: text };
+        // Parse against the new set so references to itself or unknown queries are rejected
+        const query = TaskQuery.parse(text, { saved: queries });
+        this.writeSettings({ queries });
+        this.emit('query_saved', { name, query: text });
+        return query;
+    }
+
+    deleteQuery(name) {
+        const queries = this.getSavedQueries();
+        if (!(name in queries)) {
+            throw new Error(`Saved query '${name}' does not exist`);
+        }
+
+        const users = Object.keys(queries).filter(other => other !== name &&
+            TaskQuery.tokenize(queries[other]).some(token => token.text.replace(/^-/, '') === `@${name}`));
+        if (users.length > 0) {
+            throw new Error(`Saved query '${name}' is used by: ${users.join(', ')}`);
+        }
+
+        delete queries[name];
+        this.writeSettings({ queries });
+        this.emit('query_deleted', { name });
+    }
+
     getAllTaskIds(tag = null) {
         return this.getAllTasks(tag).map(task => task.id);
     }
@@ -470,6 +879,139 @@ class TaskManager extends EventEmitter {
         return this.tasks.metadata.totalTasks;
     }
 
+    /**
+     * Audit entries of a task, newest first
+     * @param {string} taskId - Task ID
+     * @param {Object} options - { tag, includeSubtasks, action, actorType, actorId, since, until, limit }
+     * @returns {Array} History entries
+     */
+    getTaskHistory(taskId, options = {}) {
+        return this.history.query({ ...options, tag: options.tag || this.currentTag, taskId });
+    }
+
+    /**
+     * Audit entries of every task in a tag, newest first
+     * @param {string} tag - Tag (defaults to the current tag)
+     * @param {Object} options - { action, actorType, actorId, since, until, limit }
+     * @returns {Array} History entries
+     */
+    getTagHistory(tag = null, options = {}) {
+        return this.history.query({ ...options, tag: tag || this.currentTag });
+    }
+
+    /**
+     * Revert the latest operation (saved revision) that has not been undone
+     * @param {Object} options - { dryRun, force }
+     * @returns {Promise<Object>} { operation, changes, conflicts, applied, revision }
+     */
+    async undo(options = {}) {
+        return this.rewrite(operations => {
+            const revision = TaskOperationLog.stacks(operations).undoable.pop();
+            if (revision === undefined) {
+                throw new Error('Nothing to undo');
+            }
+            const target = operations.find(operation => operation.revision === revision);
+            return { operation: { type: 'undo', revision }, steps: [[target.entries, 'backward']] };
+        }, options);
+    }
+
+    /**
+     * Re-apply the operation most recently undone, unless other changes were made since
+     * @param {Object} options - { dryRun, force }
+     * @returns {Promise<Object>} { operation, changes, conflicts, applied, revision }
+     */
+    async redo(options = {}) {
+        return this.rewrite(operations => {
+            const revision = TaskOperationLog.stacks(operations).redoable.pop();
+            if (revision === undefined) {
+                throw new Error('Nothing to redo');
+            }
+            const target = operations.find(operation => operation.revision === revision);
+            return { operation: { type: 'redo', revision }, steps: [[target.entries, 'forward']] };
+        }, options);
+    }
+
+    /**
+     * Bring the tasks back to how they were at a point in time by reverting every
+     * operation recorded after it. The restore is itself one operation, so it can be undone.
+     * @param {Date|string} at - Point in time
+     * @param {Object} options - { dryRun, force }
+     * @returns {Promise<Object>} { operation, changes, conflicts, applied, revision }
+     */
+    async restore(at, options = {}) {
+        const time = new Date(at);
+        if (Number.isNaN(time.getTime())) {
+            throw new Error(`Invalid restore time '${at}'`);
+        }
+
+        return this.rewrite(operations => {
+            const later = operations.filter(operation => new Date(operation.timestamp) > time).reverse();
+            if (later.length === 0) {
+                throw new Error(`No task changes recorded after ${time.toISOString()}`);
+            }
+            return {
+                operation: { type: 'restore', at: time.toISOString(), revisions: later.map(operation => operation.revision) },
+                steps: later.map(operation => [operation.entries, 'backward'])
+            };
+        }, options);
+    }
+
+    /**
+     * Plan a change from the operation log, preview it as history entries, and save it
+     * unless this is a dry run. Runs under the lock so the log and the tasks agree.
+     */
+    async rewrite(plan, options = {}) {
+        const run = () => {
+            const { operation, steps } = plan(TaskOperationLog.operations(this.history.query().reverse()));
+            const target = JSON.parse(JSON.stringify(this.tasks));
+            const conflicts = steps.flatMap(([entries, direction]) => TaskOperationLog.apply(target, entries, direction));
+            const validated = TaskSchema.validateTaskCollection(target);
+            const changes = TaskHistory.diff(TaskMerge.snapshot(this.tasks), validated, {
+                revision: this.revision + 1,
+                actor: this.actor,
+                operation
+            });
+            const result = { operation, changes, conflicts, applied: false, revision: this.revision };
+
+            if (options.dryRun || changes.length === 0) {
+                return result;
+            }
+            if (conflicts.length > 0 && !options.force) {
+                const summary = conflicts.map(conflict => `${conflict.tag}/${conflict.taskId}: ${conflict.reason}`);
+                throw new TaskConflictError(`Cannot ${operation.type}, tasks changed since: ${summary.join('; ')}`, conflicts);
+            }
+
+            this.tasks = validated;
+            if (!this.tasks.tags[this.currentTag]) {
+                this.currentTag = 'main';
+            }
+            this.historyOperation = operation;
+            result.applied = true;
+            return result;
+        };
+
+        try {
+            if (!this.autoSave || options.dryRun) {
+                this.refresh();
+                return run();
+            }
+
+            return await this.lock.withLock(async () => {
+                this.refresh();
+                const result = run();
+                if (result.applied) {
+                    await this.writeTasks();
+                    result.revision = this.revision;
+                    this.emit('tasks_rewritten', { operation: result.operation, revision: this.revision });
+                }
+                return result;
+            });
+        } catch (error) {
+            this.historyOperation = null;
+            throw error;
+        }
+    }
+
     async setCurrentTag(tagName) {
         if (!this.tasks.tags[tagName]) {
             throw new Error(`Tag '${tagName}' does not exist`);
@@ -566,44 +1108,304 @@ class TaskManager extends EventEmitter {
         return stats;
     }
 
-    async exportTasks(format = 'json', tag = null) {
+    /**
+     * Import an export from another tracker. Subtasks are placed under their parents,
+     * links become dependencies, and the whole import is saved as one change, so one undo
+     * reverts it. Issues imported before (same metadata.source) are skipped, which makes
+     * re-running an import safe; their ids still resolve parents and dependencies.
+     * @param {string} content - File content
+     * @param {string} format - github-issues-json, jira-csv, linear-csv, taskmaster-json or csv
+     * @param {Object} options - { tag, dryRun, fromTag } - a missing tag is created
+     * @returns {Promise<Object>} { format, tag, dryRun, createdTag, created, skipped, idMap, unmapped, warnings }
+     */
+    async importTasks(content, format, options = {}) {
+        const importer = await TaskImporter.create(format);
+        const parsed = importer.parse(content, options);
+        const targetTag = options.tag || this.currentTag;
+
+        const summarize = (merged, createdTag) => ({
+            format,
+            tag: targetTag,
+            dryRun: Boolean(options.dryRun),
+            createdTag,
+            ...merged,
+            unmapped: parsed.unmapped,
+            warnings: [...parsed.warnings, ...merged.warnings]
+        });
+
+        if (options.dryRun) {
+            this.refresh();
+            const tag = this.tasks.tags[targetTag];
+            return summarize(this.mergeImport(structuredClone(tag?.tasks || []), parsed.records, this.getWorkflow(targetTag)), !tag);
+        }
+
+        const result = await this.applyChange(() => {
+            const createdTag = !this.tasks.tags[targetTag];
+            if (createdTag) {
+                this.tasks.tags[targetTag] = {
+                    name: targetTag,
+                    description: `Imported from ${format}`,
+                    tasks: [],
+                    metadata: { created: new Date(), modified: new Date(), taskCount: 0 }
+                };
+            }
+            return summarize(this.mergeImport(this.tasks.tags[targetTag].tasks, parsed.records, this.getWorkflow(targetTag)), createdTag);
+        });
+
+        this.emit('tasks_imported', { format, tag: targetTag, created: result.created.length });
+        return result;
+    }
+
+    /**
+     * Add import records to a tag's task list (mutated in place). Statuses the tag's
+     * workflow does not define become its initial status. Records without a parentKey
+     * become subtasks of defaultParentId when it is given.
+     * @returns {Object} { created: [{ key, id, title, parentId }], skipped: [{ key, id, reason }], idMap, warnings }
+     */
+    mergeImport(tasks, records, workflow = this.getWorkflow(), defaultParentId = null) {
+        const created = [];
+        const skipped = [];
+        const warnings = [];
+        const idMap = {};
+        const byId = new Map();
+        const bySource = new Map();
+        const recordsByKey = new Map();
+
+        const index = list => list.forEach(task => {
+            byId.set(task.id, task);
+            if (task.metadata?.source) bySource.set(task.metadata.source, task.id);
+            index(task.subtasks || []);
+        });
+        index(tasks);
+
+        for (const record of records) {
+            if (recordsByKey.has(record.key)) {
+                skipped.push({ key: record.key, reason: 'duplicate key in the import file' });
+            } else if (record.source && bySource.has(record.source)) {
+                idMap[record.key] = bySource.get(record.source);
+                skipped.push({ key: record.key, id: idMap[record.key], reason: 'already imported' });
+            }
+            if (!recordsByKey.has(record.key)) recordsByKey.set(record.key, record);
+        }
+
+        // Same numbering as TaskSchema.generateTaskId (lowest free number), without rescanning all ids
+        const nextNumber = new Map();
+        const allocate = parentId => {
+            const prefix = parentId ? `${parentId}.` : '';
+            let number = nextNumber.get(prefix) || 1;
+            while (byId.has(prefix + number)) number++;
+            nextNumber.set(prefix, number + 1);
+            return prefix + number;
+        };
+
+        const failed = new Set();
+        const placing = new Set();
+        const place = record => {
+            if (idMap[record.key] || failed.has(record.key)) return idMap[record.key];
+            if (placing.has(record.key)) return undefined;
+            placing.add(record.key);
+
+            let parent = defaultParentId ? byId.get(defaultParentId) : null;
+            if (record.parentKey) {
+                const parentRecord = recordsByKey.get(record.parentKey);
+                const parentId = parentRecord && parentRecord !== record ? place(parentRecord) : undefined;
+                parent = parentId ? byId.get(parentId) : null;
+                if (!parent) {
+                    const reason = parentRecord ? 'was not imported' : 'is not in this tag';
+                    warnings.push(`${record.key}: parent ${record.parentKey} ${reason}, placed at the top level`);
+                }
+            }
+            placing.delete(record.key);
+
+            let status = record.task.status || workflow.initial;
+            if (!workflow.statuses.includes(status)) {
+                warnings.push(`${record.key}: status '${status}' is not in the tag's workflow, imported as '${workflow.initial}'`);
+                status = workflow.initial;
+            }
+
+            let task;
+            try {
+                const now = new Date();
+                task = TaskSchema.validateTask(TaskSchema.createEmptyTask({
+                    ...record.task,
+                    status,
+                    id: 'import',
+                    metadata: { created: now, modified: now, source: record.source, ...(this.actor && { createdBy: this.actor }) }
+                }));
+            } catch (error) {
+                failed.add(record.key);
+                skipped.push({ key: record.key, reason: error.message });
+                return undefined;
+            }
+
+            task.id = allocate(parent?.id);
+            (parent ? parent.subtasks : tasks).push(task);
+            byId.set(task.id, task);
+            idMap[record.key] = task.id;
+            created.push({ key: record.key, id: task.id, title: task.title, parentId: parent?.id || null });
+            return task.id;
+        };
+        recordsByKey.forEach(record => place(record));
+
+        // Links: record depends on dependsOn, and whatever it blocks depends on it
+        const createdIds = new Set(created.map(entry => entry.id));
+        for (const record of recordsByKey.values()) {
+            const links = [
+                ...record.dependsOn.map(key => [record.key, key]),
+                ...record.blocks.map(key => [key, record.key])
+            ];
+
+            for (const [fromKey, toKey] of links) {
+                const from = idMap[fromKey];
+                const to = idMap[toKey];
+                const missing = !from ? fromKey : !to ? toKey : null;
+                if (missing) {
+                    if (!failed.has(missing)) warnings.push(`${record.key}: linked issue ${missing} is not in this tag, link dropped`);
+                    continue;
+                }
+                if (!createdIds.has(from) || from === to) continue;
+
+                const task = byId.get(from);
+                const dependency = byId.get(to);
+                if (task.dependencies.includes(to)) continue;
+                if (this.dependsOn(byId, to, from)) {
+                    warnings.push(`${fromKey}: dependency on ${toKey} would create a cycle, link dropped`);
+                    continue;
+                }
+
+                task.dependencies.push(to);
+                if (!task.blockedBy.includes(to)) task.blockedBy.push(to);
+                if (!dependency.blocks.includes(from)) dependency.blocks.push(from);
+            }
+        }
+
+        return { created, skipped, idMap, warnings };
+    }
+
+    /**
+     * Whether a task depends on another, directly or through other tasks
+     */
+    dependsOn(byId, taskId, otherId, seen = new Set()) {
+        if (taskId === otherId) return true;
+        if (seen.has(taskId)) return false;
+        seen.add(taskId);
+        return (byId.get(taskId)?.dependencies || []).some(id => this.dependsOn(byId, id, otherId, seen));
+    }
+
+    /**
+     * Add tasks an AI tool generated (TaskSchema.getGeneratedTaskSchema shape) to a tag as
+     * one change. The model's ids only relate the tasks to each other; a dependency on a
+     * plain number that is no generated id refers to the task at that position. The tasks
+     * get ids in the tag the way imported tasks do, or under parentId as its subtasks.
+     * @param {Array} generated - Generated tasks
+     * @param {Object} options - { tag, parentId, replace } - replace drops the tag's tasks
+     *   (or the parent's subtasks) first
+     * @returns {Promise<Object>} { tag, created, skipped, idMap, warnings }
+     */
+    async addGeneratedTasks(generated, options = {}) {
+        const targetTag = options.tag || this.currentTag;
+        const keys = generated.map((task, index) => String(task.id ?? `generated-${index + 1}`));
+        const resolveKey = dependency => {
+            const key = String(dependency);
+            return !keys.includes(key) && /^\d+$/.test(key) && keys[key - 1] ? keys[key - 1] : key;
+        };
+
+        const records = generated.map((task, index) => {
+            // Long descriptions are kept whole in details
+            const description = task.description || '';
+            const longDescription = description.length > 1000;
+            return {
+                key: keys[index],
+                parentKey: null,
+                dependsOn: (task.dependencies || []).map(resolveKey),
+                blocks: [],
+                task: {
+                    title: (task.title || '').slice(0, 200),
+                    description: longDescription ? `${description.slice(0, 997)}...` : description,
+                    details: task.details || (longDescription ? description : undefined),
+                    testStrategy: task.testStrategy || undefined,
+                    notes: task.notes || undefined,
+                    priority: task.priority,
+                    complexity: task.effort ? Math.round(task.effort * 2) : undefined,
+                    estimatedHours: task.estimated_hours || undefined,
+                    acceptanceCriteria: task.acceptance_criteria || [],
+                    labels: task.skills || [],
+                    tags: task.tags || [],
+                    taskMasterIntegration: task.id !== undefined ? { originalId: task.id } : undefined
+                }
+            };
+        });
+
+        const result = await this.applyChange(() => {
+            const tag = this.tasks.tags[targetTag];
+            if (!tag) {
+                throw new Error(`Tag '${targetTag}' does not exist`);
+            }
+            const parent = options.parentId ? this.getTask(options.parentId, targetTag) : null;
+            if (options.parentId && !parent) {
+                throw new Error(`Task '${options.parentId}' not found in tag '${targetTag}'`);
+            }
+            if (options.replace) {
+                (parent ? parent.subtasks : tag.tasks).splice(0);
+            }
+            return { tag: targetTag, ...this.mergeImport(tag.tasks, records, this.getWorkflow(targetTag), parent?.id) };
+        });
+
+        this.emit('tasks_generated', { tag: targetTag, created: result.created.length });
+        return result;
+    }
+
+    /**
+     * Forecast the open tasks of a tag (or of every tag, each scheduled on its own) from
+     * estimates, dependencies and assignee capacity. Calendar settings come from
+     * `taskManager.schedule` in the project config; options override them.
+     * @param {Object} options - { tag, start, hoursPerDay, workingDays, holidays, capacity, defaultHours }
+     * @returns {Object} { generated, tags: [{ tag, name, projectedFinish, criticalPath, tasks, ... }] }
+     */
+    scheduleTasks(options = {}) {
+        const { tag, ...overrides } = options;
+        if (tag && !this.tasks.tags[tag]) {
+            throw new Error(`Tag '${tag}' does not exist`);
+        }
+
+        const settings = this.readSettings().schedule || {};
+        const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+        const scheduler = new TaskScheduler({ ...settings, ...defined, capacity: { ...settings.capacity, ...defined.capacity } });
+        const tagNames = tag ? [tag] : Object.keys(this.tasks.tags);
+
+        return {
+            generated: new Date().toISOString(),
+            tags: tagNames.map(key => ({ tag: key, name: this.tasks.tags[key].name || key, ...scheduler.schedule(this.tasks.tags[key].tasks) }))
+        };
+    }
+
+    /**
+     * Export tasks. json and markdown cover one tag (the current one when none is given,
+     * all of them for json); csv, ics, gantt and html cover the given tag or every tag.
+     * @param {string} format - json, markdown, csv, ics, gantt or html
+     * @param {string} tag - Tag to export
+     * @param {Object} options - Exporter options, e.g. { title } for html, { start, hoursPerDay } for gantt
+     * @returns {Promise<string>} File content
+     */
+    async exportTasks(format = 'json', tag = null, options = {}) {
         const tasks = tag ? { [tag]: this.tasks.tags[tag] } : this.tasks;
         
         switch (format.toLowerCase()) {
             case 'json':
                 return JSON.stringify(tasks, null, 2);
             
-            case 'csv':
-                return this.exportToCSV(this.getAllTasks(tag));
-            
             case 'markdown':
                 return this.exportToMarkdown(this.getAllTasks(tag), tag);
             
-            default:
-                throw new Error(`Unsupported export format: ${format}`);
-        }
-    }
-
-    exportToCSV(tasks) {
-        const headers = ['ID', 'Title', 'Description', 'Status', 'Priority', 'Type', 'Assignee', 'Created', 'Due Date'];
-        const rows = [headers.join(',')];
-        
-        for (const task of tasks) {
-            const row = [
-                task.id,
-                `"${task.title}"`,
-                `"${task.description}"`,
-                task.status,
-                task.priority,
-                task.type,
-                task.assignee?.name || '',
-                task.metadata.created.toISOString().split('T')[0],
-                task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : ''
-            ];
-            rows.push(row.join(','));
+            default: {
+                if (tag && !this.tasks.tags[tag]) {
+                    throw new Error(`Tag '${tag}' does not exist`);
+                }
+                const exporter = await TaskExporter.create(format.toLowerCase());
+                const tagNames = tag ? [tag] : Object.keys(this.tasks.tags);
+                return exporter.export(tagNames.map(key => ({ key, ...this.tasks.tags[key] })), options);
+            }
         }
-        
-        return rows.join('\n');
     }
 
     exportToMarkdown(tasks, tag) {
@@ -641,6 +1443,7 @@ class TaskManager extends EventEmitter {
     }
 
     async cleanup() {
+        this.storage?.close();
         this.removeAllListeners();
         this.tasks = null;
     }
@@ -0,0 +1,140 @@
+/**
+ * Raised when a save finds the stored tasks changed by another writer and the
+ * changes cannot be merged (or merging is disabled)
+ */
+export class TaskConflictError extends Error {
+    constructor(message, conflicts = []) {
+        super(message);
+        this.name = 'TaskConflictError';
+        this.code = 'TASK_CONFLICT';
+        this.conflicts = conflicts;
+    }
+}
+
+/**
+ * Three-way merge of task collections at top-level task granularity: a task changed on
+ * one side only takes that side's version, a task changed on both sides is a conflict.
+ * Subtasks travel with their top-level task.
+ */
+class TaskMerge {
+    /**
+     * Serialized top-level tasks per tag, used as the merge base
+     * @param {Object} collection - Task collection
+     * @returns {Object} { [tag]: Map<taskId, string> }
+     */
+    static snapshot(collection) {
+        const tags = {};
+        for (const [tagName, tag] of Object.entries(collection.tags)) {
+            tags[tagName] = new Map(tag.tasks.map(task => [task.id, JSON.stringify(task)]));
+        }
+        return tags;
+    }
+
+    /**
+     * @param {Object} base - Snapshot of the collection as last loaded or saved
+     * @param {Object} ours - In-memory collection
+     * @param {Object} theirs - Collection currently stored
+     * @returns {Object} { merged, conflicts } - merged is plain JSON, to be validated by the caller
+     */
+    static merge(base, ours, theirs) {
+        const merged = JSON.parse(JSON.stringify(theirs));
+        const oursSnapshot = this.snapshot(ours);
+        const theirsSnapshot = this.snapshot(theirs);
+        const conflicts = [];
+        const tagNames = new Set([...Object.keys(base), ...Object.keys(oursSnapshot), ...Object.keys(theirsSnapshot)]);
+
+        for (const tagName of tagNames) {
+            const baseTasks = base[tagName];
+            const ourTasks = oursSnapshot[tagName];
+            const theirTasks = theirsSnapshot[tagName];
+
+            if (!ourTasks) {
+                // Added elsewhere, or deleted here
+                if (baseTasks && theirTasks) {
+                    if (this.sameTasks(baseTasks, theirTasks)) {
+                        delete merged.tags[tagName];
+                    } else {
+                        conflicts.push({ tag: tagName, taskId: null, reason: 'tag deleted here but changed elsewhere' });
+                    }
+                }
+                continue;
+            }
+
+            if (!theirTasks) {
+                // Added here, or deleted elsewhere
+                if (!baseTasks) {
+                    merged.tags[tagName] = JSON.parse(JSON.stringify(ours.tags[tagName]));
+                } else if (!this.sameTasks(baseTasks, ourTasks)) {
+                    conflicts.push({ tag: tagName, taskId: null, reason: 'tag changed here but deleted elsewhere' });
+                }
+                continue;
+            }
+
+            merged.tags[tagName].tasks = this.mergeTasks(
+                tagName,
+                baseTasks || new Map(),
+                ours.tags[tagName].tasks.map(task => task.id),
+                ourTasks,
+                theirs.tags[tagName].tasks.map(task => task.id),
+                theirTasks,
+                conflicts
+            );
+        }
+
+        return { merged, conflicts };
+    }
+
+    static mergeTasks(tagName, base, ourIds, ours, theirIds, theirs, conflicts) {
+        const tasks = [];
+
+        // Their order first, then tasks only we have
+        for (const id of theirIds) {
+            const baseTask = base.get(id);
+            const ourTask = ours.get(id);
+            const theirTask = theirs.get(id);
+
+            if (ourTask === undefined) {
+                if (baseTask === undefined) {
+                    tasks.push(JSON.parse(theirTask));
+                } else if (baseTask !== theirTask) {
+                    conflicts.push({ tag: tagName, taskId: id, reason: 'deleted here but changed elsewhere' });
+                    tasks.push(JSON.parse(theirTask));
+                }
+                continue;
+            }
+
+            if (ourTask === theirTask || ourTask === baseTask) {
+                tasks.push(JSON.parse(theirTask));
+            } else if (theirTask === baseTask) {
+                tasks.push(JSON.parse(ourTask));
+            } else {
+                conflicts.push({
+                    tag: tagName,
+                    taskId: id,
+                    reason: baseTask === undefined ? 'created with the same id elsewhere' : 'changed both here and elsewhere'
+                });
+                tasks.push(JSON.parse(theirTask));
+            }
+        }
+
+        for (const id of ourIds) {
+            if (theirs.has(id)) continue;
+
+            const baseTask = base.get(id);
+            const ourTask = ours.get(id);
+            if (baseTask === undefined) {
+                tasks.push(JSON.parse(ourTask));
+            } else if (baseTask !== ourTask) {
+                conflicts.push({ tag: tagName, taskId: id, reason: 'changed here but deleted elsewhere' });
+            }
+        }
+
+        return tasks;
+    }
+
+    static sameTasks(a, b) {
+        return a.size === b.size && [...a].every(([id, task]) => b.get(id) === task);
+    }
+}
+
+export default TaskMerge;
@@ -0,0 +1,167 @@
+/**
+ * Reads the task history as a log of operations (one per saved revision) and replays
+ * them backwards or forwards over a collection. Undo, redo and point-in-time restore
+ * are built on this: each writes its result as a new operation, so it can be undone too.
+ */
+class TaskOperationLog {
+    /**
+     * Group history entries into operations, oldest first
+     * @param {Array} entries - History entries, oldest first
+     * @returns {Array} [{ revision, timestamp, operation, entries }]
+     */
+    static operations(entries) {
+        const operations = [];
+        for (const entry of entries) {
+            let current = operations[operations.length - 1];
+            if (!current || current.revision !== entry.revision) {
+                current = { revision: entry.revision, timestamp: entry.timestamp, operation: entry.operation || null, entries: [] };
+                operations.push(current);
+            }
+            current.entries.push(entry);
+        }
+        return operations;
+    }
+
+    /**
+     * Which operations can be undone and redone. Ordinary operations (restores
+     * included) push onto the undo stack and clear the redo stack.
+     * @param {Array} operations - Operations, oldest first
+     * @returns {Object} { undoable: [revision], redoable: [revision] } - last item is next
+     */
+    static stacks(operations) {
+        const undoable = [];
+        let redoable = [];
+
+        for (const operation of operations) {
+            const type = operation.operation?.type;
+            if (type === 'undo') {
+                const index = undoable.lastIndexOf(operation.operation.revision);
+                if (index !== -1) undoable.splice(index, 1);
+                redoable.push(operation.operation.revision);
+            } else if (type === 'redo') {
+                const index = redoable.lastIndexOf(operation.operation.revision);
+                if (index !== -1) redoable.splice(index, 1);
+                undoable.push(operation.operation.revision);
+            } else {
+                undoable.push(operation.revision);
+                redoable = [];
+            }
+        }
+
+        return { undoable, redoable };
+    }
+
+    /**
+     * Apply an operation's entries to a collection (mutated in place)
+     * @param {Object} collection - Task collection
+     * @param {Array} entries - Entries of one operation
+     * @param {string} direction - 'backward' to revert them, 'forward' to re-apply them
+     * @returns {Array} Conflicts: [{ tag, taskId, reason }] where the collection no longer matches
+     */
+    static apply(collection, entries, direction) {
+        const conflicts = [];
+        const backward = direction === 'backward';
+        const conflict = (entry, reason) => conflicts.push({ tag: entry.tag, taskId: entry.taskId, reason });
+        const of = action => entries.filter(entry => entry.action === action);
+        const updates = entries.filter(entry => entry.changes?.length > 0);
+
+        const createTags = backward ? of('tag_delete') : of('tag_create');
+        const insertions = backward ? of('delete') : of('create');
+        const removals = (backward ? of('create') : of('delete')).reverse();
+        const deleteTags = backward ? of('tag_create') : of('tag_delete');
+
+        for (const entry of createTags) {
+            if (!collection.tags[entry.tag]) {
+                collection.tags[entry.tag] = {
+                    name: entry.tag,
+                    description: '',
+                    tasks: [],
+                    metadata: { created: new Date(), modified: new Date(), taskCount: 0 }
+                };
+            }
+        }
+
+        for (const entry of insertions) {
+            const siblings = this.siblings(collection, entry);
+            if (!siblings) {
+                conflict(entry, entry.parentId ? `parent task '${entry.parentId}' no longer exists` : `tag '${entry.tag}' no longer exists`);
+            } else if (this.findTask(collection.tags[entry.tag].tasks, entry.taskId)) {
+                conflict(entry, 'a task with this id exists again');
+            } else {
+                siblings.splice(Math.min(entry.position ?? siblings.length, siblings.length), 0, { ...entry.task, subtasks: [] });
+            }
+        }
+
+        for (const entry of backward ? [...updates].reverse() : updates) {
+            const task = collection.tags[entry.tag] && this.findTask(collection.tags[entry.tag].tasks, entry.taskId);
+            if (!task) {
+                conflict(entry, 'task no longer exists');
+                continue;
+            }
+
+            for (const change of entry.changes) {
+                const [expected, value] = backward ? [change.to, change.from] : [change.from, change.to];
+                if (JSON.stringify(this.readField(task, change.field) ?? null) !== JSON.stringify(expected)) {
+                    conflict(entry, `${change.field} was changed again since`);
+                }
+                this.writeField(task, change.field, value);
+            }
+        }
+
+        for (const entry of removals) {
+            const siblings = this.siblings(collection, entry);
+            const index = siblings ? siblings.findIndex(task => task.id === entry.taskId) : -1;
+            if (index === -1) {
+                conflict(entry, 'task no longer exists');
+            } else if (siblings[index].subtasks?.length > 0) {
+                // Subtasks from the same operation were removed first (removals run in reverse)
+                conflict(entry, 'task has subtasks added since');
+            } else {
+                siblings.splice(index, 1);
+            }
+        }
+
+        for (const entry of deleteTags) {
+            if (collection.tags[entry.tag]?.tasks.length > 0) {
+                conflict(entry, 'tag has tasks added since');
+            } else if (entry.tag !== 'main') {
+                delete collection.tags[entry.tag];
+            }
+        }
+
+        return conflicts;
+    }
+
+    static siblings(collection, entry) {
+        const tag = collection.tags[entry.tag];
+        if (!tag) return null;
+        if (!entry.parentId) return tag.tasks;
+        return this.findTask(tag.tasks, entry.parentId)?.subtasks || null;
+    }
+
+    static findTask(tasks, taskId) {
+        for (const task of tasks) {
+            if (task.id === taskId) return task;
+            const found = this.findTask(task.subtasks || [], taskId);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    static readField(task, field) {
+        return field.startsWith('metadata.') ? task.metadata?.[field.slice(9)] : task[field];
+    }
+
+    static writeField(task, field, value) {
+        const [target, key] = field.startsWith('metadata.')
+            ? [task.metadata = task.metadata || {}, field.slice(9)]
+            : [task, field];
+        if (value === null) {
+            delete target[key];
+        } else {
+            target[key] = value;
+        }
+    }
+}
+
+export default TaskOperationLog;
@@ -0,0 +1,346 @@
+const DAY = 86400000;
+const UNITS = { h: 3600000, d: DAY, w: 7 * DAY };
+const OPERATORS = ['!=', '>=', '<=', ':', '=', '>', '<'];
+const COMPARISONS = ['>', '>=', '<', '<='];
+
+const STATUSES = ['pending', 'in-progress', 'blocked', 'review', 'done', 'deferred', 'cancelled'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const TYPES = ['feature', 'bug', 'enhancement', 'documentation', 'infrastructure', 'research', 'maintenance', 'refactor'];
+const FINISHED = ['done', 'cancelled'];
+
+const parentOf = id => id.includes('.') ? id.slice(0, id.lastIndexOf('.')) : null;
+
+/**
+ * Query fields. `kind` decides how values are parsed and which operators apply;
+ * `get` reads the task value (some need the other tasks in the tag, passed as context).
+ */
+const FIELDS = {
+    status: { kind: 'enum', values: STATUSES, get: task => task.status },
+    priority: { kind: 'ordered', values: PRIORITIES, get: task => task.priority },
+    type: { kind: 'enum', values: TYPES, get: task => task.type },
+    id: { kind: 'id', get: task => task.id },
+    parent: { kind: 'id', get: task => parentOf(task.id) },
+    depends: { kind: 'list', get: task => task.dependencies },
+    tag: { kind: 'list', get: task => task.tags },
+    label: { kind: 'list', get: task => task.labels },
+    assignee: { kind: 'person', get: task => task.assignee },
+    owner: { kind: 'person', get: task => task.owner },
+    title: { kind: 'text', get: task => task.title },
+    description: { kind: 'text', get: task => task.description },
+    complexity: { kind: 'number', get: task => task.complexity },
+    estimate: { kind: 'number', get: task => task.estimatedHours },
+    actual: { kind: 'number', get: task => task.actualHours },
+    due: { kind: 'date', get: task => task.dueDate },
+    start: { kind: 'date', get: task => task.startDate },
+    completed: { kind: 'date', get: task => task.completedDate },
+    created: { kind: 'date', get: task => task.metadata?.created },
+    modified: { kind: 'date', get: task => task.metadata?.modified },
+    blocked: { kind: 'boolean', get: (task, context) => TaskQuery.isBlocked(task, context) },
+    has: { kind: 'presence' }
+};
+
+const ALIASES = { tags: 'tag', labels: 'label', dependency: 'depends', dependencies: 'depends', estimated: 'estimate', updated: 'modified' };
+
+// Fields `has:` can test, mapped to the field whose value must be present
+const PRESENCE = {
+    assignee: 'assignee', owner: 'owner', due: 'due', start: 'start', estimate: 'estimate', complexity: 'complexity',
+    parent: 'parent', dependencies: 'depends', tags: 'tag', labels: 'label'
+};
+
+/**
+ * Raised for a query that cannot be parsed; `position` is the offset of the offending term
+ */
+export class TaskQueryError extends Error {
+    constructor(message, position = null) {
+        super(message);
+        this.name = 'TaskQueryError';
+        this.code = 'INVALID_QUERY';
+        this.position = position;
+    }
+}
+
+/**
+ * Task query language shared by `sa task list --query`, the sa_list_tasks tool and the
+ * terminal UI. A query is a list of terms that must all match:
+ *
+ *   status:in-progress priority>=high tag:backend due<7d -assignee:dev blocked:true
+ *
+ * - `field:value` (or `=`) matches, `field!=value` and a leading `-` negate
+ * - `a,b` after `:` matches any of the values
+ * - `>`, `>=`, `<`, `<=` compare priorities, numbers and dates
+ * - dates are ISO dates, today/tomorrow/yesterday/now or offsets from now (`7d`, `-2w`, `12h`)
+ * - `field:none` matches tasks without a value; `has:field` the opposite
+ * - `@name` inserts a saved query, bare words and "quoted phrases" search the text
+ *
+ * Parse once with TaskQuery.parse() and reuse the result for any number of task lists.
+ */
+class TaskQuery {
+    static FIELDS = Object.keys(FIELDS);
+
+    constructor(text, terms) {
+        this.text = text;
+        this.terms = terms;
+    }
+
+    /**
+     * @param {string} text - Query text
+     * @param {Object} [options]
+     * @param {Object} [options.saved] - Saved queries by name, for `@name` references
+     * @param {Date} [options.now] - Reference time for relative dates
+     * @param {Array<string>} [options.statuses] - Statuses `status:` accepts (defaults to the built-in ones)
+     * @returns {TaskQuery}
+     */
+    static parse(text, options = {}) {
+        const { saved = {}, now = new Date(), statuses = STATUSES } = options;
+        return new TaskQuery(String(text ?? ''), TaskQuery.parseTerms(String(text ?? ''), { saved, now, statuses, expanding: [] }));
+    }
+
+    static parseTerms(text, options) {
+        return TaskQuery.tokenize(text).map(token => TaskQuery.parseTerm(token, options));
+    }
+
+    /**
+     * Split on whitespace outside double quotes; quotes are removed from the token text
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let token = null;
+        let quoted = false;
+
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (!quoted && /\s/.test(char)) {
+                if (token) tokens.push(token);
+                token = null;
+                continue;
+            }
+            if (!token) {
+                token = { text: '', position: index, literal: char === '"' };
+            }
+            if (char === '"') {
+                quoted = !quoted;
+            } else {
+                token.text += char;
+            }
+        }
+
+        if (quoted) {
+            throw new TaskQueryError('Unterminated quote in query', token.position);
+        }
+        if (token) tokens.push(token);
+        return tokens;
+    }
+
+    static parseTerm(token, options) {
+        let text = token.text;
+        const negate = text.startsWith('-') && text.length > 1 && !token.literal;
+        if (negate) text = text.slice(1);
+
+        if (!token.literal && text.startsWith('@')) {
+            return { negate, saved: text.slice(1), terms: TaskQuery.expand(text.slice(1), token, options) };
+        }
+
+        const match = token.literal ? null : /^([a-zA-Z]+)(!=|>=|<=|:|=|>|<)(.*)$/.exec(text);
+        if (!match) {
+            return { negate, search: text.toLowerCase() };
+        }
+
+        const name = ALIASES[match[1].toLowerCase()] || match[1].toLowerCase();
+        const field = FIELDS[name];
+        if (!field) {
+            throw new TaskQueryError(`Unknown query field '${match[1]}'. Fields: ${TaskQuery.FIELDS.join(', ')}`, token.position);
+        }
+
+        let operator = match[2] === '=' ? ':' : match[2];
+        const term = { negate, field: name, operator, position: token.position };
+        if (operator === '!=') {
+            term.negate = !negate;
+            operator = term.operator = ':';
+        }
+
+        if (match[3] === '') {
+            throw new TaskQueryError(`Missing value for '${match[1]}${match[2]}'`, token.position);
+        }
+        if (COMPARISONS.includes(operator) && !['ordered', 'number', 'date'].includes(field.kind)) {
+            throw new TaskQueryError(`Field '${name}' does not support '${operator}'`, token.position);
+        }
+
+        if (operator === ':' && match[3].toLowerCase() === 'none' && field.get) {
+            term.none = true;
+            return term;
+        }
+
+        const values = operator === ':' ? match[3].split(',').filter(Boolean) : [match[3]];
+        term.values = values.map(value => TaskQuery.parseValue(name, field, value, token, options));
+        return term;
+    }
+
+    static parseValue(name, field, value, token, options) {
+        const invalid = expected => new TaskQueryError(`Invalid ${name} '${value}'${expected ? `. Expected: ${expected}` : ''}`, token.position);
+
+        switch (field.kind) {
+            case 'enum':
+            case 'ordered': {
+                const values = name === 'status' ? options.statuses : field.values;
+                if (!values.includes(value.toLowerCase())) throw invalid(values.join(', '));
+                return value.toLowerCase();
+            }
+            case 'number': {
+                const number = Number(value);
+                if (Number.isNaN(number)) throw invalid('a number');
+                return number;
+            }
+            case 'boolean':
+                if (!['true', 'false', 'yes', 'no'].includes(value.toLowerCase())) throw invalid('true or false');
+                return ['true', 'yes'].includes(value.toLowerCase());
+            case 'date': {
+                const range = TaskQuery.parseDate(value, options.now);
+                if (!range) throw invalid('a date, today or an offset like 7d');
+                return range;
+            }
+            case 'presence': {
+                const target = PRESENCE[value.toLowerCase()];
+                if (!target) throw invalid(Object.keys(PRESENCE).join(', '));
+                return target;
+            }
+            case 'text':
+            case 'person':
+            case 'list':
+                return value.toLowerCase();
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Resolve a date value to the range [start, end) it stands for: a whole UTC day for
+     * dates and day offsets, a single instant for timestamps and hour offsets
+     */
+    static parseDate(value, now) {
+        const dayOf = time => {
+            const date = new Date(time);
+            const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+            return { start, end: start + DAY };
+        };
+
+        const keyword = { today: 0, tomorrow: 1, yesterday: -1 }[value.toLowerCase()];
+        if (keyword !== undefined) {
+            return dayOf(now.getTime() + keyword * DAY);
+        }
+        if (value.toLowerCase() === 'now') {
+            return { start: now.getTime(), end: now.getTime() + 1 };
+        }
+
+        const relative = /^([+-]?\d+)([hdw])$/i.exec(value);
+        if (relative) {
+            const time = now.getTime() + Number(relative[1]) * UNITS[relative[2].toLowerCase()];
+            return relative[2].toLowerCase() === 'h' ? { start: time, end: time + 1 } : dayOf(time);
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) return null;
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) ? dayOf(time) : { start: time, end: time + 1 };
+    }
+
+    static expand(name, token, options) {
+        if (!Object.prototype.hasOwnProperty.call(options.saved, name)) {
+            throw new TaskQueryError(`Unknown saved query '@${name}'`, token.position);
+        }
+        if (options.expanding.includes(name)) {
+            throw new TaskQueryError(`Saved query '@${name}' refers to itself (${[...options.expanding, name].map(item => `@${item}`).join(' → ')})`, token.position);
+        }
+        return TaskQuery.parseTerms(options.saved[name], { ...options, expanding: [...options.expanding, name] });
+    }
+
+    /**
+     * A task is blocked when its status says so or a task it depends on (or is blocked
+     * by) in the same tag is not done or cancelled
+     */
+    static isBlocked(task, context) {
+        if (task.status === 'blocked') return true;
+        return [...(task.dependencies || []), ...(task.blockedBy || [])].some(id => {
+            const other = context.byId.get(id);
+            return other && !FINISHED.includes(other.status);
+        });
+    }
+
+    /**
+     * Predicate for tasks of one tag
+     * @param {Array} allTasks - Every task in the tag (flattened), to resolve dependencies
+     * @returns {Function} task => boolean
+     */
+    matcher(allTasks = []) {
+        const context = { byId: new Map(allTasks.map(task => [task.id, task])) };
+        return task => this.terms.every(term => TaskQuery.matchTerm(term, task, context));
+    }
+
+    filter(tasks, allTasks = tasks) {
+        return tasks.filter(this.matcher(allTasks));
+    }
+
+    static matchTerm(term, task, context) {
+        const result = TaskQuery.evaluate(term, task, context);
+        return term.negate ? !result : result;
+    }
+
+    static evaluate(term, task, context) {
+        if (term.terms) {
+            return term.terms.every(inner => TaskQuery.matchTerm(inner, task, context));
+        }
+        if (term.search !== undefined) {
+            return [task.title, task.description, task.details, task.notes].filter(Boolean).join(' ').toLowerCase().includes(term.search);
+        }
+
+        const field = FIELDS[term.field];
+        if (field.kind === 'presence') {
+            return term.values.some(target => TaskQuery.present(FIELDS[target].get(task, context)));
+        }
+
+        const value = field.get(task, context);
+        if (term.none) {
+            return !TaskQuery.present(value);
+        }
+        if (!TaskQuery.present(value) && field.kind !== 'boolean') {
+            return false;
+        }
+
+        if (COMPARISONS.includes(term.operator)) {
+            const [target] = term.values;
+            if (field.kind === 'date') {
+                const time = new Date(value).getTime();
+                return { '<': time < target.start, '<=': time < target.end, '>': time >= target.end, '>=': time >= target.start }[term.operator];
+            }
+            const actual = field.kind === 'ordered' ? field.values.indexOf(value) : value;
+            const expected = field.kind === 'ordered' ? field.values.indexOf(target) : target;
+            return { '<': actual < expected, '<=': actual <= expected, '>': actual > expected, '>=': actual >= expected }[term.operator];
+        }
+
+        return term.values.some(expected => {
+            switch (field.kind) {
+                case 'date': {
+                    const time = new Date(value).getTime();
+                    return time >= expected.start && time < expected.end;
+                }
+                case 'list':
+                    return value.some(item => item.toLowerCase() === expected);
+                case 'person':
+                    return [value.id, value.name].some(item => item?.toLowerCase() === expected);
+                case 'text':
+                    return value.toLowerCase().includes(expected);
+                default:
+                    return value === expected;
+            }
+        });
+    }
+
+    static present(value) {
+        return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+    }
+
+    toString() {
+        return this.text;
+    }
+}
+
+export default TaskQuery;
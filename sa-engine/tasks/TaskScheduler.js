@@ -0,0 +1,334 @@
+const DAY = 86400000;
+const EPSILON = 1e-6;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FINISHED = ['done', 'cancelled'];
+const PRIORITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const midnight = time => {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+const day = time => new Date(time).toISOString().slice(0, 10);
+const byId = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * Working days from a start date, so offsets in working hours map to calendar days
+ */
+class WorkCalendar {
+    constructor({ hoursPerDay = 8, workingDays = ['mon', 'tue', 'wed', 'thu', 'fri'], holidays = [] } = {}, start = new Date()) {
+        if (!(hoursPerDay > 0 && hoursPerDay <= 24)) {
+            throw new Error(`Invalid hoursPerDay ${hoursPerDay} (expected more than 0 and at most 24)`);
+        }
+        this.hoursPerDay = hoursPerDay;
+        this.workingDays = workingDays.map(value => {
+            const index = typeof value === 'number' ? value : DAY_NAMES.indexOf(String(value).slice(0, 3).toLowerCase());
+            if (!(index >= 0 && index <= 6)) {
+                throw new Error(`Invalid working day '${value}' (use ${DAY_NAMES.join(', ')})`);
+            }
+            return index;
+        });
+        if (this.workingDays.length === 0) {
+            throw new Error('The calendar needs at least one working day');
+        }
+        this.holidays = new Set(holidays.map(holiday => day(holiday)));
+        this.days = [];
+
+        let first = midnight(start);
+        while (!this.isWorkingDay(first)) first += DAY;
+        this.days.push(first);
+    }
+
+    isWorkingDay(time) {
+        return this.workingDays.includes(new Date(time).getUTCDay()) && !this.holidays.has(day(time));
+    }
+
+    workingDay(index) {
+        while (this.days.length <= index) {
+            let next = this.days[this.days.length - 1] + DAY;
+            while (!this.isWorkingDay(next)) next += DAY;
+            this.days.push(next);
+        }
+        return this.days[index];
+    }
+
+    /**
+     * Day on which the given working hour falls; a finish exactly at the end of a day
+     * belongs to that day, not the next one
+     */
+    dateAt(hours, finish = false) {
+        const offset = finish && hours > 0 ? hours - EPSILON : hours;
+        return day(this.workingDay(Math.floor(offset / this.hoursPerDay)));
+    }
+
+    /**
+     * Working hours from the calendar start to the beginning of a date (0 for past dates)
+     */
+    offsetOf(date) {
+        const target = midnight(new Date(date).getTime());
+        let index = 0;
+        while (this.workingDay(index) < target) index++;
+        return index * this.hoursPerDay;
+    }
+}
+
+/**
+ * Critical-path scheduler for the open tasks of a tag.
+ *
+ * Durations come from estimatedHours (less actualHours already spent), stretched by the
+ * assignee's capacity in hours per working day. Tasks wait for their dependencies (and
+ * blockedBy/blocks links), their startDate, and for the other work of the same assignee,
+ * who does one task at a time, most urgent first. Tasks with open subtasks are summaries:
+ * their subtasks inherit their dependencies and they finish when the last subtask does.
+ *
+ * Times are working hours from the start; the forward and backward passes give each task
+ * its earliest/latest start and finish, and slack is how far it can slip without moving
+ * the projected finish. Zero-slack tasks form the critical path.
+ */
+class TaskScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.hoursPerDay=8] - Working hours per day
+     * @param {Array} [options.workingDays] - Day names or numbers (0 = Sunday), Monday to Friday by default
+     * @param {Array} [options.holidays] - Non-working dates
+     * @param {Object} [options.capacity] - Hours per day by assignee id, for part-time assignees
+     * @param {number} [options.defaultHours] - Estimate used for tasks without one (a day by default)
+     * @param {Date|string} [options.start] - First day of the schedule (today by default)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.calendar = new WorkCalendar(options, options.start ? new Date(options.start) : new Date());
+        this.capacity = options.capacity || {};
+        this.defaultHours = options.defaultHours ?? this.calendar.hoursPerDay;
+    }
+
+    /**
+     * @param {Array} tasks - Top-level tasks of a tag, with subtasks
+     * @returns {Object} Schedule with per-task dates and slack, the critical path and the projected finish
+     */
+    schedule(tasks) {
+        const nodes = this.buildNodes(tasks);
+        const open = [...nodes.values()].filter(node => node.open);
+        const order = this.topologicalOrder(open);
+
+        // Unconstrained pass, used to decide which task an assignee picks up first
+        this.forwardPass(order, node => node.preds);
+        this.backwardPass(order, node => node.preds);
+        for (const node of open) node.urgency = node.ls;
+
+        const sequence = this.level(open);
+        const preds = node => node.resourcePred ? [...node.preds, node.resourcePred] : node.preds;
+        const finish = this.backwardPass(sequence, preds);
+
+        for (const node of open) {
+            node.slack = Math.max(0, node.ls - node.es);
+            // Summaries span their subtasks
+            const children = node.children.filter(child => child.open);
+            node.start = node.summary ? Math.min(...children.map(child => child.es)) : node.es;
+            node.latestStart = node.summary ? Math.min(...children.map(child => child.ls)) : node.ls;
+        }
+
+        const criticalPath = this.criticalPath(open, finish, preds);
+        const scheduled = open.sort((a, b) => a.start - b.start || byId(a.id, b.id)).map(node => this.describe(node));
+
+        return {
+            start: this.calendar.dateAt(0),
+            projectedFinish: open.length > 0 ? this.calendar.dateAt(finish, true) : null,
+            remainingHours: this.round(open.reduce((sum, node) => sum + node.hours, 0)),
+            durationDays: this.round(finish / this.calendar.hoursPerDay),
+            criticalPath,
+            tasks: scheduled,
+            completed: nodes.size - open.length,
+            unestimated: open.filter(node => node.unestimated).map(node => node.id),
+            late: scheduled.filter(task => task.daysLate > 0).map(task => task.id),
+            calendar: {
+                hoursPerDay: this.calendar.hoursPerDay,
+                workingDays: this.calendar.workingDays.map(index => DAY_NAMES[index]),
+                holidays: [...this.calendar.holidays],
+                capacity: this.capacity
+            }
+        };
+    }
+
+    buildNodes(tasks) {
+        const nodes = new Map();
+        const visit = (task, parent) => {
+            nodes.set(String(task.id), { id: String(task.id), task, parent, children: [], open: !FINISHED.includes(task.status) });
+            parent?.children.push(nodes.get(String(task.id)));
+            for (const subtask of task.subtasks || []) visit(subtask, nodes.get(String(task.id)));
+        };
+        tasks.forEach(task => visit(task, null));
+
+        // Links in either direction, to open tasks only; finished work no longer constrains anything
+        const links = new Map([...nodes.keys()].map(id => [id, new Set()]));
+        for (const node of nodes.values()) {
+            for (const id of [...(node.task.dependencies || []), ...(node.task.blockedBy || [])]) {
+                links.get(node.id).add(String(id));
+            }
+            for (const id of node.task.blocks || []) {
+                links.get(String(id))?.add(node.id);
+            }
+        }
+
+        for (const node of nodes.values()) {
+            if (!node.open) continue;
+            const inherited = [];
+            for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+                inherited.push(...links.get(ancestor.id));
+            }
+
+            node.summary = node.children.some(child => child.open);
+            node.preds = [...new Set([...links.get(node.id), ...inherited])]
+                .filter(id => id !== node.id && nodes.get(id)?.open && !this.isWithin(nodes.get(id), node) && !this.isWithin(node, nodes.get(id)))
+                .map(id => nodes.get(id));
+            if (node.summary) {
+                node.preds.push(...node.children.filter(child => child.open));
+            }
+
+            const estimate = node.task.estimatedHours;
+            node.unestimated = !node.summary && !(estimate > 0);
+            node.hours = node.summary ? 0 : Math.max(0, (estimate > 0 ? estimate : this.defaultHours) - (node.task.actualHours || 0));
+            node.assignee = node.task.assignee?.id || null;
+            node.duration = node.hours * this.calendar.hoursPerDay / this.capacityOf(node.assignee);
+            node.notBefore = node.task.startDate ? this.calendar.offsetOf(node.task.startDate) : 0;
+        }
+
+        return nodes;
+    }
+
+    // Links between a task and its own subtasks are implied by the hierarchy
+    isWithin(node, ancestor) {
+        for (let current = node.parent; current; current = current.parent) {
+            if (current === ancestor) return true;
+        }
+        return false;
+    }
+
+    capacityOf(assignee) {
+        const hours = assignee ? this.capacity[assignee] : undefined;
+        if (hours === undefined) return this.calendar.hoursPerDay;
+        if (!(hours > 0)) {
+            throw new Error(`Invalid capacity ${hours} for ${assignee} (expected hours per day)`);
+        }
+        return Math.min(hours, this.calendar.hoursPerDay);
+    }
+
+    topologicalOrder(nodes) {
+        const order = [];
+        const state = new Map();
+        const visit = (node, trail) => {
+            if (state.get(node) === 'done') return;
+            if (state.get(node) === 'visiting') {
+                const cycle = trail.slice(trail.indexOf(node)).concat(node).map(item => item.id);
+                throw new Error(`Cannot schedule tasks due to circular dependencies: ${cycle.join(' → ')}`);
+            }
+            state.set(node, 'visiting');
+            node.preds.forEach(pred => visit(pred, [...trail, node]));
+            state.set(node, 'done');
+            order.push(node);
+        };
+        [...nodes].sort((a, b) => byId(a.id, b.id)).forEach(node => visit(node, []));
+        return order;
+    }
+
+    forwardPass(order, preds) {
+        for (const node of order) {
+            node.es = Math.max(node.notBefore, ...preds(node).map(pred => pred.ef));
+            node.ef = node.es + node.duration;
+        }
+    }
+
+    /**
+     * Latest start and finish that keep the projected finish; returns that finish
+     */
+    backwardPass(order, preds) {
+        const finish = Math.max(0, ...order.map(node => node.ef));
+        for (const node of order) node.lf = finish;
+        for (const node of [...order].reverse()) {
+            node.ls = node.lf - node.duration;
+            for (const pred of preds(node)) {
+                pred.lf = Math.min(pred.lf, node.ls);
+            }
+        }
+        return finish;
+    }
+
+    /**
+     * Serial schedule: repeatedly start the most urgent task whose predecessors are
+     * scheduled, after the previous task of the same assignee
+     */
+    level(nodes) {
+        const pending = new Set(nodes);
+        const lastOf = new Map();
+        const sequence = [];
+
+        while (pending.size > 0) {
+            const ready = [...pending].filter(node => node.preds.every(pred => !pending.has(pred)));
+            ready.sort((a, b) => a.urgency - b.urgency ||
+                (PRIORITY_RANK[a.task.priority] ?? 2) - (PRIORITY_RANK[b.task.priority] ?? 2) ||
+                byId(a.id, b.id));
+            const node = ready[0];
+            pending.delete(node);
+
+            const previous = node.assignee && node.duration > 0 ? lastOf.get(node.assignee) : null;
+            node.resourcePred = previous || null;
+            node.es = Math.max(node.notBefore, ...node.preds.map(pred => pred.ef), previous ? previous.ef : 0);
+            node.ef = node.es + node.duration;
+            if (node.assignee && node.duration > 0) lastOf.set(node.assignee, node);
+            sequence.push(node);
+        }
+        return sequence;
+    }
+
+    /**
+     * Chain of zero-slack work ending at the projected finish, following whichever
+     * predecessor (a dependency, or the assignee's previous task) it waited for
+     */
+    criticalPath(nodes, finish, preds) {
+        const critical = node => node.slack < EPSILON;
+        let current = nodes
+            .filter(node => critical(node) && Math.abs(node.ef - finish) < EPSILON)
+            .sort((a, b) => b.duration - a.duration || byId(a.id, b.id))[0];
+
+        const path = [];
+        while (current) {
+            path.unshift(current);
+            current = preds(current)
+                .filter(pred => critical(pred) && Math.abs(pred.ef - current.es) < EPSILON)
+                .sort((a, b) => (a === current.resourcePred) - (b === current.resourcePred) || b.duration - a.duration)[0];
+        }
+        return path.filter(node => !node.summary).map(node => node.id);
+    }
+
+    describe(node) {
+        const finish = this.calendar.dateAt(node.ef, node.ef > node.start);
+        const due = node.task.dueDate ? day(node.task.dueDate) : null;
+
+        return {
+            id: node.id,
+            title: node.task.title,
+            status: node.task.status,
+            priority: node.task.priority,
+            assignee: node.assignee,
+            parent: node.parent?.id || null,
+            summary: node.summary,
+            hours: this.round(node.hours),
+            earliestStart: this.calendar.dateAt(node.start),
+            earliestFinish: finish,
+            latestStart: this.calendar.dateAt(node.latestStart),
+            latestFinish: this.calendar.dateAt(node.lf, node.lf > node.latestStart),
+            slackHours: this.round(node.slack),
+            slackDays: this.round(node.slack / this.calendar.hoursPerDay),
+            critical: node.slack < EPSILON,
+            dependsOn: node.preds.filter(pred => !node.children.includes(pred)).map(pred => pred.id),
+            waitsFor: node.resourcePred?.id || null,
+            dueDate: due,
+            daysLate: due && finish > due ? Math.round((Date.parse(finish) - Date.parse(due)) / DAY) : 0
+        };
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+export default TaskScheduler;
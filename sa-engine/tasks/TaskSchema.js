@@ -6,15 +6,7 @@ class TaskSchema {
             id: Joi.string().required().description('Hierarchical task ID (e.g., "1", "1.2", "1.2.3")'),
             title: Joi.string().required().min(1).max(200).description('Brief, descriptive title'),
             description: Joi.string().required().min(1).max(1000).description('Detailed description of the task'),
-            status: Joi.string().valid(
-                'pending',
-                'in-progress', 
-                'blocked',
-                'review',
-                'done',
-                'deferred',
-                'cancelled'
-            ).default('pending').description('Current task status'),
+            status: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).max(50).default('pending').description('Current task status, one of the statuses of the tag\'s workflow (see TaskWorkflow)'),
             priority: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium').description('Task priority level'),
             complexity: Joi.number().integer().min(1).max(10).optional().description('Task complexity score (1-10)'),
             type: Joi.string().valid(
@@ -122,24 +114,20 @@ class TaskSchema {
                 modified: Joi.date().default(Date.now),
                 framework: Joi.string().default('super-agents'),
                 totalTasks: Joi.number().integer().min(0).default(0),
-                maxDepth: Joi.number().integer().min(0).default(0)
+                maxDepth: Joi.number().integer().min(0).default(0),
+                revision: Joi.number().integer().min(0).default(0).description('Incremented on every save, used to detect concurrent writers')
             }).default({}),
             
             configuration: Joi.object({
                 taggedLists: Joi.boolean().default(true).description('Whether to use tagged task lists'),
                 defaultTag: Joi.string().default('main').description('Default tag for new tasks'),
-                statusTransitions: Joi.object().pattern(
-                    Joi.string(),
-                    Joi.array().items(Joi.string())
-                ).default({
-                    'pending': ['in-progress', 'deferred', 'cancelled'],
-                    'in-progress': ['blocked', 'review', 'done', 'deferred', 'cancelled'],
-                    'blocked': ['in-progress', 'deferred', 'cancelled'],
-                    'review': ['in-progress', 'done', 'deferred'],
-                    'done': [],
-                    'deferred': ['pending', 'cancelled'],
-                    'cancelled': []
-                }).description('Valid status transitions'),
+                statusTransitions: Joi.alternatives().try(
+                    this.getStatusMapSchema(),
+                    Joi.object({
+                        default: this.getWorkflowSchema().optional(),
+                        tags: Joi.object().pattern(Joi.string(), this.getWorkflowSchema()).default({})
+                    })
+                ).default(this.getStatusTransitions()).description('Status transitions for every tag, or { default, tags } workflows per tag'),
                 autoNumbering: Joi.boolean().default(true).description('Auto-generate hierarchical IDs'),
                 dependencyValidation: Joi.boolean().default(true).description('Validate dependencies')
             }).default({}),
@@ -171,6 +159,31 @@ class TaskSchema {
         });
     }
 
+    static getStatusMapSchema() {
+        return Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string()));
+    }
+
+    /**
+     * A tag's status workflow (see TaskWorkflow for the hook semantics)
+     */
+    static getWorkflowSchema() {
+        const hook = Joi.object({
+            require: Joi.array().items(Joi.string()).optional().description('Fields that must be set'),
+            run: Joi.string().optional().description('Shell command that must succeed'),
+            timeout: Joi.number().integer().positive().optional().description('Command timeout in milliseconds'),
+            message: Joi.string().optional().description('Shown when the hook refuses the change')
+        }).or('require', 'run');
+
+        return Joi.object({
+            initial: Joi.string().optional().description('Status of new tasks'),
+            transitions: this.getStatusMapSchema().min(1).required(),
+            hooks: Joi.object().pattern(Joi.string(), Joi.object({
+                enter: Joi.array().items(hook).optional(),
+                exit: Joi.array().items(hook).optional()
+            })).default({})
+        });
+    }
+
     static validateTask(taskData) {
         const schema = this.getTaskSchema();
         const { error, value } = schema.validate(taskData, { 
@@ -201,6 +214,77 @@ class TaskSchema {
         return value;
     }
 
+    static getGeneratedTaskSchema() {
+        return Joi.object({
+            id: Joi.alternatives().try(Joi.string(), Joi.number()).optional().description('Task ID suggested by the model'),
+            title: Joi.string().required().min(1).max(200).description('Brief, descriptive title'),
+            description: Joi.string().required().min(1).description('Detailed description of the task'),
+            priority: Joi.string().lowercase().valid('low', 'medium', 'high', 'critical').default('medium'),
+            effort: Joi.number().min(1).max(5).optional().description('Effort level (1-5)'),
+            estimated_hours: Joi.number().positive().optional().description('Estimated hours to complete'),
+            skills: Joi.array().items(Joi.string()).default([]),
+            dependencies: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number())).default([]),
+            acceptance_criteria: Joi.array().items(Joi.string()).default([]),
+            details: Joi.string().allow('').optional(),
+            testStrategy: Joi.string().allow('').optional(),
+            notes: Joi.string().allow('').optional(),
+            tags: Joi.array().items(Joi.string()).default([])
+        });
+    }
+
+    static getGeneratedTaskListJsonSchema() {
+        return {
+            title: 'GeneratedTaskList',
+            type: 'object',
+            properties: {
+                tasks: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            title: { type: 'string', maxLength: 200 },
+                            description: { type: 'string' },
+                            priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+                            effort: { type: 'number', minimum: 1, maximum: 5 },
+                            estimated_hours: { type: 'number' },
+                            skills: { type: 'array', items: { type: 'string' } },
+                            dependencies: { type: 'array', items: { type: 'string' } },
+                            acceptance_criteria: { type: 'array', items: { type: 'string' } },
+                            details: { type: 'string' },
+                            testStrategy: { type: 'string' }
+                        },
+                        required: ['title', 'description']
+                    }
+                }
+            },
+            required: ['tasks']
+        };
+    }
+
+    static validateGeneratedTasks(generated) {
+        const tasks = Array.isArray(generated) ? generated : generated?.tasks;
+        if (!Array.isArray(tasks)) {
+            throw new Error('Generated task validation failed: expected an array of tasks');
+        }
+
+        const schema = Joi.array().items(this.getGeneratedTaskSchema()).min(1);
+        const { error, value } = schema.validate(tasks, {
+            stripUnknown: true,
+            abortEarly: false
+        });
+
+        if (error) {
+            throw new Error(`Generated task validation failed: ${error.details.map(d => d.message).join(', ')}`);
+        }
+
+        return value.map(task => ({
+            ...task,
+            ...(task.id !== undefined && { id: String(task.id) }),
+            dependencies: task.dependencies.map(String)
+        }));
+    }
+
     static getStatusTransitions() {
         return {
             'pending': ['in-progress', 'deferred', 'cancelled'],
@@ -289,7 +373,8 @@ class TaskSchema {
                 modified: new Date(),
                 framework: 'super-agents',
                 totalTasks: 0,
-                maxDepth: 0
+                maxDepth: 0,
+                revision: 0
             },
             configuration: {
                 taggedLists: true,
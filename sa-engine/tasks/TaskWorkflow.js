@@ -0,0 +1,233 @@
+import { spawn } from 'child_process';
+import TaskSchema from './TaskSchema.js';
+
+const MAX_COMMAND_OUTPUT = 4000;
+const DEFAULT_HOOK_TIMEOUT = 300000;
+
+/**
+ * Raised when a status change is not allowed by the tag's workflow or one of its hooks
+ * refuses it. `allowed` lists the statuses the task could move to instead.
+ */
+export class TaskTransitionError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'TaskTransitionError';
+        this.code = 'INVALID_TRANSITION';
+        this.taskId = details.taskId;
+        this.from = details.from;
+        this.to = details.to;
+        this.allowed = details.allowed || [];
+        this.hook = details.hook || null;
+    }
+}
+
+/**
+ * Status workflow of a tag: its statuses, the transitions between them and hooks that
+ * run when a task enters or leaves a status.
+ *
+ * `configuration.statusTransitions` is either a map of status → next statuses used by
+ * every tag, or `{ default, tags: { [tag]: workflow } }` where a workflow is
+ *
+ *   {
+ *     initial: 'todo',
+ *     transitions: { todo: ['doing'], doing: ['qa', 'done'], qa: ['doing', 'done'], done: [] },
+ *     hooks: {
+ *       done: { enter: [{ require: ['actualHours'] }] },
+ *       qa: { enter: [{ run: 'npm test', timeout: 600000 }] }
+ *     }
+ *   }
+ *
+ * Statuses are the keys and targets of `transitions`. A `require` hook refuses the
+ * change while any of its fields is empty; a `run` hook runs a shell command in the
+ * project root (with SA_TASK_ID, SA_TASK_FROM, SA_TASK_TO and SA_TAG set) and refuses
+ * it when the command fails. Exit hooks of the old status run before entry hooks of
+ * the new one, in order, and stop at the first refusal.
+ */
+class TaskWorkflow {
+    /**
+     * @param {Object} configuration - Task collection configuration
+     * @param {string} tag - Tag name
+     * @returns {TaskWorkflow}
+     */
+    static forTag(configuration = {}, tag = null) {
+        const config = configuration.statusTransitions;
+        if (!config) {
+            return new TaskWorkflow({ transitions: TaskSchema.getStatusTransitions() });
+        }
+        if (TaskWorkflow.isStatusMap(config)) {
+            return new TaskWorkflow({ transitions: config });
+        }
+        return new TaskWorkflow(config.tags?.[tag] || config.default || { transitions: TaskSchema.getStatusTransitions() });
+    }
+
+    /**
+     * Whether a statusTransitions value is the plain status → next statuses form
+     */
+    static isStatusMap(config) {
+        return Object.values(config).every(Array.isArray);
+    }
+
+    constructor(definition = {}) {
+        TaskWorkflow.validate(definition);
+        this.transitions = definition.transitions;
+        this.statuses = [...new Set([...Object.keys(this.transitions), ...Object.values(this.transitions).flat()])];
+        this.initial = definition.initial || (this.statuses.includes('pending') ? 'pending' : this.statuses[0]);
+        this.hooks = definition.hooks || {};
+    }
+
+    static validate(definition) {
+        const { transitions, initial, hooks = {} } = definition;
+        if (!transitions || typeof transitions !== 'object' || Object.keys(transitions).length === 0) {
+            throw new Error('A status workflow needs a transitions map of status → next statuses');
+        }
+        for (const [status, targets] of Object.entries(transitions)) {
+            if (!Array.isArray(targets) || !targets.every(target => typeof target === 'string' && target)) {
+                throw new Error(`Transitions from '${status}' must be a list of statuses`);
+            }
+        }
+
+        const statuses = new Set([...Object.keys(transitions), ...Object.values(transitions).flat()]);
+        if (initial && !statuses.has(initial)) {
+            throw new Error(`Initial status '${initial}' is not in the workflow`);
+        }
+
+        for (const [status, phases] of Object.entries(hooks)) {
+            if (!statuses.has(status)) {
+                throw new Error(`Hooks for unknown status '${status}'`);
+            }
+            for (const [phase, list] of Object.entries(phases)) {
+                if (!['enter', 'exit'].includes(phase) || !Array.isArray(list)) {
+                    throw new Error(`Hooks for '${status}' must be { enter: [...], exit: [...] }`);
+                }
+                for (const hook of list) {
+                    const requires = Array.isArray(hook?.require) && hook.require.every(field => typeof field === 'string');
+                    const runs = typeof hook?.run === 'string' && hook.run.trim();
+                    if (!requires && !runs) {
+                        throw new Error(`Invalid ${phase} hook for '${status}': expected { require: [fields] } or { run: 'command' }`);
+                    }
+                }
+            }
+        }
+    }
+
+    next(status) {
+        return this.transitions[status] || [];
+    }
+
+    /**
+     * Statuses a task cannot leave, such as done and cancelled
+     */
+    getFinalStatuses() {
+        return this.statuses.filter(status => this.next(status).length === 0);
+    }
+
+    toJSON() {
+        return { initial: this.initial, transitions: this.transitions, hooks: this.hooks };
+    }
+
+    /**
+     * Reject statuses the workflow does not define
+     */
+    assertStatus(status, tag) {
+        if (!this.statuses.includes(status)) {
+            throw new TaskTransitionError(`Unknown status '${status}'${tag ? ` in tag '${tag}'` : ''} (statuses: ${this.statuses.join(', ')})`, { to: status });
+        }
+    }
+
+    /**
+     * Check a status change against the transitions and run the hooks
+     * @param {Object} task - The task with the update applied
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @param {Object} context - { tag, projectRoot, force } (force skips transitions and hooks)
+     */
+    async check(task, from, to, context = {}) {
+        this.assertStatus(to, context.tag);
+        if (context.force) return;
+
+        const details = { taskId: task.id, from, to, allowed: this.next(from) };
+        if (!this.next(from).includes(to)) {
+            const allowed = details.allowed.length > 0 ? `allowed: ${details.allowed.join(', ')}` : `'${from}' is final`;
+            throw new TaskTransitionError(`Invalid status transition from '${from}' to '${to}' (${allowed})`, details);
+        }
+
+        const hooks = [
+            ...(this.hooks[from]?.exit || []).map(hook => ({ hook, phase: 'exit', status: from })),
+            ...(this.hooks[to]?.enter || []).map(hook => ({ hook, phase: 'enter', status: to }))
+        ];
+        for (const { hook, phase, status } of hooks) {
+            const reason = await this.runHook(hook, task, { ...context, from, to });
+            if (reason) {
+                const move = phase === 'enter' ? `to '${status}'` : `out of '${status}'`;
+                throw new TaskTransitionError(`Cannot move task ${task.id} ${move}: ${hook.message ? `${hook.message}\n${reason}` : reason}`, { ...details, hook });
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<string|null>} Why the hook refuses the change, or null
+     */
+    async runHook(hook, task, context) {
+        if (hook.require) {
+            const missing = hook.require.filter(field => TaskWorkflow.isEmpty(field.split('.').reduce((value, key) => value?.[key], task)));
+            if (missing.length > 0) {
+                return `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required`;
+            }
+        }
+
+        if (hook.run) {
+            const result = await this.runCommand(hook.run, {
+                cwd: context.projectRoot,
+                timeout: hook.timeout || DEFAULT_HOOK_TIMEOUT,
+                env: { SA_TASK_ID: task.id, SA_TASK_FROM: context.from, SA_TASK_TO: context.to, SA_TAG: context.tag || '' }
+            });
+            if (result.timedOut) {
+                return `'${hook.run}' timed out`;
+            }
+            if (result.exitCode !== 0) {
+                const output = result.output.trim().split('\n').slice(-10).join('\n');
+                return `'${hook.run}' failed with exit code ${result.exitCode}${output ? `\n${output}` : ''}`;
+            }
+        }
+
+        return null;
+    }
+
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * Run a shell command in the project
+     * @param {string} command - Command line
+     * @param {Object} options - { cwd, timeout, env }
+     * @returns {Promise<Object>} { exitCode, output, timedOut }
+     */
+    runCommand(command, options) {
+        return new Promise(resolve => {
+            const child = spawn(command, { cwd: options.cwd, shell: true, env: { ...process.env, ...options.env, CI: 'true', FORCE_COLOR: '0' } });
+            let output = '';
+            let timedOut = false;
+            const append = chunk => {
+                output = (output + chunk.toString()).slice(-MAX_COMMAND_OUTPUT);
+            };
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGTERM');
+            }, options.timeout);
+
+            child.stdout.on('data', append);
+            child.stderr.on('data', append);
+            child.on('error', error => {
+                clearTimeout(timer);
+                resolve({ exitCode: -1, output: error.message, timedOut });
+            });
+            child.on('close', code => {
+                clearTimeout(timer);
+                resolve({ exitCode: code ?? -1, output, timedOut });
+            });
+        });
+    }
+}
+
+export default TaskWorkflow;
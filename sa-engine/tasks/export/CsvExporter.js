@@ -0,0 +1,53 @@
+import Csv from '../Csv.js';
+import TaskExporter from './TaskExporter.js';
+
+const list = values => (values || []).join('; ');
+const person = value => value ? value.name || value.id || '' : '';
+
+// One column per TaskSchema field; subtasks are rows of their own with a Parent column
+const COLUMNS = [
+    ['Tag', row => row.tag.key],
+    ['ID', row => row.task.id],
+    ['Parent', row => row.parentId || ''],
+    ['Title', row => row.task.title],
+    ['Description', row => row.task.description],
+    ['Status', row => row.task.status],
+    ['Priority', row => row.task.priority],
+    ['Type', row => row.task.type],
+    ['Complexity', row => row.task.complexity ?? ''],
+    ['Dependencies', row => list(row.task.dependencies)],
+    ['Blocked By', row => list(row.task.blockedBy)],
+    ['Blocks', row => list(row.task.blocks)],
+    ['Assignee', row => person(row.task.assignee)],
+    ['Owner', row => person(row.task.owner)],
+    ['Details', row => row.task.details || ''],
+    ['Notes', row => row.task.notes || ''],
+    ['Test Strategy', row => row.task.testStrategy || ''],
+    ['Acceptance Criteria', row => list(row.task.acceptanceCriteria)],
+    ['Tags', row => list(row.task.tags)],
+    ['Labels', row => list(row.task.labels)],
+    ['Estimated Hours', row => row.task.estimatedHours ?? ''],
+    ['Actual Hours', row => row.task.actualHours ?? ''],
+    ['Start Date', (row, exporter) => exporter.day(row.task.startDate)],
+    ['Due Date', (row, exporter) => exporter.day(row.task.dueDate)],
+    ['Completed Date', (row, exporter) => exporter.day(row.task.completedDate)],
+    ['Created', row => row.task.metadata?.created ? new Date(row.task.metadata.created).toISOString() : ''],
+    ['Modified', row => row.task.metadata?.modified ? new Date(row.task.metadata.modified).toISOString() : ''],
+    ['Created By', row => person(row.task.metadata?.createdBy)],
+    ['Source', row => row.task.metadata?.source || ''],
+    ['URLs', row => list(row.task.resources?.urls)],
+    ['Files', row => list(row.task.resources?.files)]
+];
+
+/**
+ * RFC 4180 CSV with a column for every task field. Lists are joined with "; ",
+ * dates are YYYY-MM-DD and timestamps ISO 8601.
+ */
+class CsvExporter extends TaskExporter {
+    export(tags) {
+        const rows = this.flatten(tags).map(row => COLUMNS.map(([, value]) => value(row, this)));
+        return Csv.stringify([COLUMNS.map(([header]) => header), ...rows]);
+    }
+}
+
+export default CsvExporter;
@@ -0,0 +1,115 @@
+import TaskExporter from './TaskExporter.js';
+
+const DAY = 86400000;
+const PROGRESS = { done: 100, review: 75, 'in-progress': 50 };
+
+/**
+ * Gantt chart data. `tasks` is in Frappe Gantt's shape (`new Gantt(el, data.tasks)`),
+ * `edges` lists dependencies as finish-to-start links, and `mermaid` holds the same
+ * plan as a Mermaid gantt definition.
+ *
+ * Bars use startDate and dueDate when set. Otherwise a task lasts estimatedHours
+ * (hoursPerDay per day, at least one day) and starts the day after its last dependency
+ * ends, ends on its due date, or starts on options.start (today by default).
+ */
+class GanttExporter extends TaskExporter {
+    export(tags, options = {}) {
+        const hoursPerDay = options.hoursPerDay || 8;
+        const anchor = this.midnight(options.start ? new Date(options.start) : new Date());
+        const rows = this.flatten(tags);
+        const multipleTags = tags.length > 1;
+        const keyOf = (tag, id) => (multipleTags ? `${tag.key}_${id}` : id).replace(/[^A-Za-z0-9_-]/g, '_');
+
+        const byKey = new Map(rows.map(row => [keyOf(row.tag, row.task.id), row]));
+        const spans = new Map();
+
+        const schedule = (key, trail = new Set()) => {
+            if (spans.has(key)) return spans.get(key);
+            const { tag, task } = byKey.get(key);
+            trail.add(key);
+
+            const days = Math.max(1, Math.ceil((task.estimatedHours || 0) / hoursPerDay));
+            const afterDependencies = (task.dependencies || [])
+                .map(id => keyOf(tag, id))
+                .filter(dependency => byKey.has(dependency) && !trail.has(dependency))
+                .map(dependency => schedule(dependency, trail).end + DAY);
+
+            let start = task.startDate ? this.midnight(new Date(task.startDate)) : null;
+            const due = task.dueDate ? this.midnight(new Date(task.dueDate)) : null;
+            if (start === null) {
+                start = afterDependencies.length > 0 ? Math.max(...afterDependencies)
+                    : due !== null ? due - (days - 1) * DAY
+                        : anchor;
+            }
+            const end = Math.max(start, due ?? start + (days - 1) * DAY);
+
+            trail.delete(key);
+            const span = { start, end };
+            spans.set(key, span);
+            return span;
+        };
+
+        const tasks = [];
+        const edges = [];
+        for (const [key, { tag, task, parentId }] of byKey) {
+            const { start, end } = schedule(key);
+            const dependencies = (task.dependencies || []).map(id => keyOf(tag, id)).filter(id => byKey.has(id));
+            dependencies.forEach(from => edges.push({ from, to: key, type: 'finish_to_start' }));
+
+            tasks.push({
+                id: key,
+                name: task.title,
+                start: this.day(start),
+                end: this.day(end),
+                progress: PROGRESS[task.status] || 0,
+                dependencies: dependencies.join(', '),
+                custom_class: `status-${task.status}`,
+                taskId: task.id,
+                tag: tag.key,
+                parent: parentId ? keyOf(tag, parentId) : null,
+                status: task.status,
+                priority: task.priority,
+                estimatedHours: task.estimatedHours ?? null
+            });
+        }
+
+        return JSON.stringify({
+            generated: new Date().toISOString(),
+            hoursPerDay,
+            tasks,
+            edges,
+            mermaid: this.mermaid(tags, tasks, options.title)
+        }, null, 2);
+    }
+
+    mermaid(tags, tasks, title = 'Tasks') {
+        const lines = ['gantt', `    title ${title}`, '    dateFormat YYYY-MM-DD'];
+        const marker = { done: 'done, ', 'in-progress': 'active, ', review: 'active, ' };
+
+        for (const tag of tags) {
+            const section = tasks.filter(task => task.tag === tag.key);
+            if (section.length === 0) continue;
+
+            lines.push(`    section ${this.label(tag.name || tag.key)}`);
+            for (const task of section) {
+                const critical = task.priority === 'critical' && task.status !== 'done' ? 'crit, ' : '';
+                // Frappe's end date is inclusive, Mermaid's is not, so give Mermaid the length
+                const days = (Date.parse(task.end) - Date.parse(task.start)) / DAY + 1;
+                lines.push(`    ${this.label(task.name)} :${critical}${marker[task.status] || ''}${task.id}, ${task.start}, ${days}d`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    // Mermaid ends a task name at ':' and treats '#' and ';' specially
+    label(text) {
+        return String(text).replace(/[:#;]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    midnight(date) {
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    }
+}
+
+export default GanttExporter;
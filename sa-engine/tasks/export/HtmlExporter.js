@@ -0,0 +1,127 @@
+import TaskExporter from './TaskExporter.js';
+
+const STATUS_ORDER = ['in-progress', 'review', 'blocked', 'pending', 'deferred', 'done', 'cancelled'];
+
+const STYLE = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2328; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; }
+  h1 { margin-bottom: 0; } .generated { color: #656d76; margin-top: 0.25rem; }
+  h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 0.3rem; margin-top: 2.5rem; }
+  h3 { margin: 1.5rem 0 0.5rem; font-size: 1rem; }
+  .summary { display: flex; flex-wrap: wrap; gap: 0.5rem; margin: 0.75rem 0; }
+  .pill { border-radius: 1rem; padding: 0.1rem 0.7rem; background: #eaeef2; font-size: 0.85rem; }
+  .progress { height: 0.5rem; background: #eaeef2; border-radius: 0.25rem; overflow: hidden; }
+  .progress span { display: block; height: 100%; background: #1a7f37; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+  th { font-size: 0.8rem; text-transform: uppercase; color: #656d76; }
+  td.id { font-family: ui-monospace, monospace; white-space: nowrap; }
+  .description { color: #656d76; font-size: 0.85rem; }
+  .priority-critical { color: #cf222e; font-weight: 600; } .priority-high { color: #bc4c00; }
+  .status-done, .status-cancelled { opacity: 0.7; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+`;
+
+/**
+ * Standalone HTML report (inline styles, no scripts or external assets) with a section
+ * per tag and, inside it, a table per status. Subtasks are listed under their status
+ * with their parent's id shown in the ID column.
+ */
+class HtmlExporter extends TaskExporter {
+    export(tags, options = {}) {
+        const title = options.title || 'Task Report';
+        const rows = this.flatten(tags);
+        const done = rows.filter(row => row.task.status === 'done').length;
+
+        const sections = tags.map(tag => this.tagSection(tag, rows.filter(row => row.tag === tag)));
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1">',
+            `<title>${this.escape(title)}</title>`,
+            `<style>${STYLE}</style>`,
+            '</head>',
+            '<body>',
+            `<h1>${this.escape(title)}</h1>`,
+            `<p class="generated">Generated ${this.escape(new Date().toUTCString())} · ${rows.length} tasks in ${tags.length} tag${tags.length === 1 ? '' : 's'} · ${done} done</p>`,
+            ...sections,
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    tagSection(tag, rows) {
+        const byStatus = new Map();
+        for (const row of rows) {
+            if (!byStatus.has(row.task.status)) byStatus.set(row.task.status, []);
+            byStatus.get(row.task.status).push(row);
+        }
+
+        const statuses = [...byStatus.keys()].sort((a, b) => this.rank(a) - this.rank(b));
+        const done = byStatus.get('done')?.length || 0;
+        const percent = rows.length ? Math.round(done / rows.length * 100) : 0;
+
+        const html = [
+            `<section id="tag-${this.escape(tag.key)}">`,
+            `<h2>${this.escape(tag.name || tag.key)}</h2>`,
+            tag.description ? `<p>${this.escape(tag.description)}</p>` : '',
+            '<div class="summary">',
+            ...statuses.map(status => `<span class="pill status-${this.escape(status)}">${this.escape(status)}: ${byStatus.get(status).length}</span>`),
+            `<span class="pill">${percent}% done</span>`,
+            '</div>',
+            `<div class="progress"><span style="width: ${percent}%"></span></div>`
+        ];
+
+        if (rows.length === 0) {
+            html.push('<p class="description">No tasks.</p>');
+        }
+
+        for (const status of statuses) {
+            html.push(
+                `<h3>${this.escape(status)} (${byStatus.get(status).length})</h3>`,
+                '<table>',
+                '<thead><tr><th>ID</th><th>Task</th><th>Priority</th><th>Type</th><th>Assignee</th><th>Due</th><th>Depends on</th></tr></thead>',
+                '<tbody>',
+                ...byStatus.get(status).map(row => this.taskRow(row)),
+                '</tbody>',
+                '</table>'
+            );
+        }
+
+        html.push('</section>');
+        return html.filter(Boolean).join('\n');
+    }
+
+    taskRow({ task, parentId }) {
+        const assignee = task.assignee ? task.assignee.name || task.assignee.id || '' : '';
+        const parent = parentId ? `<div class="description">of ${this.escape(parentId)}</div>` : '';
+        return `<tr class="status-${this.escape(task.status)}">` +
+            `<td class="id">${this.escape(task.id)}${parent}</td>` +
+            `<td><strong>${this.escape(task.title)}</strong><div class="description">${this.escape(task.description)}</div></td>` +
+            `<td class="priority-${this.escape(task.priority)}">${this.escape(task.priority)}</td>` +
+            `<td>${this.escape(task.type)}</td>` +
+            `<td>${this.escape(assignee)}</td>` +
+            `<td>${this.day(task.dueDate)}</td>` +
+            `<td>${this.escape((task.dependencies || []).join(', '))}</td>` +
+            '</tr>';
+    }
+
+    rank(status) {
+        const index = STATUS_ORDER.indexOf(status);
+        return index === -1 ? STATUS_ORDER.length : index;
+    }
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+export default HtmlExporter;
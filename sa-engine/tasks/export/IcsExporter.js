@@ -0,0 +1,90 @@
+import TaskExporter from './TaskExporter.js';
+
+/**
+ * iCalendar (RFC 5545) with an all-day event on the due date of every task that has
+ * one. UIDs are stable per tag and task id, so re-importing the file into a calendar
+ * updates the events instead of duplicating them.
+ */
+class IcsExporter extends TaskExporter {
+    export(tags, options = {}) {
+        const stamp = this.timestamp(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Super Agents//Task Export//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.text(options.calendarName || 'Task due dates')}`
+        ];
+
+        for (const { tag, task } of this.flatten(tags)) {
+            const due = this.day(task.dueDate);
+            if (!due) continue;
+
+            const next = new Date(`${due}T00:00:00Z`);
+            next.setUTCDate(next.getUTCDate() + 1);
+            const summary = task.status === 'done' ? `✓ ${task.title}` : task.title;
+            const details = [
+                task.description,
+                '',
+                `Task ${task.id} (${tag.name}) · ${task.status} · ${task.priority} priority`,
+                task.assignee ? `Assignee: ${task.assignee.name || task.assignee.id}` : null,
+                task.dependencies?.length ? `Depends on: ${task.dependencies.join(', ')}` : null
+            ].filter(line => line !== null);
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${this.text(`${tag.key}-${task.id}`)}@super-agents`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${due.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`,
+                `SUMMARY:${this.text(summary)}`,
+                `DESCRIPTION:${this.text(details.join('\n'))}`,
+                `CATEGORIES:${[tag.key, task.priority, ...(task.labels || [])].map(value => this.text(value)).join(',')}`,
+                `STATUS:${task.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+                'TRANSP:TRANSPARENT',
+                ...(task.resources?.urls?.[0] ? [`URL:${task.resources.urls[0]}`] : []),
+                'END:VEVENT'
+            );
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Escape a TEXT value (RFC 5545 3.3.11)
+     */
+    text(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    timestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Fold lines longer than 75 octets (RFC 5545 3.1) without splitting a UTF-8 character
+     */
+    fold(line) {
+        const parts = [];
+        let current = '';
+        let size = 0;
+
+        for (const char of line) {
+            const bytes = Buffer.byteLength(char);
+            if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += bytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+}
+
+export default IcsExporter;
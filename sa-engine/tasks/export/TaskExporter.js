@@ -0,0 +1,84 @@
+/**
+ * Writes tags of a task collection in a format other tools read. TaskManager.exportTasks
+ * hands an exporter the tags to include (one, or all of them) with their nested tasks.
+ *
+ * A format implements export(tags, options) and returns the file content as a string;
+ * tags is [{ key, name, description, tasks }].
+ */
+class TaskExporter {
+    static FORMATS = {
+        csv: {
+            extension: 'csv',
+            load: async () => (await import('./CsvExporter.js')).default
+        },
+        ics: {
+            extension: 'ics',
+            load: async () => (await import('./IcsExporter.js')).default
+        },
+        gantt: {
+            extension: 'json',
+            load: async () => (await import('./GanttExporter.js')).default
+        },
+        html: {
+            extension: 'html',
+            load: async () => (await import('./HtmlExporter.js')).default
+        }
+    };
+
+    static getFormatNames() {
+        return Object.keys(this.FORMATS);
+    }
+
+    static getFormat(name) {
+        const format = this.FORMATS[name];
+        if (!format) {
+            throw new Error(`Unsupported export format: ${name}. Available: json, markdown, ${this.getFormatNames().join(', ')}`);
+        }
+        return format;
+    }
+
+    /**
+     * Load the exporter for a format
+     * @param {string} name - Format name
+     * @returns {Promise<TaskExporter>} Exporter instance
+     */
+    static async create(name) {
+        const Exporter = await this.getFormat(name).load();
+        return new Exporter(name);
+    }
+
+    constructor(format) {
+        this.format = format;
+    }
+
+    export(tags, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement export()`);
+    }
+
+    /**
+     * Every task of the tags, depth first, with where it sits
+     * @returns {Array} [{ tag, task, parentId, depth }]
+     */
+    flatten(tags) {
+        const rows = [];
+        const visit = (tag, tasks, parentId, depth) => {
+            for (const task of tasks) {
+                rows.push({ tag, task, parentId, depth });
+                visit(tag, task.subtasks || [], task.id, depth + 1);
+            }
+        };
+        tags.forEach(tag => visit(tag, tag.tasks, null, 0));
+        return rows;
+    }
+
+    /**
+     * Calendar date of a stored date, as YYYY-MM-DD in UTC
+     */
+    day(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+    }
+}
+
+export default TaskExporter;
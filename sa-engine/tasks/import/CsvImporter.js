@@ -0,0 +1,81 @@
+import Csv from '../Csv.js';
+import TaskImporter from './TaskImporter.js';
+
+// Column names (case-insensitive) read for each field, including the ones `sa task export --format csv` writes
+const COLUMNS = {
+    id: ['id', 'key'],
+    title: ['title', 'summary', 'name'],
+    description: ['description'],
+    details: ['details'],
+    notes: ['notes'],
+    status: ['status'],
+    priority: ['priority'],
+    type: ['type'],
+    assignee: ['assignee'],
+    parent: ['parent', 'parent id'],
+    dependencies: ['dependencies', 'depends on'],
+    labels: ['labels'],
+    tags: ['tags'],
+    complexity: ['complexity'],
+    acceptanceCriteria: ['acceptance criteria', 'acceptancecriteria'],
+    startDate: ['start date', 'startdate', 'start'],
+    dueDate: ['due date', 'duedate', 'due'],
+    estimatedHours: ['estimated hours', 'estimatedhours', 'estimate'],
+    testStrategy: ['test strategy', 'teststrategy']
+};
+
+/**
+ * Plain CSV with a header row, such as a spreadsheet or `sa task export --format csv`.
+ * Dependencies and labels may list several values separated by commas or semicolons;
+ * acceptance criteria are separated by semicolons only.
+ */
+class CsvImporter extends TaskImporter {
+    parse(content) {
+        const { headers, records: rows } = Csv.parseRecords(content);
+        const columns = {};
+        for (const [field, names] of Object.entries(COLUMNS)) {
+            columns[field] = headers.find(header => names.includes(header.toLowerCase()));
+        }
+        if (!columns.title) {
+            throw new Error(`CSV needs a Title column (found: ${headers.join(', ')})`);
+        }
+
+        const value = (row, field) => columns[field] ? row[columns[field]]?.[0] : undefined;
+
+        const records = rows.map((row, index) => {
+            const id = value(row, 'id');
+            const key = id || `row ${index + 2}`;
+            const estimate = Number(value(row, 'estimatedHours'));
+            const complexity = Number(value(row, 'complexity'));
+
+            return this.record(key, {
+                source: id ? `csv:${id}` : undefined,
+                parentKey: value(row, 'parent'),
+                dependsOn: this.list(value(row, 'dependencies')),
+                task: {
+                    title: value(row, 'title'),
+                    description: value(row, 'description'),
+                    details: value(row, 'details'),
+                    notes: value(row, 'notes'),
+                    testStrategy: value(row, 'testStrategy'),
+                    status: this.mapStatus(key, value(row, 'status')),
+                    priority: this.mapPriority(key, value(row, 'priority')),
+                    type: this.mapType(value(row, 'type')),
+                    complexity: complexity >= 1 && complexity <= 10 ? Math.round(complexity) : undefined,
+                    acceptanceCriteria: (value(row, 'acceptanceCriteria') || '').split(';').map(item => item.trim()).filter(Boolean),
+                    labels: this.list(value(row, 'labels')),
+                    tags: this.list(value(row, 'tags')),
+                    assignee: this.person(value(row, 'assignee')),
+                    startDate: this.parseDate(key, value(row, 'startDate')),
+                    dueDate: this.parseDate(key, value(row, 'dueDate')),
+                    estimatedHours: estimate > 0 ? estimate : undefined
+                }
+            });
+        });
+
+        const known = Object.values(columns).filter(Boolean);
+        return { records, unmapped: this.findUnmapped(rows, known), warnings: this.warnings };
+    }
+}
+
+export default CsvImporter;
@@ -0,0 +1,104 @@
+import TaskImporter from './TaskImporter.js';
+
+// Everything the REST API or `gh issue list --json` returns that is plumbing, not task data
+const IGNORED = /(^|_)(url|node_id)$|^id$|^reactions$|^performed_via_github_app$/i;
+const REFERENCES = /\b(depends on|blocked by|blocks|part of|parent:?)\s+((?:#\d+(?:\s*,\s*|\s+and\s+|\s+)?)+)/gi;
+
+/**
+ * GitHub issues as JSON: the REST API list (`gh api repos/o/r/issues --paginate`)
+ * or `gh issue list --json number,title,body,state,labels,assignees,milestone,url`.
+ * Type and priority come from labels such as bug or priority: high; "Depends on #12",
+ * "Blocks #12" and "Part of #12" in the body become dependencies and parents.
+ */
+class GitHubIssuesImporter extends TaskImporter {
+    parse(content) {
+        const data = JSON.parse(content);
+        const items = Array.isArray(data) ? data : data.issues || data.items;
+        if (!Array.isArray(items)) {
+            throw new Error('Expected a JSON array of GitHub issues');
+        }
+
+        const issues = items.filter(issue => !issue.pull_request);
+        if (issues.length < items.length) {
+            this.warn(null, `skipped ${items.length - issues.length} pull request(s)`);
+        }
+
+        const records = issues.map(issue => this.toRecord(issue));
+        const unmapped = this.findUnmapped(issues, [
+            'number', 'title', 'body', 'state', 'state_reason', 'stateReason', 'labels', 'assignee',
+            'assignees', 'milestone', 'parent', 'pull_request'
+        ]).filter(field => !IGNORED.test(field));
+
+        return { records, unmapped, warnings: this.warnings };
+    }
+
+    toRecord(issue) {
+        const key = `#${issue.number}`;
+        const url = issue.html_url || issue.url;
+        const references = this.references(issue.body || '');
+        const parent = issue.parent?.number ?? issue.parent;
+
+        const labels = [];
+        let type;
+        let priority;
+        let labelStatus;
+        for (const label of issue.labels || []) {
+            const name = typeof label === 'string' ? label : label.name;
+            const scoped = /^(?:priority|prio)\s*[:/]\s*(.+)$/i.exec(name);
+            if (scoped || this.lookup(TaskImporter.PRIORITIES, name)) {
+                priority = priority || this.mapPriority(key, scoped ? scoped[1] : name);
+            } else if (!type && this.lookup(TaskImporter.TYPES, name)) {
+                type = this.mapType(name);
+            } else if (!labelStatus && ['in-progress', 'review', 'blocked'].includes(this.lookup(TaskImporter.STATUSES, name))) {
+                labelStatus = this.lookup(TaskImporter.STATUSES, name);
+            } else {
+                labels.push(name);
+            }
+        }
+
+        const assignees = (issue.assignees?.length ? issue.assignees : [issue.assignee]).filter(Boolean);
+        if (assignees.length > 1) {
+            this.warn(key, `only the first of ${assignees.length} assignees was kept`);
+        }
+
+        const closed = String(issue.state).toLowerCase() === 'closed';
+        const notPlanned = /not_planned/i.test(issue.state_reason || issue.stateReason || '');
+
+        return this.record(key, {
+            source: url || `github:${key}`,
+            parentKey: parent ? `#${parent}` : references.parent,
+            dependsOn: references.dependsOn,
+            blocks: references.blocks,
+            task: {
+                title: issue.title,
+                description: issue.body,
+                status: closed ? (notPlanned ? 'cancelled' : 'done') : (labelStatus || 'pending'),
+                priority: priority || 'medium',
+                type: type || 'feature',
+                labels,
+                tags: issue.milestone?.title ? [issue.milestone.title] : [],
+                assignee: this.person(assignees[0]?.login || assignees[0]?.name),
+                dueDate: this.parseDate(key, issue.milestone?.due_on || issue.milestone?.dueOn),
+                resources: { urls: url ? [url] : [] }
+            }
+        });
+    }
+
+    references(body) {
+        const found = { dependsOn: [], blocks: [], parent: undefined };
+        for (const [, verb, list] of body.matchAll(REFERENCES)) {
+            const keys = list.match(/#\d+/g);
+            const kind = verb.toLowerCase();
+            if (kind === 'blocks') {
+                found.blocks.push(...keys);
+            } else if (kind.startsWith('part of') || kind.startsWith('parent')) {
+                found.parent = found.parent || keys[0];
+            } else {
+                found.dependsOn.push(...keys);
+            }
+        }
+        return found;
+    }
+}
+
+export default GitHubIssuesImporter;
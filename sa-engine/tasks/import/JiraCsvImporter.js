@@ -0,0 +1,65 @@
+import Csv from '../Csv.js';
+import TaskImporter from './TaskImporter.js';
+
+const KNOWN = [
+    'Summary', 'Issue key', 'Issue id', 'Issue Type', 'Status', 'Status Category', 'Priority',
+    'Assignee', 'Description', 'Labels', 'Component/s', 'Sprint', 'Due date', 'Original Estimate',
+    'Parent', 'Parent id', 'Custom field (Epic Link)', 'Inward issue link (Blocks)',
+    'Outward issue link (Blocks)', 'Resolution'
+];
+
+/**
+ * Jira "Export Excel CSV (all fields)". Sub-tasks and epic children are placed under
+ * their parent (Parent, Parent id or Epic Link), and "Blocks" issue links become
+ * dependencies. Original Estimate is exported in seconds.
+ */
+class JiraCsvImporter extends TaskImporter {
+    parse(content) {
+        const { records: rows } = Csv.parseRecords(content);
+        const first = (row, field) => row[field]?.[0];
+
+        // Parent columns hold the numeric issue id in newer exports
+        const keysById = new Map(rows.map(row => [first(row, 'Issue id'), first(row, 'Issue key')]));
+        const parentKey = row => {
+            const parent = first(row, 'Parent') || first(row, 'Parent id') || first(row, 'Custom field (Epic Link)');
+            return keysById.get(parent) || parent;
+        };
+
+        const records = rows.map((row, index) => {
+            const key = first(row, 'Issue key') || `row ${index + 2}`;
+            const estimate = Number(first(row, 'Original Estimate'));
+            const resolution = first(row, 'Resolution');
+
+            let status = this.lookup(TaskImporter.STATUSES, first(row, 'Status'));
+            if (!status) {
+                status = this.mapStatus(key, first(row, 'Status Category') || first(row, 'Status'));
+            }
+            if (status === 'done' && resolution && this.lookup(TaskImporter.STATUSES, resolution) === 'cancelled') {
+                status = 'cancelled';
+            }
+
+            return this.record(key, {
+                source: `jira:${key}`,
+                parentKey: parentKey(row),
+                dependsOn: this.list(row['Inward issue link (Blocks)']),
+                blocks: this.list(row['Outward issue link (Blocks)']),
+                task: {
+                    title: first(row, 'Summary'),
+                    description: first(row, 'Description'),
+                    status,
+                    priority: this.mapPriority(key, first(row, 'Priority')),
+                    type: this.mapType(first(row, 'Issue Type')),
+                    labels: row.Labels || [],
+                    tags: [...(row['Component/s'] || []), ...(row.Sprint || [])],
+                    assignee: this.person(first(row, 'Assignee')),
+                    dueDate: this.parseDate(key, first(row, 'Due date')),
+                    estimatedHours: estimate > 0 ? Math.round(estimate / 36) / 100 : undefined
+                }
+            });
+        });
+
+        return { records, unmapped: this.findUnmapped(rows, KNOWN), warnings: this.warnings };
+    }
+}
+
+export default JiraCsvImporter;
@@ -0,0 +1,46 @@
+import Csv from '../Csv.js';
+import TaskImporter from './TaskImporter.js';
+
+const KNOWN = [
+    'ID', 'Title', 'Description', 'Status', 'Priority', 'Assignee', 'Labels', 'Project',
+    'Cycle Name', 'Due Date', 'Parent issue', 'Blocked by', 'Blocking'
+];
+
+/**
+ * Linear's workspace CSV export. Sub-issues are placed under their Parent issue and the
+ * Blocked by / Blocking relations become dependencies; a Bug or Feature label sets the
+ * type, and Project and Cycle become tags.
+ */
+class LinearCsvImporter extends TaskImporter {
+    parse(content) {
+        const { records: rows } = Csv.parseRecords(content);
+        const first = (row, field) => row[field]?.[0];
+
+        const records = rows.map((row, index) => {
+            const key = first(row, 'ID') || `row ${index + 2}`;
+            const labels = this.list(row.Labels);
+
+            return this.record(key, {
+                source: `linear:${key}`,
+                parentKey: first(row, 'Parent issue'),
+                dependsOn: this.list(row['Blocked by']),
+                blocks: this.list(row.Blocking),
+                task: {
+                    title: first(row, 'Title'),
+                    description: first(row, 'Description'),
+                    status: this.mapStatus(key, first(row, 'Status')),
+                    priority: this.mapPriority(key, first(row, 'Priority')),
+                    type: this.mapType(labels.find(label => this.lookup(TaskImporter.TYPES, label))),
+                    labels,
+                    tags: [first(row, 'Project'), first(row, 'Cycle Name')].filter(Boolean),
+                    assignee: this.person(first(row, 'Assignee')),
+                    dueDate: this.parseDate(key, first(row, 'Due Date'))
+                }
+            });
+        });
+
+        return { records, unmapped: this.findUnmapped(rows, KNOWN), warnings: this.warnings };
+    }
+}
+
+export default LinearCsvImporter;
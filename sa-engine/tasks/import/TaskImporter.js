@@ -0,0 +1,205 @@
+/**
+ * Reads an export from another tracker into import records. An importer only maps
+ * fields; TaskManager.importTasks assigns ids, places subtasks under their parents and
+ * turns links into dependencies.
+ *
+ * A format implements parse(content, options) and returns { records, unmapped, warnings }:
+ * - records: [{ key, source, parentKey, dependsOn: [key], blocks: [key], task }] where key
+ *   is the id in the other tracker, source is stored as metadata.source so a re-import skips
+ *   what is already there, and task holds TaskSchema fields
+ * - unmapped: fields present in the file that have no TaskSchema counterpart
+ */
+class TaskImporter {
+    static FORMATS = {
+        'github-issues-json': async () => (await import('./GitHubIssuesImporter.js')).default,
+        'jira-csv': async () => (await import('./JiraCsvImporter.js')).default,
+        'linear-csv': async () => (await import('./LinearCsvImporter.js')).default,
+        'taskmaster-json': async () => (await import('./TaskMasterImporter.js')).default,
+        csv: async () => (await import('./CsvImporter.js')).default
+    };
+
+    static STATUSES = {
+        pending: ['pending', 'open', 'to do', 'todo', 'backlog', 'triage', 'new', 'ready', 'selected for development'],
+        'in-progress': ['in-progress', 'in progress', 'started', 'doing', 'active', 'in development'],
+        review: ['review', 'in review', 'code review', 'qa', 'in qa', 'testing'],
+        done: ['done', 'closed', 'resolved', 'completed', 'complete', 'fixed'],
+        blocked: ['blocked', 'impeded'],
+        deferred: ['deferred', 'on hold', 'icebox', 'later'],
+        cancelled: ['cancelled', 'canceled', "won't do", "won't fix", 'duplicate', 'rejected', 'invalid', 'not planned']
+    };
+
+    static PRIORITIES = {
+        critical: ['critical', 'highest', 'blocker', 'urgent', 'p0'],
+        high: ['high', 'major', 'p1'],
+        medium: ['medium', 'normal', 'p2'],
+        low: ['low', 'lowest', 'minor', 'trivial', 'p3', 'p4']
+    };
+
+    static TYPES = {
+        bug: ['bug', 'defect'],
+        feature: ['feature', 'story', 'user story', 'epic', 'new feature'],
+        enhancement: ['enhancement', 'improvement'],
+        documentation: ['documentation', 'docs'],
+        infrastructure: ['infrastructure', 'devops', 'ci'],
+        research: ['research', 'spike', 'investigation'],
+        maintenance: ['maintenance', 'chore'],
+        refactor: ['refactor', 'refactoring', 'tech debt']
+    };
+
+    static getFormatNames() {
+        return Object.keys(this.FORMATS);
+    }
+
+    /**
+     * Load the importer for a format
+     * @param {string} format - Format name
+     * @returns {Promise<TaskImporter>} Importer instance
+     */
+    static async create(format) {
+        const load = this.FORMATS[format];
+        if (!load) {
+            throw new Error(`Unsupported import format: ${format}. Available: ${this.getFormatNames().join(', ')}`);
+        }
+        const Importer = await load();
+        return new Importer(format);
+    }
+
+    constructor(format) {
+        this.format = format;
+        this.warnings = [];
+    }
+
+    parse(content, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement parse()`);
+    }
+
+    warn(key, message) {
+        this.warnings.push(key ? `${key}: ${message}` : message);
+    }
+
+    /**
+     * Find which canonical value a tracker's name maps to
+     * @param {Object} table - STATUSES, PRIORITIES or TYPES
+     * @param {string} value - Name used by the tracker
+     * @returns {string|undefined} Canonical value
+     */
+    lookup(table, value) {
+        const name = String(value ?? '').trim().toLowerCase();
+        if (!name) return undefined;
+        return Object.keys(table).find(canonical => table[canonical].includes(name));
+    }
+
+    mapStatus(key, value, fallback = 'pending') {
+        if (!value) return fallback;
+        const status = this.lookup(TaskImporter.STATUSES, value);
+        if (!status) {
+            this.warn(key, `unknown status '${value}', imported as ${fallback}`);
+        }
+        return status || fallback;
+    }
+
+    mapPriority(key, value) {
+        if (!value || /^no priority$/i.test(value)) return 'medium';
+        const priority = this.lookup(TaskImporter.PRIORITIES, value);
+        if (!priority) {
+            this.warn(key, `unknown priority '${value}', imported as medium`);
+        }
+        return priority || 'medium';
+    }
+
+    mapType(value) {
+        return this.lookup(TaskImporter.TYPES, value) || 'feature';
+    }
+
+    /**
+     * Accepts ISO dates and Jira's default 21/Mar/24 10:15 AM
+     */
+    parseDate(key, value) {
+        if (!value) return undefined;
+
+        const jira = /^(\d{1,2})\/([a-z]{3})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})\s*(am|pm)?)?$/i.exec(value.trim());
+        if (jira) {
+            const [, day, month, year, hour = '0', minute = '0', meridiem] = jira;
+            const monthIndex = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(month.toLowerCase());
+            let hours = Number(hour);
+            if (meridiem) {
+                hours = hours % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+            }
+            if (monthIndex !== -1) {
+                return new Date(Number(year.length === 2 ? `20${year}` : year), monthIndex, Number(day), hours, Number(minute));
+            }
+        }
+
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            this.warn(key, `could not read date '${value}'`);
+            return undefined;
+        }
+        return date;
+    }
+
+    person(name) {
+        return name ? { type: 'human', id: name, name } : undefined;
+    }
+
+    /**
+     * Split a cell holding several ids or labels ("ENG-1, ENG-2")
+     */
+    list(values) {
+        return [].concat(values || [])
+            .flatMap(value => String(value).split(/[,;]/))
+            .map(value => value.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Fit a record into the TaskSchema limits: titles are capped at 200 characters and
+     * descriptions at 1000, with the full text kept in details
+     */
+    record(key, fields) {
+        const { task } = fields;
+        const title = String(task.title || '').trim() || key;
+        let description = String(task.description || '').trim();
+
+        task.title = title.length > 200 ? `${title.slice(0, 199)}…` : title;
+        if (title.length > 200) {
+            this.warn(key, 'title shortened to 200 characters');
+        }
+
+        if (description.length > 1000) {
+            task.details = task.details ? `${description}\n\n${task.details}` : description;
+            description = `${description.slice(0, 999)}…`;
+        }
+        task.description = description || task.title;
+
+        for (const field of Object.keys(task)) {
+            if (task[field] === undefined) delete task[field];
+        }
+
+        return { key, dependsOn: [], blocks: [], ...fields, task };
+    }
+
+    /**
+     * Fields that hold data somewhere in the file but are not in the importer's mapping
+     * @param {Array<Object>} items - Parsed rows or objects
+     * @param {Array<string>} known - Fields the importer maps or deliberately ignores
+     * @returns {Array<string>} Unmapped field names
+     */
+    findUnmapped(items, known) {
+        const ignored = new Set(known.map(field => field.toLowerCase()));
+        const unmapped = new Set();
+
+        for (const item of items) {
+            for (const [field, value] of Object.entries(item)) {
+                const empty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+                if (!empty && !ignored.has(field.toLowerCase())) {
+                    unmapped.add(field);
+                }
+            }
+        }
+
+        return [...unmapped];
+    }
+}
+
+export default TaskImporter;
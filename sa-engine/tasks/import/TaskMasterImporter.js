@@ -0,0 +1,66 @@
+import TaskImporter from './TaskImporter.js';
+
+const KNOWN = ['id', 'title', 'description', 'details', 'testStrategy', 'status', 'priority', 'dependencies', 'subtasks'];
+
+/**
+ * Claude Task Master tasks.json, either { tasks } or the tagged { master: { tasks }, ... }
+ * layout. Subtask dependencies given as plain numbers refer to sibling subtasks.
+ */
+class TaskMasterImporter extends TaskImporter {
+    parse(content, options = {}) {
+        const data = JSON.parse(content);
+        const tasks = this.selectTasks(data, options.fromTag);
+        const records = [];
+        const items = [];
+
+        const visit = (task, parentKey = null) => {
+            const key = parentKey ? `${parentKey}.${task.id}` : String(task.id);
+            const dependencies = (task.dependencies || []).map(dependency =>
+                parentKey && !String(dependency).includes('.') ? `${parentKey}.${dependency}` : String(dependency)
+            );
+
+            items.push(task);
+            records.push(this.record(key, {
+                source: `taskmaster:${key}`,
+                parentKey,
+                dependsOn: dependencies,
+                task: {
+                    title: task.title,
+                    description: task.description,
+                    details: task.details || undefined,
+                    testStrategy: task.testStrategy || undefined,
+                    status: this.mapStatus(key, task.status),
+                    priority: this.mapPriority(key, task.priority),
+                    taskMasterIntegration: { originalId: task.id }
+                }
+            }));
+
+            for (const subtask of task.subtasks || []) {
+                visit(subtask, key);
+            }
+        };
+
+        tasks.forEach(task => visit(task));
+        return { records, unmapped: this.findUnmapped(items, KNOWN), warnings: this.warnings };
+    }
+
+    selectTasks(data, fromTag) {
+        if (Array.isArray(data.tasks)) {
+            return data.tasks;
+        }
+
+        const tags = Object.keys(data).filter(tag => Array.isArray(data[tag]?.tasks));
+        const tag = fromTag || (tags.includes('master') ? 'master' : tags[0]);
+        if (!data[tag]?.tasks) {
+            throw new Error(fromTag ? `Tag '${fromTag}' not found in the Task Master file` : 'Expected a Task Master tasks.json');
+        }
+
+        const others = tags.filter(other => other !== tag);
+        if (others.length > 0) {
+            this.warn(null, `imported tag '${tag}' only; also found ${others.join(', ')} (use --from-tag)`);
+        }
+        return data[tag].tasks;
+    }
+}
+
+export default TaskMasterImporter;
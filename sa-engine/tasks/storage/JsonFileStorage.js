@@ -0,0 +1,47 @@
+import fs from 'fs';
+import path from 'path';
+import TaskStorage from './TaskStorage.js';
+
+/**
+ * The whole collection as one pretty-printed JSON file, rewritten on every save
+ * with a rotating backup of the previous version. Easy to read and diff, but
+ * every save costs the size of the whole collection.
+ */
+class JsonFileStorage extends TaskStorage {
+    read() {
+        if (!this.exists()) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+
+    write(collection) {
+        this.writeAtomically(this.file, JSON.stringify(collection, null, 2));
+    }
+
+    backup() {
+        if (!this.autoBackup || !this.exists()) return;
+
+        try {
+            fs.mkdirSync(this.backupDir, { recursive: true });
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const backupFile = path.join(this.backupDir, `tasks-${timestamp}.json`);
+            fs.copyFileSync(this.file, backupFile);
+
+            const backupFiles = fs.readdirSync(this.backupDir)
+                .filter(file => file.startsWith('tasks-') && file.endsWith('.json'))
+                .sort()
+                .reverse();
+
+            if (backupFiles.length > this.maxBackups) {
+                for (const file of backupFiles.slice(this.maxBackups)) {
+                    fs.unlinkSync(path.join(this.backupDir, file));
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to create backup:', error.message);
+        }
+    }
+}
+
+export default JsonFileStorage;
@@ -0,0 +1,217 @@
+import fs from 'fs';
+import TaskStorage from './TaskStorage.js';
+
+/**
+ * Append-only event log, one JSON object per line. A save appends a batch
+ * (begin, the tasks and tags that changed, commit) instead of rewriting the file;
+ * readers replay the log and drop a batch whose commit line never made it to disk.
+ * Once the log grows well past the live collection it is compacted into a snapshot.
+ *
+ * Lines: snapshot { collection } | begin | tag { tag, data } | drop { tag }
+ *        | put { tag, task } | delete { tag, id } | order { tag, ids }
+ *        | commit { revision, metadata, configuration }
+ */
+class JsonlStorage extends TaskStorage {
+    constructor(name, dataDir, options = {}) {
+        super(name, dataDir, options);
+        this.compactAfter = options.compactAfter ?? 1000;
+        this.lineCount = 0;
+    }
+
+    read() {
+        const lines = this.readLines();
+        if (!lines) {
+            return null;
+        }
+
+        let state = null;
+        let pending = [];
+
+        for (const line of lines) {
+            const event = this.parseLine(line);
+            if (!event || event.op === 'begin') {
+                // A torn line or a new batch: whatever was pending never committed
+                pending = [];
+            } else if (event.op === 'snapshot') {
+                state = this.fromCollection(event.collection);
+                pending = [];
+            } else if (event.op === 'commit') {
+                state = state || { tags: new Map() };
+                pending.forEach(pendingEvent => this.apply(state, pendingEvent));
+                state.metadata = event.metadata;
+                state.configuration = event.configuration;
+                pending = [];
+            } else {
+                pending.push(event);
+            }
+        }
+
+        return state ? this.toCollection(state) : null;
+    }
+
+    readRevision() {
+        const lines = this.readLines();
+        if (!lines) {
+            return null;
+        }
+
+        for (let index = lines.length - 1; index >= 0; index--) {
+            const event = this.parseLine(lines[index]);
+            if (event?.op === 'commit') {
+                return event.revision || 0;
+            }
+            if (event?.op === 'snapshot') {
+                return event.collection.metadata?.revision || 0;
+            }
+        }
+        return null;
+    }
+
+    write(collection, previous = {}) {
+        if (this.readRevision() === null || this.lineCount > Math.max(this.compactAfter, this.countLive(collection) * 4)) {
+            this.compact(collection);
+            return;
+        }
+
+        const events = [{ op: 'begin' }];
+
+        for (const tagName of Object.keys(previous)) {
+            if (!collection.tags[tagName]) {
+                events.push({ op: 'drop', tag: tagName });
+            }
+        }
+
+        for (const [tagName, tag] of Object.entries(collection.tags)) {
+            events.push({ op: 'tag', tag: tagName, data: TaskStorage.tagData(tag) });
+            events.push(...this.diffTasks(tagName, tag.tasks, previous[tagName] || new Map()));
+        }
+
+        events.push({
+            op: 'commit',
+            revision: collection.metadata.revision,
+            metadata: collection.metadata,
+            configuration: collection.configuration
+        });
+
+        // Start on a fresh line if a writer died mid-line
+        const size = fs.statSync(this.file).size;
+        const separator = size > 0 && !this.endsWithNewline(size) ? '\n' : '';
+        fs.appendFileSync(this.file, separator + events.map(event => JSON.stringify(event)).join('\n') + '\n', 'utf8');
+        this.lineCount += events.length;
+    }
+
+    diffTasks(tagName, tasks, previous) {
+        const events = [];
+        const ids = tasks.map(task => task.id);
+        const current = new Set(ids);
+        const kept = [...previous.keys()].filter(id => current.has(id));
+
+        for (const id of previous.keys()) {
+            if (!current.has(id)) {
+                events.push({ op: 'delete', tag: tagName, id });
+            }
+        }
+
+        for (const task of tasks) {
+            const data = JSON.stringify(task);
+            if (previous.get(task.id) !== data) {
+                events.push({ op: 'put', tag: tagName, task: JSON.parse(data) });
+            }
+        }
+
+        // Replay keeps existing tasks in place and appends new ones; record any other order
+        const replayed = [...kept, ...ids.filter(id => !previous.has(id))];
+        if (replayed.some((id, index) => id !== ids[index])) {
+            events.push({ op: 'order', tag: tagName, ids });
+        }
+
+        return events;
+    }
+
+    /**
+     * Replace the log with a single snapshot line
+     */
+    compact(collection) {
+        this.writeAtomically(this.file, JSON.stringify({ op: 'snapshot', collection }) + '\n');
+        this.lineCount = 1;
+    }
+
+    apply(state, event) {
+        switch (event.op) {
+            case 'tag': {
+                const tag = state.tags.get(event.tag);
+                state.tags.set(event.tag, { data: event.data, tasks: tag ? tag.tasks : new Map() });
+                break;
+            }
+            case 'drop':
+                state.tags.delete(event.tag);
+                break;
+            case 'put':
+                state.tags.get(event.tag)?.tasks.set(event.task.id, event.task);
+                break;
+            case 'delete':
+                state.tags.get(event.tag)?.tasks.delete(event.id);
+                break;
+            case 'order': {
+                const tag = state.tags.get(event.tag);
+                if (tag) {
+                    tag.tasks = new Map(event.ids.filter(id => tag.tasks.has(id)).map(id => [id, tag.tasks.get(id)]));
+                }
+                break;
+            }
+        }
+    }
+
+    fromCollection(collection) {
+        const tags = new Map();
+        for (const [tagName, tag] of Object.entries(collection.tags)) {
+            tags.set(tagName, {
+                data: TaskStorage.tagData(tag),
+                tasks: new Map(tag.tasks.map(task => [task.id, task]))
+            });
+        }
+        return { metadata: collection.metadata, configuration: collection.configuration, tags };
+    }
+
+    toCollection(state) {
+        const tags = {};
+        for (const [tagName, tag] of state.tags) {
+            tags[tagName] = { ...tag.data, tasks: [...tag.tasks.values()] };
+        }
+        return { metadata: state.metadata, configuration: state.configuration, tags };
+    }
+
+    readLines() {
+        if (!this.exists()) {
+            return null;
+        }
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line.trim());
+        this.lineCount = lines.length;
+        return lines;
+    }
+
+    parseLine(line) {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    endsWithNewline(size) {
+        const fd = fs.openSync(this.file, 'r');
+        try {
+            const last = Buffer.alloc(1);
+            fs.readSync(fd, last, 0, 1, size - 1);
+            return last.toString() === '\n';
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    countLive(collection) {
+        return Object.values(collection.tags).reduce((count, tag) => count + tag.tasks.length + 1, 0);
+    }
+}
+
+export default JsonlStorage;
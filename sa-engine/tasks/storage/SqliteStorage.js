@@ -0,0 +1,141 @@
+import TaskStorage from './TaskStorage.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS store (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tags (
+        name TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tasks (
+        tag TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (tag, id)
+    );
+`;
+
+/**
+ * Embedded SQLite database (better-sqlite3), one row per top-level task with its
+ * subtasks. A save only writes the tasks that changed since the stored revision,
+ * inside one transaction, so large collections stay cheap to update.
+ */
+class SqliteStorage extends TaskStorage {
+    async open() {
+        let Database;
+        try {
+            Database = (await import('better-sqlite3')).default;
+        } catch (error) {
+            throw new Error(`The sqlite task storage backend needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+        }
+
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            getValue: this.db.prepare('SELECT value FROM store WHERE key = ?'),
+            setValue: this.db.prepare('INSERT INTO store (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+            selectTags: this.db.prepare('SELECT name, data FROM tags ORDER BY position'),
+            upsertTag: this.db.prepare('INSERT INTO tags (name, position, data) VALUES (?, ?, ?) ON CONFLICT (name) DO UPDATE SET position = excluded.position, data = excluded.data'),
+            deleteTag: this.db.prepare('DELETE FROM tags WHERE name = ?'),
+            selectTasks: this.db.prepare('SELECT tag, data FROM tasks ORDER BY tag, position'),
+            upsertTask: this.db.prepare('INSERT INTO tasks (tag, id, position, data) VALUES (?, ?, ?, ?) ON CONFLICT (tag, id) DO UPDATE SET position = excluded.position, data = excluded.data'),
+            moveTask: this.db.prepare('UPDATE tasks SET position = ? WHERE tag = ? AND id = ?'),
+            deleteTask: this.db.prepare('DELETE FROM tasks WHERE tag = ? AND id = ?'),
+            deleteTagTasks: this.db.prepare('DELETE FROM tasks WHERE tag = ?')
+        };
+    }
+
+    exists() {
+        if (!this.db?.open) {
+            return super.exists();
+        }
+        return Boolean(this.statements.getValue.get('metadata'));
+    }
+
+    read() {
+        const metadata = this.statements.getValue.get('metadata');
+        if (!metadata) {
+            return null;
+        }
+
+        const tags = {};
+        for (const row of this.statements.selectTags.all()) {
+            tags[row.name] = { ...JSON.parse(row.data), tasks: [] };
+        }
+        for (const row of this.statements.selectTasks.all()) {
+            tags[row.tag]?.tasks.push(JSON.parse(row.data));
+        }
+
+        return {
+            metadata: JSON.parse(metadata.value),
+            configuration: JSON.parse(this.statements.getValue.get('configuration')?.value || '{}'),
+            tags
+        };
+    }
+
+    readRevision() {
+        const metadata = this.statements.getValue.get('metadata');
+        return metadata ? JSON.parse(metadata.value).revision || 0 : null;
+    }
+
+    write(collection, previous = {}) {
+        const save = this.db.transaction(() => {
+            if (!this.exists()) {
+                this.db.exec('DELETE FROM tasks; DELETE FROM tags;');
+                previous = {};
+            }
+
+            for (const tagName of Object.keys(previous)) {
+                if (!collection.tags[tagName]) {
+                    this.statements.deleteTagTasks.run(tagName);
+                    this.statements.deleteTag.run(tagName);
+                }
+            }
+
+            Object.entries(collection.tags).forEach(([tagName, tag], tagPosition) => {
+                this.statements.upsertTag.run(tagName, tagPosition, JSON.stringify(TaskStorage.tagData(tag)));
+                this.writeTasks(tagName, tag.tasks, previous[tagName] || new Map());
+            });
+
+            this.statements.setValue.run('configuration', JSON.stringify(collection.configuration));
+            this.statements.setValue.run('metadata', JSON.stringify(collection.metadata));
+        });
+        save();
+    }
+
+    writeTasks(tagName, tasks, previous) {
+        const previousIds = [...previous.keys()];
+        const ids = new Set();
+
+        tasks.forEach((task, position) => {
+            ids.add(task.id);
+            const data = JSON.stringify(task);
+            if (previous.get(task.id) !== data) {
+                this.statements.upsertTask.run(tagName, task.id, position, data);
+            } else if (previousIds[position] !== task.id) {
+                this.statements.moveTask.run(position, tagName, task.id);
+            }
+        });
+
+        for (const id of previousIds) {
+            if (!ids.has(id)) {
+                this.statements.deleteTask.run(tagName, id);
+            }
+        }
+    }
+
+    close() {
+        if (this.db?.open) {
+            this.db.close();
+        }
+    }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Storage backend of a task collection. TaskManager keeps the collection in memory and
+ * owns locking, revisions and merging; a backend only reads and writes it, always under
+ * the TaskManager lock. Backends are loaded on first use so a missing driver (SQLite)
+ * only affects projects that select it.
+ *
+ * A backend implements:
+ * - read(): the stored collection as plain JSON, or null when nothing is stored yet
+ * - write(collection, previous): persist the collection; previous is the TaskMerge snapshot
+ *   of what is stored now ({ [tag]: Map<taskId, json> }), so only changed tasks need writing
+ * and may override readRevision(), backup() and close().
+ */
+class TaskStorage {
+    static BACKENDS = {
+        json: {
+            file: 'tasks.json',
+            load: async () => (await import('./JsonFileStorage.js')).default
+        },
+        sqlite: {
+            file: 'tasks.db',
+            load: async () => (await import('./SqliteStorage.js')).default
+        },
+        jsonl: {
+            file: 'tasks.jsonl',
+            load: async () => (await import('./JsonlStorage.js')).default
+        }
+    };
+
+    static DEFAULT_BACKEND = 'json';
+
+    static getBackendNames() {
+        return Object.keys(this.BACKENDS);
+    }
+
+    static getBackend(name) {
+        const backend = this.BACKENDS[name];
+        if (!backend) {
+            throw new Error(`Unknown task storage backend '${name}'. Available: ${this.getBackendNames().join(', ')}`);
+        }
+        return backend;
+    }
+
+    /**
+     * File a backend keeps its data in
+     * @param {string} name - Backend name
+     * @param {string} dataDir - Task data directory
+     * @returns {string} Absolute file path
+     */
+    static getFile(name, dataDir) {
+        return path.join(dataDir, this.getBackend(name).file);
+    }
+
+    /**
+     * Load and open a backend
+     * @param {string} name - Backend name (json, sqlite, jsonl)
+     * @param {string} dataDir - Task data directory
+     * @param {Object} options - { backupDir, autoBackup, maxBackups }
+     * @returns {Promise<TaskStorage>} Opened backend
+     */
+    static async create(name, dataDir, options = {}) {
+        const Backend = await this.getBackend(name).load();
+        const storage = new Backend(name, dataDir, options);
+        await storage.open();
+        return storage;
+    }
+
+    constructor(name, dataDir, options = {}) {
+        this.name = name;
+        this.dataDir = dataDir;
+        this.file = TaskStorage.getFile(name, dataDir);
+        this.backupDir = options.backupDir || path.join(dataDir, 'backups');
+        this.autoBackup = options.autoBackup !== false;
+        this.maxBackups = options.maxBackups ?? 10;
+    }
+
+    async open() {}
+
+    exists() {
+        return fs.existsSync(this.file);
+    }
+
+    read() {
+        throw new Error(`${this.constructor.name} does not implement read()`);
+    }
+
+    write(collection, previous) {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    /**
+     * Revision currently stored, or null when nothing is stored. Backends that can
+     * answer without loading the whole collection override this.
+     */
+    readRevision() {
+        const stored = this.read();
+        return stored ? stored.metadata?.revision || 0 : null;
+    }
+
+    /**
+     * Keep a copy of the stored data before it is overwritten
+     */
+    backup() {}
+
+    close() {}
+
+    /**
+     * Move the stored data into the backup directory, once it has been migrated
+     * to another backend
+     * @returns {string|null} Archived file, or null when nothing was stored
+     */
+    archive() {
+        this.close();
+        if (!this.exists()) {
+            return null;
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const archived = path.join(this.backupDir, `${path.basename(this.file)}.migrated-${timestamp}`);
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        fs.renameSync(this.file, archived);
+        return archived;
+    }
+
+    /**
+     * Write to a temporary file and rename it over the target, so readers never
+     * see a partially written file
+     */
+    writeAtomically(file, data) {
+        const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+        try {
+            fs.writeFileSync(tempFile, data, 'utf8');
+            fs.renameSync(tempFile, file);
+        } catch (error) {
+            fs.rmSync(tempFile, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * A tag without its tasks
+     */
+    static tagData(tag) {
+        const { tasks, ...data } = tag;
+        return data;
+    }
+}
+
+export default TaskStorage;
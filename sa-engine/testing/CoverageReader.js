@@ -0,0 +1,388 @@
+import { existsSync, statSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { join, isAbsolute } from 'path';
+
+// Checked in order; line-level reports first so uncovered lines can be listed
+const DEFAULT_REPORT_PATHS = [
+  'coverage/coverage-final.json',
+  'coverage/lcov.info',
+  'lcov.info',
+  'coverage/coverage-summary.json',
+  'coverage/cobertura-coverage.xml',
+  'coverage/cobertura.xml',
+  'coverage.xml'
+];
+
+const METRICS = ['lines', 'statements', 'branches', 'functions'];
+
+/**
+ * CoverageReader - Reads lcov, Istanbul JSON and Cobertura XML coverage reports
+ * into per-file and overall line/statement/branch/function percentages
+ */
+export default class CoverageReader {
+  constructor(options = {}) {
+    this.options = {
+      reportPaths: options.reportPaths || DEFAULT_REPORT_PATHS,
+      ...options
+    };
+  }
+
+  /**
+   * Find the first coverage report present in a project
+   * @param {string} projectPath - Project root
+   * @param {string} [reportPath] - Explicit report path, absolute or project-relative
+   * @returns {string|null} Absolute report path
+   */
+  findReport(projectPath, reportPath) {
+    const candidates = reportPath ? [reportPath] : this.options.reportPaths;
+
+    for (const candidate of candidates) {
+      const fullPath = isAbsolute(candidate) ? candidate : join(projectPath, candidate);
+      if (existsSync(fullPath)) {
+        return fullPath;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read and parse the project's coverage report
+   * @param {string} projectPath - Project root
+   * @param {Object} [options] - Read options
+   * @param {string} [options.reportPath] - Explicit report path
+   * @returns {Promise<Object|null>} Coverage data, or null when no report exists
+   */
+  async read(projectPath, options = {}) {
+    const reportPath = this.findReport(projectPath, options.reportPath);
+    if (!reportPath) {
+      return null;
+    }
+
+    const content = await readFile(reportPath, 'utf8');
+    const format = this.detectFormat(reportPath, content);
+    const files = this.parse(format, content, { rootDir: projectPath });
+
+    return {
+      format,
+      reportPath,
+      generatedAt: statSync(reportPath).mtime.toISOString(),
+      files,
+      summary: this.summarize(files)
+    };
+  }
+
+  /**
+   * Detect the report format from its name and content
+   * @param {string} reportPath - Report path
+   * @param {string} content - Report content
+   * @returns {string} 'lcov', 'istanbul-summary', 'istanbul-final' or 'cobertura'
+   */
+  detectFormat(reportPath, content) {
+    const trimmed = content.trimStart();
+
+    if (trimmed.startsWith('<')) {
+      return 'cobertura';
+    }
+
+    if (trimmed.startsWith('{')) {
+      const data = JSON.parse(content);
+      return data.total && !data.total.path ? 'istanbul-summary' : 'istanbul-final';
+    }
+
+    if (/^(TN|SF):/m.test(content) || reportPath.endsWith('.info')) {
+      return 'lcov';
+    }
+
+    throw new Error(`Unrecognized coverage report format: ${reportPath}`);
+  }
+
+  /**
+   * Parse report content into per-file coverage
+   * @param {string} format - Report format
+   * @param {string} content - Report content
+   * @param {Object} [options] - Parser options
+   * @returns {Object} Map of relative file path to file coverage
+   */
+  parse(format, content, options = {}) {
+    switch (format) {
+      case 'lcov':
+        return this.parseLcov(content, options);
+      case 'istanbul-summary':
+        return this.parseIstanbulSummary(JSON.parse(content), options);
+      case 'istanbul-final':
+        return this.parseIstanbulFinal(JSON.parse(content), options);
+      case 'cobertura':
+        return this.parseCobertura(content, options);
+      default:
+        throw new Error(`Unsupported coverage format: ${format}`);
+    }
+  }
+
+  /**
+   * Parse an lcov tracefile
+   * @param {string} content - lcov.info content
+   * @param {Object} [options] - Parser options
+   * @returns {Object} Per-file coverage
+   */
+  parseLcov(content, options = {}) {
+    const files = {};
+
+    for (const record of content.split('end_of_record')) {
+      const source = record.match(/^SF:(.+)$/m);
+      if (!source) continue;
+
+      const lineHits = new Map();
+      const uncoveredBranches = new Set();
+      const totals = { LF: 0, LH: 0, FNF: 0, FNH: 0, BRF: 0, BRH: 0 };
+
+      for (const line of record.split('\n')) {
+        const [key, value = ''] = line.trim().split(/:(.*)/s);
+        if (key === 'DA') {
+          const [lineNumber, hits] = value.split(',').map(Number);
+          lineHits.set(lineNumber, (lineHits.get(lineNumber) || 0) + hits);
+        } else if (key === 'BRDA') {
+          const [lineNumber, , , taken] = value.split(',');
+          if (taken === '-' || Number(taken) === 0) uncoveredBranches.add(Number(lineNumber));
+        } else if (key in totals) {
+          totals[key] = Number(value);
+        }
+      }
+
+      const lines = lineHits.size > 0
+        ? this.metric(lineHits.size, [...lineHits.values()].filter(hits => hits > 0).length)
+        : this.metric(totals.LF, totals.LH);
+
+      files[this.relativize(source[1].trim(), options.rootDir)] = {
+        lines,
+        // lcov has no statement records; line coverage is the closest equivalent
+        statements: { ...lines },
+        branches: this.metric(totals.BRF, totals.BRH),
+        functions: this.metric(totals.FNF, totals.FNH),
+        uncoveredLines: [...lineHits].filter(([, hits]) => hits === 0).map(([line]) => line).sort((a, b) => a - b),
+        uncoveredBranches: [...uncoveredBranches].sort((a, b) => a - b)
+      };
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse Istanbul coverage-summary.json (json-summary reporter)
+   * @param {Object} data - Parsed summary
+   * @param {Object} [options] - Parser options
+   * @returns {Object} Per-file coverage
+   */
+  parseIstanbulSummary(data, options = {}) {
+    const files = {};
+
+    for (const [file, summary] of Object.entries(data)) {
+      if (file === 'total') continue;
+
+      files[this.relativize(file, options.rootDir)] = {
+        ...Object.fromEntries(METRICS.map(name => [
+          name,
+          this.metric(summary[name]?.total || 0, summary[name]?.covered || 0)
+        ])),
+        uncoveredLines: [],
+        uncoveredBranches: []
+      };
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse Istanbul coverage-final.json (json reporter)
+   * @param {Object} data - Parsed coverage map
+   * @param {Object} [options] - Parser options
+   * @returns {Object} Per-file coverage
+   */
+  parseIstanbulFinal(data, options = {}) {
+    const files = {};
+
+    for (const [key, fileCoverage] of Object.entries(data)) {
+      const statementCounts = Object.entries(fileCoverage.s || {});
+      const functionCounts = Object.values(fileCoverage.f || {});
+      const branchEntries = Object.entries(fileCoverage.b || {});
+
+      // Line coverage is derived the way istanbul-lib-coverage does: a line's hit
+      // count is the highest count of the statements starting on it
+      const lineHits = new Map();
+      for (const [id, hits] of statementCounts) {
+        const line = fileCoverage.statementMap?.[id]?.start?.line;
+        if (line === undefined) continue;
+        lineHits.set(line, Math.max(lineHits.get(line) ?? 0, hits));
+      }
+
+      const branchCounts = branchEntries.flatMap(([, counts]) => counts);
+      const uncoveredBranches = branchEntries
+        .filter(([, counts]) => counts.some(count => count === 0))
+        .map(([id]) => {
+          const branch = fileCoverage.branchMap?.[id];
+          return branch?.loc?.start?.line ?? branch?.locations?.[0]?.start?.line;
+        })
+        .filter(line => line !== undefined);
+
+      files[this.relativize(fileCoverage.path || key, options.rootDir)] = {
+        lines: this.metric(lineHits.size, [...lineHits.values()].filter(hits => hits > 0).length),
+        statements: this.metric(statementCounts.length, statementCounts.filter(([, hits]) => hits > 0).length),
+        branches: this.metric(branchCounts.length, branchCounts.filter(count => count > 0).length),
+        functions: this.metric(functionCounts.length, functionCounts.filter(hits => hits > 0).length),
+        uncoveredLines: [...lineHits].filter(([, hits]) => hits === 0).map(([line]) => line).sort((a, b) => a - b),
+        uncoveredBranches: [...new Set(uncoveredBranches)].sort((a, b) => a - b)
+      };
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse a Cobertura XML report
+   * @param {string} xml - Report content
+   * @param {Object} [options] - Parser options
+   * @returns {Object} Per-file coverage
+   */
+  parseCobertura(xml, options = {}) {
+    const sourceRoot = xml.match(/<source>([^<]+)<\/source>/)?.[1]?.trim();
+    const classes = new Map();
+    const classPattern = /<class\b([^>]*?)(?:\/>|>([\s\S]*?)<\/class>)/g;
+    let match;
+
+    while ((match = classPattern.exec(xml)) !== null) {
+      const filename = this.attribute(match[1], 'filename');
+      if (!filename) continue;
+
+      const body = match[2] || '';
+      const entry = classes.get(filename) || { lineHits: new Map(), branches: new Map(), methods: [] };
+
+      for (const method of body.matchAll(/<method\b[^>]*>([\s\S]*?)<\/method>/g)) {
+        const hits = [...method[1].matchAll(/<line\b[^>]*\bhits="(\d+)"/g)].map(line => Number(line[1]));
+        entry.methods.push(hits.some(count => count > 0));
+      }
+
+      // Method blocks repeat the class's lines, so only count the class-level list
+      const classLines = body.replace(/<methods>[\s\S]*?<\/methods>/, '');
+      for (const line of classLines.matchAll(/<line\b([^>]*?)\/?>/g)) {
+        const number = Number(this.attribute(line[1], 'number'));
+        const hits = Number(this.attribute(line[1], 'hits') || 0);
+        entry.lineHits.set(number, Math.max(entry.lineHits.get(number) || 0, hits));
+
+        const condition = this.attribute(line[1], 'condition-coverage')?.match(/\((\d+)\/(\d+)\)/);
+        if (condition) {
+          const [covered, total] = [Number(condition[1]), Number(condition[2])];
+          const previous = entry.branches.get(number);
+          entry.branches.set(number, { total, covered: Math.max(covered, previous?.covered || 0) });
+        }
+      }
+
+      classes.set(filename, entry);
+    }
+
+    const files = {};
+    for (const [filename, entry] of classes) {
+      const lineCounts = [...entry.lineHits.values()];
+      const branches = [...entry.branches.values()];
+      const lines = this.metric(lineCounts.length, lineCounts.filter(hits => hits > 0).length);
+      const file = sourceRoot && !isAbsolute(filename) ? join(sourceRoot, filename) : filename;
+
+      files[this.relativize(file, options.rootDir)] = {
+        lines,
+        statements: { ...lines },
+        branches: this.metric(
+          branches.reduce((sum, branch) => sum + branch.total, 0),
+          branches.reduce((sum, branch) => sum + branch.covered, 0)
+        ),
+        functions: this.metric(entry.methods.length, entry.methods.filter(Boolean).length),
+        uncoveredLines: [...entry.lineHits].filter(([, hits]) => hits === 0).map(([line]) => line).sort((a, b) => a - b),
+        uncoveredBranches: [...entry.branches]
+          .filter(([, branch]) => branch.covered < branch.total)
+          .map(([line]) => line)
+          .sort((a, b) => a - b)
+      };
+    }
+
+    return files;
+  }
+
+  /**
+   * Aggregate per-file coverage into overall percentages
+   * @param {Object} files - Per-file coverage
+   * @returns {Object} Summary with overall, lines, statements, branches and functions
+   */
+  summarize(files) {
+    const totals = Object.fromEntries(METRICS.map(name => [name, { total: 0, covered: 0 }]));
+
+    for (const file of Object.values(files)) {
+      for (const name of METRICS) {
+        totals[name].total += file[name].total;
+        totals[name].covered += file[name].covered;
+      }
+    }
+
+    const summary = { totals: {} };
+    for (const name of METRICS) {
+      const metric = this.metric(totals[name].total, totals[name].covered);
+      summary[name] = metric.pct;
+      summary.totals[name] = metric;
+    }
+    summary.overall = summary.lines;
+
+    return summary;
+  }
+
+  /**
+   * Check coverage against a threshold
+   * @param {Object} summary - Summary from summarize()
+   * @param {number|Object} threshold - Minimum overall percentage, or per-metric minimums
+   * @returns {Object} { met, failures: [{ metric, actual, target }] }
+   */
+  checkThreshold(summary, threshold) {
+    const targets = typeof threshold === 'number' ? { overall: threshold } : (threshold || {});
+    const failures = Object.entries(targets)
+      .filter(([metric, target]) => typeof target === 'number' && summary[metric] < target)
+      .map(([metric, target]) => ({ metric, actual: summary[metric], target }));
+
+    return { met: failures.length === 0, failures };
+  }
+
+  /**
+   * Collapse line numbers into ranges, e.g. [3, 4, 5, 9] -> ['3-5', '9']
+   * @param {number[]} lines - Sorted line numbers
+   * @returns {string[]} Ranges
+   */
+  toRanges(lines) {
+    const ranges = [];
+    let start = null;
+    let previous = null;
+
+    for (const line of lines) {
+      if (start !== null && line === previous + 1) {
+        previous = line;
+        continue;
+      }
+      if (start !== null) ranges.push(start === previous ? `${start}` : `${start}-${previous}`);
+      start = previous = line;
+    }
+    if (start !== null) ranges.push(start === previous ? `${start}` : `${start}-${previous}`);
+
+    return ranges;
+  }
+
+  metric(total, covered) {
+    // Istanbul reports files with nothing to cover as fully covered
+    const pct = total > 0 ? Math.round((covered / total) * 10000) / 100 : 100;
+    return { total, covered, pct };
+  }
+
+  attribute(source, name) {
+    return source.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+  }
+
+  relativize(file, rootDir) {
+    if (rootDir && file.startsWith(rootDir)) {
+      return file.slice(rootDir.length).replace(/^[\\/]+/, '');
+    }
+    return file;
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * TestReportParser - Normalizes test runner reporter output
+ * Jest and Vitest JSON, Mocha JSON and JUnit XML (node:test, Playwright) all map
+ * onto the suite shape used by sa_run_tests: counts, duration, failures and timings
+ */
+export default class TestReportParser {
+  /**
+   * Create an empty normalized report
+   * @returns {Object} Empty report
+   */
+  static createEmptyReport() {
+    return {
+      total: 0,
+      passed: 0,
+      failed: 0,
+      skipped: 0,
+      duration: 0,
+      failures: [],
+      tests: []
+    };
+  }
+
+  /**
+   * Parse a report by format name
+   * @param {string} format - 'jest-json', 'mocha-json' or 'junit'
+   * @param {string} content - Raw reporter output
+   * @param {Object} [options] - Parser options
+   * @returns {Object} Normalized report
+   */
+  static parse(format, content, options = {}) {
+    switch (format) {
+      case 'jest-json':
+        return this.parseJestJson(content, options);
+      case 'mocha-json':
+        return this.parseMochaJson(content, options);
+      case 'junit':
+        return this.parseJUnitXml(content, options);
+      default:
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+  }
+
+  /**
+   * Detect the format of a saved report from its contents
+   * @param {string} content - Raw report contents
+   * @returns {string|null} 'jest-json', 'mocha-json', 'junit' or null
+   */
+  static detectFormat(content) {
+    const text = content.trimStart();
+    if (text.startsWith('<')) {
+      return /<testsuites?[\s>]/.test(text) ? 'junit' : null;
+    }
+
+    try {
+      const data = this.parseJSON(text);
+      if ('numTotalTests' in data || Array.isArray(data.testResults)) return 'jest-json';
+      if (data.stats && (Array.isArray(data.tests) || Array.isArray(data.passes))) return 'mocha-json';
+    } catch (error) {
+      // Not JSON either
+    }
+    return null;
+  }
+
+  /**
+   * Parse Jest --json output (Vitest's json reporter emits the same shape)
+   * @param {string|Object} content - JSON text or parsed object
+   * @param {Object} [options] - Parser options
+   * @param {string} [options.rootDir] - Project root used to relativize paths
+   * @returns {Object} Normalized report
+   */
+  static parseJestJson(content, options = {}) {
+    const data = typeof content === 'string' ? this.parseJSON(content) : content;
+    const report = this.createEmptyReport();
+
+    for (const fileResult of data.testResults || []) {
+      const file = this.relativize(fileResult.name || fileResult.testFilePath, options.rootDir);
+      const assertions = fileResult.assertionResults || fileResult.testResults || [];
+
+      // A suite that fails to load has no assertions, only a message
+      if (assertions.length === 0 && fileResult.status === 'failed') {
+        report.total++;
+        report.failed++;
+        report.failures.push({
+          test: `${file} (suite failed to run)`,
+          file,
+          error: this.firstLine(fileResult.message || fileResult.failureMessage),
+          stack: fileResult.message || fileResult.failureMessage || '',
+          duration: 0
+        });
+        continue;
+      }
+
+      for (const assertion of assertions) {
+        const test = {
+          test: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' '),
+          file,
+          status: this.normalizeStatus(assertion.status),
+          duration: Math.round(assertion.duration || 0)
+        };
+        this.addTest(report, test, (assertion.failureMessages || []).join('\n'));
+      }
+    }
+
+    report.duration = this.computeJestDuration(data, report);
+    return report;
+  }
+
+  /**
+   * Parse Mocha's json reporter output
+   * @param {string|Object} content - JSON text or parsed object
+   * @param {Object} [options] - Parser options
+   * @returns {Object} Normalized report
+   */
+  static parseMochaJson(content, options = {}) {
+    const data = typeof content === 'string' ? this.parseJSON(content) : content;
+    const report = this.createEmptyReport();
+
+    const buckets = [
+      ['passed', data.passes || []],
+      ['failed', data.failures || []],
+      ['skipped', data.pending || []]
+    ];
+
+    for (const [status, tests] of buckets) {
+      for (const entry of tests) {
+        const test = {
+          test: entry.fullTitle || entry.title,
+          file: this.relativize(entry.file, options.rootDir),
+          status,
+          duration: Math.round(entry.duration || 0)
+        };
+        const err = entry.err || {};
+        this.addTest(report, test, err.stack || err.message || '', err.message);
+      }
+    }
+
+    report.duration = Math.round(data.stats?.duration || report.tests.reduce((sum, t) => sum + t.duration, 0));
+    return report;
+  }
+
+  /**
+   * Parse JUnit XML (node:test junit reporter, Playwright junit reporter)
+   * @param {string} xml - JUnit XML document
+   * @param {Object} [options] - Parser options
+   * @param {string} [options.rootDir] - Project root used to relativize paths
+   * @param {string} [options.defaultFile] - File to report when a testcase names none
+   * @returns {Object} Normalized report
+   */
+  static parseJUnitXml(xml, options = {}) {
+    const report = this.createEmptyReport();
+    const testcasePattern = /<testcase\b([^>]*?)(\/>|>([\s\S]*?)<\/testcase>)/g;
+    let match;
+
+    while ((match = testcasePattern.exec(xml)) !== null) {
+      const attrs = this.parseAttributes(match[1]);
+      const body = match[3] || '';
+      const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+      const skipped = /<skipped\b/.test(body);
+
+      let status = 'passed';
+      if (failure) {
+        status = 'failed';
+      } else if (skipped) {
+        status = 'skipped';
+      }
+
+      const details = failure ? this.decodeEntities(failure[3] || '').trim() : '';
+      const message = failure ? this.parseAttributes(failure[2]).message : undefined;
+      const file = attrs.file ||
+        (this.looksLikePath(attrs.classname) ? attrs.classname : null) ||
+        this.fileFromStack(details);
+
+      const test = {
+        test: attrs.classname && !this.looksLikePath(attrs.classname) && attrs.classname !== 'test'
+          ? `${attrs.classname} ${attrs.name}`
+          : attrs.name,
+        file: file ? this.relativize(file, options.rootDir) : (options.defaultFile || null),
+        status,
+        duration: Math.round(parseFloat(attrs.time || '0') * 1000)
+      };
+      this.addTest(report, test, details, message);
+    }
+
+    const suitesTime = xml.match(/<testsuites\b[^>]*\btime="([^"]+)"/);
+    report.duration = suitesTime
+      ? Math.round(parseFloat(suitesTime[1]) * 1000)
+      : report.tests.reduce((sum, t) => sum + t.duration, 0);
+
+    return report;
+  }
+
+  /**
+   * Record a normalized test and its failure, if any
+   * @param {Object} report - Report being built
+   * @param {Object} test - Normalized test entry
+   * @param {string} [details] - Failure stack or message body
+   * @param {string} [message] - Short failure message
+   */
+  static addTest(report, test, details = '', message) {
+    report.total++;
+    report[test.status]++;
+    report.tests.push(test);
+
+    if (test.status === 'failed') {
+      report.failures.push({
+        test: test.test,
+        file: test.file,
+        error: this.firstLine(message || details) || 'Test failed',
+        stack: details,
+        duration: test.duration
+      });
+    }
+  }
+
+  /**
+   * Map runner-specific statuses onto passed/failed/skipped
+   * @param {string} status - Runner status
+   * @returns {string} Normalized status
+   */
+  static normalizeStatus(status) {
+    if (status === 'passed') return 'passed';
+    if (status === 'failed') return 'failed';
+    return 'skipped';
+  }
+
+  static computeJestDuration(data, report) {
+    const fileDurations = (data.testResults || [])
+      .filter(result => result.startTime && result.endTime)
+      .reduce((sum, result) => sum + (result.endTime - result.startTime), 0);
+
+    return Math.round(fileDurations || report.tests.reduce((sum, t) => sum + t.duration, 0));
+  }
+
+  /**
+   * Parse JSON that may be preceded by runner noise on stdout
+   * @param {string} text - Raw text
+   * @returns {Object} Parsed JSON
+   */
+  static parseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const start = text.indexOf('{');
+      const end = text.lastIndexOf('}');
+      if (start >= 0 && end > start) {
+        return JSON.parse(text.slice(start, end + 1));
+      }
+      throw new Error(`Invalid JSON test report: ${error.message}`);
+    }
+  }
+
+  static parseAttributes(source = '') {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      attributes[match[1]] = this.decodeEntities(match[2]);
+    }
+    return attributes;
+  }
+
+  static decodeEntities(text) {
+    return text
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+
+  static looksLikePath(value) {
+    return typeof value === 'string' && /\.(c|m)?(j|t)sx?$/.test(value);
+  }
+
+  static fileFromStack(stack) {
+    const match = stack.match(/(?:file:\/\/)?((?:\/|[A-Za-z]:\\)[^\s():]+\.(?:c|m)?(?:j|t)sx?):\d+/);
+    return match && !match[1].includes('node_modules') ? match[1] : null;
+  }
+
+  static relativize(file, rootDir) {
+    if (!file) return null;
+    const normalized = file.replace(/^file:\/\//, '');
+    if (rootDir && normalized.startsWith(rootDir)) {
+      return normalized.slice(rootDir.length).replace(/^[\\/]+/, '');
+    }
+    return normalized;
+  }
+
+  static firstLine(text) {
+    if (!text) return '';
+    return text.split('\n').map(line => line.trim()).find(line => line.length > 0) || '';
+  }
+}
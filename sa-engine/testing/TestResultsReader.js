@@ -0,0 +1,119 @@
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { isAbsolute, join, relative } from 'path';
+import TestReportParser from './TestReportParser.js';
+
+const RESULTS_DIR = join('.super-agents', 'test-results');
+
+/**
+ * TestResultsReader - Reads the outcome of earlier test runs
+ * Sources are reporter files configured per test type (JUnit XML, Jest or Mocha JSON)
+ * and the results sa_run_tests saves under .super-agents/test-results
+ */
+export default class TestResultsReader {
+  /**
+   * Parse a reporter output file, detecting its format
+   * @param {string} filePath - Absolute path to the report
+   * @param {Object} [options] - Parser options
+   * @param {string} [options.rootDir] - Project root used to relativize paths
+   * @returns {Object} Normalized report
+   */
+  readReport(filePath, options = {}) {
+    const content = readFileSync(filePath, 'utf8');
+    const format = TestReportParser.detectFormat(content);
+    if (!format) {
+      throw new Error(`Unrecognized test report format: ${filePath}`);
+    }
+    return TestReportParser.parse(format, content, options);
+  }
+
+  /**
+   * Load the most recent results saved by sa_run_tests
+   * @param {string} projectPath - Project root
+   * @returns {Object|null} { file, results } or null when nothing was saved
+   */
+  readLatestRun(projectPath) {
+    const resultsDir = join(projectPath, RESULTS_DIR);
+    if (!existsSync(resultsDir)) {
+      return null;
+    }
+
+    const latest = readdirSync(resultsDir)
+      .filter(file => file.startsWith('test-results-') && file.endsWith('.json'))
+      .sort((a, b) => Number(a.match(/-(\d+)\.json$/)?.[1]) - Number(b.match(/-(\d+)\.json$/)?.[1]))
+      .pop();
+
+    if (!latest) {
+      return null;
+    }
+
+    const saved = JSON.parse(readFileSync(join(resultsDir, latest), 'utf8'));
+    return { file: join(RESULTS_DIR, latest), results: saved.results || {} };
+  }
+
+  /**
+   * Outcome of one test type
+   * @param {string} projectPath - Project root
+   * @param {string} type - Test type ('unit', 'integration', 'e2e', ...)
+   * @param {Object} [options] - Read options
+   * @param {Object} [options.reports] - Map of test type to report path, relative to projectPath
+   * @returns {Object|null} { type, source, status, total, passed, failed, skipped, failures, error }
+   */
+  getSuite(projectPath, type, options = {}) {
+    const reportPath = options.reports?.[type];
+    if (reportPath) {
+      const absolute = isAbsolute(reportPath) ? reportPath : join(projectPath, reportPath);
+      if (!existsSync(absolute)) {
+        return null;
+      }
+      return this.fromReport(type, relative(projectPath, absolute), this.readReport(absolute, { rootDir: projectPath }));
+    }
+
+    const latest = this.readLatestRun(projectPath);
+    const suite = latest?.results.suites?.[type];
+    if (!suite) {
+      return null;
+    }
+
+    return {
+      type,
+      source: latest.file,
+      status: suite.status === 'completed' ? (suite.failed > 0 ? 'failed' : 'passed') : suite.status,
+      total: suite.total || 0,
+      passed: suite.passed || 0,
+      failed: suite.failed || 0,
+      skipped: suite.skipped || 0,
+      failures: suite.failures || [],
+      error: suite.error
+    };
+  }
+
+  /**
+   * Outcomes of every test type with a configured report or saved run
+   * @param {string} projectPath - Project root
+   * @param {Object} [options] - Read options, as for getSuite
+   * @returns {Object[]} Suites
+   */
+  getAllSuites(projectPath, options = {}) {
+    const types = new Set([
+      ...Object.keys(options.reports || {}),
+      ...Object.keys(this.readLatestRun(projectPath)?.results.suites || {})
+    ]);
+
+    return [...types]
+      .map(type => this.getSuite(projectPath, type, options))
+      .filter(Boolean);
+  }
+
+  fromReport(type, source, report) {
+    return {
+      type,
+      source,
+      status: report.failed > 0 ? 'failed' : (report.total > 0 ? 'passed' : 'no-tests'),
+      total: report.total,
+      passed: report.passed,
+      failed: report.failed,
+      skipped: report.skipped,
+      failures: report.failures
+    };
+  }
+}
@@ -0,0 +1,361 @@
+import { spawn } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, basename } from 'path';
+import { glob } from 'glob';
+import TestReportParser from './TestReportParser.js';
+
+const FRAMEWORKS = {
+  jest: {
+    packages: ['jest'],
+    configFiles: ['jest.config.js', 'jest.config.cjs', 'jest.config.mjs', 'jest.config.ts', 'jest.config.json'],
+    packageJsonKey: 'jest',
+    scriptPattern: /\bjest\b/
+  },
+  vitest: {
+    packages: ['vitest'],
+    configFiles: ['vitest.config.js', 'vitest.config.cjs', 'vitest.config.mjs', 'vitest.config.ts', 'vitest.config.mts'],
+    scriptPattern: /\bvitest\b/
+  },
+  mocha: {
+    packages: ['mocha'],
+    configFiles: ['.mocharc.js', '.mocharc.cjs', '.mocharc.json', '.mocharc.jsonc', '.mocharc.yml', '.mocharc.yaml'],
+    packageJsonKey: 'mocha',
+    scriptPattern: /\bmocha\b/
+  },
+  'node:test': {
+    packages: [],
+    configFiles: [],
+    scriptPattern: /\bnode\b[^&|;]*\s--test\b/
+  },
+  playwright: {
+    packages: ['@playwright/test', 'playwright'],
+    configFiles: ['playwright.config.js', 'playwright.config.cjs', 'playwright.config.mjs', 'playwright.config.ts'],
+    scriptPattern: /\bplaywright\s+test\b/
+  },
+  cypress: {
+    packages: ['cypress'],
+    configFiles: ['cypress.config.js', 'cypress.config.cjs', 'cypress.config.mjs', 'cypress.config.ts', 'cypress.json'],
+    scriptPattern: /\bcypress\b/,
+    runnable: false
+  }
+};
+
+// Order used to pick the primary runner when scripts.test does not name one
+const UNIT_RUNNER_PRIORITY = ['vitest', 'jest', 'mocha', 'node:test'];
+
+const TEST_TYPE_PATTERNS = {
+  e2e: /(^|[\\/._-])(e2e|end-to-end|playwright|cypress)([\\/._-]|$)/i,
+  integration: /(^|[\\/._-])(integration|integ)([\\/._-]|$)/i,
+  performance: /(^|[\\/._-])(performance|perf|benchmark|load)([\\/._-]|$)/i,
+  security: /(^|[\\/._-])security([\\/._-]|$)/i,
+  accessibility: /(^|[\\/._-])(accessibility|a11y)([\\/._-]|$)/i
+};
+
+const DEFAULT_TEST_GLOB = '**/*.{test,spec}.{js,mjs,cjs,jsx,ts,mts,cts,tsx}';
+const IGNORED_DIRS = ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/build/**', '**/coverage/**'];
+
+/**
+ * TestRunner - Detects the project's test framework, runs it as a child process
+ * with a machine-readable reporter and normalizes the results
+ */
+export default class TestRunner {
+  constructor(options = {}) {
+    this.options = {
+      timeout: options.timeout || 600000,
+      maxOutput: options.maxOutput || 1024 * 1024,
+      ...options
+    };
+  }
+
+  /**
+   * Read package.json from a project
+   * @param {string} projectPath - Project root
+   * @returns {Object|null} Parsed package.json
+   */
+  readPackageJson(projectPath) {
+    const packagePath = join(projectPath, 'package.json');
+    if (!existsSync(packagePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(readFileSync(packagePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Detect test frameworks from package.json dependencies, scripts and config files
+   * @param {string} projectPath - Project root
+   * @returns {Object} Detection result with primary and e2e runners
+   */
+  detectFrameworks(projectPath) {
+    const pkg = this.readPackageJson(projectPath) || {};
+    const dependencies = { ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}) };
+    const testScript = pkg.scripts?.test || '';
+    const frameworks = {};
+
+    for (const [name, definition] of Object.entries(FRAMEWORKS)) {
+      const dependency = definition.packages.find(p => dependencies[p]);
+      const configFile = definition.configFiles.find(file => existsSync(join(projectPath, file))) ||
+        (definition.packageJsonKey && pkg[definition.packageJsonKey] ? `package.json#${definition.packageJsonKey}` : null);
+      const inScript = definition.scriptPattern.test(testScript);
+
+      const signals = [dependency, configFile, inScript].filter(Boolean).length;
+      frameworks[name] = {
+        detected: signals > 0,
+        version: name === 'node:test'
+          ? (inScript ? process.versions.node : null)
+          : this.resolveVersion(projectPath, dependency, dependencies),
+        confidence: signals >= 2 ? 'high' : signals === 1 ? 'medium' : 'none',
+        configFile: configFile || null,
+        inTestScript: inScript,
+        runnable: definition.runnable !== false
+      };
+    }
+
+    const scripted = UNIT_RUNNER_PRIORITY.find(name => frameworks[name].inTestScript);
+    const primary = scripted || UNIT_RUNNER_PRIORITY.find(name => frameworks[name].detected) || null;
+    const e2e = frameworks.playwright.detected ? 'playwright' : null;
+
+    return { primary, e2e, frameworks };
+  }
+
+  resolveVersion(projectPath, dependency, dependencies) {
+    if (!dependency) {
+      return null;
+    }
+
+    const installed = join(projectPath, 'node_modules', dependency, 'package.json');
+    if (existsSync(installed)) {
+      try {
+        return JSON.parse(readFileSync(installed, 'utf8')).version;
+      } catch (error) {
+        // Fall back to the declared range
+      }
+    }
+
+    return String(dependencies[dependency]).replace(/^[\^~>=<\s]+/, '');
+  }
+
+  /**
+   * Discover test files and classify them by test type
+   * @param {string} projectPath - Project root
+   * @param {Object} [options] - Discovery options
+   * @param {string} [options.pattern] - Glob pattern overriding the default test file pattern
+   * @returns {Promise<Object>} Map of test type to relative file paths
+   */
+  async discoverTestFiles(projectPath, options = {}) {
+    const files = await glob(options.pattern || DEFAULT_TEST_GLOB, {
+      cwd: projectPath,
+      ignore: IGNORED_DIRS,
+      nodir: true,
+      posix: true
+    });
+
+    const byType = {};
+    for (const file of files.sort()) {
+      const type = this.classifyTestFile(file);
+      (byType[type] ||= []).push(file);
+    }
+
+    return byType;
+  }
+
+  /**
+   * Classify a test file by its path (directory or file name tokens)
+   * @param {string} file - Relative file path
+   * @returns {string} Test type
+   */
+  classifyTestFile(file) {
+    for (const [type, pattern] of Object.entries(TEST_TYPE_PATTERNS)) {
+      if (pattern.test(file)) {
+        return type;
+      }
+    }
+    return 'unit';
+  }
+
+  /**
+   * Pick the runner for a test type
+   * @param {string} testType - Test type
+   * @param {Object} detection - Result of detectFrameworks
+   * @returns {string|null} Framework name
+   */
+  selectFramework(testType, detection) {
+    if (testType === 'e2e' && detection.e2e) {
+      return detection.e2e;
+    }
+    return detection.primary || detection.e2e;
+  }
+
+  /**
+   * Build the command line for a framework run
+   * @param {string} framework - Framework name
+   * @param {Object} options - Run options
+   * @returns {Object} { command, args, env, reportFormat, reportFile }
+   */
+  buildCommand(framework, options) {
+    const { projectPath, files = [], reportDir, bail, timeout, retries, parallel } = options;
+    const reportFile = join(reportDir, framework === 'node:test' || framework === 'playwright' ? 'report.xml' : 'report.json');
+    const env = {};
+    let args;
+    let reportFormat;
+
+    switch (framework) {
+      case 'jest':
+        reportFormat = 'jest-json';
+        args = ['--ci', '--json', `--outputFile=${reportFile}`, '--passWithNoTests'];
+        if (bail) args.push('--bail');
+        if (timeout) args.push(`--testTimeout=${timeout}`);
+        if (parallel === false) args.push('--runInBand');
+        if (files.length > 0) args.push('--runTestsByPath', ...files);
+        break;
+
+      case 'vitest':
+        reportFormat = 'jest-json';
+        args = ['run', '--reporter=json', `--outputFile=${reportFile}`, '--passWithNoTests'];
+        if (bail) args.push('--bail=1');
+        if (timeout) args.push(`--testTimeout=${timeout}`);
+        if (retries) args.push(`--retry=${retries}`);
+        args.push(...files);
+        break;
+
+      case 'mocha':
+        reportFormat = 'mocha-json';
+        args = ['--reporter', 'json', '--reporter-option', `output=${reportFile}`];
+        if (bail) args.push('--bail');
+        if (timeout) args.push('--timeout', String(timeout));
+        if (retries) args.push('--retries', String(retries));
+        args.push(...files);
+        break;
+
+      case 'node:test':
+        reportFormat = 'junit';
+        args = ['--test', '--test-reporter=junit', `--test-reporter-destination=${reportFile}`];
+        if (timeout) args.push(`--test-timeout=${timeout}`);
+        if (parallel === false) args.push('--test-concurrency=1');
+        args.push(...files);
+        return { command: process.execPath, args, env, reportFormat, reportFile };
+
+      case 'playwright':
+        reportFormat = 'junit';
+        args = ['test', '--reporter=junit'];
+        env.PLAYWRIGHT_JUNIT_OUTPUT_NAME = reportFile;
+        if (bail) args.push('--max-failures=1');
+        if (timeout) args.push(`--timeout=${timeout}`);
+        if (retries) args.push(`--retries=${retries}`);
+        if (parallel === false) args.push('--workers=1');
+        args.push(...files);
+        break;
+
+      default:
+        throw new Error(`Unsupported test framework: ${framework}`);
+    }
+
+    const localBinary = join(projectPath, 'node_modules', '.bin', framework);
+    return existsSync(localBinary)
+      ? { command: localBinary, args, env, reportFormat, reportFile }
+      : { command: 'npx', args: ['--no-install', framework, ...args], env, reportFormat, reportFile };
+  }
+
+  /**
+   * Run a framework against a set of files and parse its report
+   * @param {string} framework - Framework name
+   * @param {Object} options - Run options (projectPath, files, bail, timeout, retries, parallel, env)
+   * @returns {Promise<Object>} Normalized report with exitCode, command and stderr
+   */
+  async run(framework, options) {
+    const reportDir = await mkdtemp(join(tmpdir(), 'sa-run-tests-'));
+
+    try {
+      const command = this.buildCommand(framework, { ...options, reportDir });
+      const processResult = await this.spawnRunner(command, options);
+      const content = existsSync(command.reportFile)
+        ? await readFile(command.reportFile, 'utf8')
+        : (command.reportFormat === 'junit' ? '' : processResult.stdout);
+
+      let report;
+      if (content.trim().length > 0) {
+        report = TestReportParser.parse(command.reportFormat, content, {
+          rootDir: options.projectPath,
+          defaultFile: options.files?.length === 1 ? options.files[0] : undefined
+        });
+      } else if (processResult.exitCode === 0 && !processResult.timedOut) {
+        report = TestReportParser.createEmptyReport();
+      } else {
+        throw new Error(this.describeRunnerFailure(framework, processResult));
+      }
+
+      if (processResult.timedOut) {
+        throw new Error(`${framework} timed out after ${options.suiteTimeout || this.options.timeout}ms`);
+      }
+
+      return {
+        ...report,
+        framework,
+        command: [basename(command.command), ...command.args].join(' '),
+        exitCode: processResult.exitCode
+      };
+    } finally {
+      await rm(reportDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Spawn the runner process and collect its output
+   * @param {Object} command - Command from buildCommand
+   * @param {Object} options - Run options
+   * @returns {Promise<Object>} { exitCode, stdout, stderr, timedOut }
+   */
+  spawnRunner(command, options) {
+    const timeout = options.suiteTimeout || this.options.timeout;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command.command, command.args, {
+        cwd: options.projectPath,
+        env: { ...process.env, CI: 'true', FORCE_COLOR: '0', ...command.env, ...(options.env || {}) },
+        shell: process.platform === 'win32',
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, timeout);
+
+      child.stdout.on('data', chunk => {
+        if (stdout.length < this.options.maxOutput) stdout += chunk;
+      });
+      child.stderr.on('data', chunk => {
+        if (stderr.length < this.options.maxOutput) stderr += chunk;
+      });
+
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(new Error(`Failed to start ${command.command}: ${error.message}`));
+      });
+
+      child.on('close', exitCode => {
+        clearTimeout(timer);
+        resolve({ exitCode, stdout, stderr, timedOut });
+      });
+    });
+  }
+
+  describeRunnerFailure(framework, processResult) {
+    if (processResult.timedOut) {
+      return `${framework} timed out before producing a report`;
+    }
+
+    const output = (processResult.stderr || processResult.stdout || '').trim().split('\n').slice(-5).join('\n');
+    return `${framework} exited with code ${processResult.exitCode} without producing a report${output ? `: ${output}` : ''}`;
+  }
+}
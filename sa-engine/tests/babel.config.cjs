@@ -1,3 +1,15 @@
+// Suites run as CommonJS, where import.meta does not exist; the module's URL comes from
+// module.filename, since ES modules often declare their own __filename from import.meta.url
+const importMetaUrl = ({ template }) => ({
+  visitor: {
+    MetaProperty(path) {
+      if (path.node.meta.name === 'import' && path.node.property.name === 'meta') {
+        path.replaceWith(template.expression.ast`({ url: require('url').pathToFileURL(module.filename).href })`);
+      }
+    }
+  }
+});
+
 module.exports = {
   presets: [
     [
@@ -9,5 +21,6 @@ module.exports = {
         modules: 'commonjs'
       }
     ]
-  ]
-};
\ No newline at end of file
+  ],
+  plugins: [importMetaUrl]
+};
@@ -0,0 +1,74 @@
+/**
+ * Local fake AI provider for tests that need a real BaseAIProvider in ProviderRegistry
+ */
+
+import BaseAIProvider from '../../ai-providers/BaseAIProvider.js';
+import CostTracker from '../../ai-providers/CostTracker.js';
+
+export class FakeAIProvider extends BaseAIProvider {
+  constructor(options = {}) {
+    super({
+      name: options.name || 'fake',
+      defaultModel: 'fake-model',
+      maxRetries: 1,
+      retryDelay: 1,
+      enableLogging: false,
+      circuitBreakerEnabled: false,
+      costTracker: new CostTracker({ persistData: false, enableReporting: false, enableLogging: false }),
+      ...options
+    });
+
+    this.responses = options.responses || {};
+    this.requests = [];
+  }
+
+  async initialize() {
+    this.isConnected = true;
+    return true;
+  }
+
+  respond(params, kind) {
+    this.requests.push({ kind, role: params.role, params });
+    const response = this.responses[kind];
+    return typeof response === 'function' ? response(params) : response;
+  }
+
+  async _generateText(params) {
+    const text = this.respond(params, 'text') ?? 'fake response';
+    return { text, model: 'fake-model', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+  }
+
+  async _generateObject(params) {
+    const object = this.respond(params, 'object');
+    if (object === undefined) {
+      throw new Error('FakeAIProvider has no object response configured');
+    }
+    return { object, text: JSON.stringify(object), model: 'fake-model', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 } };
+  }
+
+  async _streamText(params) {
+    const text = this.respond(params, 'text') ?? 'fake response';
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield { type: 'textDelta', textDelta: text, fullText: text };
+        yield { type: 'finish', fullText: text, finishReason: 'stop' };
+      }
+    };
+  }
+
+  async _generateWithTools(params) {
+    const reply = this.respond(params, 'tools') ?? { text: 'fake response' };
+    return { toolCalls: [], model: 'fake-model', usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 }, ...reply };
+  }
+
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      objectGeneration: true,
+      streaming: true,
+      functionCalling: true
+    };
+  }
+}
+
+export default FakeAIProvider;
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { mkdtemp, writeFile, chmod, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ClaudeCodeProvider from '../../../ai-providers/ClaudeCodeProvider.js';
+import CostTracker from '../../../ai-providers/CostTracker.js';
+
+// Stands in for `claude`: echoes its arguments and stdin back in the print-mode result format
+const fakeCli = `#!/usr/bin/env node
+const args = process.argv.slice(2);
+if (args[0] === '--version') { console.log('1.0.0 (Claude Code)'); process.exit(0); }
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+  const result = args.join(' ').includes('schema') ? '\`\`\`json\\n{"ok":true}\\n\`\`\`' : JSON.stringify({ args, input });
+  const usage = { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 3 };
+  if (args.includes('stream-json')) {
+    console.log(JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'streamed' }] } }));
+    console.log(JSON.stringify({ type: 'result', subtype: 'success', result: 'streamed', usage }));
+  } else {
+    console.log(JSON.stringify({ type: 'result', subtype: 'success', is_error: false, result, usage, total_cost_usd: 0.0123, session_id: 's1' }));
+  }
+});
+`;
+
+describe('ClaudeCodeProvider', () => {
+  let dir;
+  let provider;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'claude-code-'));
+    const command = join(dir, 'claude');
+    await writeFile(command, fakeCli);
+    await chmod(command, 0o755);
+
+    provider = new ClaudeCodeProvider({
+      command,
+      maxRetries: 1,
+      enableLogging: false,
+      circuitBreakerEnabled: false,
+      costTracker: new CostTracker({ persistData: false, enableReporting: false, enableLogging: false })
+    });
+    await provider.initialize();
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should send the prompt on stdin and system messages as a flag', async () => {
+    const result = await provider.generateText({
+      messages: [
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Say hello' }
+      ]
+    });
+
+    const echoed = JSON.parse(result.text);
+    expect(echoed.input).toBe('Say hello');
+    expect(echoed.args).toEqual(expect.arrayContaining(['-p', '--model', 'sonnet', '--append-system-prompt', 'Be brief']));
+    expect(result.usage).toMatchObject({ promptTokens: 15, completionTokens: 3 });
+    expect(provider.calculateCost(result.usage).totalCost).toBe(0.0123);
+  });
+
+  it('should parse structured output from the reply', async () => {
+    const result = await provider.generateObject({
+      messages: [{ role: 'user', content: 'Check' }],
+      schema: { type: 'object', properties: { ok: { type: 'boolean' } } }
+    });
+
+    expect(result.object).toEqual({ ok: true });
+  });
+
+  it('should stream assistant events', async () => {
+    const stream = await provider.streamText({ messages: [{ role: 'user', content: 'Say hello' }] });
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(chunk => chunk.type)).toEqual(['textDelta', 'finish']);
+    expect(chunks[1].usage.totalTokens).toBe(18);
+  });
+});
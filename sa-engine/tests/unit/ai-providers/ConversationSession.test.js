@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ConversationSession, { getConversationSession, endConversationSession } from '../../../ai-providers/ConversationSession.js';
+import TokenCounter from '../../../ai-providers/TokenCounter.js';
+import ResearchEngine from '../../../research/ResearchEngine.js';
+import ProviderRegistry from '../../../ai-providers/ProviderRegistry.js';
+import ToolAIClient, { setToolAIClient } from '../../../ai-providers/ToolAIClient.js';
+import { saAgentChat } from '../../../mcp-server/tools/agents/sa-agent-chat.js';
+import { FakeAIProvider } from '../../helpers/fake-ai-provider.js';
+
+const isSummaryRequest = params => params.messages[0].content.startsWith('You compress');
+
+describe('ConversationSession', () => {
+  let provider;
+
+  beforeEach(() => {
+    let turn = 0;
+    provider = new FakeAIProvider({
+      responses: { text: params => (isSummaryRequest(params) ? 'User is planning the auth rollout.' : `Answer ${++turn}`) }
+    });
+  });
+
+  it('should count tokens with the tokenizer registered for the model and estimate otherwise', () => {
+    const counter = new TokenCounter()
+      .register('gpt-', text => text.length)
+      .register(/^gpt-4o/, text => text.split(' ').length);
+
+    expect(counter.countText('one two three', 'gpt-4o-mini')).toBe(3);
+    expect(counter.countText('one two three', 'gpt-3.5-turbo')).toBe(13);
+    expect(counter.countText('one two three', 'llama3.1')).toBe(3);
+    expect(counter.hasTokenizer('llama3.1')).toBe(false);
+    expect(TokenCounter.estimate('const total = items.reduce((sum, item) => sum + item.price, 0);')).toBeGreaterThan(15);
+  });
+
+  it('should summarize older turns through the provider when nearing the context window', async () => {
+    const session = new ConversationSession({
+      provider,
+      system: 'You are the architect agent.',
+      contextWindow: 400,
+      responseTokens: 50,
+      keepRecentMessages: 2,
+      tokenCounter: new TokenCounter().register('fake-model', text => text.split(/\s+/).length)
+    });
+    const filler = 'details '.repeat(60);
+
+    for (let index = 1; index <= 4; index++) {
+      await session.send(`Question ${index}: ${filler}`);
+    }
+
+    const summaryRequests = provider.requests.filter(request => isSummaryRequest(request.params));
+    expect(summaryRequests.length).toBeGreaterThan(0);
+    expect(summaryRequests[0].params.messages[1].content).toContain('Question 1');
+    expect(session.summary).toBe('User is planning the auth rollout.');
+
+    const lastRequest = provider.requests[provider.requests.length - 1].params;
+    expect(lastRequest.messages.map(message => message.role)).toEqual(['system', 'system', 'assistant', 'user']);
+    expect(lastRequest.messages[1].content).toContain('User is planning the auth rollout.');
+    expect(session.countTokens(lastRequest.messages)).toBeLessThanOrEqual(session.getTokenBudget());
+    expect(session.getStats()).toMatchObject({ messages: 3, exactTokenCounts: true });
+  });
+
+  it('should refuse a message that cannot fit and keep the history unchanged', async () => {
+    const session = new ConversationSession({ provider, contextWindow: 200, responseTokens: 50 });
+    await session.send('Hello');
+
+    await expect(session.send('word '.repeat(500))).rejects.toThrow('needs');
+    expect(session.messages.map(message => message.content)).toEqual(['Hello', 'Answer 1']);
+  });
+
+  it('should forget idle sessions and the least recently used beyond the limit', () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      const idle = getConversationSession('idle', { provider });
+      idle.addMessage('user', 'Hello');
+
+      clock.mockReturnValue(now + 2 * 60 * 60 * 1000);
+      expect(getConversationSession('idle', { provider }).messages).toEqual([]);
+
+      const first = getConversationSession('session-0', { provider });
+      for (let index = 1; index <= 100; index++) {
+        getConversationSession(`session-${index}`, { provider });
+      }
+      expect(getConversationSession('session-0', { provider })).not.toBe(first);
+      expect(getConversationSession('session-100', { provider }).id).toBe('session-100');
+    } finally {
+      clock.mockRestore();
+      for (let index = 0; index <= 100; index++) {
+        endConversationSession(`session-${index}`);
+      }
+      endConversationSession('idle');
+    }
+  });
+
+  it('should continue an agent chat across tool calls in the agent persona', async () => {
+    const context = { aiProvider: provider };
+
+    await saAgentChat.execute({ agentId: 'architect', message: 'Monolith or services?' }, context);
+    const result = await saAgentChat.execute({ agentId: 'architect', message: 'Why?' }, context);
+
+    const messages = provider.requests[1].params.messages;
+    expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(messages[0].content).toContain('Architect');
+    expect(messages[3].content).toBe('Why?');
+    expect(result.content[0].text).toContain('Answer 2');
+    expect(result.metadata).toMatchObject({ sessionId: 'agent:architect', messages: 4 });
+
+    await saAgentChat.execute({ agentId: 'architect', message: 'Start over', reset: true }, context);
+    expect(provider.requests[2].params.messages).toHaveLength(2);
+    endConversationSession('agent:architect');
+  });
+
+  it('should chat through the provider routed for the main role when none is given', async () => {
+    const registry = new ProviderRegistry({ enableAutoRegistration: false, enableHealthChecks: false });
+    await registry.registerProvider('fake', { instance: provider });
+    provider.getModelInfo = () => ({ contextWindow: 32000 });
+    setToolAIClient(new ToolAIClient({ registry, autoRegister: false }));
+
+    try {
+      const result = await saAgentChat.execute({ agentId: 'architect', message: 'Monolith or services?' });
+
+      expect(result.metadata.provider).toBe('fake');
+      expect(getConversationSession('agent:architect').getContextWindow()).toBe(32000);
+    } finally {
+      endConversationSession('agent:architect');
+      setToolAIClient(null);
+      await registry.shutdown();
+    }
+  });
+
+  describe('research follow-ups', () => {
+    let projectRoot;
+
+    beforeEach(async () => {
+      projectRoot = await mkdtemp(join(tmpdir(), 'sa-session-'));
+    });
+
+    afterEach(async () => {
+      endConversationSession('research-1');
+      await rm(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should send earlier answers in full and continue a shared session', async () => {
+      const longAnswer = `Use JWT with refresh tokens. ${'Rotate keys regularly. '.repeat(80)}END`;
+      const research = new FakeAIProvider({ responses: { text: longAnswer } });
+      const engineOptions = { projectRoot, sessionId: 'research-1', logLevel: 'error' };
+      const researchOptions = { autoDiscoverTasks: false };
+
+      const first = new ResearchEngine(engineOptions);
+      first.setAIProvider(research);
+      await first.performResearch('How should we do auth?', researchOptions);
+
+      // A new engine, as each MCP tool call creates, continues the same session
+      const second = new ResearchEngine(engineOptions);
+      second.setAIProvider(research);
+      const result = await second.performFollowUp('How do we rotate keys?', researchOptions);
+
+      const messages = research.requests[1].params.messages;
+      expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+      expect(messages[1].content).toBe('How should we do auth?');
+      expect(messages[2].content).toBe(longAnswer);
+      expect(messages[3].content).toBe('How do we rotate keys?');
+      expect(messages[0].content).toContain('# Project Context');
+      expect(messages[0].content).toContain('Please provide a comprehensive research response');
+      expect(messages.filter(message => message.role === 'system')).toHaveLength(1);
+      expect(research.requests[1].role).toBe('research');
+      expect(result.metadata.sessionId).toBe('research-1');
+      expect(second.getHistory().map(entry => entry.type)).toEqual(['followup']);
+    });
+
+    it('should let a follow-up continue a session started without an id', async () => {
+      const research = new FakeAIProvider({ responses: { text: 'Use JWT.' } });
+      const researchOptions = { autoDiscoverTasks: false };
+
+      const first = new ResearchEngine({ projectRoot, logLevel: 'error' });
+      first.setAIProvider(research);
+      const { metadata } = await first.performResearch('How should we do auth?', researchOptions);
+
+      const second = new ResearchEngine({ projectRoot, sessionId: metadata.sessionId, logLevel: 'error' });
+      second.setAIProvider(research);
+      await second.performFollowUp('How do we rotate keys?', researchOptions);
+
+      expect(research.requests[1].params.messages.map(message => message.content).slice(1))
+        .toEqual(['How should we do auth?', 'Use JWT.', 'How do we rotate keys?']);
+      endConversationSession(metadata.sessionId);
+    });
+  });
+});
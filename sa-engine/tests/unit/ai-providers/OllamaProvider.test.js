@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { createServer } from 'http';
+import ProviderRegistry from '../../../ai-providers/ProviderRegistry.js';
+import OllamaProvider from '../../../ai-providers/OllamaProvider.js';
+import CostTracker from '../../../ai-providers/CostTracker.js';
+
+describe('OllamaProvider', () => {
+  let server;
+  let baseURL;
+  let requests;
+
+  const createProvider = () => new OllamaProvider({
+    baseURL,
+    defaultModel: 'llama3.1',
+    maxRetries: 1,
+    retryDelay: 1,
+    enableLogging: false,
+    circuitBreakerEnabled: false,
+    costTracker: new CostTracker({ persistData: false, enableReporting: false, enableLogging: false })
+  });
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = body ? JSON.parse(body) : null;
+        requests.push({ url: req.url, body: payload });
+
+        if (req.url === '/api/tags') {
+          res.end(JSON.stringify({ models: [{ name: 'llama3.1:latest' }] }));
+        } else if (payload.model === 'missing') {
+          res.writeHead(404);
+          res.end(JSON.stringify({ error: 'model "missing" not found' }));
+        } else if (payload.stream) {
+          res.write(`${JSON.stringify({ message: { content: 'Hel' }, done: false })}\n`);
+          res.write(`${JSON.stringify({ message: { content: 'lo' }, done: false })}\n`);
+          res.end(`${JSON.stringify({ done: true, done_reason: 'stop', prompt_eval_count: 5, eval_count: 2 })}\n`);
+        } else {
+          const content = payload.format ? '{"title":"Write tests"}' : 'Hello';
+          res.end(JSON.stringify({ model: payload.model, message: { content }, done_reason: 'stop', prompt_eval_count: 5, eval_count: 2 }));
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('should generate text and record token usage at zero cost', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+
+    const result = await provider.generateText({
+      messages: [{ role: 'user', content: 'Say hello' }],
+      contextLength: 16384
+    });
+
+    expect(result.text).toBe('Hello');
+    expect(result.usage).toEqual({ promptTokens: 5, completionTokens: 2, totalTokens: 7 });
+    expect(provider.calculateCost(result.usage, 'llama3.1:8b').totalCost).toBe(0);
+
+    const chat = requests.find(request => request.url === '/api/chat').body;
+    expect(chat.options.num_ctx).toBe(16384);
+    expect(chat.stream).toBe(false);
+  });
+
+  it('should constrain object generation to the schema', async () => {
+    const schema = { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] };
+
+    const result = await createProvider().generateObject({
+      messages: [{ role: 'user', content: 'Make a task' }],
+      schema
+    });
+
+    expect(result.object).toEqual({ title: 'Write tests' });
+    expect(requests[0].body.format).toEqual(schema);
+  });
+
+  it('should stream newline-delimited chunks', async () => {
+    const stream = await createProvider().streamText({ messages: [{ role: 'user', content: 'Say hello' }] });
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(chunk => chunk.type)).toEqual(['textDelta', 'textDelta', 'finish']);
+    expect(chunks[2].fullText).toBe('Hello');
+    expect(chunks[2].usage.totalTokens).toBe(7);
+  });
+
+  it('should explain how to pull a missing model', async () => {
+    await expect(createProvider().generateText({
+      model: 'missing',
+      messages: [{ role: 'user', content: 'hi' }]
+    })).rejects.toThrow('ollama pull missing');
+  });
+
+  it('should register through ProviderRegistry by name', async () => {
+    const registry = new ProviderRegistry({ enableAutoRegistration: false, enableHealthChecks: false, enableLogging: false });
+
+    const registered = await registry.registerProvider('ollama', {
+      baseURL,
+      enableLogging: false,
+      costTracker: new CostTracker({ persistData: false, enableReporting: false, enableLogging: false })
+    });
+
+    expect(registered).toBe(true);
+    expect(registry.providerManager.getProvider('ollama')).toBeInstanceOf(OllamaProvider);
+    await registry.shutdown();
+  });
+});
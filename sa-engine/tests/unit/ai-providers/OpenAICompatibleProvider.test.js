@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { createServer } from 'http';
+import ProviderRegistry from '../../../ai-providers/ProviderRegistry.js';
+import RoleBasedRouter from '../../../ai-providers/RoleBasedRouter.js';
+import ToolAIClient from '../../../ai-providers/ToolAIClient.js';
+import OpenAICompatibleProvider from '../../../ai-providers/OpenAICompatibleProvider.js';
+import CostTracker from '../../../ai-providers/CostTracker.js';
+import { FakeAIProvider } from '../../helpers/fake-ai-provider.js';
+
+const quietOptions = () => ({
+  maxRetries: 1,
+  retryDelay: 1,
+  enableLogging: false,
+  circuitBreakerEnabled: false,
+  costTracker: new CostTracker({ persistData: false, enableReporting: false, enableLogging: false })
+});
+
+describe('OpenAICompatibleProvider', () => {
+  let server;
+  let baseURL;
+  let requests;
+
+  beforeAll(async () => {
+    // Minimal vLLM-style server
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = body ? JSON.parse(body) : null;
+        requests.push({ url: req.url, headers: req.headers, body: payload });
+        res.setHeader('Content-Type', 'application/json');
+
+        if (req.url === '/v1/models') {
+          res.end(JSON.stringify({ data: [{ id: 'qwen2.5-32b', max_model_len: 32768 }] }));
+          return;
+        }
+
+        const usage = { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 };
+        if (payload.stream) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hel' } }] })}\n\n`);
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] })}\n\n`);
+          res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+          res.end('data: [DONE]\n\n');
+        } else if (payload.tools) {
+          const toolCall = { type: 'function', function: { name: 'respond', arguments: '{"title":"From tool"}' } };
+          res.end(JSON.stringify({ id: 'c2', model: payload.model, choices: [{ message: { tool_calls: [toolCall] }, finish_reason: 'tool_calls' }], usage }));
+        } else {
+          const content = payload.response_format ? '{"title":"From schema"}' : 'Hello';
+          res.end(JSON.stringify({ id: 'c1', model: payload.model, choices: [{ message: { content }, finish_reason: 'stop' }], usage }));
+        }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('should use served models and declared prices', async () => {
+    const provider = new OpenAICompatibleProvider({
+      baseURL,
+      apiKey: 'local-key',
+      models: [{ id: 'qwen2.5-32b', costPer1kInput: 0.001, costPer1kOutput: 0.002 }],
+      ...quietOptions()
+    });
+    await provider.initialize();
+
+    const result = await provider.generateText({ messages: [{ role: 'user', content: 'Say hello' }] });
+
+    expect(result.text).toBe('Hello');
+    expect(result.usage.totalTokens).toBe(16);
+    expect(provider.calculateCost(result.usage).totalCost).toBeCloseTo(0.000020);
+    expect(requests[1].headers.authorization).toBe('Bearer local-key');
+    expect(requests[1].body.model).toBe('qwen2.5-32b');
+  });
+
+  it('should pick up context windows from the server when no models are declared', async () => {
+    const provider = new OpenAICompatibleProvider({ baseURL, ...quietOptions() });
+    await provider.initialize();
+
+    expect(provider.options.defaultModel).toBe('qwen2.5-32b');
+    expect(provider.getModelInfo('qwen2.5-32b').contextWindow).toBe(32768);
+    expect(provider.getRoleConfig('main').model).toBe('qwen2.5-32b');
+  });
+
+  it('should request JSON schema output or a forced tool call', async () => {
+    const schema = { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] };
+    const messages = [{ role: 'user', content: 'Make a task' }];
+
+    const viaSchema = new OpenAICompatibleProvider({ baseURL, defaultModel: 'qwen2.5-32b', ...quietOptions() });
+    expect((await viaSchema.generateObject({ messages, schema })).object).toEqual({ title: 'From schema' });
+    expect(requests[0].body.response_format.json_schema.schema).toEqual(schema);
+
+    const viaTool = new OpenAICompatibleProvider({ baseURL, defaultModel: 'qwen2.5-32b', structuredOutput: 'tool', ...quietOptions() });
+    expect((await viaTool.generateObject({ messages, schema })).object).toEqual({ title: 'From tool' });
+    expect(requests[1].body.tool_choice.function.name).toBe('respond');
+  });
+
+  it('should stream server-sent events with usage', async () => {
+    const provider = new OpenAICompatibleProvider({ baseURL, defaultModel: 'qwen2.5-32b', ...quietOptions() });
+    const stream = await provider.streamText({ messages: [{ role: 'user', content: 'Say hello' }] });
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map(chunk => chunk.type)).toEqual(['textDelta', 'textDelta', 'finish']);
+    expect(chunks[2]).toMatchObject({ fullText: 'Hello', finishReason: 'stop', usage: { totalTokens: 16 } });
+    expect(requests[0].body.stream_options).toEqual({ include_usage: true });
+  });
+
+  it('should let RoleBasedRouter send the main role to a named server', async () => {
+    const registry = new ProviderRegistry({ enableAutoRegistration: false, enableHealthChecks: false, enableLogging: false });
+    const hosted = new FakeAIProvider({ responses: { object: { title: 'From hosted' } } });
+    await registry.registerProvider('fake', { instance: hosted, roles: { main: { priority: 5 } } });
+    await registry.registerProvider('vllm', { type: 'openai-compatible', baseURL, ...quietOptions() });
+
+    const router = new RoleBasedRouter(registry, { enableCostOptimization: false });
+    router.addProviderToRule('main', { name: 'vllm', priority: 10 });
+    const client = new ToolAIClient({ registry, router, autoRegister: false });
+
+    const result = await client.generateObject({ prompt: 'Make a task', schema: { type: 'object' } });
+
+    expect(result.provider).toBe('vllm');
+    expect(result.object).toEqual({ title: 'From schema' });
+    expect(hosted.requests).toHaveLength(0);
+    await registry.shutdown();
+  });
+});
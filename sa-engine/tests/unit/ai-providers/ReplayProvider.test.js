@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ProviderRegistry from '../../../ai-providers/ProviderRegistry.js';
+import ToolAIClient, { setToolAIClient } from '../../../ai-providers/ToolAIClient.js';
+import ReplayProvider, { ReplayMissError } from '../../../ai-providers/ReplayProvider.js';
+import CostTracker from '../../../ai-providers/CostTracker.js';
+import TaskManager from '../../../tasks/TaskManager.js';
+import { saParsePrd } from '../../../mcp-server/tools/task-master/sa-parse-prd.js';
+import { saExpandTask } from '../../../mcp-server/tools/task-master/sa-expand-task.js';
+import { FakeAIProvider } from '../../helpers/fake-ai-provider.js';
+
+const quietOptions = () => ({
+  enableLogging: false,
+  costTracker: new CostTracker({ persistData: false, enableReporting: false, enableLogging: false })
+});
+
+describe('ReplayProvider', () => {
+  let fixturesDir;
+
+  beforeEach(async () => {
+    fixturesDir = await mkdtemp(join(tmpdir(), 'sa-replay-'));
+  });
+
+  afterEach(async () => {
+    delete process.env.SA_AI_REPLAY_DIR;
+    delete process.env.SA_AI_REPLAY_MODE;
+    setToolAIClient(null);
+    await rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('should replay a recorded response for the same normalized prompt', async () => {
+    const live = new FakeAIProvider({ responses: { text: 'recorded answer' } });
+    const recorder = new ReplayProvider({ mode: 'record', fixturesDir, provider: live, ...quietOptions() });
+    await recorder.initialize();
+    await recorder.generateText({ messages: [{ role: 'user', content: 'Summarize the 2024-05-01 release' }] });
+
+    const replayer = new ReplayProvider({ mode: 'replay', fixturesDir, ...quietOptions() });
+    await replayer.initialize();
+    const result = await replayer.generateText({
+      messages: [{ role: 'user', content: '  Summarize the\n2025-01-31 release ' }]
+    });
+
+    expect(result.text).toBe('recorded answer');
+    expect(result.provider).toBe('replay');
+    expect(live.requests).toHaveLength(1);
+  });
+
+  it('should fail loudly on an unrecorded prompt', async () => {
+    const replayer = new ReplayProvider({ mode: 'replay', fixturesDir, ...quietOptions() });
+    await replayer.initialize();
+
+    const request = replayer.generateObject({
+      messages: [{ role: 'user', content: 'Never recorded' }],
+      schema: { type: 'object' }
+    });
+
+    await expect(request).rejects.toThrow(ReplayMissError);
+    await expect(replayer.generateObject({
+      messages: [{ role: 'user', content: 'Never recorded' }],
+      schema: { type: 'object' }
+    })).rejects.toThrow('Prompt: Never recorded');
+  });
+
+  it('should record and replay streams chunk by chunk', async () => {
+    const live = new FakeAIProvider({ responses: { text: 'streamed' } });
+    const recorder = new ReplayProvider({ mode: 'record', fixturesDir, provider: live, ...quietOptions() });
+    const messages = [{ role: 'user', content: 'Stream please' }];
+
+    const recorded = [];
+    for await (const chunk of await recorder.streamText({ messages })) {
+      recorded.push(chunk);
+    }
+
+    const replayed = [];
+    const replayer = new ReplayProvider({ mode: 'replay', fixturesDir, ...quietOptions() });
+    for await (const chunk of await replayer.streamText({ messages })) {
+      replayed.push(chunk);
+    }
+
+    expect(replayed).toEqual(recorded);
+    expect(await readdir(fixturesDir)).toEqual([expect.stringMatching(/^streamText-[0-9a-f]{16}\.json$/)]);
+  });
+
+  it('should make sa_parse_prd deterministic offline', async () => {
+    const projectRoot = fixturesDir;
+    await mkdir(join(projectRoot, '.super-agents'));
+    await writeFile(join(projectRoot, 'prd.md'), '# PRD\n\nUsers log in and see a dashboard.');
+    const generated = { tasks: [{ id: 'task-1', title: 'Build login', description: 'Login form and session handling' }] };
+
+    // Record against a live provider
+    const recordRegistry = new ProviderRegistry({ enableAutoRegistration: false, enableHealthChecks: false, enableLogging: false });
+    await recordRegistry.registerProvider('replay', {
+      mode: 'record',
+      fixturesDir: join(projectRoot, 'fixtures'),
+      provider: new FakeAIProvider({ responses: { object: generated } }),
+      ...quietOptions()
+    });
+    setToolAIClient(new ToolAIClient({ registry: recordRegistry, autoRegister: false }));
+    await saParsePrd.execute({ projectRoot, prdPath: 'prd.md', numTasks: 1 });
+    await recordRegistry.shutdown();
+
+    // Replay through auto-registration, as CI would
+    process.env.SA_AI_REPLAY_DIR = join(projectRoot, 'fixtures');
+    const replayRegistry = new ProviderRegistry({ enableHealthChecks: false, enableLogging: false });
+    setToolAIClient(new ToolAIClient({ registry: replayRegistry }));
+
+    await saParsePrd.execute({ projectRoot, prdPath: 'prd.md', numTasks: 1, force: true });
+    const taskManager = await TaskManager.open({ projectRoot });
+    expect(taskManager.getAllTasks().map(task => task.title)).toEqual(['Build login']);
+    await taskManager.cleanup();
+
+    // A changed PRD is an error, not a silent template fallback
+    await writeFile(join(projectRoot, 'prd.md'), '# PRD\n\nUsers export reports.');
+    const missed = await saParsePrd.execute({ projectRoot, prdPath: 'prd.md', numTasks: 1, force: true });
+    expect(missed.metadata.errorMessage).toContain('No recorded AI response');
+    await replayRegistry.shutdown();
+  });
+
+  it('should not expand a task from templates on an unrecorded prompt', async () => {
+    const projectRoot = fixturesDir;
+    await mkdir(join(projectRoot, '.super-agents'));
+    const taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Build login', description: 'Login form and session handling' });
+    await taskManager.cleanup();
+
+    process.env.SA_AI_REPLAY_DIR = join(projectRoot, 'fixtures');
+    const replayRegistry = new ProviderRegistry({ enableHealthChecks: false, enableLogging: false });
+    setToolAIClient(new ToolAIClient({ registry: replayRegistry }));
+
+    const missed = await saExpandTask.execute({ projectRoot, taskId: '1', numSubtasks: 3 });
+    expect(missed.metadata.errorMessage).toContain('No recorded AI response');
+    await replayRegistry.shutdown();
+  });
+});
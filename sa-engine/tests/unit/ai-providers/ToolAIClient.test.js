@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ProviderRegistry from '../../../ai-providers/ProviderRegistry.js';
+import ToolAIClient, { setToolAIClient } from '../../../ai-providers/ToolAIClient.js';
+import { ReplayMissError } from '../../../ai-providers/ReplayProvider.js';
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskSchema from '../../../tasks/TaskSchema.js';
+import { saParsePrd } from '../../../mcp-server/tools/task-master/sa-parse-prd.js';
+import { FakeAIProvider } from '../../helpers/fake-ai-provider.js';
+
+const generatedTasks = {
+  tasks: [
+    {
+      id: 'task-1',
+      title: 'Set up authentication service',
+      description: 'Create the login and session endpoints described in the PRD',
+      priority: 'high',
+      effort: 4,
+      estimated_hours: 24,
+      skills: ['backend'],
+      dependencies: [],
+      acceptance_criteria: ['Users can log in']
+    },
+    {
+      id: 'task-2',
+      title: 'Build dashboard UI',
+      description: 'Render the account dashboard',
+      priority: 'medium',
+      dependencies: [1]
+    }
+  ]
+};
+
+describe('ToolAIClient', () => {
+  let registry;
+  let provider;
+  let client;
+
+  beforeEach(async () => {
+    registry = new ProviderRegistry({ enableAutoRegistration: false, enableHealthChecks: false });
+    provider = new FakeAIProvider({ responses: { object: generatedTasks } });
+    await registry.registerProvider('fake', { instance: provider });
+    client = new ToolAIClient({ registry, autoRegister: false });
+  });
+
+  afterEach(async () => {
+    setToolAIClient(null);
+    await registry.shutdown();
+  });
+
+  it('should route to the main role by default and research when requested', async () => {
+    await client.generateObject({ prompt: 'plan', schema: TaskSchema.getGeneratedTaskListJsonSchema() });
+    await client.generateObject({ prompt: 'plan', schema: TaskSchema.getGeneratedTaskListJsonSchema(), useResearch: true });
+
+    expect(provider.requests.map(request => request.role)).toEqual(['main', 'research']);
+  });
+
+  it('should validate generated tasks against TaskSchema', async () => {
+    const result = await client.generateObject({
+      prompt: 'plan',
+      schema: TaskSchema.getGeneratedTaskListJsonSchema(),
+      validate: (generated) => TaskSchema.validateGeneratedTasks(generated)
+    });
+
+    expect(result.provider).toBe('fake');
+    expect(result.object).toHaveLength(2);
+    expect(result.object[1].dependencies).toEqual(['1']);
+    expect(result.object[1].skills).toEqual([]);
+  });
+
+  it('should reject output that does not match the schema', async () => {
+    provider.responses.object = { tasks: [{ description: 'missing title' }] };
+
+    await expect(client.generateObject({
+      prompt: 'plan',
+      schema: TaskSchema.getGeneratedTaskListJsonSchema(),
+      validate: (generated) => TaskSchema.validateGeneratedTasks(generated)
+    })).rejects.toThrow('Generated task validation failed');
+  });
+
+  it('should fail when no provider is registered', async () => {
+    const emptyClient = new ToolAIClient({
+      registry: new ProviderRegistry({ enableAutoRegistration: false }),
+      autoRegister: false
+    });
+
+    await expect(emptyClient.generateObject({ prompt: 'plan', schema: {} }))
+      .rejects.toThrow('No AI provider configured');
+  });
+
+  it('should fall back to templates unless the error is not recoverable', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const fallback = () => ['template task'];
+
+    try {
+      await expect(client.withFallback(async () => { throw new Error('rate limited'); }, fallback))
+        .resolves.toEqual(['template task']);
+      await expect(client.withFallback(async () => { throw new ReplayMissError('abc', 'abc.json', 'plan'); }, fallback))
+        .rejects.toThrow(ReplayMissError);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  describe('sa_parse_prd integration', () => {
+    let projectRoot;
+
+    beforeEach(async () => {
+      projectRoot = await mkdtemp(join(tmpdir(), 'sa-parse-prd-'));
+      await mkdir(join(projectRoot, '.super-agents'));
+      await writeFile(join(projectRoot, 'prd.md'), '# PRD\n\nUsers log in and see a dashboard.');
+    });
+
+    afterEach(async () => {
+      await rm(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should add the generated tasks to the project task store', async () => {
+      setToolAIClient(client);
+
+      const result = await saParsePrd.execute({ projectRoot, prdPath: 'prd.md', numTasks: 2, useResearch: true });
+      const taskManager = await TaskManager.open({ projectRoot });
+      const saved = taskManager.getAllTasks();
+      await taskManager.cleanup();
+
+      expect(result.metadata.tasksGenerated).toBe(2);
+      expect(saved.map(task => [task.id, task.title, task.dependencies])).toEqual([
+        ['1', 'Set up authentication service', []],
+        ['2', 'Build dashboard UI', ['1']]
+      ]);
+      expect(saved[0]).toMatchObject({ complexity: 8, estimatedHours: 24, labels: ['backend'], acceptanceCriteria: ['Users can log in'] });
+      expect(provider.requests[0].role).toBe('research');
+      // The prompt asks for the same { tasks: [...] } shape as the schema
+      expect(provider.requests[0].params.messages.at(-1).content).toContain('"tasks": [');
+    });
+
+    it('should not replace existing tasks unless forced', async () => {
+      setToolAIClient(client);
+      await saParsePrd.execute({ projectRoot, prdPath: 'prd.md', numTasks: 2 });
+
+      const refused = await saParsePrd.execute({ projectRoot, prdPath: 'prd.md', numTasks: 2 });
+      const appended = await saParsePrd.execute({ projectRoot, prdPath: 'prd.md', numTasks: 2, append: true });
+
+      expect(refused.metadata).toMatchObject({ error: true, errorType: 'tasks_exist', existingTasks: 2 });
+      expect(appended.metadata.taskIds).toEqual(['3', '4']);
+    });
+  });
+});
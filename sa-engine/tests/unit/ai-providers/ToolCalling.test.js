@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import { createServer } from 'http';
+import { mkdtemp, mkdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import OpenAICompatibleProvider from '../../../ai-providers/OpenAICompatibleProvider.js';
+import ReplayProvider from '../../../ai-providers/ReplayProvider.js';
+import ToolSchemaMapper from '../../../ai-providers/ToolSchemaMapper.js';
+import CostTracker from '../../../ai-providers/CostTracker.js';
+import ToolRegistry from '../../../mcp-server/ToolRegistry.js';
+import TaskManager from '../../../tasks/TaskManager.js';
+import { saListTasks } from '../../../mcp-server/tools/core/sa-list-tasks.js';
+import { saGetTask } from '../../../mcp-server/tools/core/sa-get-task.js';
+import { saUpdateTaskStatus } from '../../../mcp-server/tools/core/sa-update-task-status.js';
+import { FakeAIProvider } from '../../helpers/fake-ai-provider.js';
+
+const quietOptions = () => ({
+  maxRetries: 1,
+  retryDelay: 1,
+  enableLogging: false,
+  circuitBreakerEnabled: false,
+  costTracker: new CostTracker({ persistData: false, enableReporting: false, enableLogging: false })
+});
+
+describe('Tool calling', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let replies;
+  let projectRoot;
+  let toolRegistry;
+
+  beforeAll(async () => {
+    // Scripted chat completions server: answers each request with the next reply
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(JSON.parse(body));
+        const message = replies.shift();
+        const toolCalls = message.tool_calls;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          id: `c${requests.length}`,
+          model: 'qwen2.5-32b',
+          choices: [{ message: { role: 'assistant', ...message }, finish_reason: toolCalls ? 'tool_calls' : 'stop' }],
+          usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+        }));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    requests = [];
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-tools-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+
+    const taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Build login', description: 'Login form', priority: 'high' });
+    await taskManager.cleanup();
+
+    toolRegistry = new ToolRegistry({ enableLogging: false, enableMetrics: false });
+    await toolRegistry.registerTool(saListTasks);
+    await toolRegistry.registerTool(saUpdateTaskStatus);
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  const call = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+  it('should let the model list tasks and update a status through the ToolRegistry', async () => {
+    replies = [
+      { content: null, tool_calls: [call('a1', 'sa_list_tasks', { projectPath: projectRoot })] },
+      { content: null, tool_calls: [call('a2', 'sa_update_task_status', { projectPath: projectRoot, taskId: '1', status: 'in-progress' })] },
+      { content: 'Started task 1.' }
+    ];
+    const provider = new OpenAICompatibleProvider({ baseURL, defaultModel: 'qwen2.5-32b', ...quietOptions() });
+
+    const result = await provider.generateWithTools({
+      messages: [{ role: 'user', content: 'Start the most important task' }],
+      tools: ['sa_list_tasks', 'sa_update_task_status'],
+      toolRegistry
+    });
+
+    expect(result.text).toBe('Started task 1.');
+    expect(result.stoppedReason).toBe('completed');
+    expect(result.steps).toBe(3);
+    expect(result.usage.totalTokens).toBe(45);
+    expect(result.toolCalls.map(toolCall => [toolCall.name, toolCall.isError])).toEqual([
+      ['sa_list_tasks', false],
+      ['sa_update_task_status', false]
+    ]);
+    expect(result.toolCalls[0].result).toContain('Build login');
+    expect(result.transcript.map(message => message.role)).toEqual(['user', 'assistant', 'tool', 'assistant', 'tool', 'assistant']);
+
+    // MCP input schemas go out as OpenAI functions and results come back as tool messages
+    expect(requests[0].tools[1].function).toMatchObject({ name: 'sa_update_task_status', parameters: saUpdateTaskStatus.inputSchema });
+    expect(requests[1].messages[1].tool_calls[0].id).toBe('a1');
+    expect(requests[1].messages[2]).toMatchObject({ role: 'tool', tool_call_id: 'a1' });
+
+    const taskManager = await TaskManager.open({ projectRoot });
+    expect((await taskManager.getTask('1')).status).toBe('in-progress');
+    await taskManager.cleanup();
+  });
+
+  it('should validate arguments and time out tool calls in the ToolRegistry', async () => {
+    const registry = new ToolRegistry({ enableLogging: false, toolTimeout: 20 });
+    await registry.registerTool(saGetTask);
+    await registry.registerTool({ name: 'sa_stall', description: 'Never returns', execute: () => new Promise(() => {}) });
+
+    await expect(registry.executeTool('sa_get_task', {})).rejects.toThrow('Invalid arguments for sa_get_task');
+    const result = await registry.executeTool('sa_get_task', { projectPath: projectRoot, taskId: '1' });
+    expect(result.content[0].text).toContain('Build login');
+    await expect(registry.executeTool('sa_stall')).rejects.toThrow('Tool execution timeout: sa_stall');
+    expect(registry.getTool('sa_stall').metrics.errorCount).toBe(1);
+  });
+
+  it('should report tool errors to the model and stop after maxSteps', async () => {
+    const provider = new FakeAIProvider({
+      responses: { tools: params => ({ text: '', toolCalls: [{ id: `c${params.step}`, name: params.step === 1 ? 'sa_delete_everything' : 'sa_list_tasks', arguments: {} }] }) }
+    });
+    const executeTool = async () => { throw new Error('Project not found'); };
+
+    const result = await provider.generateWithTools({
+      messages: [{ role: 'user', content: 'Clean up' }],
+      tools: [saListTasks],
+      executeTool,
+      maxSteps: 3
+    });
+
+    expect(result.steps).toBe(3);
+    expect(result.stoppedReason).toBe('maxSteps');
+    expect(result.toolCalls.map(toolCall => toolCall.result)).toEqual([
+      'Unknown tool: sa_delete_everything',
+      'Error: Project not found',
+      'Error: Project not found'
+    ]);
+    expect(result.toolCalls.every(toolCall => toolCall.isError)).toBe(true);
+    expect(provider.requests[2].params.messages.at(-1)).toMatchObject({ role: 'tool', toolCallId: 'c2', isError: true });
+  });
+
+  it('should replay a recorded tool loop step by step', async () => {
+    const fixturesDir = join(projectRoot, 'fixtures');
+    const script = [
+      { text: '', toolCalls: [{ id: 't1', name: 'sa_list_tasks', arguments: { projectPath: projectRoot } }] },
+      { text: 'One task is pending.' }
+    ];
+    const live = new FakeAIProvider({ responses: { tools: params => script[params.step - 1] } });
+    const messages = [{ role: 'user', content: 'What is pending?' }];
+
+    const recorder = new ReplayProvider({ mode: 'record', fixturesDir, provider: live, ...quietOptions() });
+    await recorder.initialize();
+    const recorded = await recorder.generateWithTools({ messages, tools: ['sa_list_tasks'], toolRegistry });
+
+    const replayer = new ReplayProvider({ mode: 'replay', fixturesDir, ...quietOptions() });
+    const replayed = await replayer.generateWithTools({ messages, tools: ['sa_list_tasks'], toolRegistry });
+
+    expect(replayed.text).toBe('One task is pending.');
+    expect(replayed.transcript).toEqual(recorded.transcript);
+    expect(live.requests).toHaveLength(2);
+  });
+
+  it('should map tool definitions to Gemini and results to Anthropic turns', () => {
+    const [gemini] = ToolSchemaMapper.toGeminiTools([ToolSchemaMapper.normalizeTool(saListTasks)]);
+    const parameters = gemini.functionDeclarations[0].parameters;
+    expect(parameters.properties.limit).toEqual({ type: 'integer', description: 'Maximum number of tasks to return', minimum: 1, maximum: 100 });
+    expect(parameters.properties.projectPath.default).toBeUndefined();
+
+    const { system, messages } = ToolSchemaMapper.toAnthropicMessages([
+      { role: 'system', content: 'You manage tasks' },
+      { role: 'user', content: 'Check both' },
+      { role: 'assistant', content: '', toolCalls: [{ id: 'u1', name: 'a', arguments: {} }, { id: 'u2', name: 'b', arguments: {} }] },
+      { role: 'tool', toolCallId: 'u1', name: 'a', content: 'ok' },
+      { role: 'tool', toolCallId: 'u2', name: 'b', content: 'failed', isError: true }
+    ]);
+
+    expect(system).toBe('You manage tasks');
+    expect(messages).toHaveLength(3);
+    expect(messages[1].content.map(block => block.type)).toEqual(['tool_use', 'tool_use']);
+    expect(messages[2]).toEqual({
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'u1', content: 'ok' },
+        { type: 'tool_result', tool_use_id: 'u2', content: 'failed', is_error: true }
+      ]
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import DependencyAuditor from '../../../analysis/DependencyAuditor.js';
+
+describe('DependencyAuditor', () => {
+  const auditor = new DependencyAuditor();
+
+  it('should match npm-style version ranges', () => {
+    expect(auditor.satisfies('4.17.20', '<4.17.21')).toBe(true);
+    expect(auditor.satisfies('4.17.21', '<4.17.21')).toBe(false);
+    expect(auditor.satisfies('1.2.9', '>=1.0.0 <1.2.5 || 1.2.9')).toBe(true);
+    expect(auditor.satisfies('0.2.5', '^0.2.3')).toBe(true);
+    expect(auditor.satisfies('0.3.0', '^0.2.3')).toBe(false);
+    expect(auditor.satisfies('1.4.9', '~1.4')).toBe(true);
+    expect(auditor.satisfies('1.2.99', '<=1.2')).toBe(true);
+    expect(auditor.satisfies('3.0.0', '1.0 - 2')).toBe(false);
+    expect(auditor.satisfies('2.0.0-beta.1', '<2.0.0')).toBe(true);
+  });
+
+  describe('audit', () => {
+    let projectPath;
+
+    beforeEach(async () => {
+      projectPath = await mkdtemp(join(tmpdir(), 'sa-audit-'));
+      await mkdir(join(projectPath, '.super-agents'));
+      await writeFile(join(projectPath, '.super-agents', 'advisories.json'), JSON.stringify({
+        advisories: [
+          { id: 'GHSA-1', package: 'lodash', vulnerableVersions: '<4.17.21', severity: 'high', title: 'Prototype pollution', patchedVersions: '>=4.17.21' },
+          { id: 'GHSA-2', package: 'minimist', vulnerableVersions: '<1.2.6', severity: 'critical', title: 'Prototype pollution' },
+          { id: 'GHSA-3', package: 'express', vulnerableVersions: '<4.0.0', severity: 'moderate', title: 'Old express' }
+        ]
+      }));
+    });
+
+    afterEach(async () => {
+      await rm(projectPath, { recursive: true, force: true });
+    });
+
+    it('should report vulnerable versions from the lockfile, including nested copies', async () => {
+      await writeFile(join(projectPath, 'package-lock.json'), JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'app' },
+          'node_modules/lodash': { version: '4.17.20' },
+          'node_modules/express': { version: '4.18.2' },
+          'node_modules/mkdirp/node_modules/minimist': { version: '1.2.5' }
+        }
+      }));
+
+      const result = auditor.audit(projectPath);
+
+      expect(result.dependencies).toBe(3);
+      expect(result.vulnerabilities).toEqual([
+        expect.objectContaining({ id: 'GHSA-2', package: 'minimist', version: '1.2.5', path: 'node_modules/mkdirp/node_modules/minimist' }),
+        expect.objectContaining({ id: 'GHSA-1', package: 'lodash', patchedVersions: '>=4.17.21' })
+      ]);
+    });
+
+    it('should fall back to declared versions and fail without an advisory file', async () => {
+      await writeFile(join(projectPath, 'package.json'), JSON.stringify({ dependencies: { lodash: '^4.17.15' } }));
+
+      expect(auditor.audit(projectPath).vulnerabilities.map(v => v.id)).toEqual(['GHSA-1']);
+      expect(() => auditor.audit(projectPath, { advisoryFile: 'missing.json' })).toThrow('Advisory file not found');
+    });
+  });
+});
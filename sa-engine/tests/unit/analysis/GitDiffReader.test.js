@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import GitDiffReader from '../../../analysis/GitDiffReader.js';
+import { saReviewCode } from '../../../mcp-server/tools/qa/sa-review-code.js';
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd, stdio: 'pipe' });
+
+const DIFF = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -3,0 +4,2 @@ function main() {
++  const a = 1;
++  const b = 2;
+@@ -10 +12 @@ function main() {
+--- old comment
++++ new comment
+diff --git a/old.js b/lib/new.js
+similarity index 90%
+rename from old.js
+rename to lib/new.js
+diff --git a/gone.js b/gone.js
+deleted file mode 100644
+--- a/gone.js
++++ /dev/null
+@@ -1,2 +0,0 @@
+-one
+-two
+`;
+
+describe('GitDiffReader', () => {
+  it('should parse hunks, renames and deletions from a zero-context diff', () => {
+    const files = new GitDiffReader().parseDiff(DIFF);
+
+    expect(files).toEqual([
+      { path: 'src/app.js', previousPath: null, status: 'modified', addedLines: 3, deletedLines: 1, hunks: [{ start: 4, end: 5 }, { start: 12, end: 12 }] },
+      { path: 'lib/new.js', previousPath: 'old.js', status: 'renamed', addedLines: 0, deletedLines: 0, hunks: [] },
+      { path: 'gone.js', previousPath: null, status: 'deleted', addedLines: 0, deletedLines: 2, hunks: [] }
+    ]);
+    expect(GitDiffReader.toLineRanges({ files })).toEqual({
+      'src/app.js': [{ start: 4, end: 5 }, { start: 12, end: 12 }],
+      'lib/new.js': []
+    });
+  });
+});
+
+describe('changed-only review against a git repository', () => {
+  let projectPath;
+  const original = ['export function add(a, b) {', '  return a + b;', '}', '', 'eval(legacy);', ''].join('\n');
+
+  beforeEach(async () => {
+    projectPath = await mkdtemp(join(tmpdir(), 'sa-git-'));
+    await mkdir(join(projectPath, 'src'));
+    await writeFile(join(projectPath, 'src', 'math.js'), original);
+    await writeFile(join(projectPath, 'src', 'untouched.js'), 'eval(other);\n');
+    git(projectPath, 'init', '-q');
+    git(projectPath, 'add', '.');
+    git(projectPath, 'commit', '-q', '-m', 'initial');
+  });
+
+  afterEach(async () => {
+    await rm(projectPath, { recursive: true, force: true });
+  });
+
+  it('should read working tree, staged and range changes', async () => {
+    const reader = new GitDiffReader();
+    await writeFile(join(projectPath, 'src', 'math.js'), original.replace('  return a + b;', '  var sum = a + b;\n  return sum;'));
+    await writeFile(join(projectPath, 'src', 'new.js'), 'export const x = 1;\nexport const y = 2;\n');
+
+    const workingTree = await reader.getChanges(projectPath);
+    expect(workingTree).toMatchObject({ mode: 'working-tree', addedLines: 4, deletedLines: 1 });
+    expect(workingTree.files).toEqual([
+      expect.objectContaining({ path: 'src/math.js', status: 'modified', hunks: [{ start: 2, end: 3 }] }),
+      expect.objectContaining({ path: 'src/new.js', status: 'added', hunks: [{ start: 1, end: 2 }] })
+    ]);
+
+    git(projectPath, 'add', 'src/new.js');
+    const staged = await reader.getChanges(projectPath, { staged: true });
+    expect(staged.files.map(file => file.path)).toEqual(['src/new.js']);
+
+    git(projectPath, 'commit', '-q', '-am', 'second');
+    const range = await reader.getChanges(projectPath, { range: 'HEAD~1..HEAD' });
+    expect(range).toMatchObject({ mode: 'range', range: 'HEAD~1..HEAD', addedLines: 4, deletedLines: 1 });
+
+    await expect(reader.getChanges(projectPath, { range: 'HEAD; rm -rf /' })).rejects.toThrow('Invalid git range');
+    await expect(reader.getChanges(projectPath, { range: '--output=/tmp/x..y' })).rejects.toThrow('Invalid git range');
+  });
+
+  it('should limit sa_review_code findings to changed hunks', async () => {
+    await writeFile(join(projectPath, 'src', 'math.js'), original.replace('  return a + b;', '  const sum = eval(a + b);\n  return sum;'));
+
+    const result = await saReviewCode.execute({
+      reviewTitle: 'changed',
+      projectPath,
+      reviewScope: { changedOnly: true },
+      reviewCriteria: ['security', 'best-practices']
+    });
+
+    expect(result.isError).toBeUndefined();
+    expect(result.metadata.filesReviewed).toBe(1);
+    expect(result.content[0].text).toContain('**Changes:** working-tree - 1 files, +2/-1 lines');
+    expect(result.metadata.issuesFound).toBe(1);
+    expect(result.content[0].text).toContain('EVAL** (high) - src/math.js:2');
+    // The pre-existing eval on line 6 is outside the changed hunk, and untouched.js is out of scope
+    expect(result.content[0].text).not.toContain('src/math.js:6');
+    expect(result.content[0].text).not.toContain('untouched.js');
+  });
+
+  it('should limit file-level warnings to changed hunks', async () => {
+    const preAnalysis = {
+      staticAnalysis: { files: [{ file: 'src/big.js', lines: 400, commentLines: 0, functions: [] }], findings: [], metrics: { lines: 400 } },
+      codebase: { metrics: { complexity: { average: 1 } }, structure: { documentationFiles: 0 } },
+      changedLines: { 'src/big.js': [{ start: 10, end: 12 }] }
+    };
+    const context = { codingStandards: { classSize: 300, functionLength: 50 } };
+    const warningTypes = analysis => analysis.warnings.map(warning => warning.type);
+
+    // A three-line edit near the top of a long, uncommented file is not what made it so
+    expect(warningTypes(await saReviewCode.analyzeMaintainability(context, preAnalysis))).toEqual([]);
+    expect(warningTypes(await saReviewCode.analyzeDocumentation(context, preAnalysis, projectPath))).not.toContain('uncommented-file');
+
+    const grown = { ...preAnalysis, changedLines: { 'src/big.js': [{ start: 390, end: 400 }] } };
+    expect(warningTypes(await saReviewCode.analyzeMaintainability(context, grown))).toEqual(['large-file']);
+
+    const full = { ...preAnalysis, changedLines: null };
+    expect(warningTypes(await saReviewCode.analyzeDocumentation(context, full, projectPath))).toContain('uncommented-file');
+  });
+
+  it('should report an error outside a git repository', async () => {
+    await rm(join(projectPath, '.git'), { recursive: true, force: true });
+
+    const result = await saReviewCode.execute({ reviewTitle: 'no git', projectPath, reviewScope: { changedOnly: true } });
+
+    expect(result.isError).toBe(true);
+    expect(result.metadata.error).toContain('Not a git repository');
+  });
+});
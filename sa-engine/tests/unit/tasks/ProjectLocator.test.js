@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import ProjectLocator from '../../../tasks/ProjectLocator.js';
+import TaskManager from '../../../tasks/TaskManager.js';
+import ContextGatherer from '../../../research/ContextGatherer.js';
+import { saListTasks } from '../../../mcp-server/tools/core/sa-list-tasks.js';
+
+describe('Project-scoped task store', () => {
+  let projectRoot;
+  let nested;
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-project-'));
+    nested = join(projectRoot, 'packages', 'api', 'src');
+    await mkdir(join(projectRoot, '.super-agents'), { recursive: true });
+    await mkdir(nested, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should find the nearest directory containing .super-agents', async () => {
+    expect(ProjectLocator.findProjectRoot(nested)).toBe(projectRoot);
+    expect(ProjectLocator.getPaths(projectRoot).tasksFile).toBe(join(projectRoot, '.super-agents', 'tasks.json'));
+
+    const outside = await mkdtemp(join(tmpdir(), 'sa-outside-'));
+    expect(ProjectLocator.findProjectRoot(outside)).toBeNull();
+    expect(ProjectLocator.resolveProjectRoot(outside)).toBe(outside);
+    await expect(TaskManager.open({ cwd: outside, requireProject: true })).rejects.toThrow('Not in a Super Agents project (run sa init)');
+    expect(existsSync(join(outside, '.super-agents'))).toBe(false);
+    await rm(outside, { recursive: true, force: true });
+  });
+
+  it('should share tasks between the CLI store, sa_list_tasks and research context', async () => {
+    // `sa task create` run from a subdirectory
+    const cliManager = await TaskManager.open({ cwd: nested });
+    const task = await cliManager.createTask({ title: 'Add rate limiting', description: 'Throttle the public API' });
+    await cliManager.createSubtask(task.id, { title: 'Pick a limiter', description: 'Token bucket or sliding window' });
+
+    expect(cliManager.tasksFile).toBe(join(projectRoot, '.super-agents', 'tasks.json'));
+
+    const listed = await saListTasks.execute({ projectPath: nested, format: 'json' });
+    expect(listed.isError).toBeUndefined();
+    expect(JSON.parse(listed.content[0].text).tasks.map(listedTask => listedTask.title))
+      .toEqual(expect.arrayContaining(['Add rate limiting', 'Pick a limiter']));
+
+    const gatherer = new ContextGatherer(nested);
+    const context = await gatherer.gatherTaskContext(['1', '1.1']);
+    expect(context.breakdown.map(entry => entry.title)).toEqual(['Add rate limiting', 'Pick a limiter']);
+  });
+});
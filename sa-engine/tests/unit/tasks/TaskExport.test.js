@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import Csv from '../../../tasks/Csv.js';
+
+describe('Task export', () => {
+  let projectRoot;
+  let taskManager;
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-export-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+
+    taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({
+      title: 'Design the "v2" schema, again',
+      description: 'Line one\nline two; with, commas',
+      dueDate: new Date('2025-03-10'),
+      estimatedHours: 16,
+      labels: ['db', 'design'],
+      acceptanceCriteria: ['Reviewed, signed off', 'Migrated']
+    });
+    await taskManager.createTask({ title: 'Build <API>', description: 'Endpoints & auth', priority: 'critical', estimatedHours: 4, dependencies: ['1'] });
+    await taskManager.createSubtask('2', { title: 'Users: list', description: 'GET /users', status: 'in-progress', dependencies: ['1'] });
+    await taskManager.createTag('ops', 'Operations');
+    await taskManager.createTask({ title: 'Deploy', description: 'Ship it', dueDate: new Date('2025-03-20') }, 'ops');
+  });
+
+  afterEach(async () => {
+    await taskManager.cleanup();
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should write RFC 4180 CSV with every field that imports back unchanged', async () => {
+    const csv = await taskManager.exportTasks('csv', 'main');
+    const [headers, ...rows] = Csv.parse(csv);
+    expect(csv.endsWith('\r\n')).toBe(true);
+    expect(headers).toEqual(expect.arrayContaining(['Tag', 'Parent', 'Dependencies', 'Labels', 'Acceptance Criteria', 'Estimated Hours', 'Due Date']));
+    expect(rows.map(row => row[headers.indexOf('ID')])).toEqual(['1', '2', '2.1']);
+    expect(rows[0][headers.indexOf('Title')]).toBe('Design the "v2" schema, again');
+    expect(rows[0][headers.indexOf('Description')]).toBe('Line one\nline two; with, commas');
+    expect(rows[2][headers.indexOf('Parent')]).toBe('2');
+
+    const result = await taskManager.importTasks(csv, 'csv', { tag: 'copy' });
+    expect(result.unmapped).toEqual(expect.arrayContaining(['Tag', 'Created']));
+    expect(taskManager.getTask('1', 'copy')).toMatchObject({
+      title: 'Design the "v2" schema, again',
+      description: 'Line one\nline two; with, commas',
+      labels: ['db', 'design'],
+      acceptanceCriteria: ['Reviewed, signed off', 'Migrated'],
+      estimatedHours: 16,
+      dueDate: new Date('2025-03-10')
+    });
+    expect(taskManager.getTask('2.1', 'copy')).toMatchObject({ status: 'in-progress', dependencies: ['1'] });
+  });
+
+  it('should export due dates as all-day iCalendar events', async () => {
+    const ics = await taskManager.exportTasks('ics');
+    const lines = ics.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toEqual(expect.arrayContaining([
+      'UID:main-1@super-agents',
+      'DTSTART;VALUE=DATE:20250310',
+      'DTEND;VALUE=DATE:20250311',
+      'SUMMARY:Design the "v2" schema\\, again',
+      'UID:ops-1@super-agents'
+    ]));
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    // Unfolding restores the escaped description
+    const description = ics.replace(/\r\n /g, '').split('\r\n').find(line => line.startsWith('DESCRIPTION:'));
+    expect(description).toContain('Line one\\nline two\\; with\\, commas');
+  });
+
+  it('should schedule Gantt bars from dates, estimates and dependencies', async () => {
+    const gantt = JSON.parse(await taskManager.exportTasks('gantt', 'main', { start: '2025-03-01' }));
+    const bars = Object.fromEntries(gantt.tasks.map(task => [task.id, task]));
+
+    // Two days of work ending on the due date, then the API after it
+    expect(bars['1']).toMatchObject({ start: '2025-03-09', end: '2025-03-10', progress: 0 });
+    expect(bars['2']).toMatchObject({ start: '2025-03-11', end: '2025-03-11', dependencies: '1' });
+    expect(bars['2_1']).toMatchObject({ start: '2025-03-11', parent: '2', progress: 50, taskId: '2.1' });
+    expect(gantt.edges).toEqual([
+      { from: '1', to: '2', type: 'finish_to_start' },
+      { from: '1', to: '2_1', type: 'finish_to_start' }
+    ]);
+    expect(gantt.mermaid.split('\n')).toEqual(expect.arrayContaining([
+      'gantt',
+      '    dateFormat YYYY-MM-DD',
+      '    section Main Tasks',
+      '    Build <API> :crit, 2, 2025-03-11, 1d',
+      '    Users list :active, 2_1, 2025-03-11, 1d'
+    ]));
+  });
+
+  it('should render a standalone HTML report grouped by tag and status', async () => {
+    const html = await taskManager.exportTasks('html', null, { title: 'Q1 <plan>' });
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Q1 &lt;plan&gt;</title>');
+    expect(html).not.toMatch(/<script|<link/);
+    expect(html).toContain('Build &lt;API&gt;');
+    expect(html).toContain('Endpoints &amp; auth');
+
+    const main = html.indexOf('<section id="tag-main">');
+    const ops = html.indexOf('<section id="tag-ops">');
+    expect(main).toBeGreaterThan(-1);
+    expect(ops).toBeGreaterThan(main);
+    expect(html.indexOf('<h3>in-progress (1)</h3>')).toBeLessThan(html.indexOf('<h3>pending (2)</h3>'));
+
+    await expect(taskManager.exportTasks('xml')).rejects.toThrow('Unsupported export format: xml');
+  });
+});
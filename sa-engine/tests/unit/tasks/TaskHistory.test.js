@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskDependencyManager from '../../../tasks/TaskDependencyManager.js';
+import { saGetTask } from '../../../mcp-server/tools/core/sa-get-task.js';
+import { saUpdateTaskStatus } from '../../../mcp-server/tools/core/sa-update-task-status.js';
+
+describe('Task history', () => {
+  let projectRoot;
+
+  const human = { type: 'human', id: 'dana' };
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-history-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should record creates, field diffs, dependency changes and deletes with who made them', async () => {
+    const taskManager = await TaskManager.open({ projectRoot, actor: human });
+    await taskManager.createTask({ title: 'Schema', description: 'Design the schema' });
+    await taskManager.createTask({ title: 'API', description: 'Build the API' });
+    await taskManager.createSubtask('1', { title: 'Tables', description: 'Create the tables' });
+    await taskManager.updateTask('1', { priority: 'high', metadata: { modifiedBy: { type: 'agent', id: 'architect' } } });
+
+    const dependencies = new TaskDependencyManager(taskManager);
+    await dependencies.initialize();
+    await dependencies.addDependency('2', '1');
+    await taskManager.deleteTask('1.1');
+
+    const history = taskManager.getTaskHistory('1');
+    expect(history.map(entry => entry.action)).toEqual(['dependencies', 'update', 'create']);
+    expect(history[0].changes).toEqual([{ field: 'blocks', from: [], to: ['2'] }]);
+    expect(history[1]).toMatchObject({
+      actor: { type: 'agent', id: 'architect' },
+      changes: [{ field: 'priority', from: 'medium', to: 'high' }],
+      description: 'Changed priority'
+    });
+    expect(history[2]).toMatchObject({ actor: human, title: 'Schema', task: { id: '1', title: 'Schema' } });
+
+    const subtaskHistory = taskManager.getTaskHistory('1', { includeSubtasks: true, action: 'delete' });
+    expect(subtaskHistory).toHaveLength(1);
+    expect(subtaskHistory[0]).toMatchObject({ taskId: '1.1', parentId: '1', actor: human, task: { title: 'Tables' } });
+
+    expect(taskManager.getTagHistory('main', { actorType: 'agent' }).map(entry => entry.taskId)).toEqual(['1']);
+    expect(taskManager.getTagHistory('main', { since: new Date(Date.now() + 60000) })).toEqual([]);
+  });
+
+  it('should expose status changes made through sa_update_task_status in sa_get_task', async () => {
+    const taskManager = await TaskManager.open({ projectRoot, actor: human });
+    await taskManager.createTask({ title: 'Schema', description: 'Design the schema' });
+
+    const update = await saUpdateTaskStatus.execute(
+      { projectPath: projectRoot, taskId: '1', status: 'in-progress', comment: 'Picked up overnight', agent: 'dev' },
+      { toolName: 'sa_update_task_status' }
+    );
+    expect(update.isError).toBeUndefined();
+
+    const result = await saGetTask.execute({ projectPath: projectRoot, taskId: '1', includeHistory: true, format: 'json' });
+    const { history } = JSON.parse(result.content[0].text);
+    expect(history[0]).toMatchObject({
+      action: 'status',
+      actor: { type: 'agent', id: 'dev' },
+      comment: 'Picked up overnight',
+      changes: [{ field: 'status', from: 'pending', to: 'in-progress' }],
+      description: 'Status pending → in-progress (Picked up overnight)'
+    });
+    expect(history[1].action).toBe('create');
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import Csv from '../../../tasks/Csv.js';
+
+const JIRA_CSV = [
+  'Summary,Issue key,Issue id,Issue Type,Status,Priority,Assignee,Description,Labels,Labels,Parent id,Custom field (Epic Link),Inward issue link (Blocks),Original Estimate,Due date,Reporter',
+  'Checkout,SHOP-1,10001,Epic,In Progress,High,Dana,"The whole checkout, ""v2""",payments,,,,,,,Lee',
+  'Cart API,SHOP-2,10002,Bug,To Do,Blocker,,"Line one\r\nline two",backend,api,,SHOP-1,,7200,21/Mar/25 10:15 AM,Lee',
+  'Payment form,SHOP-3,10003,Story,Code Review,Low,Kim,,frontend,,,SHOP-1,SHOP-2,,,Lee',
+  'Validate card,SHOP-4,10004,Sub-task,Triage,Minor,,Luhn check,,,10003,,SHOP-9,,,Lee'
+].join('\r\n');
+
+describe('Task import', () => {
+  let projectRoot;
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-import-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should parse quoted fields, escaped quotes, line breaks and repeated headers', () => {
+    expect(Csv.parse('﻿a,"b, c"\r\n"say ""hi""","two\nlines"\n\n')).toEqual([['a', 'b, c'], ['say "hi"', 'two\nlines']]);
+    expect(Csv.parseRecords('Labels,Labels,Title\nx,,T').records).toEqual([{ Labels: ['x'], Title: ['T'] }]);
+    expect(Csv.stringify([['id', 'note'], ['1', 'a "b", c']])).toBe('id,note\r\n1,"a ""b"", c"\r\n');
+    expect(() => Csv.parse('"open')).toThrow('unterminated');
+  });
+
+  it('should import a Jira export with hierarchy, links and a report of what did not map', async () => {
+    const taskManager = await TaskManager.open({ projectRoot, actor: { type: 'human', id: 'lee' } });
+
+    const preview = await taskManager.importTasks(JIRA_CSV, 'jira-csv', { tag: 'jira', dryRun: true });
+    expect(preview).toMatchObject({ dryRun: true, createdTag: true, unmapped: ['Reporter'] });
+    expect(preview.idMap).toEqual({ 'SHOP-1': '1', 'SHOP-2': '1.1', 'SHOP-3': '1.2', 'SHOP-4': '1.2.1' });
+    expect(preview.warnings).toEqual(['SHOP-4: linked issue SHOP-9 is not in this tag, link dropped']);
+    expect(taskManager.tasks.tags.jira).toBeUndefined();
+
+    await taskManager.importTasks(JIRA_CSV, 'jira-csv', { tag: 'jira' });
+    expect(taskManager.getTask('1', 'jira')).toMatchObject({
+      status: 'in-progress',
+      priority: 'high',
+      description: 'The whole checkout, "v2"',
+      assignee: { type: 'human', name: 'Dana' },
+      labels: ['payments'],
+      blocks: [],
+      metadata: { source: 'jira:SHOP-1', createdBy: { type: 'human', id: 'lee' } }
+    });
+    expect(taskManager.getTask('1.1', 'jira')).toMatchObject({
+      type: 'bug',
+      priority: 'critical',
+      labels: ['backend', 'api'],
+      estimatedHours: 2,
+      dueDate: new Date(2025, 2, 21, 10, 15),
+      blocks: ['1.2']
+    });
+    expect(taskManager.getTask('1.2', 'jira')).toMatchObject({ status: 'review', description: 'Payment form', dependencies: ['1.1'] });
+    expect(taskManager.getTask('1.2.1', 'jira').status).toBe('pending');
+
+    const again = await taskManager.importTasks(JIRA_CSV, 'jira-csv', { tag: 'jira' });
+    expect(again.created).toEqual([]);
+    expect(again.skipped.map(entry => entry.reason)).toEqual(Array(4).fill('already imported'));
+
+    // The import is one change in the history (the re-import changed nothing), so one undo removes it
+    await taskManager.undo();
+    expect(taskManager.tasks.tags.jira).toBeUndefined();
+  });
+
+  it('should map GitHub labels, body references and closed states', async () => {
+    const issues = [
+      { number: 12, title: 'Login page', body: 'Part of #10\nDepends on #11', state: 'open', html_url: 'https://github.com/o/r/issues/12',
+        labels: [{ name: 'bug' }, { name: 'priority: high' }, { name: 'ui' }], assignees: [{ login: 'dana' }], comments: 3 },
+      { number: 11, title: 'Auth service', body: null, state: 'closed', state_reason: 'not_planned', labels: [], html_url: 'https://github.com/o/r/issues/11' },
+      { number: 10, title: 'Accounts', body: 'Blocks #11', state: 'OPEN', labels: ['in progress'], url: 'https://github.com/o/r/issues/10' },
+      { number: 13, title: 'Bump deps', pull_request: {}, state: 'open' }
+    ];
+
+    const taskManager = await TaskManager.open({ projectRoot });
+    const result = await taskManager.importTasks(JSON.stringify(issues), 'github-issues-json');
+    expect(result.idMap).toEqual({ '#12': '1.1', '#10': '1', '#11': '2' });
+    expect(result.unmapped).toEqual(['comments']);
+    expect(result.warnings).toEqual(['skipped 1 pull request(s)']);
+
+    expect(taskManager.getTask('1.1')).toMatchObject({
+      type: 'bug',
+      priority: 'high',
+      labels: ['ui'],
+      assignee: { id: 'dana' },
+      dependencies: ['2'],
+      resources: { urls: ['https://github.com/o/r/issues/12'] }
+    });
+    expect(taskManager.getTask('1')).toMatchObject({ status: 'in-progress', dependencies: [] });
+    expect(taskManager.getTask('2')).toMatchObject({ status: 'cancelled', blocks: ['1.1'], dependencies: ['1'] });
+  });
+
+  it('should remap Task Master ids and sibling subtask dependencies after existing tasks', async () => {
+    const taskMaster = {
+      master: {
+        tasks: [
+          { id: 1, title: 'Setup', description: 'Init repo', status: 'done', priority: 'high', dependencies: [], complexity: 3,
+            subtasks: [
+              { id: 1, title: 'Git', description: 'git init', status: 'done', dependencies: [] },
+              { id: 2, title: 'CI', description: 'Add CI', status: 'pending', dependencies: [1] }
+            ] },
+          { id: 2, title: 'API', description: 'Build the API', status: 'pending', dependencies: [1], details: 'Use express' }
+        ]
+      }
+    };
+
+    const taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Existing', description: 'Already planned' });
+
+    const result = await taskManager.importTasks(JSON.stringify(taskMaster), 'taskmaster-json');
+    expect(result.idMap).toEqual({ 1: '2', '1.1': '2.1', '1.2': '2.2', 2: '3' });
+    expect(result.unmapped).toEqual(['complexity']);
+    expect(taskManager.getTask('2.2').dependencies).toEqual(['2.1']);
+    expect(taskManager.getTask('3')).toMatchObject({ dependencies: ['2'], details: 'Use express', taskMasterIntegration: { originalId: 2 } });
+  });
+});
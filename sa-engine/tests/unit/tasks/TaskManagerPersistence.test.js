@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, readFile, readdir, writeFile, rm } from 'fs/promises';
+import { tmpdir, hostname } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import FileLock from '../../../tasks/FileLock.js';
+import { TaskConflictError } from '../../../tasks/TaskMerge.js';
+
+describe('TaskManager persistence', () => {
+  let projectRoot;
+  let tasksFile;
+
+  const open = options => TaskManager.open({ projectRoot, ...options });
+  const stored = async () => JSON.parse(await readFile(tasksFile, 'utf8'));
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-persistence-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+    tasksFile = join(projectRoot, '.super-agents', 'tasks.json');
+
+    const setup = await open();
+    await setup.createTask({ title: 'Schema', description: 'Design the schema' });
+    await setup.createTask({ title: 'API', description: 'Build the API' });
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should bump the revision on every save and leave no temporary files', async () => {
+    expect((await stored()).metadata.revision).toBe(3);
+
+    const files = await readdir(join(projectRoot, '.super-agents'));
+    expect(files.filter(file => file.endsWith('.tmp') || file.endsWith('.lock'))).toEqual([]);
+  });
+
+  it('should not hand out an id another process already used', async () => {
+    const cli = await open();
+    const mcp = await open();
+
+    await cli.createTask({ title: 'Docs', description: 'Write the docs' });
+    const task = await mcp.createTask({ title: 'Deploy', description: 'Ship it' });
+
+    expect(task.id).toBe('4');
+    expect((await stored()).tags.main.tasks.map(saved => saved.title)).toEqual(['Schema', 'API', 'Docs', 'Deploy']);
+  });
+
+  it('should allocate distinct ids to concurrent creates', async () => {
+    const writers = await Promise.all([open(), open(), open()]);
+
+    await Promise.all(writers.flatMap((writer, index) => [1, 2].map(n =>
+      writer.createTask({ title: `Task ${index}.${n}`, description: 'Concurrent create' })
+    )));
+
+    const ids = (await stored()).tags.main.tasks.map(saved => saved.id);
+    expect(ids).toHaveLength(8);
+    expect(new Set(ids).size).toBe(8);
+  });
+
+  it('should merge saves from a stale copy that touch different tasks', async () => {
+    const cli = await open();
+    const mcp = await open();
+
+    await cli.updateTask('1', { title: 'Database schema' });
+    await mcp.updateTask('2', { status: 'in-progress' });
+
+    const saved = await stored();
+    expect(saved.metadata.revision).toBe(5);
+    expect(saved.tags.main.tasks.map(task => [task.title, task.status])).toEqual([
+      ['Database schema', 'pending'],
+      ['API', 'in-progress']
+    ]);
+    expect(mcp.getTask('1').title).toBe('Database schema');
+  });
+
+  it('should reject a stale save that changes the same task', async () => {
+    const cli = await open();
+    const mcp = await open();
+
+    await cli.updateTask('1', { title: 'Database schema' });
+    const error = await mcp.updateTask('1', { title: 'Schema v2' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(TaskConflictError);
+    expect(error.conflicts).toEqual([{ tag: 'main', taskId: '1', reason: 'changed both here and elsewhere' }]);
+    expect((await stored()).tags.main.tasks[0].title).toBe('Database schema');
+  });
+
+  it('should reject any stale save when merging is disabled', async () => {
+    const cli = await open();
+    const mcp = await open({ conflictStrategy: 'reject' });
+
+    await cli.updateTask('1', { title: 'Database schema' });
+
+    await expect(mcp.updateTask('2', { status: 'in-progress' })).rejects.toThrow('Tasks were saved by another process');
+  });
+});
+
+describe('FileLock', () => {
+  let dir;
+  let target;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'sa-lock-'));
+    target = join(dir, 'tasks.json');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should wait for a live holder and time out', async () => {
+    const holder = new FileLock(target);
+    await holder.acquire();
+
+    await expect(new FileLock(target, { timeoutMs: 50 }).acquire()).rejects.toThrow(`held by process ${process.pid}`);
+
+    holder.release();
+    await new FileLock(target, { timeoutMs: 50 }).withLock(async () => {});
+  });
+
+  it('should break locks left by dead processes or older than staleMs', async () => {
+    await writeFile(`${target}.lock`, JSON.stringify({ pid: 2 ** 22 + 1, hostname: hostname(), token: 'dead' }));
+    await new FileLock(target, { timeoutMs: 50 }).withLock(async () => {});
+
+    await writeFile(`${target}.lock`, JSON.stringify({ pid: process.pid, hostname: 'elsewhere', token: 'old' }));
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await new FileLock(target, { timeoutMs: 50, staleMs: 20 }).withLock(async () => {});
+
+    expect(await readdir(dir)).toEqual([]);
+  });
+});
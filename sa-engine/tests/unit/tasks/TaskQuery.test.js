@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskQuery, { TaskQueryError } from '../../../tasks/TaskQuery.js';
+
+describe('Task queries', () => {
+  let projectRoot;
+  let taskManager;
+  const inDays = days => new Date(Date.now() + days * 86400000);
+  const ids = query => taskManager.listTasks({ query }).map(task => task.id);
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-query-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+
+    taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Schema', description: 'Design tables', status: 'in-progress', priority: 'high', tags: ['backend'], dueDate: inDays(3), complexity: 8 });
+    await taskManager.createTask({ title: 'API', description: 'Rate limit endpoints', priority: 'critical', tags: ['backend'], dependencies: ['1'], assignee: { type: 'agent', id: 'dev', name: 'Developer' }, complexity: 7 });
+    await taskManager.createTask({ title: 'Landing page', description: 'Marketing copy', priority: 'low', tags: ['frontend'], dueDate: inDays(30) });
+    await taskManager.createSubtask('2', { title: 'Auth endpoints', description: 'Login', status: 'done' });
+  });
+
+  afterEach(async () => {
+    await taskManager.cleanup();
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should combine field terms, comparisons, negation and free text', () => {
+    expect(ids('status:in-progress priority>=high tag:backend due<7d -assignee:dev complexity>6')).toEqual(['1']);
+    expect(ids('priority>=high')).toEqual(['1', '2']);
+    expect(ids('-assignee:dev tag:backend,frontend')).toEqual(['1', '3']);
+    expect(ids('assignee:developer')).toEqual(['2']);
+    expect(ids('status!=done "rate limit"')).toEqual(['2']);
+    expect(ids('parent:2')).toEqual(['2.1']);
+    expect(ids('parent:none due:none')).toEqual(['2']);
+    expect(ids('has:due due>=7d')).toEqual(['3']);
+  });
+
+  it('should treat tasks waiting on unfinished dependencies as blocked', async () => {
+    expect(ids('blocked:true')).toEqual(['2']);
+
+    await taskManager.updateTask('1', { status: 'done' });
+    expect(ids('blocked:true')).toEqual([]);
+    expect(ids('blocked:false')).toHaveLength(4);
+  });
+
+  it('should report unknown fields and invalid values with their position', () => {
+    expect(() => TaskQuery.parse('status:pending colour:red')).toThrow("Unknown query field 'colour'");
+    expect(() => TaskQuery.parse('priority>urgent')).toThrow("Invalid priority 'urgent'");
+    expect(() => TaskQuery.parse('tag>backend')).toThrow("Field 'tag' does not support '>'");
+    expect(() => TaskQuery.parse('due<soon')).toThrow(TaskQueryError);
+
+    const error = (() => {
+      try {
+        TaskQuery.parse('status:pending colour:red');
+      } catch (caught) {
+        return caught;
+      }
+    })();
+    expect(error).toMatchObject({ code: 'INVALID_QUERY', position: 15 });
+  });
+
+  it('should save named queries per project and expand @name references', async () => {
+    taskManager.saveQuery('backend', 'tag:backend');
+    taskManager.saveQuery('urgent', '@backend priority>=critical');
+
+    expect(ids('@urgent')).toEqual(['2']);
+    expect(ids('-@backend')).toEqual(['2.1', '3']);
+
+    const config = JSON.parse(await readFile(join(projectRoot, '.super-agents', 'config.json'), 'utf8'));
+    expect(config.taskManager.queries).toEqual({ backend: 'tag:backend', urgent: '@backend priority>=critical' });
+
+    const reopened = await TaskManager.open({ projectRoot });
+    expect(reopened.listTasks({ query: '@urgent' }).map(task => task.id)).toEqual(['2']);
+    await reopened.cleanup();
+
+    expect(() => taskManager.saveQuery('loop', '@loop status:pending')).toThrow('refers to itself');
+    expect(() => taskManager.deleteQuery('backend')).toThrow('used by: urgent');
+    taskManager.deleteQuery('urgent');
+    expect(taskManager.getSavedQueries()).toEqual({ backend: 'tag:backend' });
+    expect(() => ids('@urgent')).toThrow("Unknown saved query '@urgent'");
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskDependencyManager from '../../../tasks/TaskDependencyManager.js';
+import TaskScheduler from '../../../tasks/TaskScheduler.js';
+
+describe('Task scheduling', () => {
+  let projectRoot;
+  let taskManager;
+  const byId = schedule => Object.fromEntries(schedule.tasks.map(task => [task.id, task]));
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-schedule-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+
+    // 2025-03-03 is a Monday
+    taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Schema', description: 'Tables', estimatedHours: 16 });
+    await taskManager.createTask({ title: 'API', description: 'Endpoints', estimatedHours: 24, dependencies: ['1'], dueDate: new Date('2025-03-06') });
+    await taskManager.createTask({ title: 'Docs', description: 'Guides', estimatedHours: 8 });
+    await taskManager.createTask({ title: 'Launch', description: 'Release', estimatedHours: 4, dependencies: ['2', '3'] });
+  });
+
+  afterEach(async () => {
+    await taskManager.cleanup();
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should find the critical path by effort, not by number of hops', async () => {
+    await taskManager.createTask({ title: 'Spike', description: 'Try it', estimatedHours: 1 });
+    await taskManager.createTask({ title: 'Prototype', description: 'Build it', estimatedHours: 1, dependencies: ['5'] });
+    await taskManager.createTask({ title: 'Polish', description: 'Ship it', estimatedHours: 1, dependencies: ['6'] });
+
+    const [schedule] = taskManager.scheduleTasks({ start: '2025-03-03' }).tags;
+    const tasks = byId(schedule);
+
+    expect(schedule.criticalPath).toEqual(['1', '2', '4']);
+    expect(schedule.projectedFinish).toBe('2025-03-10');
+    expect(schedule.remainingHours).toBe(55);
+    expect(tasks['2']).toMatchObject({ earliestStart: '2025-03-05', earliestFinish: '2025-03-07', slackHours: 0, critical: true, daysLate: 1 });
+    expect(tasks['3']).toMatchObject({ earliestStart: '2025-03-03', latestStart: '2025-03-07', slackDays: 4, critical: false });
+    expect(schedule.late).toEqual(['2']);
+
+    const dependencies = new TaskDependencyManager(taskManager);
+    await dependencies.initialize();
+    expect(dependencies.isOnCriticalPath('2')).toBe(true);
+    expect(dependencies.isOnCriticalPath('6')).toBe(false);
+  });
+
+  it('should serialize work per assignee and honour their capacity and the calendar', async () => {
+    await taskManager.updateTask('1', { assignee: { type: 'human', id: 'dev' } });
+    await taskManager.updateTask('3', { assignee: { type: 'human', id: 'dev' } });
+    await writeFile(join(projectRoot, '.super-agents', 'config.json'), JSON.stringify({
+      taskManager: { schedule: { capacity: { dev: 4 }, holidays: ['2025-03-05'] } }
+    }));
+
+    const [schedule] = taskManager.scheduleTasks({ tag: 'main', start: '2025-03-03' }).tags;
+    const tasks = byId(schedule);
+
+    // dev works 4h a day: Schema takes four working days (skipping the holiday), then Docs two
+    expect(tasks['1']).toMatchObject({ earliestStart: '2025-03-03', earliestFinish: '2025-03-07' });
+    expect(tasks['3']).toMatchObject({ earliestStart: '2025-03-10', earliestFinish: '2025-03-11', waitsFor: '1' });
+    expect(tasks['2']).toMatchObject({ earliestStart: '2025-03-10', earliestFinish: '2025-03-12' });
+    expect(schedule.criticalPath).toEqual(['1', '2', '4']);
+    expect(schedule.projectedFinish).toBe('2025-03-13');
+    expect(schedule.calendar.capacity).toEqual({ dev: 4 });
+  });
+
+  it('should schedule subtasks under their parent and skip finished work', () => {
+    const schedule = new TaskScheduler({ start: '2025-03-03' }).schedule([
+      { id: '1', title: 'Design', status: 'done', estimatedHours: 40 },
+      {
+        id: '2', title: 'Build', status: 'pending', dependencies: ['1'], subtasks: [
+          { id: '2.1', title: 'Backend', status: 'in-progress', estimatedHours: 16, actualHours: 8 },
+          { id: '2.2', title: 'Frontend', status: 'pending', estimatedHours: 8, dependencies: ['2.1'] }
+        ]
+      },
+      { id: '3', title: 'Release', status: 'pending', dependencies: ['2'] }
+    ]);
+    const tasks = byId(schedule);
+
+    expect(schedule.completed).toBe(1);
+    expect(schedule.tasks.map(task => task.id)).toEqual(['2', '2.1', '2.2', '3']);
+    expect(tasks['2']).toMatchObject({ summary: true, earliestStart: '2025-03-03', earliestFinish: '2025-03-04' });
+    expect(tasks['2.1']).toMatchObject({ hours: 8, earliestFinish: '2025-03-03' });
+    expect(tasks['3']).toMatchObject({ earliestStart: '2025-03-05', hours: 8 });
+    expect(schedule.unestimated).toEqual(['3']);
+    expect(schedule.criticalPath).toEqual(['2.1', '2.2', '3']);
+  });
+
+  it('should reject dependency cycles and unknown tags', async () => {
+    await taskManager.updateTask('1', { dependencies: ['4'] });
+
+    expect(() => taskManager.scheduleTasks()).toThrow('circular dependencies: 1 → 4 → 2 → 1');
+    expect(() => taskManager.scheduleTasks({ tag: 'missing' })).toThrow("Tag 'missing' does not exist");
+  });
+});
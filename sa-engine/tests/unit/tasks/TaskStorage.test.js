@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, readFile, readdir, appendFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskDependencyManager from '../../../tasks/TaskDependencyManager.js';
+
+describe('Task storage backends', () => {
+  let projectRoot;
+  let dataDir;
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-storage-'));
+    dataDir = join(projectRoot, '.super-agents');
+    await mkdir(dataDir);
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it.each(['json', 'sqlite', 'jsonl'])('should keep tasks, tags and dependencies in the %s backend', async storage => {
+    const writer = await TaskManager.open({ projectRoot, storage });
+    await writer.createTask({ title: 'Schema', description: 'Design the schema' });
+    await writer.createTask({ title: 'Spike', description: 'Throwaway prototype' });
+    const api = await writer.createTask({ title: 'API', description: 'Build the API' });
+    await writer.createSubtask('1', { title: 'Tables', description: 'Create the tables' });
+    await writer.deleteTask('2');
+    await writer.createTag('release', 'Release checklist');
+
+    const dependencies = new TaskDependencyManager(writer);
+    await dependencies.initialize();
+    await dependencies.addDependency(api.id, '1');
+    await writer.cleanup();
+
+    const reader = await TaskManager.open({ projectRoot, storage });
+    expect(reader.tasksFile).toBe(join(dataDir, { json: 'tasks.json', sqlite: 'tasks.db', jsonl: 'tasks.jsonl' }[storage]));
+    expect(reader.getAllTasks().map(task => [task.id, task.dependencies])).toEqual([['1', []], ['1.1', []], ['3', ['1']]]);
+    expect(Object.keys(reader.tasks.tags)).toEqual(['main', 'release']);
+    expect(reader.revision).toBe(writer.revision);
+    await reader.cleanup();
+  });
+
+  it('should ignore a jsonl batch that was never committed', async () => {
+    const writer = await TaskManager.open({ projectRoot, storage: 'jsonl' });
+    await writer.createTask({ title: 'Schema', description: 'Design the schema' });
+    await writer.updateTask('1', { title: 'Database schema' });
+
+    const log = (await readFile(join(dataDir, 'tasks.jsonl'), 'utf8')).trim().split('\n');
+    expect(log[0]).toContain('"op":"snapshot"');
+    expect(log.at(-1)).toContain('"op":"commit"');
+
+    // A writer died after the put, before its commit line
+    await appendFile(join(dataDir, 'tasks.jsonl'), '{"op":"begin"}\n{"op":"put","tag":"main","task":{"id":"1","title":"Lost"');
+    const reader = await TaskManager.open({ projectRoot, storage: 'jsonl' });
+    expect(reader.getTask('1').title).toBe('Database schema');
+
+    await reader.updateTask('1', { status: 'in-progress' });
+    const reopened = await TaskManager.open({ projectRoot, storage: 'jsonl' });
+    expect(reopened.getTask('1')).toMatchObject({
+      title: 'Database schema',
+      status: 'in-progress'
+    });
+
+    await Promise.all([writer, reader, reopened].map(taskManager => taskManager.cleanup()));
+  });
+
+  it('should migrate between backends and select the new one in the project config', async () => {
+    const writer = await TaskManager.open({ projectRoot });
+    await writer.createTask({ title: 'Schema', description: 'Design the schema' });
+    await writer.cleanup();
+
+    const result = await TaskManager.migrateStorage({ projectRoot, to: 'sqlite' });
+    expect(result).toMatchObject({ from: 'json', to: 'sqlite', totalTasks: 1 });
+    expect(JSON.parse(await readFile(join(dataDir, 'config.json'), 'utf8')).taskManager.storage).toBe('sqlite');
+    expect(await readdir(join(dataDir, 'backups'))).toContain(result.archived.split('/').pop());
+
+    const migrated = await TaskManager.open({ projectRoot });
+    expect(migrated.storageBackend).toBe('sqlite');
+    expect(migrated.getTask('1').title).toBe('Schema');
+    await migrated.cleanup();
+
+    await expect(TaskManager.migrateStorage({ projectRoot, to: 'sqlite' })).rejects.toThrow('already use the sqlite');
+    await expect(TaskManager.migrateStorage({ projectRoot, to: 'yaml' })).rejects.toThrow("Unknown task storage backend 'yaml'");
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+
+describe('Task undo, redo and restore', () => {
+  let projectRoot;
+
+  const agent = { type: 'agent', id: 'planner' };
+  const ids = taskManager => taskManager.getAllTasks().map(task => task.id);
+  const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-undo-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should undo and redo the last change, and drop the redo once something else changes', async () => {
+    const taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Schema', description: 'Design the schema' });
+    await taskManager.createSubtask('1', { title: 'Tables', description: 'Create the tables' });
+    await taskManager.updateTask('1', { priority: 'high' });
+
+    const undone = await taskManager.undo();
+    expect(undone).toMatchObject({ applied: true, operation: { type: 'undo' }, conflicts: [] });
+    expect(undone.changes[0].changes).toEqual([{ field: 'priority', from: 'high', to: 'medium' }]);
+    expect(taskManager.getTask('1').priority).toBe('medium');
+
+    await taskManager.undo();
+    expect(ids(taskManager)).toEqual(['1']);
+
+    // Another process sees the same stacks, since they come from the history file
+    const other = await TaskManager.open({ projectRoot });
+    await other.redo();
+    expect(ids(other)).toEqual(['1', '1.1']);
+
+    await taskManager.refresh();
+    await taskManager.updateTask('1', { title: 'Database schema' });
+    await expect(taskManager.redo()).rejects.toThrow('Nothing to redo');
+  });
+
+  it('should preview and restore to a point in time, and undo the restore', async () => {
+    const taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Schema', description: 'Design the schema' });
+    await tick();
+    const before = new Date();
+    await tick();
+
+    const expansion = await TaskManager.open({ projectRoot, actor: agent });
+    for (const title of ['Tables', 'Indexes', 'Migrations']) {
+      await expansion.createSubtask('1', { title, description: title });
+    }
+    await expansion.updateTask('1', { status: 'in-progress' });
+
+    await taskManager.refresh();
+    const preview = await taskManager.restore(before, { dryRun: true });
+    expect(preview.applied).toBe(false);
+    expect(preview.changes.map(entry => [entry.taskId, entry.action])).toEqual([
+      ['1', 'status'], ['1.1', 'delete'], ['1.2', 'delete'], ['1.3', 'delete']
+    ]);
+    expect(ids(taskManager)).toEqual(['1', '1.1', '1.2', '1.3']);
+
+    const restored = await taskManager.restore(before);
+    expect(restored.operation).toMatchObject({ type: 'restore', at: before.toISOString() });
+    expect(restored.operation.revisions).toHaveLength(4);
+    expect(ids(taskManager)).toEqual(['1']);
+    expect(taskManager.getTask('1').status).toBe('pending');
+
+    await taskManager.undo();
+    expect(ids(taskManager)).toEqual(['1', '1.1', '1.2', '1.3']);
+    expect(taskManager.getTask('1.2').title).toBe('Indexes');
+  });
+
+  it('should refuse to undo over edits made outside the log unless forced', async () => {
+    const taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Schema', description: 'Design the schema' });
+    await taskManager.updateTask('1', { priority: 'high', title: 'Database schema' });
+
+    // Someone edits tasks.json by hand
+    const tasksFile = join(projectRoot, '.super-agents', 'tasks.json');
+    const stored = JSON.parse(await readFile(tasksFile, 'utf8'));
+    stored.tags.main.tasks[0].priority = 'critical';
+    stored.metadata.revision += 1;
+    await writeFile(tasksFile, JSON.stringify(stored));
+
+    const error = await taskManager.undo().catch(caught => caught);
+    expect(error.name).toBe('TaskConflictError');
+    expect(error.conflicts).toEqual([{ tag: 'main', taskId: '1', reason: 'priority was changed again since' }]);
+    expect(taskManager.getTask('1')).toMatchObject({ priority: 'critical', title: 'Database schema' });
+
+    const preview = await taskManager.undo({ dryRun: true });
+    expect(preview.conflicts).toHaveLength(1);
+
+    const forced = await taskManager.undo({ force: true });
+    expect(forced.applied).toBe(true);
+    expect(taskManager.getTask('1')).toMatchObject({ priority: 'medium', title: 'Schema' });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TaskManager from '../../../tasks/TaskManager.js';
+import TaskWorkflow, { TaskTransitionError } from '../../../tasks/TaskWorkflow.js';
+import { saListTasks } from '../../../mcp-server/tools/core/sa-list-tasks.js';
+import { saUpdateTaskStatus } from '../../../mcp-server/tools/core/sa-update-task-status.js';
+
+describe('Task status workflows', () => {
+  let projectRoot;
+  let taskManager;
+
+  const kanban = {
+    initial: 'todo',
+    transitions: { todo: ['doing'], doing: ['qa', 'todo'], qa: ['done', 'doing'], done: [] },
+    hooks: {
+      done: { enter: [{ require: ['actualHours'] }] },
+      qa: { enter: [{ run: 'node -e "process.exit(process.env.SA_TASK_ID === \'2\' ? 0 : 3)"', message: 'Tests must pass' }] }
+    }
+  };
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-workflow-'));
+    await mkdir(join(projectRoot, '.super-agents'));
+
+    taskManager = await TaskManager.open({ projectRoot });
+    await taskManager.createTask({ title: 'Schema', description: 'Design tables' });
+    await taskManager.createTag('board', 'Kanban board');
+    await taskManager.setWorkflow(kanban, 'board');
+    await taskManager.createTask({ title: 'Widget', description: 'Build it' }, 'board');
+    await taskManager.createTask({ title: 'Gadget', description: 'Build it too' }, 'board');
+  });
+
+  afterEach(async () => {
+    await taskManager.cleanup();
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should give each tag its own statuses and transitions', async () => {
+    expect(taskManager.getTask('1').status).toBe('pending');
+    expect(taskManager.getTask('1', 'board').status).toBe('todo');
+
+    await expect(taskManager.updateTask('1', { status: 'doing' })).rejects.toThrow("Unknown status 'doing' in tag 'main'");
+    await expect(taskManager.updateTask('1', { status: 'qa' }, 'board')).rejects.toThrow(
+      "Invalid status transition from 'todo' to 'qa' (allowed: doing)"
+    );
+
+    await taskManager.updateTask('1', { status: 'doing' }, 'board');
+    expect(taskManager.getTask('1', 'board').status).toBe('doing');
+    expect(taskManager.listTasks({ query: 'status:doing' }, 'board').map(task => task.id)).toEqual(['1']);
+
+    const reopened = await TaskManager.open({ projectRoot });
+    expect(reopened.getWorkflow('board').toJSON()).toEqual(kanban);
+    expect(reopened.getWorkflow('main').statuses).toContain('review');
+    await reopened.cleanup();
+  });
+
+  it('should leave out tasks in a final status of their tag when asked to', async () => {
+    await taskManager.createTask({ title: 'Shipped', description: 'Already out', status: 'done' });
+    await taskManager.createTask({ title: 'Dropped', description: 'Not needed', status: 'cancelled' });
+
+    expect(taskManager.getWorkflow('main').getFinalStatuses()).toEqual(['done', 'cancelled']);
+    expect(taskManager.getWorkflow('board').getFinalStatuses()).toEqual(['done']);
+    expect(taskManager.listTasks({ excludeFinal: true }).map(task => task.title)).toEqual(['Schema']);
+    expect(taskManager.listTasks({}).map(task => task.title)).toEqual(['Schema', 'Shipped', 'Dropped']);
+
+    const result = await saListTasks.execute({ projectPath: projectRoot, includeCompleted: false, format: 'json' });
+    expect(result.content[0].text).toContain('Schema');
+    expect(result.content[0].text).not.toContain('Shipped');
+  });
+
+  it('should run entry hooks and leave the task unchanged when one refuses', async () => {
+    await taskManager.updateTask('1', { status: 'doing' }, 'board');
+
+    const error = await taskManager.updateTask('1', { status: 'qa' }, 'board').catch(caught => caught);
+    expect(error).toBeInstanceOf(TaskTransitionError);
+    expect(error.message).toContain("Cannot move task 1 to 'qa': Tests must pass");
+    expect(error.message).toContain('exit code 3');
+    expect(taskManager.getTask('1', 'board').status).toBe('doing');
+
+    await taskManager.updateTask('2', { status: 'doing' }, 'board');
+    await taskManager.updateTask('2', { status: 'qa' }, 'board');
+    await expect(taskManager.updateTask('2', { status: 'done' }, 'board')).rejects.toThrow('actualHours is required');
+
+    const done = await taskManager.updateTask('2', { status: 'done', actualHours: 5 }, 'board');
+    expect(done.completedDate).toBeInstanceOf(Date);
+
+    await taskManager.updateTask('1', { status: 'done' }, 'board', { force: true });
+    expect(taskManager.getTask('1', 'board').status).toBe('done');
+    await expect(taskManager.updateTask('1', { status: 'pending' }, 'board', { force: true })).rejects.toThrow("Unknown status 'pending'");
+  });
+
+  it('should enforce the same workflow in sa_update_task_status', async () => {
+    const update = args => saUpdateTaskStatus.execute({ projectPath: projectRoot, ...args });
+
+    const refused = await update({ taskId: '1', tag: 'board', status: 'done' });
+    expect(refused.isError).toBe(true);
+    expect(refused.metadata).toMatchObject({ code: 'INVALID_TRANSITION', currentStatus: 'todo', allowedTransitions: ['doing'] });
+
+    const completed = await update({ taskId: '1', status: 'completed', validateTransition: false, completionNotes: 'Shipped' });
+    expect(completed.isError).toBeUndefined();
+    expect(completed.metadata.newStatus).toBe('done');
+
+    const reopened = await TaskManager.open({ projectRoot });
+    expect(reopened.getTask('1')).toMatchObject({ status: 'done', notes: 'Shipped' });
+    await reopened.cleanup();
+  });
+
+  it('should reject workflows that would strand existing tasks or are malformed', async () => {
+    await expect(taskManager.setWorkflow({ transitions: { open: ['closed'] } })).rejects.toThrow(
+      "Tasks in tag 'main' have statuses the workflow does not define: 1 (pending)"
+    );
+    await expect(taskManager.setWorkflow(null)).rejects.toThrow('The default workflow cannot be removed');
+
+    expect(() => new TaskWorkflow({ transitions: { open: ['closed'] }, initial: 'draft' })).toThrow("Initial status 'draft' is not in the workflow");
+    expect(() => new TaskWorkflow({ transitions: { open: ['closed'] }, hooks: { open: { enter: [{}] } } })).toThrow('Invalid enter hook');
+    expect(TaskWorkflow.forTag({ statusTransitions: { open: ['closed'], closed: [] } }, 'main').statuses).toEqual(['open', 'closed']);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import CoverageReader from '../../../testing/CoverageReader.js';
+import { ValidationGateSystem } from '../../../workflows/ValidationGateSystem.js';
+
+const LCOV = `TN:
+SF:/repo/src/math.js
+FN:1,add
+FN:5,divide
+FNDA:3,add
+FNDA:0,divide
+FNF:2
+FNH:1
+DA:1,3
+DA:2,3
+DA:5,0
+DA:6,0
+BRDA:6,0,0,0
+BRDA:6,0,1,-
+BRF:2
+BRH:0
+LF:4
+LH:2
+end_of_record
+`;
+
+const ISTANBUL_FINAL = {
+  '/repo/src/math.js': {
+    path: '/repo/src/math.js',
+    statementMap: {
+      0: { start: { line: 1, column: 0 }, end: { line: 1, column: 10 } },
+      1: { start: { line: 2, column: 0 }, end: { line: 2, column: 10 } },
+      2: { start: { line: 2, column: 12 }, end: { line: 2, column: 20 } },
+      3: { start: { line: 4, column: 0 }, end: { line: 4, column: 10 } }
+    },
+    s: { 0: 1, 1: 0, 2: 2, 3: 0 },
+    fnMap: { 0: { name: 'add' }, 1: { name: 'divide' } },
+    f: { 0: 1, 1: 0 },
+    branchMap: { 0: { loc: { start: { line: 4, column: 0 } }, locations: [] } },
+    b: { 0: [1, 0] }
+  }
+};
+
+const ISTANBUL_SUMMARY = {
+  total: {
+    lines: { total: 10, covered: 9, pct: 90 },
+    statements: { total: 10, covered: 9, pct: 90 },
+    functions: { total: 2, covered: 2, pct: 100 },
+    branches: { total: 4, covered: 3, pct: 75 }
+  },
+  '/repo/src/a.js': {
+    lines: { total: 10, covered: 9, pct: 90 },
+    statements: { total: 10, covered: 9, pct: 90 },
+    functions: { total: 2, covered: 2, pct: 100 },
+    branches: { total: 4, covered: 3, pct: 75 }
+  }
+};
+
+const COBERTURA = `<?xml version="1.0" ?>
+<coverage line-rate="0.5" branch-rate="0.5">
+  <sources><source>/repo</source></sources>
+  <packages><package name="src"><classes>
+    <class name="math.py" filename="src/math.py" line-rate="0.5">
+      <methods>
+        <method name="add"><lines><line number="1" hits="1"/></lines></method>
+        <method name="divide"><lines><line number="3" hits="0"/></lines></method>
+      </methods>
+      <lines>
+        <line number="1" hits="1"/>
+        <line number="2" hits="1" branch="true" condition-coverage="50% (1/2)"/>
+        <line number="3" hits="0"/>
+        <line number="4" hits="0"/>
+      </lines>
+    </class>
+  </classes></package></packages>
+</coverage>`;
+
+describe('CoverageReader', () => {
+  const reader = new CoverageReader();
+
+  it('should parse lcov tracefiles', () => {
+    const files = reader.parseLcov(LCOV, { rootDir: '/repo' });
+
+    expect(files['src/math.js']).toMatchObject({
+      lines: { total: 4, covered: 2, pct: 50 },
+      functions: { total: 2, covered: 1, pct: 50 },
+      branches: { total: 2, covered: 0, pct: 0 },
+      uncoveredLines: [5, 6],
+      uncoveredBranches: [6]
+    });
+  });
+
+  it('should parse Istanbul coverage-final.json', () => {
+    const files = reader.parseIstanbulFinal(ISTANBUL_FINAL, { rootDir: '/repo' });
+
+    expect(files['src/math.js']).toMatchObject({
+      lines: { total: 3, covered: 2 },
+      statements: { total: 4, covered: 2, pct: 50 },
+      functions: { total: 2, covered: 1 },
+      branches: { total: 2, covered: 1 },
+      uncoveredLines: [4],
+      uncoveredBranches: [4]
+    });
+  });
+
+  it('should parse Istanbul coverage-summary.json', () => {
+    const summary = reader.summarize(reader.parseIstanbulSummary(ISTANBUL_SUMMARY, { rootDir: '/repo' }));
+
+    expect(summary).toMatchObject({ overall: 90, lines: 90, statements: 90, functions: 100, branches: 75 });
+  });
+
+  it('should parse Cobertura XML without double counting method lines', () => {
+    const files = reader.parseCobertura(COBERTURA, { rootDir: '/repo' });
+
+    expect(files['src/math.py']).toMatchObject({
+      lines: { total: 4, covered: 2, pct: 50 },
+      functions: { total: 2, covered: 1 },
+      branches: { total: 2, covered: 1 },
+      uncoveredLines: [3, 4],
+      uncoveredBranches: [2]
+    });
+  });
+
+  it('should check overall and per-metric thresholds', () => {
+    const summary = { overall: 82, lines: 82, statements: 85, branches: 60, functions: 90 };
+
+    expect(reader.checkThreshold(summary, 80).met).toBe(true);
+    expect(reader.checkThreshold(summary, { lines: 80, branches: 70 })).toEqual({
+      met: false,
+      failures: [{ metric: 'branches', actual: 60, target: 70 }]
+    });
+    expect(reader.toRanges([3, 4, 5, 9, 11, 12])).toEqual(['3-5', '9', '11-12']);
+  });
+});
+
+describe('test_coverage_meets_threshold gate', () => {
+  let projectRoot;
+  let validator;
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-coverage-'));
+    validator = new ValidationGateSystem().getDefaultValidator('testingValidator');
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should block when coverage is below the threshold', async () => {
+    await mkdir(join(projectRoot, 'coverage'));
+    await writeFile(join(projectRoot, 'coverage', 'lcov.info'), LCOV.replace('/repo', projectRoot));
+
+    const instance = { options: { projectRoot, coverageThreshold: 80 } };
+    const result = await validator.test_coverage_meets_threshold(instance, { name: 'testing' });
+
+    expect(result.passed).toBe(false);
+    expect(result.errors).toEqual(['Coverage overall 50% is below threshold 80%']);
+  });
+
+  it('should pass when coverage meets the phase threshold', async () => {
+    await mkdir(join(projectRoot, 'coverage'));
+    await writeFile(join(projectRoot, 'coverage', 'coverage-summary.json'), JSON.stringify(ISTANBUL_SUMMARY));
+
+    const instance = { options: { projectRoot } };
+    const result = await validator.test_coverage_meets_threshold(instance, { name: 'testing', coverageThreshold: 85 });
+
+    expect(result.passed).toBe(true);
+    expect(result.coverage.overall).toBe(90);
+  });
+
+  it('should fail when no coverage report exists', async () => {
+    const result = await validator.test_coverage_meets_threshold({ options: { projectRoot } }, { name: 'testing' });
+
+    expect(result.passed).toBe(false);
+    expect(result.errors[0]).toMatch(/No coverage report found/);
+  });
+});
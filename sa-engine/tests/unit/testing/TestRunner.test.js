@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TestRunner from '../../../testing/TestRunner.js';
+import TestReportParser from '../../../testing/TestReportParser.js';
+import { saRunTests } from '../../../mcp-server/tools/developer/sa-run-tests.js';
+
+describe('TestReportParser', () => {
+  it('should parse Jest JSON including suites that failed to load', () => {
+    const report = TestReportParser.parseJestJson({
+      testResults: [
+        {
+          name: '/repo/src/math.test.js',
+          startTime: 1000,
+          endTime: 1250,
+          assertionResults: [
+            { fullName: 'math adds', status: 'passed', duration: 5, failureMessages: [] },
+            { fullName: 'math divides', status: 'failed', duration: 7, failureMessages: ['Error: expected 2\n    at math.test.js:4:5'] },
+            { fullName: 'math todo', status: 'todo', failureMessages: [] }
+          ]
+        },
+        { name: '/repo/src/broken.test.js', status: 'failed', message: 'SyntaxError: Unexpected token', assertionResults: [] }
+      ]
+    }, { rootDir: '/repo' });
+
+    expect(report).toMatchObject({ total: 4, passed: 1, failed: 2, skipped: 1, duration: 250 });
+    expect(report.failures[0]).toMatchObject({ test: 'math divides', file: 'src/math.test.js', error: 'Error: expected 2' });
+    expect(report.failures[1]).toMatchObject({ file: 'src/broken.test.js', error: 'SyntaxError: Unexpected token' });
+  });
+
+  it('should parse Mocha JSON', () => {
+    const report = TestReportParser.parseMochaJson(JSON.stringify({
+      stats: { duration: 42 },
+      passes: [{ fullTitle: 'api works', file: '/repo/test/api.spec.js', duration: 3 }],
+      failures: [{ fullTitle: 'api fails', file: '/repo/test/api.spec.js', duration: 4, err: { message: 'boom', stack: 'Error: boom' } }],
+      pending: [{ fullTitle: 'api later', file: '/repo/test/api.spec.js' }]
+    }), { rootDir: '/repo' });
+
+    expect(report).toMatchObject({ total: 3, passed: 1, failed: 1, skipped: 1, duration: 42 });
+    expect(report.failures[0]).toMatchObject({ test: 'api fails', file: 'test/api.spec.js', error: 'boom' });
+  });
+
+  it('should parse JUnit XML', () => {
+    const xml = `<?xml version="1.0"?>
+<testsuites time="1.5">
+  <testsuite name="login">
+    <testcase name="signs in" classname="e2e/login.spec.ts" time="0.75"/>
+    <testcase name="rejects &quot;bad&quot; password" classname="e2e/login.spec.ts" time="0.5">
+      <failure message="expected 401 &amp; got 200">AssertionError: expected 401</failure>
+    </testcase>
+    <testcase name="remembers me" classname="e2e/login.spec.ts" time="0"><skipped/></testcase>
+  </testsuite>
+</testsuites>`;
+
+    const report = TestReportParser.parseJUnitXml(xml);
+
+    expect(report).toMatchObject({ total: 3, passed: 1, failed: 1, skipped: 1, duration: 1500 });
+    expect(report.failures[0]).toMatchObject({
+      test: 'rejects "bad" password',
+      file: 'e2e/login.spec.ts',
+      error: 'expected 401 & got 200',
+      duration: 500
+    });
+  });
+});
+
+describe('TestRunner', () => {
+  let projectPath;
+
+  const writeProject = async (files) => {
+    for (const [file, content] of Object.entries(files)) {
+      await mkdir(join(projectPath, file, '..'), { recursive: true });
+      await writeFile(join(projectPath, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  };
+
+  beforeEach(async () => {
+    projectPath = await mkdtemp(join(tmpdir(), 'sa-test-runner-'));
+  });
+
+  afterEach(async () => {
+    await rm(projectPath, { recursive: true, force: true });
+  });
+
+  it('should detect frameworks from dependencies, scripts and config files', async () => {
+    await writeProject({
+      'package.json': { scripts: { test: 'vitest run' }, devDependencies: { vitest: '^1.2.0', '@playwright/test': '^1.40.0' } },
+      'playwright.config.ts': 'export default {};'
+    });
+
+    const detection = new TestRunner().detectFrameworks(projectPath);
+
+    expect(detection.primary).toBe('vitest');
+    expect(detection.e2e).toBe('playwright');
+    expect(detection.frameworks.vitest).toMatchObject({ detected: true, version: '1.2.0', confidence: 'high' });
+    expect(detection.frameworks.playwright.configFile).toBe('playwright.config.ts');
+    expect(detection.frameworks.jest.detected).toBe(false);
+  });
+
+  it('should classify discovered test files by type', async () => {
+    await writeProject({
+      'src/util.test.js': '',
+      'tests/integration/db.test.js': '',
+      'e2e/checkout.spec.ts': '',
+      'node_modules/dep/index.test.js': ''
+    });
+
+    const files = await new TestRunner().discoverTestFiles(projectPath);
+
+    expect(files).toEqual({
+      unit: ['src/util.test.js'],
+      integration: ['tests/integration/db.test.js'],
+      e2e: ['e2e/checkout.spec.ts']
+    });
+  });
+
+  it('should run node:test suites and report real failures through sa_run_tests', async () => {
+    await writeProject({
+      'package.json': { type: 'module', scripts: { test: 'node --test' } },
+      'test/math.test.js': [
+        "import test from 'node:test';",
+        "import assert from 'node:assert';",
+        "test('adds', () => assert.strictEqual(1 + 1, 2));",
+        "test('subtracts', () => assert.strictEqual(2 - 1, 2));"
+      ].join('\n'),
+      'test/integration/flow.test.js': "import test from 'node:test';\ntest('flows', () => {});"
+    });
+
+    const result = await saRunTests.execute({
+      projectName: 'runner-fixture',
+      projectPath,
+      testTypes: ['unit', 'integration'],
+      coverage: { enabled: false }
+    });
+
+    expect(result.isError).toBeUndefined();
+    expect(result.metadata).toMatchObject({ totalTests: 3, passed: 2, failed: 1, runnerErrors: 0, qualityGatesPassed: false });
+    expect(result.metadata.frameworks).toEqual({ unit: 'node:test', integration: 'node:test' });
+    expect(result.content[0].text).toContain('subtracts');
+    expect(result.content[0].text).toContain('File: test/math.test.js');
+  }, 60000);
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ValidationGateSystem } from '../../../workflows/ValidationGateSystem.js';
+
+const JUNIT_FAILING = `<?xml version="1.0"?>
+<testsuites>
+  <testsuite name="math" tests="2" failures="1">
+    <testcase classname="math" name="adds" file="test/math.test.js"/>
+    <testcase classname="math" name="divides" file="test/math.test.js"><failure message="expected 2">boom</failure></testcase>
+  </testsuite>
+</testsuites>`;
+
+describe('ValidationGateSystem default validators', () => {
+  const gates = new ValidationGateSystem();
+  let projectRoot;
+  let instance;
+
+  const writeJson = (file, data) => writeFile(join(projectRoot, file), JSON.stringify(data));
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-gates-'));
+    instance = { options: { projectRoot }, getArtifacts: () => [] };
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  describe('codeQualityValidator', () => {
+    const validator = gates.getDefaultValidator('codeQualityValidator');
+
+    it('should run the lint script and fail on a non-zero exit', async () => {
+      await writeJson('package.json', { scripts: { lint: 'node -e "console.error(\'2 problems\'); process.exit(1)"' } });
+
+      const result = await validator.code_style_compliant(instance, { name: 'implementation' });
+
+      expect(result.passed).toBe(false);
+      expect(result.errors[0]).toContain('Lint failed with exit code 1');
+      expect(result.output).toContain('2 problems');
+    });
+
+    it('should only run a lint script the project defines', async () => {
+      await writeJson('package.json', { scripts: { 'lint:ci': 'node -e "process.exit(0)"' } });
+      expect((await validator.code_style_compliant(instance, {})).errors[0]).toMatch(/No lint script configured/);
+      expect((await validator.code_style_compliant(instance, { lintScript: 'lint:ci; touch pwned' })).passed).toBe(false);
+
+      const result = await validator.code_style_compliant(instance, { lintScript: 'lint:ci' });
+      expect(result).toMatchObject({ passed: true, command: 'npm run lint:ci' });
+    });
+
+    it('should skip ignored, dot and vendored files when scanning sources', async () => {
+      await writeFile(join(projectRoot, '.gitignore'), '# build output\ngenerated/\n/legacy.js\n');
+      for (const dir of ['src', 'generated', 'vendor', '.cache']) {
+        await mkdir(join(projectRoot, dir));
+      }
+      for (const file of ['src/app.js', 'generated/api.js', 'vendor/lib.js', '.cache/old.js', 'legacy.js', '.eslintrc.js']) {
+        await writeFile(join(projectRoot, file), 'export const value = 1;\n');
+      }
+
+      const sources = await validator.readSources(projectRoot);
+
+      expect(sources.map(source => source.file)).toEqual(['src/app.js']);
+    });
+
+    it('should block on critical static analysis findings', async () => {
+      await mkdir(join(projectRoot, 'src'));
+      await writeFile(join(projectRoot, 'src', 'run.js'), "import { exec } from 'child_process';\nexec(`rm -rf ${dir}`);\n");
+
+      const result = await validator.no_critical_issues(instance, {});
+
+      expect(result.passed).toBe(false);
+      expect(result.errors).toEqual([expect.stringContaining('src/run.js:2')]);
+    });
+
+    it('should require a README and the documents a phase creates', async () => {
+      await writeFile(join(projectRoot, 'README.md'), '# App\n\nRun `npm start` to launch the service locally.\n');
+
+      const missing = await validator.documentation_complete(instance, { creates: 'prd.md' });
+      expect(missing.errors).toEqual(['Documentation not found: prd.md']);
+
+      instance.getArtifacts = () => [{ name: 'docs/prd.md' }];
+      expect((await validator.documentation_complete(instance, { creates: 'prd.md' })).passed).toBe(true);
+    });
+  });
+
+  describe('securityValidator', () => {
+    const validator = gates.getDefaultValidator('securityValidator');
+
+    it('should fail on high severity advisories and warn on the rest', async () => {
+      await writeJson('package-lock.json', {
+        lockfileVersion: 3,
+        packages: { 'node_modules/lodash': { version: '4.17.20' }, 'node_modules/debug': { version: '2.6.8' } }
+      });
+      await writeJson('advisories.json', [
+        { id: 'GHSA-1', package: 'lodash', vulnerableVersions: '<4.17.21', severity: 'high', title: 'Prototype pollution' },
+        { id: 'GHSA-2', package: 'debug', vulnerableVersions: '<2.6.9', severity: 'low', title: 'ReDoS' }
+      ]);
+
+      const result = await validator.no_security_vulnerabilities(instance, { advisoryFile: 'advisories.json' });
+
+      expect(result.passed).toBe(false);
+      expect(result.errors).toEqual(['lodash@4.17.20 (high): Prototype pollution [GHSA-1]']);
+      expect(result.warnings).toEqual(['debug@2.6.8 (low): ReDoS [GHSA-2]']);
+    });
+
+    it('should look for authentication evidence in dependencies and source', async () => {
+      await writeJson('package.json', {});
+      expect((await validator.authentication_implemented(instance, {})).passed).toBe(false);
+
+      await mkdir(join(projectRoot, 'src'));
+      await writeFile(join(projectRoot, 'src', 'auth.js'), 'export const guard = (req) => jwt.verify(req.token, secret);\n');
+      // Sources are read once per validator, as for a single gate execution
+      const result = await gates.getDefaultValidator('securityValidator').authentication_implemented(instance, {});
+      expect(result).toMatchObject({ passed: true, evidence: ['src/auth.js:1'] });
+    });
+  });
+
+  describe('testingValidator', () => {
+    const validator = gates.getDefaultValidator('testingValidator');
+
+    it('should read configured reports for a test type', async () => {
+      await writeFile(join(projectRoot, 'junit.xml'), JUNIT_FAILING);
+
+      const result = await validator.unit_tests_passing(instance, { testReports: { unit: 'junit.xml' } });
+
+      expect(result.passed).toBe(false);
+      expect(result.errors[0]).toBe('1 of 2 unit tests failing (junit.xml)');
+    });
+
+    it('should read the latest sa_run_tests results and skip absent e2e suites', async () => {
+      await mkdir(join(projectRoot, '.super-agents', 'test-results'), { recursive: true });
+      await writeJson(join('.super-agents', 'test-results', 'test-results-app-1.json'), {
+        results: { suites: { unit: { status: 'completed', total: 3, passed: 2, failed: 1, failures: [] } } }
+      });
+      await writeJson(join('.super-agents', 'test-results', 'test-results-app-2.json'), {
+        results: { suites: { unit: { status: 'completed', total: 3, passed: 3, failed: 0, failures: [] } } }
+      });
+
+      expect((await validator.unit_tests_passing(instance, {})).passed).toBe(true);
+      expect(await validator.e2e_tests_passing(instance, {})).toMatchObject({ passed: true, warnings: ['No e2e tests found'] });
+    });
+
+    it('should fail when tests exist but have no results', async () => {
+      await mkdir(join(projectRoot, 'test'));
+      await writeFile(join(projectRoot, 'test', 'math.test.js'), 'test("x", () => {});\n');
+
+      const result = await validator.unit_tests_passing(instance, {});
+
+      expect(result.passed).toBe(false);
+      expect(result.errors[0]).toMatch(/1 unit test files found but no results/);
+    });
+  });
+
+  describe('deploymentValidator', () => {
+    const validator = gates.getDefaultValidator('deploymentValidator');
+
+    it('should require deployment scripts, monitoring and a rollback plan', async () => {
+      expect((await validator.deployment_scripts_ready(instance, {})).passed).toBe(false);
+      expect((await validator.monitoring_configured(instance, {})).passed).toBe(false);
+      expect((await validator.rollback_plan_ready(instance, {})).passed).toBe(false);
+
+      await writeJson('package.json', { scripts: { deploy: 'fly deploy' }, dependencies: { '@sentry/node': '^7.0.0' } });
+      await writeFile(join(projectRoot, 'Dockerfile'), 'FROM node:20\n');
+      await writeFile(join(projectRoot, 'DEPLOYMENT.md'), '# Deploying\n\n## Rollback\n\nRedeploy the previous image tag.\n');
+
+      expect((await validator.deployment_scripts_ready(instance, {})).evidence).toEqual(['npm script "deploy"', 'Dockerfile']);
+      expect((await validator.monitoring_configured(instance, {})).evidence).toEqual(['dependency @sentry/node']);
+      expect((await validator.rollback_plan_ready(instance, {})).evidence).toEqual(['DEPLOYMENT.md']);
+    });
+
+    it('should fail all_tests_passing without any results', async () => {
+      const result = await validator.all_tests_passing(instance, {});
+
+      expect(result.passed).toBe(false);
+      expect(result.errors[0]).toMatch(/No test results found/);
+    });
+  });
+
+  it('should report a missing projectRoot instead of passing', async () => {
+    const result = await gates.getDefaultValidator('deploymentValidator').rollback_plan_ready({ options: {} }, {});
+
+    expect(result).toEqual({ passed: false, errors: ['Cannot check rollback plan: workflow has no projectRoot'], warnings: [] });
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WorkflowStepRunner } from '../../../workflows/WorkflowStepRunner.js';
+import { WorkflowInstance } from '../../../workflows/WorkflowEngine.js';
+import { WorkflowInstanceManager } from '../../../workflows/WorkflowInstanceManager.js';
+
+const TEMPLATE = {
+  id: 'approvals',
+  type: 'greenfield',
+  sequence: [
+    { agent: 'pm', creates: 'prd.md', tool: 'write_prd' },
+    { agent: 'architect', creates: 'architecture.md', requires: 'prd.md', tool: 'write_architecture', requiresApproval: true },
+    { agent: 'po', type: 'approval', approves: 'prd.md' },
+    { agent: 'sm', creates: 'story.md', requires: 'prd.md', tool: 'write_story' }
+  ]
+};
+
+describe('Workflow approvals', () => {
+  let executeTool;
+  let instance;
+
+  beforeEach(async () => {
+    executeTool = jest.fn(async name => ({ content: [{ type: 'text', text: `# ${name}` }] }));
+    instance = new WorkflowInstance('wf-1', TEMPLATE, {}, {
+      stepRunner: new WorkflowStepRunner({ toolRegistry: { executeTool } })
+    });
+    await instance.initialize();
+    await instance.start();
+  });
+
+  it('should hold a requiresApproval step until it is approved', async () => {
+    await instance.executeCurrentPhase();
+    await instance.moveToNextPhase();
+    const result = await instance.executeCurrentPhase();
+
+    expect(result).toMatchObject({ awaitingApproval: true, approval: { artifact: 'architecture.md', status: 'pending' } });
+    expect(instance.status).toBe('awaiting-approval');
+    expect(instance.progress.completedPhases).toBe(1);
+    await expect(instance.moveToNextPhase()).rejects.toThrow('is awaiting approval');
+
+    await instance.approve({ comment: 'Looks good', decidedBy: 'lead' });
+
+    expect(instance.status).toBe('running');
+    expect(instance.phases[1].status).toBe('completed');
+    expect(instance.approvals[0]).toMatchObject({ status: 'approved', comment: 'Looks good', decidedBy: 'lead' });
+    expect(await instance.moveToNextPhase()).toBeTruthy();
+  });
+
+  it('should route a rejection back to the producing step with the comment as feedback', async () => {
+    const { status } = await instance.run();
+
+    // The PRD approval runs beside the architecture step; the story waits for it
+    expect(status).toBe('awaiting-approval');
+    expect(instance.getPendingApprovals().map(approval => approval.phaseId)).toEqual(['phase_2', 'phase_1']);
+    expect(instance.phases[3].status).toBe('pending');
+
+    await instance.reject({ phaseId: 'phase_2', comment: 'Add a non-functional requirements section' });
+
+    expect(instance.phases.map(phase => phase.status)).toEqual(['pending', 'pending', 'pending', 'pending']);
+    expect(instance.approvals.map(approval => approval.status)).toEqual(['rejected', 'superseded']);
+    expect(instance.phases[0].feedback).toBe('Add a non-functional requirements section');
+    expect(instance.progress.completedPhases).toBe(0);
+
+    executeTool.mockClear();
+    await instance.run();
+
+    expect(executeTool).toHaveBeenCalledWith('write_prd', expect.objectContaining({
+      feedback: 'Add a non-functional requirements section'
+    }), expect.anything());
+    await instance.approve({ phaseId: 'phase_1' });
+    await instance.approve({ phaseId: 'phase_2' });
+    expect(await instance.run()).toMatchObject({ status: 'completed' });
+  });
+
+  it('should pass rejection feedback to the rerun step as an input', async () => {
+    const runner = instance.getStepRunner();
+    instance.phases[0].feedback = 'Cover offline mode';
+
+    expect(await runner.collectInputs(instance, instance.phases[0])).toEqual([
+      { name: 'approval-feedback', content: 'Cover offline mode' }
+    ]);
+  });
+});
+
+describe('WorkflowInstanceManager approvals', () => {
+  let storageDir;
+
+  beforeEach(async () => {
+    storageDir = await mkdtemp(join(tmpdir(), 'sa-approvals-'));
+  });
+
+  afterEach(async () => {
+    await rm(storageDir, { recursive: true, force: true });
+  });
+
+  it('should persist pending approvals and decide them after a restart', async () => {
+    const manager = new WorkflowInstanceManager({ storageDir });
+    await manager.initialize();
+    const instance = new WorkflowInstance('wf-2', TEMPLATE, {}, {
+      stepRunner: new WorkflowStepRunner({ toolRegistry: { executeTool: async name => ({ content: [{ type: 'text', text: name }] }) } })
+    });
+    await instance.initialize();
+    await manager.registerInstance(instance);
+    await instance.start();
+    await instance.run();
+    await manager.shutdown();
+
+    const state = JSON.parse(await readFile(join(storageDir, 'active', 'wf-2', 'state.json'), 'utf-8'));
+    expect(state.status).toBe('awaiting-approval');
+    expect(state.approvals).toHaveLength(2);
+
+    const restarted = new WorkflowInstanceManager({ storageDir });
+    await restarted.initialize();
+    const result = await restarted.rejectInstance('wf-2', { phaseId: 'phase_1', comment: 'Use a queue' });
+    await restarted.shutdown();
+
+    expect(result).toMatchObject({ status: 'awaiting-approval', approval: { status: 'rejected', agent: 'architect' } });
+    const saved = JSON.parse(await readFile(join(storageDir, 'active', 'wf-2', 'state.json'), 'utf-8'));
+    expect(saved.phases[1]).toMatchObject({ status: 'pending', feedback: 'Use a queue' });
+    expect(saved.approvals.map(approval => approval.status)).toEqual(['pending', 'rejected']);
+  });
+
+  it('should restore the workspace and dependencies when approving an instance loaded from disk', async () => {
+    const projectRoot = join(storageDir, 'project');
+    const manager = new WorkflowInstanceManager({ storageDir: join(storageDir, 'store') });
+    await manager.initialize();
+    const instance = new WorkflowInstance('wf-3', TEMPLATE, { projectRoot }, {
+      stepRunner: new WorkflowStepRunner({ toolRegistry: { executeTool: async name => ({ content: [{ type: 'text', text: name }] }) } })
+    });
+    await instance.initialize();
+    await manager.registerInstance(instance);
+    await instance.start();
+    await instance.run();
+    await manager.shutdown();
+
+    const restarted = new WorkflowInstanceManager({ storageDir: join(storageDir, 'store') });
+    await restarted.initialize();
+    restarted.stopMonitoring();
+    const reloaded = restarted.getInstance('wf-3');
+    expect(reloaded.workflowDir).toBe(join(projectRoot, '.sa-workflow', 'wf-3'));
+    expect(reloaded.phases.map(phase => phase.dependsOn)).toEqual([[], ['phase_0'], ['phase_0'], ['phase_2']]);
+
+    const persist = jest.spyOn(restarted, 'persistInstance');
+    await restarted.approveInstance('wf-3', { phaseId: 'phase_2' });
+
+    expect(persist).toHaveBeenCalledTimes(1);
+
+    expect(reloaded.getReadyPhases().map(phase => phase.id)).toEqual(['phase_3']);
+    const workspace = JSON.parse(await readFile(join(reloaded.workflowDir, 'state.json'), 'utf-8'));
+    expect(workspace.approvals.find(approval => approval.phaseId === 'phase_2').status).toBe('approved');
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WorkflowConditionEvaluator } from '../../../workflows/WorkflowConditionEvaluator.js';
+import { WorkflowStepRunner } from '../../../workflows/WorkflowStepRunner.js';
+import { WorkflowInstance } from '../../../workflows/WorkflowEngine.js';
+
+const TEMPLATE = {
+  id: 'test-cycle',
+  type: 'greenfield',
+  sequence: [
+    { agent: 'sm', action: 'create_story', creates: 'story.md', repeats: 'for_each_epic' },
+    { agent: 'analyst/pm', action: 'review_draft_story', updates: 'story.md', requires: 'story.md', optional: true, condition: 'user_wants_story_review' },
+    { agent: 'dev', action: 'implement_story', creates: 'implementation_files', requires: 'story.md' },
+    { repeat_development_cycle: null, action: 'continue_for_all_stories' },
+    { agent: 'po', action: 'epic_retrospective', condition: 'epic_complete', optional: true }
+  ]
+};
+
+describe('WorkflowConditionEvaluator', () => {
+  const evaluator = new WorkflowConditionEvaluator();
+  const artifacts = {};
+  const stubInstance = (overrides = {}) => ({
+    answers: {},
+    options: {},
+    phases: [],
+    currentPhaseIndex: 0,
+    validationResults: [],
+    getArtifacts: () => Object.keys(artifacts).map(name => ({ name })),
+    getStepRunner: () => ({ readInput: async (instance, name) => artifacts[name] ?? null }),
+    ...overrides
+  });
+
+  it('should prefer recorded answers and default unanswered questions to false', async () => {
+    const instance = stubInstance({ answers: { user_wants_story_review: true } });
+
+    expect(await evaluator.evaluate(instance, 'user_wants_story_review')).toMatchObject({ value: true, source: 'answer' });
+    expect(await evaluator.evaluate(instance, '!user_wants_story_review')).toMatchObject({ value: false });
+    expect(await evaluator.evaluate(instance, 'user_has_generated_ui')).toMatchObject({ value: false, unresolved: true });
+  });
+
+  it('should read architecture suggestions and checklist results', async () => {
+    artifacts['fullstack-architecture.md'] = '# Architecture\n\n## Suggested PRD Changes\n\n- Split checkout story\n';
+    const instance = stubInstance({
+      currentPhaseIndex: 1,
+      phases: [{ agent: 'po', uses: 'po-master-checklist', status: 'completed', result: { metadata: { overallStatus: 'incomplete', completedItems: 3, totalItems: 5 } } }]
+    });
+
+    expect((await evaluator.evaluate(instance, 'architecture_suggests_prd_changes')).value).toBe(true);
+    expect(await evaluator.evaluate(instance, 'po_checklist_issues')).toEqual({
+      value: true,
+      reason: 'Checklist incomplete (3/5 items)',
+      source: 'condition'
+    });
+  });
+
+  it('should fall back to recorded gate results', async () => {
+    const instance = stubInstance({ validationResults: [{ passed: false, gates: { architecture_approved: false } }] });
+
+    expect(await evaluator.evaluate(instance, 'architecture_approved')).toMatchObject({ value: false, source: 'gate' });
+    expect((await evaluator.evaluate(instance, 'architecture_approved_failed')).value).toBe(true);
+  });
+
+  it('should parse epic sections and fall back to the epic list', () => {
+    const prd = '# PRD\n\n## Epic 1: Foundation\n\nRepo and CI.\n\n### Story 1.1\n\n## Epic 2 - Checkout\n\nPayments.\n\n## Appendix\n';
+
+    expect(evaluator.parseEpics(prd, 'prd.md')).toEqual([
+      { key: 'epic-1', number: 1, title: 'Foundation', label: 'Epic 1: Foundation', description: 'Repo and CI.', source: 'prd.md' },
+      { key: 'epic-2', number: 2, title: 'Checkout', label: 'Epic 2: Checkout', description: 'Payments.', source: 'prd.md' }
+    ]);
+    expect(evaluator.parseEpics('## Epic List\n\n- **Epic 1: Accounts**: sign up\n- Epic 2: Search\n', 'prd.md').map(epic => epic.label))
+      .toEqual(['Epic 1: Accounts', 'Epic 2: Search']);
+  });
+
+  describe('repeats', () => {
+    let projectRoot;
+    let registry;
+    let instance;
+
+    beforeEach(async () => {
+      projectRoot = await mkdtemp(join(tmpdir(), 'sa-repeats-'));
+      await mkdir(join(projectRoot, 'docs', 'prd'), { recursive: true });
+      await writeFile(join(projectRoot, 'docs', 'prd', 'epic-2-checkout.md'), '# Epic 2: Checkout\n\nCart and payments.\n');
+      await writeFile(join(projectRoot, 'docs', 'prd', 'epic-1-foundation.md'), '# Epic 1: Foundation\n\nRepo and CI.\n');
+
+      registry = { executeTool: jest.fn(async name => ({ content: [{ type: 'text', text: `# ${name}\n\n- [x] done\n` }] })) };
+      instance = new WorkflowInstance('wf-1', TEMPLATE, { projectRoot }, {
+        stepRunner: new WorkflowStepRunner({ toolRegistry: registry })
+      });
+      await instance.initialize();
+      await instance.start();
+    });
+
+    afterEach(async () => {
+      await rm(projectRoot, { recursive: true, force: true });
+    });
+
+    it('should run the story cycle once per sharded epic and skip unmet conditions', async () => {
+      const outcomes = [];
+      do {
+        const { phase, skipped } = await instance.executeCurrentPhase();
+        outcomes.push(`${phase.id} ${skipped ? 'skipped' : 'ran'}`);
+      } while (await instance.moveToNextPhase());
+
+      expect(outcomes).toEqual([
+        'phase_0_epic-1 ran',
+        'phase_1_epic-1 skipped',
+        'phase_2_epic-1 ran',
+        'phase_0_epic-2 ran',
+        'phase_1_epic-2 skipped',
+        'phase_2_epic-2 ran',
+        'phase_3 ran',
+        'phase_4 ran'
+      ]);
+      expect(instance.phases[3]).toMatchObject({
+        name: 'sm (Epic 2: Checkout)',
+        iteration: { index: 2, total: 2, key: 'epic-2', description: 'Cart and payments.' }
+      });
+      expect(registry.executeTool).toHaveBeenCalledWith('sa_create_story', expect.objectContaining({
+        storyTitle: 'Foundation: next story',
+        storyDetails: { description: 'Repo and CI.', epicId: 'epic-1' }
+      }), expect.anything());
+      expect(instance.progress.totalPhases).toBe(8);
+    });
+
+    it('should fail the repeating step when there are no epics', async () => {
+      await rm(join(projectRoot, 'docs'), { recursive: true, force: true });
+
+      await expect(instance.executeCurrentPhase()).rejects.toThrow('No epics found');
+      expect(instance.phases[0].status).toBe('failed');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { WorkflowDependencyGraph } from '../../../workflows/WorkflowDependencyGraph.js';
+import { WorkflowStepRunner } from '../../../workflows/WorkflowStepRunner.js';
+import { WorkflowInstance } from '../../../workflows/WorkflowEngine.js';
+
+const phasesFor = sequence => sequence.map((step, index) => ({ id: `phase_${index}`, name: step.agent, ...step }));
+
+describe('WorkflowDependencyGraph', () => {
+  const graph = new WorkflowDependencyGraph(value => value.split(/\s+\(/)[0]);
+
+  it('should derive dependencies from requires, creates and updates', () => {
+    const phases = graph.build(phasesFor([
+      { agent: 'pm', creates: 'prd.md' },
+      { agent: 'ux-expert', creates: 'front-end-spec.md', requires: 'prd.md' },
+      { agent: 'architect', creates: 'architecture.md', requires: 'prd.md' },
+      { agent: 'pm', updates: 'prd.md (if needed)', requires: 'architecture.md' },
+      { agent: 'po', uses: 'po-master-checklist', validates: 'all_artifacts' },
+      { agent: 'various', updates: 'any_flagged_documents' }
+    ]));
+
+    expect(phases.map(phase => phase.dependsOn)).toEqual([
+      [],
+      ['phase_0'],
+      ['phase_0'],
+      // The PRD update waits for everyone still reading the current PRD
+      ['phase_2', 'phase_1', 'phase_0'],
+      ['phase_0', 'phase_1', 'phase_2', 'phase_3'],
+      ['phase_4']
+    ]);
+  });
+
+  it('should resolve explicit after entries and reject cycles', () => {
+    const phases = graph.build(phasesFor([
+      { agent: 'analyst', creates: 'brief.md', step: 'brief' },
+      { agent: 'pm', creates: 'prd.md' },
+      { agent: 'qa', creates: 'test-plan.md', after: ['brief', 'prd.md'] }
+    ]));
+    expect(phases[2].dependsOn).toEqual(['phase_0', 'phase_1']);
+
+    expect(() => graph.build(phasesFor([
+      { agent: 'a', creates: 'a.md', after: 'b.md' },
+      { agent: 'b', creates: 'b.md', requires: 'a.md' }
+    ]))).toThrow('Dependency cycle between phases: phase_0, phase_1');
+    expect(() => graph.build(phasesFor([{ agent: 'a', after: 'missing.md' }]))).toThrow('Unknown dependency "missing.md"');
+  });
+});
+
+describe('WorkflowInstance.run', () => {
+  const TEMPLATE = {
+    id: 'parallel',
+    type: 'greenfield',
+    sequence: [
+      { agent: 'pm', creates: 'prd.md', tool: 'write_prd' },
+      { agent: 'ux-expert', creates: 'front-end-spec.md', requires: 'prd.md', tool: 'write_spec' },
+      { agent: 'architect', creates: 'architecture.md', requires: 'prd.md', tool: 'write_architecture' },
+      { agent: 'po', action: 'shard', requires: ['front-end-spec.md', 'architecture.md'], tool: 'shard' }
+    ]
+  };
+
+  const createInstance = executeTool => new WorkflowInstance('wf-1', TEMPLATE, {}, {
+    stepRunner: new WorkflowStepRunner({ toolRegistry: { executeTool } })
+  });
+
+  it('should run independent phases concurrently and join before dependents', async () => {
+    const events = [];
+    let active = 0;
+    let peak = 0;
+    const instance = createInstance(jest.fn(async name => {
+      events.push(`start ${name}`);
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+      events.push(`end ${name}`);
+      return { content: [{ type: 'text', text: name }] };
+    }));
+    await instance.initialize();
+    await instance.start();
+
+    const { status, results } = await instance.run();
+
+    expect(status).toBe('completed');
+    expect(results).toHaveLength(4);
+    expect(peak).toBe(2);
+    expect(events.slice(2, 4).sort()).toEqual(['start write_architecture', 'start write_spec']);
+    expect(events.indexOf('start shard')).toBeGreaterThan(events.indexOf('end write_architecture'));
+    expect(events.indexOf('start shard')).toBeGreaterThan(events.indexOf('end write_spec'));
+  });
+
+  it('should stop starting phases after a failure and let running ones finish', async () => {
+    const instance = createInstance(jest.fn(async name => {
+      await new Promise(resolve => setTimeout(resolve, name === 'write_spec' ? 5 : 20));
+      return name === 'write_spec'
+        ? { content: [], isError: true, metadata: { error: 'template missing' } }
+        : { content: [{ type: 'text', text: name }] };
+    }));
+    await instance.initialize();
+    await instance.start();
+
+    await expect(instance.run()).rejects.toThrow('write_spec failed: template missing');
+
+    expect(instance.status).toBe('failed');
+    expect(instance.phases.map(phase => phase.status)).toEqual(['completed', 'failed', 'completed', 'pending']);
+  });
+
+  it('should honour maxConcurrency', async () => {
+    let active = 0;
+    let peak = 0;
+    const instance = createInstance(async name => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return { content: [{ type: 'text', text: name }] };
+    });
+    await instance.initialize();
+
+    await instance.run({ maxConcurrency: 1 });
+
+    expect(peak).toBe(1);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WorkflowStepRunner } from '../../../workflows/WorkflowStepRunner.js';
+import { WorkflowInstance } from '../../../workflows/WorkflowEngine.js';
+
+const TEMPLATE = {
+  id: 'test-greenfield',
+  name: 'Test Greenfield',
+  type: 'greenfield',
+  sequence: [
+    { agent: 'analyst', creates: 'project-brief.md' },
+    { agent: 'pm', creates: 'prd.md', requires: 'project-brief.md' },
+    { agent: 'various', action: 'review documents', notes: 'Hand-off step' }
+  ]
+};
+
+describe('WorkflowStepRunner', () => {
+  let projectRoot;
+  let registry;
+  let instance;
+
+  beforeEach(async () => {
+    projectRoot = await mkdtemp(join(tmpdir(), 'sa-steps-'));
+    registry = {
+      executeTool: jest.fn(async (name, args) => ({
+        content: [{ type: 'text', text: `# ${name}\n\nOutput for ${args.productName || args.projectName}.` }],
+        metadata: { tool: name }
+      }))
+    };
+    instance = new WorkflowInstance('wf-1', TEMPLATE, { projectRoot, projectName: 'Acme Shop' }, {
+      stepRunner: new WorkflowStepRunner({ toolRegistry: registry })
+    });
+    await instance.initialize();
+  });
+
+  afterEach(async () => {
+    await rm(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should map YAML steps onto their tools', () => {
+    const runner = new WorkflowStepRunner();
+
+    expect(runner.resolveTool({ agent: 'architect', creates: 'fullstack-architecture.md' }).tool).toBe('sa_create_architecture');
+    expect(runner.resolveTool({ agent: 'analyst/pm', action: 'review_draft_story' }).tool).toBe('sa_validate_story_draft');
+    expect(runner.resolveTool({ agent: 'po', uses: 'po-master-checklist', validates: 'all_artifacts' }).tool).toBe('sa_execute_checklist');
+    expect(runner.resolveTool({ agent: 'pm', creates: 'prd.md', tool: 'custom_tool' }).tool).toBe('custom_tool');
+    expect(runner.resolveTool({ agent: 'various', action: 'review documents' })).toBeNull();
+  });
+
+  it('should run steps through their tools and feed artifacts forward', async () => {
+    const brief = await instance.executeCurrentPhase();
+    await instance.moveToNextPhase();
+    const prd = await instance.executeCurrentPhase();
+
+    expect(brief.result).toMatchObject({ executed: true, tool: 'sa_create_brief', artifacts: ['project-brief.md'] });
+    expect(prd.result).toMatchObject({ tool: 'sa_generate_prd', inputs: ['project-brief.md'], artifacts: ['prd.md'] });
+    expect(registry.executeTool).toHaveBeenLastCalledWith('sa_generate_prd', expect.objectContaining({
+      productName: 'Acme Shop',
+      projectType: 'greenfield',
+      productInfo: { vision: 'Output for Acme Shop.' }
+    }), expect.objectContaining({ workflowInstanceId: 'wf-1' }));
+
+    const artifact = instance.getArtifacts().find(candidate => candidate.name === 'prd.md');
+    expect(artifact).toMatchObject({ type: 'requirements', tool: 'sa_generate_prd' });
+    expect(await readFile(artifact.path, 'utf-8')).toContain('# sa_generate_prd');
+  });
+
+  it('should complete steps without a tool as manual', async () => {
+    instance.currentPhaseIndex = 2;
+
+    const { result } = await instance.executeCurrentPhase();
+
+    expect(result).toMatchObject({ executed: false, manual: true, notes: 'Hand-off step', artifacts: [] });
+    expect(registry.executeTool).not.toHaveBeenCalled();
+  });
+
+  it('should fail a step whose required artifact is missing or whose tool errors', async () => {
+    instance.currentPhaseIndex = 1;
+    await expect(instance.executeCurrentPhase()).rejects.toThrow('Required artifact not available for phase "pm": project-brief.md');
+
+    instance.currentPhaseIndex = 0;
+    registry.executeTool.mockResolvedValueOnce({ content: [], isError: true, metadata: { error: 'bad input' } });
+    await expect(instance.executeCurrentPhase()).rejects.toThrow('sa_create_brief failed: bad input');
+  });
+});
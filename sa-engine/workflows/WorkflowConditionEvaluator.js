@@ -0,0 +1,329 @@
+/**
+ * Workflow Condition Evaluator
+ * Decides whether conditional and optional workflow steps run, and resolves the items
+ * a repeating step (`repeats: for_each_epic`) iterates over
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const EPIC_HEADING = /^(#{1,4})\s+Epic\s+(\d+)\b\s*[:.\-–—]?\s*(.*)$/i;
+const EPIC_LIST_ITEM = /^\s*(?:[-*]|\d+\.)\s+\**Epic\s+(\d+)\b\s*[:.\-–—]?\s*([^:*\n]*)/i;
+const EPIC_FILE = /^epic[-_ ]?(\d+)/i;
+const PRD_CHANGE_PATTERN = /^#+.*\b(prd|story|stories|requirements?)\s+(changes|updates)\b|\b(suggest|recommend|propose)\w*\s+(changes|updates)\s+to\s+the\s+(prd|stories|requirements)\b/im;
+const UNCHECKED_ITEM = /^\s*[-*]\s+\[ \]/m;
+
+/**
+ * Built-in conditions used by the workflow YAMLs. Each returns { value, reason },
+ * or undefined when there is nothing to base a decision on yet.
+ */
+const BUILT_IN_CONDITIONS = {
+  architecture_suggests_prd_changes: (evaluator, instance) => evaluator.architectureSuggestsChanges(instance),
+  architecture_suggests_changes: (evaluator, instance) => evaluator.architectureSuggestsChanges(instance),
+  po_checklist_issues: (evaluator, instance, phase) => evaluator.checklistIssues(instance, phase),
+  validation_issues_found: (evaluator, instance, phase) => evaluator.checklistIssues(instance, phase),
+  qa_left_unchecked_items: (evaluator, instance, phase) => evaluator.qaFeedback(instance, phase),
+  qa_feedback_exists: (evaluator, instance, phase) => evaluator.qaFeedback(instance, phase),
+  epic_complete: (evaluator, instance) => evaluator.loopComplete(instance),
+  after_prd_creation: (evaluator, instance) => evaluator.artifactExists(instance, 'prd.md')
+};
+
+export class WorkflowConditionEvaluator {
+  constructor(options = {}) {
+    this.conditions = new Map(Object.entries(BUILT_IN_CONDITIONS));
+    for (const [name, condition] of Object.entries(options.conditions || {})) {
+      this.conditions.set(name, condition);
+    }
+  }
+
+  /**
+   * Register a named condition
+   * @param {string} name - Condition name as used in workflow YAML
+   * @param {Function} condition - async (evaluator, instance, phase) => { value, reason } | undefined
+   */
+  registerCondition(name, condition) {
+    this.conditions.set(name, condition);
+  }
+
+  /**
+   * Decide whether a phase runs
+   * @param {WorkflowInstance} instance - Workflow instance
+   * @param {Object} phase - Phase about to execute
+   * @returns {Promise<Object>} { run, reason }
+   */
+  async shouldRun(instance, phase) {
+    if (phase.condition) {
+      const result = await this.evaluate(instance, phase.condition, phase);
+      return { run: result.value, reason: result.reason };
+    }
+
+    if (phase.optional) {
+      if (instance.answers?.[phase.id] === false) {
+        return { run: false, reason: 'Optional step declined' };
+      }
+      if (instance.options?.skipOptionalSteps) {
+        return { run: false, reason: 'Optional steps are skipped for this workflow' };
+      }
+    }
+
+    return { run: true, reason: null };
+  }
+
+  /**
+   * Evaluate a named condition. Recorded user answers win, then built-in and registered
+   * conditions, then gate results recorded under the same name.
+   * @returns {Promise<Object>} { value, reason, source }
+   */
+  async evaluate(instance, condition, phase = null) {
+    const expression = String(condition).trim();
+    if (expression.startsWith('!')) {
+      const result = await this.evaluate(instance, expression.slice(1), phase);
+      return { ...result, value: !result.value };
+    }
+
+    const answers = instance.answers || {};
+    if (Object.prototype.hasOwnProperty.call(answers, expression)) {
+      const value = Boolean(answers[expression]);
+      return { value, reason: `User answered ${value ? 'yes' : 'no'} to "${expression}"`, source: 'answer' };
+    }
+
+    const builtIn = this.conditions.get(expression);
+    if (builtIn) {
+      const result = await builtIn(this, instance, phase);
+      if (result) {
+        return { ...result, value: Boolean(result.value), source: 'condition' };
+      }
+    }
+
+    const gate = this.gateResult(instance, expression);
+    if (gate) {
+      return gate;
+    }
+
+    return { value: false, reason: `No answer recorded for "${expression}"`, source: 'default', unresolved: true };
+  }
+
+  /**
+   * Latest recorded result of a validation gate; "<gate>_failed" inverts it
+   */
+  gateResult(instance, name) {
+    const failed = name.endsWith('_failed');
+    const gateName = failed ? name.slice(0, -'_failed'.length) : name;
+
+    const recorded = [...(instance.validationResults || [])]
+      .reverse()
+      .find(result => result.gates && Object.prototype.hasOwnProperty.call(result.gates, gateName));
+
+    if (!recorded) {
+      return null;
+    }
+
+    const passed = Boolean(recorded.gates[gateName]);
+    return {
+      value: failed ? !passed : passed,
+      reason: `Validation gate "${gateName}" ${passed ? 'passed' : 'failed'}`,
+      source: 'gate'
+    };
+  }
+
+  async architectureSuggestsChanges(instance) {
+    const artifact = this.latestArtifact(instance, artifact => /architecture/.test(artifact.name));
+    if (!artifact) {
+      return undefined;
+    }
+
+    const content = await this.readArtifact(instance, artifact.name);
+    const value = PRD_CHANGE_PATTERN.test(content);
+    return { value, reason: `${artifact.name} ${value ? 'suggests' : 'does not suggest'} PRD changes` };
+  }
+
+  async checklistIssues(instance, phase) {
+    const failedGates = (instance.validationResults || []).filter(result => result.passed === false);
+    if (failedGates.length > 0) {
+      return { value: true, reason: `${failedGates.length} validation gate run(s) failed` };
+    }
+
+    const checklist = this.latestResult(instance, phase, candidate =>
+      /checklist/.test(candidate.uses || '') || candidate.result?.tool === 'sa_execute_checklist'
+    );
+    if (!checklist) {
+      return undefined;
+    }
+
+    const { overallStatus, completedItems, totalItems } = checklist.result.metadata || {};
+    const value = Boolean(overallStatus) && overallStatus !== 'completed';
+    return {
+      value,
+      reason: `Checklist ${overallStatus || 'finished'} (${completedItems ?? '?'}/${totalItems ?? '?'} items)`
+    };
+  }
+
+  async qaFeedback(instance, phase) {
+    const review = this.latestResult(instance, phase, candidate => String(candidate.agent || '').split('/').includes('qa'));
+    const approvalStatus = review?.result.metadata?.approvalStatus;
+    if (approvalStatus && approvalStatus !== 'approved') {
+      return { value: true, reason: `QA review ${approvalStatus}` };
+    }
+
+    const name = review?.updates || review?.creates || 'implementation_files';
+    if (!this.latestArtifact(instance, artifact => artifact.name === name)) {
+      return review ? { value: false, reason: 'QA review approved' } : undefined;
+    }
+
+    const value = UNCHECKED_ITEM.test(await this.readArtifact(instance, name));
+    return { value, reason: value ? `${name} has unchecked items` : `${name} has no unchecked items` };
+  }
+
+  async loopComplete(instance) {
+    const iterations = (instance.phases || []).filter(phase => phase.iteration);
+    if (iterations.length === 0) {
+      return undefined;
+    }
+
+    const open = iterations.filter(phase => !['completed', 'skipped'].includes(phase.status));
+    return {
+      value: open.length === 0,
+      reason: open.length === 0 ? `All ${iterations.length} repeated steps finished` : `${open.length} repeated steps still open`
+    };
+  }
+
+  async artifactExists(instance, name) {
+    const value = Boolean(this.latestArtifact(instance, artifact => artifact.name === name));
+    return { value, reason: `${name} ${value ? 'exists' : 'has not been created'}` };
+  }
+
+  /**
+   * Items a repeating step iterates over
+   * @param {WorkflowInstance} instance - Workflow instance
+   * @param {Object} phase - Phase with `repeats`
+   * @returns {Promise<Object[]>} [{ key, number, title, label, description, source }]
+   */
+  async resolveRepeatItems(instance, phase) {
+    switch (phase.repeats) {
+      case 'for_each_epic': {
+        const epics = await this.readEpics(instance);
+        if (epics.length === 0) {
+          throw new Error('No epics found in the sharded PRD (docs/prd/epic-*.md) or prd.md');
+        }
+        return epics;
+      }
+      case 'for_each_epic_or_enhancement': {
+        const epics = await this.readEpics(instance);
+        if (epics.length > 0) {
+          return epics;
+        }
+        // A brownfield enhancement without epics is a single story cycle
+        const title = instance.options?.projectName || 'Enhancement';
+        return [{ key: 'enhancement', number: 1, title, label: title, description: '', source: null }];
+      }
+      default:
+        throw new Error(`Unsupported repeat: ${phase.repeats}`);
+    }
+  }
+
+  /**
+   * Epics from sharded epic files, falling back to the PRD's epic headings or epic list
+   */
+  async readEpics(instance) {
+    const projectRoot = instance.options?.projectRoot;
+
+    if (projectRoot) {
+      const shardDir = path.join(projectRoot, 'docs', 'prd');
+      const files = await fs.readdir(shardDir).catch(() => []);
+      const epics = [];
+
+      for (const file of files.filter(name => EPIC_FILE.test(name) && name.endsWith('.md'))) {
+        const content = await fs.readFile(path.join(shardDir, file), 'utf-8');
+        const number = Number(file.match(EPIC_FILE)[1]);
+        const heading = content.split('\n').find(line => /^#\s/.test(line)) || '';
+        const title = heading.replace(/^#\s*/, '').replace(/^Epic\s+\d+\b\s*[:.\-–—]?\s*/i, '').trim();
+        epics.push(this.epicItem(number, title, content, path.join('docs', 'prd', file)));
+      }
+
+      if (epics.length > 0) {
+        return epics.sort((a, b) => a.number - b.number);
+      }
+    }
+
+    const prd = await this.readArtifact(instance, 'prd.md');
+    return prd ? this.parseEpics(prd, 'prd.md') : [];
+  }
+
+  /**
+   * Parse "## Epic 1: Title" sections, or "- Epic 1: Title" list entries when there are none
+   */
+  parseEpics(content, source) {
+    const sections = [];
+    let current = null;
+
+    for (const line of content.split('\n')) {
+      const match = line.match(EPIC_HEADING);
+      if (match) {
+        current = { number: Number(match[2]), title: match[3].trim(), level: match[1].length, lines: [] };
+        sections.push(current);
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s/);
+      if (current && heading && heading[1].length <= current.level) {
+        current = null;
+      }
+      current?.lines.push(line);
+    }
+
+    if (sections.length === 0) {
+      for (const line of content.split('\n')) {
+        const match = line.match(EPIC_LIST_ITEM);
+        if (match && !sections.some(section => section.number === Number(match[1]))) {
+          sections.push({ number: Number(match[1]), title: match[2].trim(), lines: [] });
+        }
+      }
+    }
+
+    const epics = new Map();
+    for (const section of sections) {
+      if (!epics.has(section.number)) {
+        epics.set(section.number, this.epicItem(section.number, section.title, section.lines.join('\n'), source));
+      }
+    }
+    return [...epics.values()];
+  }
+
+  epicItem(number, title, content, source) {
+    const description = content
+      .split(/\n\s*\n/)
+      .find(block => block.trim() && !/^\s*[#|>`-]/.test(block)) || '';
+
+    return {
+      key: `epic-${number}`,
+      number,
+      title: title || `Epic ${number}`,
+      label: title ? `Epic ${number}: ${title}` : `Epic ${number}`,
+      description: description.trim().slice(0, 500),
+      source
+    };
+  }
+
+  latestArtifact(instance, predicate) {
+    return [...(instance.getArtifacts?.() || [])].reverse().find(predicate) || null;
+  }
+
+  /**
+   * Latest phase in sequence before the given one (or the current one) that ran a tool
+   * and matches the predicate
+   */
+  latestResult(instance, phase, predicate) {
+    const phases = instance.phases || [];
+    const index = phase && phases.includes(phase) ? phases.indexOf(phase) : instance.currentPhaseIndex;
+    return phases
+      .slice(0, index)
+      .reverse()
+      .find(phase => phase.status === 'completed' && phase.result && predicate(phase)) || null;
+  }
+
+  async readArtifact(instance, name) {
+    return (await instance.getStepRunner().readInput(instance, name)) || '';
+  }
+}
+
+export default WorkflowConditionEvaluator;
@@ -0,0 +1,162 @@
+/**
+ * Workflow Dependency Graph
+ * Derives phase dependencies from workflow YAML (`requires`/`creates`/`updates`, or an
+ * explicit `after:`) so independent phases can run concurrently
+ */
+
+export class WorkflowDependencyGraph {
+  /**
+   * @param {Function} artifactName - Normalizes creates/updates/requires entries
+   */
+  constructor(artifactName = value => value) {
+    this.artifactName = artifactName;
+  }
+
+  /**
+   * Set `dependsOn` on every phase.
+   * - `after:` lists phase ids, step names or artifacts and replaces derived dependencies
+   * - a phase depends on the latest earlier producer of each artifact it requires, and a
+   *   producer also waits for earlier readers and writers of the artifact it writes
+   * - an approval step depends on the producer of the artifact it `approves`, and later
+   *   readers of that artifact depend on the approval step
+   * - `all_artifacts` requirements depend on every earlier phase
+   * - a phase that requires nothing keeps its place in the sequence
+   * @param {Object[]} phases - Phases in sequence order
+   * @returns {Object[]} The same phases
+   */
+  build(phases) {
+    const producers = new Map();
+    const readers = new Map();
+
+    phases.forEach((phase, index) => {
+      const required = this.names([].concat(phase.requires || [], phase.approves || []));
+      const produced = this.names([phase.creates, phase.updates]);
+      const dependsOn = new Set();
+
+      if (required.some(name => name.startsWith('all_artifacts')) || String(phase.validates || '').startsWith('all_artifacts')) {
+        phases.slice(0, index).forEach(previous => dependsOn.add(previous.id));
+      } else if (required.length > 0) {
+        for (const name of required) {
+          for (const alternative of name.split('_or_')) {
+            if (producers.has(alternative)) {
+              dependsOn.add(producers.get(alternative));
+            }
+          }
+        }
+      } else if (index > 0) {
+        dependsOn.add(phases[index - 1].id);
+      }
+
+      for (const name of produced) {
+        (readers.get(name) || []).forEach(id => dependsOn.add(id));
+        if (producers.has(name)) {
+          dependsOn.add(producers.get(name));
+        }
+      }
+
+      dependsOn.delete(phase.id);
+      phase.dependsOn = [...dependsOn];
+
+      for (const name of required) {
+        for (const alternative of name.split('_or_')) {
+          readers.set(alternative, [...(readers.get(alternative) || []), phase.id]);
+        }
+      }
+      for (const name of produced) {
+        producers.set(name, phase.id);
+        readers.set(name, []);
+      }
+      if (phase.type === 'approval') {
+        // Later readers of an approved artifact wait for the sign-off, not just the write
+        this.names(phase.approves).forEach(name => producers.set(name, phase.id));
+      }
+    });
+
+    for (const phase of phases) {
+      if (phase.after) {
+        phase.dependsOn = [].concat(phase.after).map(ref => this.resolveReference(phases, phase, ref));
+      }
+    }
+
+    this.assertAcyclic(phases);
+    return phases;
+  }
+
+  /**
+   * Resolve an `after:` entry to a phase id
+   */
+  resolveReference(phases, phase, ref) {
+    const byId = phases.find(candidate => candidate.id === ref || candidate.step === ref);
+    if (byId) {
+      return byId.id;
+    }
+
+    const name = this.artifactName(ref);
+    const index = phases.indexOf(phase);
+    const producers = phases.filter(candidate => this.names([candidate.creates, candidate.updates]).includes(name));
+    const producer = producers.filter(candidate => phases.indexOf(candidate) < index).pop() || producers[0];
+    if (!producer) {
+      throw new Error(`Unknown dependency "${ref}" in phase "${phase.name}"`);
+    }
+    return producer.id;
+  }
+
+  /**
+   * Throw when the dependencies contain a cycle
+   */
+  assertAcyclic(phases) {
+    const remaining = new Map(phases.map(phase => [phase.id, new Set(phase.dependsOn || [])]));
+    const ids = new Set(remaining.keys());
+
+    let progressed = true;
+    while (remaining.size > 0 && progressed) {
+      progressed = false;
+      for (const [id, dependencies] of remaining) {
+        if ([...dependencies].every(dependency => !remaining.has(dependency) || !ids.has(dependency))) {
+          remaining.delete(id);
+          progressed = true;
+        }
+      }
+    }
+
+    if (remaining.size > 0) {
+      throw new Error(`Dependency cycle between phases: ${[...remaining.keys()].join(', ')}`);
+    }
+  }
+
+  /**
+   * Wire the copies of an expanded repeat block: copies depend on their own iteration's
+   * members, each iteration waits for the previous one, and phases that depended on the
+   * block wait for its last iteration
+   * @param {Object[]} phases - All phases, with the copies already spliced in
+   * @param {string[]} blockIds - Ids of the original block members
+   * @param {Object[][]} iterations - Copies per iteration, in block order
+   */
+  rewireExpansion(phases, blockIds, iterations) {
+    const copyId = (id, iteration) => iteration[blockIds.indexOf(id)].id;
+
+    iterations.forEach((iteration, index) => {
+      iteration.forEach((copy, position) => {
+        const dependsOn = copy.dependsOn.map(id => (blockIds.includes(id) ? copyId(id, iteration) : id));
+        if (position === 0 && index > 0) {
+          dependsOn.push(iterations[index - 1][iteration.length - 1].id);
+        }
+        copy.dependsOn = [...new Set(dependsOn)];
+      });
+    });
+
+    const last = iterations[iterations.length - 1];
+    const copies = new Set(iterations.flat());
+    for (const phase of phases) {
+      if (!copies.has(phase) && phase.dependsOn) {
+        phase.dependsOn = [...new Set(phase.dependsOn.map(id => (blockIds.includes(id) ? copyId(id, last) : id)))];
+      }
+    }
+  }
+
+  names(values) {
+    return [].concat(values || []).filter(Boolean).map(value => this.artifactName(value)).filter(Boolean);
+  }
+}
+
+export default WorkflowDependencyGraph;
@@ -8,10 +8,18 @@ import path from 'path';
 import { EventEmitter } from 'events';
 import yaml from 'yaml';
 import { v4 as uuidv4 } from 'uuid';
+import { WorkflowStepRunner } from './WorkflowStepRunner.js';
+import { WorkflowConditionEvaluator } from './WorkflowConditionEvaluator.js';
+import { WorkflowDependencyGraph } from './WorkflowDependencyGraph.js';
+
+const FINISHED_PHASE_STATUSES = ['completed', 'skipped'];
+const DEFAULT_MAX_CONCURRENCY = 3;
 
 export class WorkflowEngine extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    this.stepRunner = options.stepRunner || new WorkflowStepRunner({ toolRegistry: options.toolRegistry });
+    this.conditionEvaluator = options.conditionEvaluator || new WorkflowConditionEvaluator();
     this.workflows = new Map();
     this.activeInstances = new Map();
     this.templateCache = new Map();
@@ -125,7 +133,10 @@ export class WorkflowEngine extends EventEmitter {
       }
 
       const instanceId = uuidv4();
-      const instance = new WorkflowInstance(instanceId, template, options);
+      const instance = new WorkflowInstance(instanceId, template, options, {
+        stepRunner: this.stepRunner,
+        conditionEvaluator: this.conditionEvaluator
+      });
       await instance.initialize();
 
       this.activeInstances.set(instanceId, instance);
@@ -134,6 +145,10 @@ export class WorkflowEngine extends EventEmitter {
       instance.on('phase:started', (data) => this.emit('instance:phase:started', { instanceId, ...data }));
       instance.on('phase:completed', (data) => this.emit('instance:phase:completed', { instanceId, ...data }));
       instance.on('phase:failed', (data) => this.emit('instance:phase:failed', { instanceId, ...data }));
+      instance.on('phase:skipped', (data) => this.emit('instance:phase:skipped', { instanceId, ...data }));
+      instance.on('approval:requested', (data) => this.emit('instance:approval:requested', { instanceId, ...data }));
+      instance.on('approval:approved', (data) => this.emit('instance:approval:approved', { instanceId, ...data }));
+      instance.on('approval:rejected', (data) => this.emit('instance:approval:rejected', { instanceId, ...data }));
       instance.on('workflow:completed', (data) => this.emit('instance:completed', { instanceId, ...data }));
       instance.on('workflow:failed', (data) => this.emit('instance:failed', { instanceId, ...data }));
 
@@ -186,16 +201,11 @@ export class WorkflowEngine extends EventEmitter {
         throw new Error(`Workflow instance not found: ${instanceId}`);
       }
 
-      const currentPhase = instance.getCurrentPhase();
-      if (!currentPhase) {
+      if (!instance.getCurrentPhase()) {
         throw new Error('No current phase to execute');
       }
 
-      // Run validation gates before phase execution
-      const gateResult = await this.runValidationGates(instance, currentPhase);
-      if (!gateResult.passed) {
-        throw new Error(`Validation gate failed: ${gateResult.errors.join(', ')}`);
-      }
+      await this.checkPhaseGates(instance, instance.getCurrentPhase());
 
       const result = await instance.executeCurrentPhase(phaseOptions);
       this.addToExecutionQueue(instanceId, 'next_phase');
@@ -207,6 +217,48 @@ export class WorkflowEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Run the remaining phases of a workflow, independent phases concurrently
+   * @param {string} instanceId - Workflow instance
+   * @param {Object} options - { maxConcurrency, phaseOptions }
+   */
+  async runWorkflow(instanceId, options = {}) {
+    try {
+      const instance = this.activeInstances.get(instanceId);
+      if (!instance) {
+        throw new Error(`Workflow instance not found: ${instanceId}`);
+      }
+
+      if (instance.status === 'initialized') {
+        await instance.start();
+      }
+
+      return await instance.run({
+        ...options,
+        beforePhase: (runningInstance, phase) => this.checkPhaseGates(runningInstance, phase)
+      });
+    } catch (error) {
+      this.emit('engine:error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a phase's validation gates before it executes and record the result.
+   * Expands repeats and evaluates the step condition first; skipped steps have no gates to pass.
+   */
+  async checkPhaseGates(instance, phase) {
+    const { phase: prepared, run } = await instance.preparePhase(phase);
+
+    if (run && prepared.validationGates?.length > 0) {
+      const gateResult = await this.runValidationGates(instance, prepared);
+      instance.setValidationResult({ phaseId: prepared.id, ...gateResult });
+      if (!gateResult.passed) {
+        throw new Error(`Validation gate failed: ${gateResult.errors.join(', ')}`);
+      }
+    }
+  }
+
   /**
    * Run validation gates for phase transitions
    */
@@ -214,7 +266,8 @@ export class WorkflowEngine extends EventEmitter {
     const result = {
       passed: true,
       errors: [],
-      warnings: []
+      warnings: [],
+      gates: {}
     };
 
     if (!phase.validationGates || phase.validationGates.length === 0) {
@@ -230,6 +283,7 @@ export class WorkflowEngine extends EventEmitter {
 
       try {
         const gateResult = await gate.validator(instance, phase);
+        result.gates[gateName] = gateResult.passed;
         if (!gateResult.passed) {
           result.passed = false;
           result.errors.push(...gateResult.errors);
@@ -239,6 +293,7 @@ export class WorkflowEngine extends EventEmitter {
         }
       } catch (error) {
         result.passed = false;
+        result.gates[gateName] = false;
         result.errors.push(`Validation gate error (${gateName}): ${error.message}`);
       }
     }
@@ -316,6 +371,10 @@ export class WorkflowEngine extends EventEmitter {
    * Handle phase progression
    */
   async handlePhaseProgression(instance) {
+    if (instance.status === 'awaiting-approval') {
+      return;
+    }
+
     const status = instance.getStatus();
     
     if (status.currentPhaseIndex < status.totalPhases - 1) {
@@ -416,12 +475,14 @@ export class WorkflowEngine extends EventEmitter {
   async validateImplementationReadiness(instance, phase) {
     const result = { passed: true, errors: [], warnings: [] };
     
-    // Check if previous phases are complete
+    // Check if the phases this one depends on (or all previous phases) are complete
     const status = instance.getStatus();
-    const previousPhases = status.phases.slice(0, status.currentPhaseIndex);
+    const previousPhases = phase?.dependsOn
+      ? status.phases.filter(candidate => phase.dependsOn.includes(candidate.id))
+      : status.phases.slice(0, status.currentPhaseIndex);
     
     for (const prevPhase of previousPhases) {
-      if (prevPhase.status !== 'completed') {
+      if (prevPhase.status !== 'completed' && prevPhase.status !== 'skipped') {
         result.passed = false;
         result.errors.push(`Previous phase not completed: ${prevPhase.name}`);
       }
@@ -513,11 +574,18 @@ export class WorkflowEngine extends EventEmitter {
  * Workflow Instance class for managing individual workflow executions
  */
 export class WorkflowInstance extends EventEmitter {
-  constructor(instanceId, template, options = {}) {
+  constructor(instanceId, template, options = {}, services = {}) {
     super();
     this.instanceId = instanceId;
     this.template = template;
     this.options = options;
+    // Runtime collaborators are kept out of options so they are never persisted
+    this.stepRunner = services.stepRunner || null;
+    this.conditionEvaluator = services.conditionEvaluator || new WorkflowConditionEvaluator();
+    // Answers to workflow questions such as user_wants_story_review, keyed by condition name
+    this.answers = { ...(options.answers || {}) };
+    this.dependencyGraph = new WorkflowDependencyGraph(name => this.getStepRunner().artifactName(name));
+    this.stateWrite = Promise.resolve();
     this.status = 'initializing';
     this.currentPhaseIndex = 0;
     this.phases = [];
@@ -536,20 +604,31 @@ export class WorkflowInstance extends EventEmitter {
       quality_gates: []
     };
     this.validationResults = [];
+    this.approvals = [];
   }
 
   async initialize() {
     this.phases = this.template.sequence?.map((step, index) => ({
       id: `phase_${index}`,
+      step: step.step,
+      type: step.type,
       name: step.step || step.agent || `Phase ${index + 1}`,
       description: step.notes || step.action || '',
       status: 'pending',
       agent: step.agent,
       action: step.action,
       uses: step.uses,
+      tool: step.tool,
       creates: step.creates,
+      updates: step.updates,
       requires: step.requires,
+      validates: step.validates,
+      after: step.after,
       condition: step.condition,
+      optional: Boolean(step.optional),
+      repeats: step.repeats,
+      approves: step.approves,
+      requiresApproval: Boolean(step.requiresApproval),
       validationGates: step.validationGates || [],
       startedAt: null,
       completedAt: null,
@@ -558,12 +637,34 @@ export class WorkflowInstance extends EventEmitter {
       notes: step.notes
     })) || [];
 
+    this.markRepeatBlocks();
+    this.dependencyGraph.build(this.phases);
     this.progress.totalPhases = this.phases.length;
     this.status = 'initialized';
 
     await this.createWorkspaceStructure();
   }
 
+  /**
+   * A repeating step carries the steps after it up to the `continue_for_all_stories`
+   * marker, so the whole story cycle runs once per epic
+   */
+  markRepeatBlocks() {
+    this.phases.forEach((phase, index) => {
+      if (!phase.repeats) {
+        return;
+      }
+
+      const end = this.phases.findIndex((candidate, position) =>
+        position > index && candidate.action === 'continue_for_all_stories'
+      );
+      const block = end === -1 ? [phase] : this.phases.slice(index, end);
+      block.forEach(member => {
+        member.repeatBlock = phase.id;
+      });
+    });
+  }
+
   async createWorkspaceStructure() {
     if (!this.options.projectRoot) {
       return;
@@ -601,18 +702,46 @@ export class WorkflowInstance extends EventEmitter {
       throw new Error('No current phase to execute');
     }
 
-    const currentPhase = this.phases[this.currentPhaseIndex];
+    return this.executePhase(this.phases[this.currentPhaseIndex], phaseOptions);
+  }
+
+  /**
+   * Execute one phase: expand it if it repeats, skip it if its condition is not met,
+   * otherwise run it through the step runner
+   * @param {Object} phase - Phase to execute
+   * @param {Object} phaseOptions - Options passed to the step runner
+   */
+  async executePhase(phase, phaseOptions = {}) {
+    if (phase?.status === 'awaiting-approval') {
+      throw new Error(`Phase "${phase.name}" is awaiting approval`);
+    }
+
+    const { phase: currentPhase, run, reason } = await this.preparePhase(phase);
+    if (!run) {
+      return this.skipPhase(currentPhase, reason);
+    }
+
+    if (currentPhase.type === 'approval') {
+      return this.requestApproval(currentPhase, this.findProducer(currentPhase));
+    }
+
     currentPhase.status = 'executing';
+    currentPhase.startedAt = currentPhase.startedAt || new Date().toISOString();
     
     this.emit('phase:started', { 
       instanceId: this.instanceId, 
       phase: currentPhase,
-      phaseIndex: this.currentPhaseIndex 
+      phaseIndex: this.phases.indexOf(currentPhase)
     });
 
     try {
       // Execute phase logic based on agent and action
       const result = await this.executePhaseLogic(currentPhase, phaseOptions);
+      currentPhase.result = { executed: result.executed, tool: result.tool, metadata: result.metadata };
+
+      if (currentPhase.requiresApproval) {
+        return this.requestApproval(currentPhase, currentPhase, result);
+      }
       
       currentPhase.status = 'completed';
       currentPhase.completedAt = new Date().toISOString();
@@ -626,7 +755,7 @@ export class WorkflowInstance extends EventEmitter {
       this.emit('phase:completed', { 
         instanceId: this.instanceId, 
         phase: currentPhase,
-        phaseIndex: this.currentPhaseIndex,
+        phaseIndex: this.phases.indexOf(currentPhase),
         result 
       });
 
@@ -634,7 +763,7 @@ export class WorkflowInstance extends EventEmitter {
         success: true,
         phase: currentPhase,
         result,
-        nextPhase: this.currentPhaseIndex < this.phases.length - 1 ? this.phases[this.currentPhaseIndex + 1] : null
+        nextPhase: this.phases[this.phases.indexOf(currentPhase) + 1] || null
       };
 
     } catch (error) {
@@ -646,7 +775,7 @@ export class WorkflowInstance extends EventEmitter {
       this.emit('phase:failed', { 
         instanceId: this.instanceId, 
         phase: currentPhase,
-        phaseIndex: this.currentPhaseIndex,
+        phaseIndex: this.phases.indexOf(currentPhase),
         error 
       });
 
@@ -654,20 +783,372 @@ export class WorkflowInstance extends EventEmitter {
     }
   }
 
-  async executePhaseLogic(phase, options) {
-    // This is where the actual phase execution logic would be implemented
-    // For now, return a basic result structure
+  /**
+   * Expand a phase if it repeats, then decide whether it runs
+   * @returns {Promise<Object>} { phase, run, reason } where phase is the first copy of an expanded phase
+   */
+  async preparePhase(phase) {
+    if (phase?.repeats && !phase.iteration) {
+      if (!phase.expandedInto) {
+        await this.expandRepeats(phase);
+      }
+      phase = this.phases.find(candidate => candidate.id === phase.expandedInto);
+    }
+
+    const decision = await this.conditionEvaluator.shouldRun(this, phase);
+    return { phase, ...decision };
+  }
+
+  /**
+   * Replace a repeat block with one copy per item (e.g. per epic in the sharded PRD)
+   */
+  async expandRepeats(phase) {
+    const phaseIndex = this.phases.indexOf(phase);
+    let items;
+    try {
+      items = await this.conditionEvaluator.resolveRepeatItems(this, phase);
+    } catch (error) {
+      phase.status = 'failed';
+      phase.error = error.message;
+      await this.saveState();
+      this.emit('phase:failed', { instanceId: this.instanceId, phase, phaseIndex, error });
+      throw error;
+    }
+
+    const block = this.phases.filter(candidate => candidate.repeatBlock === phase.id);
+    const iterations = items.map((item, index) => block.map(member => ({
+      ...member,
+      id: `${member.id}_${item.key}`,
+      name: `${member.name} (${item.label})`,
+      status: 'pending',
+      artifacts: [],
+      dependsOn: [...(member.dependsOn || [])],
+      iteration: {
+        repeats: phase.repeats,
+        index: index + 1,
+        total: items.length,
+        key: item.key,
+        title: item.title,
+        description: item.description,
+        source: item.source
+      }
+    })));
+    const expanded = iterations.flat();
+
+    expanded[0].status = phase.status;
+    expanded[0].startedAt = phase.startedAt;
+    phase.expandedInto = expanded[0].id;
+    this.phases.splice(phaseIndex, block.length, ...expanded);
+    this.dependencyGraph.rewireExpansion(this.phases, block.map(member => member.id), iterations);
+    this.progress.totalPhases = this.phases.length;
+
+    await this.saveState();
+    this.emit('phase:expanded', {
+      instanceId: this.instanceId,
+      phase,
+      phaseIndex,
+      iterations: items.length,
+      items: items.map(item => item.label)
+    });
+  }
+
+  async skipPhase(currentPhase, reason) {
+    currentPhase.status = 'skipped';
+    currentPhase.skipReason = reason;
+    currentPhase.completedAt = new Date().toISOString();
+
+    this.progress.completedPhases++;
+    this.progress.overall = Math.round((this.progress.completedPhases / this.progress.totalPhases) * 100);
+
+    await this.saveState();
+
+    this.emit('phase:skipped', {
+      instanceId: this.instanceId,
+      phase: currentPhase,
+      phaseIndex: this.phases.indexOf(currentPhase),
+      reason
+    });
+
     return {
-      executed: true,
-      phase: phase.name,
-      agent: phase.agent,
-      action: phase.action,
-      artifacts: phase.creates ? [phase.creates] : [],
-      timestamp: new Date().toISOString()
+      success: true,
+      skipped: true,
+      phase: currentPhase,
+      result: { executed: false, skipped: true, reason, artifacts: [] },
+      nextPhase: this.phases[this.phases.indexOf(currentPhase) + 1] || null
     };
   }
 
+  /**
+   * Phases whose dependencies have all completed or been skipped
+   */
+  getReadyPhases() {
+    const finished = new Set(
+      this.phases.filter(phase => FINISHED_PHASE_STATUSES.includes(phase.status)).map(phase => phase.id)
+    );
+
+    return this.phases.filter(phase =>
+      ['pending', 'active'].includes(phase.status) &&
+      (phase.dependsOn || []).every(id => finished.has(id))
+    );
+  }
+
+  /**
+   * Run the remaining phases as a DAG: each phase starts as soon as the phases it
+   * depends on have finished, so independent phases run concurrently and dependent
+   * phases join on all of theirs. A failure stops new phases from starting; running
+   * ones finish before the error is rethrown.
+   * @param {Object} options - { maxConcurrency, phaseOptions, beforePhase(instance, phase) }
+   * @returns {Promise<Object>} { status, results }
+   */
+  async run(options = {}) {
+    const maxConcurrency = options.maxConcurrency || this.template.max_parallel || DEFAULT_MAX_CONCURRENCY;
+    const running = new Map();
+    const results = [];
+    let failure = null;
+
+    const launch = phase => {
+      // Claim the phase before the first await so the next pass does not start it again
+      phase.status = 'executing';
+      const task = (async () => {
+        if (options.beforePhase) {
+          await options.beforePhase(this, phase);
+        }
+        results.push(await this.executePhase(phase, options.phaseOptions));
+      })()
+        .catch(error => {
+          if (phase.status === 'executing') {
+            // Failed before the phase itself ran, e.g. at a validation gate
+            phase.status = 'failed';
+            phase.error = error.message;
+          }
+          failure = failure || error;
+        })
+        .finally(() => {
+          running.delete(phase.id);
+          this.syncCurrentPhase();
+        });
+      running.set(phase.id, task);
+    };
+
+    while (true) {
+      if (!failure) {
+        for (const phase of this.getReadyPhases()) {
+          if (running.size >= maxConcurrency) {
+            break;
+          }
+          launch(phase);
+        }
+      }
+
+      if (running.size === 0) {
+        break;
+      }
+      await Promise.race(running.values());
+    }
+
+    if (failure) {
+      this.status = 'failed';
+      await this.saveState();
+      this.emit('workflow:failed', { instanceId: this.instanceId, error: failure });
+      throw failure;
+    }
+
+    if (this.phases.every(phase => FINISHED_PHASE_STATUSES.includes(phase.status))) {
+      await this.complete();
+    }
+
+    return { status: this.status, results };
+  }
+
+  /**
+   * Point currentPhaseIndex at the first unfinished phase
+   */
+  syncCurrentPhase() {
+    const index = this.phases.findIndex(phase => !FINISHED_PHASE_STATUSES.includes(phase.status));
+    this.currentPhaseIndex = index === -1 ? Math.max(this.phases.length - 1, 0) : index;
+    this.progress.currentPhase = this.currentPhaseIndex;
+  }
+
+  /**
+   * Hold a phase until a person approves or rejects what it produced
+   * @param {Object} phase - Approval step, or a step flagged requiresApproval
+   * @param {Object} producer - Step whose output is being approved; rejection sends work back to it
+   * @param {Object} result - Step result, when the phase itself ran
+   */
+  async requestApproval(phase, producer, result = null) {
+    const runner = this.getStepRunner();
+    const approval = {
+      id: `approval_${this.approvals.length + 1}`,
+      phaseId: phase.id,
+      producerPhaseId: (producer || phase).id,
+      artifact: runner.artifactName(phase.approves || (producer || phase).creates || (producer || phase).updates),
+      agent: (producer || phase).agent,
+      status: 'pending',
+      requestedAt: new Date().toISOString()
+    };
+
+    this.approvals.push(approval);
+    phase.status = 'awaiting-approval';
+    phase.startedAt = phase.startedAt || approval.requestedAt;
+    this.status = 'awaiting-approval';
+
+    await this.saveState();
+    this.emit('approval:requested', { instanceId: this.instanceId, approval, phase });
+
+    return {
+      success: true,
+      awaitingApproval: true,
+      approval,
+      phase,
+      result: result || { executed: false, awaitingApproval: true, artifacts: [] },
+      nextPhase: this.phases[this.phases.indexOf(phase) + 1] || null
+    };
+  }
+
+  /**
+   * Latest earlier phase that produced what an approval step approves
+   */
+  findProducer(phase) {
+    const runner = this.getStepRunner();
+    const index = this.phases.indexOf(phase);
+    const artifact = runner.artifactName(phase.approves || [].concat(phase.requires || [])[0]);
+    const earlier = this.phases.slice(0, index).reverse();
+
+    return earlier.find(candidate =>
+      artifact && [candidate.creates, candidate.updates].some(value => runner.artifactName(value) === artifact)
+    ) || earlier.find(candidate => (phase.dependsOn || []).includes(candidate.id)) || earlier[0] || null;
+  }
+
+  getPendingApprovals() {
+    return this.approvals.filter(approval => approval.status === 'pending');
+  }
+
+  /**
+   * Pending approval for a phase, or the oldest one
+   */
+  findPendingApproval(phaseId) {
+    const pending = this.getPendingApprovals();
+    const approval = phaseId ? pending.find(candidate => candidate.phaseId === phaseId) : pending[0];
+    if (!approval) {
+      throw new Error(phaseId
+        ? `No pending approval for phase ${phaseId}`
+        : `Workflow ${this.instanceId} is not awaiting approval`);
+    }
+    return approval;
+  }
+
+  /**
+   * Approve a pending checkpoint; the waiting phase completes and its dependents can run
+   * @param {Object} decision - { comment, phaseId, decidedBy }
+   */
+  async approve(decision = {}) {
+    const approval = this.recordDecision(this.findPendingApproval(decision.phaseId), 'approved', decision);
+    const phase = this.phases.find(candidate => candidate.id === approval.phaseId);
+
+    phase.status = 'completed';
+    phase.completedAt = approval.decidedAt;
+    phase.duration = phase.startedAt ? new Date(phase.completedAt) - new Date(phase.startedAt) : null;
+    this.progress.completedPhases++;
+    this.progress.overall = Math.round((this.progress.completedPhases / this.progress.totalPhases) * 100);
+    this.status = this.getPendingApprovals().length > 0 ? 'awaiting-approval' : 'running';
+
+    await this.saveState();
+    this.emit('approval:approved', { instanceId: this.instanceId, approval, phase });
+    this.emit('phase:completed', {
+      instanceId: this.instanceId,
+      phase,
+      phaseIndex: this.phases.indexOf(phase),
+      result: { approved: true, approval }
+    });
+
+    return approval;
+  }
+
+  /**
+   * Reject a pending checkpoint: the producing step and everything after it that depends
+   * on it go back to pending, and the comment is handed to the producing step as feedback
+   * @param {Object} decision - { comment, phaseId, decidedBy }
+   */
+  async reject(decision = {}) {
+    const approval = this.recordDecision(this.findPendingApproval(decision.phaseId), 'rejected', decision);
+    const producer = this.phases.find(candidate => candidate.id === approval.producerPhaseId);
+    const reset = [producer, ...this.getDependents(producer.id)];
+
+    for (const phase of reset) {
+      if (FINISHED_PHASE_STATUSES.includes(phase.status)) {
+        this.progress.completedPhases--;
+      }
+      if (phase.status === 'awaiting-approval' && phase.id !== approval.phaseId) {
+        this.approvals
+          .filter(candidate => candidate.phaseId === phase.id && candidate.status === 'pending')
+          .forEach(candidate => this.recordDecision(candidate, 'superseded', { comment: `Superseded by rejection of ${approval.id}` }));
+      }
+      if (phase.status !== 'executing') {
+        phase.status = 'pending';
+        phase.completedAt = null;
+        phase.duration = null;
+        delete phase.skipReason;
+      }
+    }
+
+    producer.feedback = approval.comment;
+    producer.rejections = [...(producer.rejections || []), { approvalId: approval.id, comment: approval.comment, at: approval.decidedAt }];
+
+    this.currentPhaseIndex = Math.min(this.currentPhaseIndex, this.phases.indexOf(producer));
+    this.progress.currentPhase = this.currentPhaseIndex;
+    this.progress.overall = Math.round((this.progress.completedPhases / this.progress.totalPhases) * 100);
+    this.status = this.getPendingApprovals().length > 0 ? 'awaiting-approval' : 'running';
+
+    await this.saveState();
+    this.emit('approval:rejected', { instanceId: this.instanceId, approval, phase: producer, reset: reset.map(phase => phase.id) });
+
+    return approval;
+  }
+
+  recordDecision(approval, status, decision) {
+    approval.status = status;
+    approval.comment = decision.comment || '';
+    approval.decidedBy = decision.decidedBy || null;
+    approval.decidedAt = new Date().toISOString();
+    return approval;
+  }
+
+  /**
+   * Phases that depend on a phase, directly or transitively, in sequence order
+   */
+  getDependents(phaseId) {
+    const dependents = new Set();
+    let frontier = [phaseId];
+
+    while (frontier.length > 0) {
+      frontier = this.phases
+        .filter(phase => !dependents.has(phase.id) && (phase.dependsOn || []).some(id => frontier.includes(id)))
+        .map(phase => phase.id);
+      frontier.forEach(id => dependents.add(id));
+    }
+
+    return this.phases.filter(phase => dependents.has(phase.id));
+  }
+
+  getStepRunner() {
+    if (!this.stepRunner) {
+      this.stepRunner = new WorkflowStepRunner();
+    }
+    return this.stepRunner;
+  }
+
+  async executePhaseLogic(phase, options) {
+    const result = await this.getStepRunner().run(this, phase, options);
+    phase.artifacts = [...phase.artifacts, ...result.artifacts];
+    return result;
+  }
+
   async moveToNextPhase() {
+    const current = this.getCurrentPhase();
+    if (current?.status === 'awaiting-approval') {
+      throw new Error(`Phase "${current.name}" is awaiting approval`);
+    }
+
     if (this.currentPhaseIndex < this.phases.length - 1) {
       this.currentPhaseIndex++;
       const nextPhase = this.phases[this.currentPhaseIndex];
@@ -719,6 +1200,8 @@ export class WorkflowInstance extends EventEmitter {
       totalPhases: this.phases.length,
       progress: this.progress,
       phases: this.phases,
+      runningPhases: this.phases.filter(phase => phase.status === 'executing').map(phase => phase.id),
+      pendingApprovals: this.getPendingApprovals(),
       artifacts: this.artifacts,
       startedAt: this.startedAt,
       completedAt: this.completedAt,
@@ -734,14 +1217,31 @@ export class WorkflowInstance extends EventEmitter {
     this.artifacts.push({
       ...artifact,
       createdAt: new Date().toISOString(),
-      phaseIndex: this.currentPhaseIndex
+      phaseIndex: this.phaseIndexOf(artifact.phaseId)
     });
   }
 
+  /**
+   * Index of a phase by id; phases can run concurrently, so currentPhaseIndex is only the fallback
+   */
+  phaseIndexOf(phaseId) {
+    const index = phaseId ? this.phases.findIndex(phase => phase.id === phaseId) : -1;
+    return index === -1 ? this.currentPhaseIndex : index;
+  }
+
+  /**
+   * Record the user's answer to a workflow condition, or `false` under a phase id
+   * to decline an optional step
+   */
+  async setAnswer(name, value) {
+    this.answers[name] = value;
+    await this.saveState();
+  }
+
   setValidationResult(result) {
     this.validationResults.push({
       ...result,
-      phaseIndex: this.currentPhaseIndex,
+      phaseIndex: this.phaseIndexOf(result.phaseId),
       timestamp: new Date().toISOString()
     });
   }
@@ -762,19 +1262,23 @@ export class WorkflowInstance extends EventEmitter {
       progress: this.progress,
       metrics: this.metrics,
       validationResults: this.validationResults,
+      answers: this.answers,
+      approvals: this.approvals,
       startedAt: this.startedAt,
       completedAt: this.completedAt,
       updatedAt: new Date().toISOString()
     };
 
-    try {
-      await fs.writeFile(
-        path.join(this.workflowDir, 'state.json'),
-        JSON.stringify(state, null, 2)
-      );
-    } catch (error) {
-      console.error(`Could not save workflow state: ${error.message}`);
-    }
+    const content = JSON.stringify(state, null, 2);
+    // Concurrent phases save as they finish; writes are queued so they never interleave
+    this.stateWrite = this.stateWrite.then(async () => {
+      try {
+        await fs.writeFile(path.join(this.workflowDir, 'state.json'), content);
+      } catch (error) {
+        console.error(`Could not save workflow state: ${error.message}`);
+      }
+    });
+    await this.stateWrite;
   }
 
   async archive() {
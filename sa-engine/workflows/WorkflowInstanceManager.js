@@ -18,6 +18,8 @@ export class WorkflowInstanceManager extends EventEmitter {
     this.maxInstances = options.maxInstances || 100;
     this.monitoringTimer = null;
     this.recoveryEnabled = options.recovery !== false;
+    // Instances being approved or rejected; decideApproval persists them once afterwards
+    this.deciding = new Set();
   }
 
   /**
@@ -119,8 +121,20 @@ export class WorkflowInstanceManager extends EventEmitter {
       instance.progress = state.progress;
       instance.metrics = state.metrics;
       instance.validationResults = state.validationResults || [];
+      instance.answers = state.answers || {};
+      instance.approvals = state.approvals || [];
       instance.startedAt = state.startedAt;
       instance.completedAt = state.completedAt;
+      instance.workflowDir = state.workflowDir;
+      if (!instance.workflowDir) {
+        await instance.createWorkspaceStructure();
+      }
+
+      // Saved phases carry their dependsOn, including the wiring of expanded repeat
+      // blocks; states saved before that get it derived from the phases again
+      if (instance.phases.some(phase => !Array.isArray(phase.dependsOn))) {
+        instance.dependencyGraph.build(instance.phases);
+      }
       
       return instance;
     } catch (error) {
@@ -176,7 +190,7 @@ export class WorkflowInstanceManager extends EventEmitter {
 
     instance.on('phase:completed', (data) => {
       this.emit('instance:phase:completed', data);
-      if (this.persistenceEnabled) {
+      if (this.persistenceEnabled && !this.deciding.has(instance.instanceId)) {
         this.persistInstance(instance);
       }
     });
@@ -188,6 +202,22 @@ export class WorkflowInstanceManager extends EventEmitter {
       }
     });
 
+    instance.on('phase:skipped', (data) => {
+      this.emit('instance:phase:skipped', data);
+      if (this.persistenceEnabled) {
+        this.persistInstance(instance);
+      }
+    });
+
+    for (const event of ['approval:requested', 'approval:approved', 'approval:rejected']) {
+      instance.on(event, (data) => {
+        this.emit(`instance:${event}`, data);
+        if (this.persistenceEnabled && !this.deciding.has(instance.instanceId)) {
+          this.persistInstance(instance);
+        }
+      });
+    }
+
     instance.on('workflow:completed', async (data) => {
       this.emit('instance:completed', data);
       if (this.persistenceEnabled) {
@@ -238,6 +268,9 @@ export class WorkflowInstanceManager extends EventEmitter {
         progress: instance.progress,
         metrics: instance.metrics,
         validationResults: instance.validationResults || [],
+        answers: instance.answers || {},
+        approvals: instance.approvals || [],
+        workflowDir: instance.workflowDir || null,
         startedAt: instance.startedAt,
         completedAt: instance.completedAt,
         persistedAt: new Date().toISOString()
@@ -399,6 +432,50 @@ export class WorkflowInstanceManager extends EventEmitter {
     };
   }
 
+  /**
+   * Approve the pending checkpoint of an instance
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - { comment, phaseId, decidedBy }
+   */
+  async approveInstance(instanceId, options = {}) {
+    return this.decideApproval(instanceId, 'approve', options);
+  }
+
+  /**
+   * Reject the pending checkpoint of an instance, sending the work back to the producing step
+   * @param {string} instanceId - Instance ID
+   * @param {Object} options - { comment, phaseId, decidedBy }
+   */
+  async rejectInstance(instanceId, options = {}) {
+    return this.decideApproval(instanceId, 'reject', options);
+  }
+
+  async decideApproval(instanceId, decision, options) {
+    const instance = this.instances.get(instanceId);
+    if (!instance) {
+      throw new Error(`Instance not found: ${instanceId}`);
+    }
+
+    this.deciding.add(instanceId);
+    let approval;
+    try {
+      approval = decision === 'approve'
+        ? await instance.approve(options)
+        : await instance.reject(options);
+    } finally {
+      this.deciding.delete(instanceId);
+    }
+    await this.persistInstance(instance);
+
+    return {
+      success: true,
+      instanceId,
+      status: instance.status,
+      approval,
+      pendingApprovals: instance.getPendingApprovals()
+    };
+  }
+
   /**
    * Cancel instance
    */
@@ -0,0 +1,408 @@
+/**
+ * Workflow Step Runner
+ * Maps workflow YAML sequence steps (agent, creates, requires, uses) onto MCP tools,
+ * feeds them previously produced artifacts and stores their output as workflow artifacts
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import ToolRegistry from '../mcp-server/ToolRegistry.js';
+
+/**
+ * Step to tool mapping, first match wins.
+ * `agent` matches any of a step's agents ("analyst/pm"); `produces` matches creates/updates;
+ * `action` and `uses` match the step's action and template.
+ * Every tool also receives `feedback` when its step reruns after a rejected approval.
+ */
+const STEP_TOOLS = [
+  {
+    agent: 'analyst',
+    produces: /project-brief/,
+    tool: 'sa_create_brief',
+    args: ctx => ({ projectName: ctx.projectName, projectPath: ctx.projectPath, interactive: false })
+  },
+  {
+    agent: 'pm',
+    produces: /prd/,
+    tool: 'sa_generate_prd',
+    args: ctx => ({
+      productName: ctx.projectName,
+      projectPath: ctx.projectPath,
+      projectType: ctx.workflowType === 'brownfield' ? 'brownfield' : 'greenfield',
+      prdType: ctx.workflowType === 'brownfield' ? 'brownfield' : 'standard',
+      productInfo: { vision: ctx.summary('project-brief.md') },
+      interactive: false
+    })
+  },
+  {
+    agent: 'ux-expert',
+    produces: /front-end-spec/,
+    tool: 'sa_create_frontend_spec',
+    args: ctx => ({
+      specId: `${ctx.slug}-frontend-spec`,
+      projectInfo: { projectName: ctx.projectName, targetAudience: ctx.summary('prd.md') },
+      projectPath: ctx.projectPath
+    })
+  },
+  {
+    agent: 'ux-expert',
+    produces: /v0_prompt|ui[-_]prompt/,
+    tool: 'sa_generate_ui_prompt',
+    args: ctx => ({
+      promptId: `${ctx.slug}-ui-prompt`,
+      componentType: 'application',
+      requirements: { functionality: ctx.headings('front-end-spec.md') },
+      projectPath: ctx.projectPath
+    })
+  },
+  {
+    agent: 'architect',
+    action: /existing project|document-project/,
+    tool: 'sa_analyze_brownfield',
+    args: ctx => ({ systemName: ctx.projectName, projectPath: ctx.projectPath })
+  },
+  {
+    agent: 'architect',
+    produces: /architecture/,
+    tool: 'sa_create_architecture',
+    args: ctx => ({ systemName: ctx.projectName, projectPath: ctx.projectPath })
+  },
+  {
+    agent: 'po',
+    uses: /checklist/,
+    tool: 'sa_execute_checklist',
+    args: ctx => ({
+      checklistId: ctx.phase.uses,
+      checklistType: 'requirements-review',
+      checklistSource: { type: 'template', template: ctx.phase.uses },
+      projectPath: ctx.projectPath
+    })
+  },
+  {
+    agent: 'po',
+    action: /shard/,
+    tool: 'sa_shard_document',
+    args: ctx => ({
+      documentId: 'prd',
+      documentSource: { type: 'text', content: ctx.content('prd.md') || ctx.allContent() },
+      projectPath: ctx.projectPath
+    })
+  },
+  {
+    agent: 'sm',
+    action: /create_story/,
+    tool: 'sa_create_story',
+    args: ctx => {
+      const epic = ctx.phase.iteration;
+      return {
+        storyTitle: `${epic ? epic.title : ctx.projectName}: next story`,
+        storyDetails: epic
+          ? { description: epic.description || ctx.summary(), epicId: epic.key }
+          : { description: ctx.summary() },
+        projectPath: ctx.projectPath
+      };
+    }
+  },
+  {
+    agent: ['analyst', 'pm'],
+    action: /review_draft_story/,
+    tool: 'sa_validate_story_draft',
+    args: ctx => ({
+      storyId: `${ctx.slug}-story`,
+      storyDraft: { title: ctx.firstHeading('story.md') || `${ctx.projectName} story`, description: ctx.summary('story.md') },
+      projectPath: ctx.projectPath
+    })
+  },
+  {
+    agent: 'dev',
+    action: /implement_story|address_qa_feedback/,
+    tool: 'sa_implement_story',
+    args: ctx => ({
+      storyTitle: ctx.firstHeading('story.md') || `${ctx.projectName} story`,
+      storyDetails: { description: ctx.summary('story.md') },
+      projectPath: ctx.projectPath
+    })
+  },
+  {
+    agent: 'qa',
+    action: /review_implementation/,
+    tool: 'sa_review_story',
+    args: ctx => ({
+      storyId: `${ctx.slug}-story`,
+      storyTitle: ctx.firstHeading('story.md') || `${ctx.projectName} story`,
+      storyData: { description: ctx.summary('story.md') },
+      projectPath: ctx.projectPath
+    })
+  }
+];
+
+export class WorkflowStepRunner {
+  constructor(options = {}) {
+    this.toolRegistry = options.toolRegistry || null;
+    this.stepTools = [...(options.stepTools || []), ...STEP_TOOLS];
+  }
+
+  /**
+   * Tool registry, discovered from the MCP tools directory on first use
+   */
+  async getToolRegistry() {
+    if (!this.toolRegistry) {
+      const registry = new ToolRegistry({
+        enableHotReload: false,
+        generateDocs: false,
+        enableLogging: false
+      });
+      await registry.initialize();
+      this.toolRegistry = registry;
+    }
+    return this.toolRegistry;
+  }
+
+  /**
+   * Find the tool mapping for a phase; an explicit `tool` on the step wins
+   * @param {Object} phase - Workflow phase
+   * @returns {Object|null} Mapping with tool name and argument builder
+   */
+  resolveTool(phase) {
+    if (phase.tool) {
+      return { tool: phase.tool, args: ctx => ({ projectPath: ctx.projectPath }) };
+    }
+
+    const agents = String(phase.agent || '').split('/').map(agent => agent.trim());
+    const produces = [phase.creates, phase.updates].filter(Boolean).join(' ');
+
+    return this.stepTools.find(mapping =>
+      [].concat(mapping.agent).some(agent => agents.includes(agent)) &&
+      (!mapping.produces || mapping.produces.test(produces)) &&
+      (!mapping.action || mapping.action.test(phase.action || '')) &&
+      (!mapping.uses || mapping.uses.test(phase.uses || ''))
+    ) || null;
+  }
+
+  /**
+   * Execute a phase through its mapped tool
+   * @param {WorkflowInstance} instance - Workflow instance
+   * @param {Object} phase - Phase to execute
+   * @param {Object} options - Phase options; toolArgs are merged over the generated arguments
+   * @returns {Promise<Object>} Phase result
+   */
+  async run(instance, phase, options = {}) {
+    const mapping = this.resolveTool(phase);
+    const base = {
+      phase: phase.name,
+      agent: phase.agent,
+      action: phase.action,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!mapping) {
+      // Guidance and hand-off steps have no tool; they complete with their notes
+      return { ...base, executed: false, manual: true, notes: phase.notes || '', artifacts: [] };
+    }
+
+    const inputs = await this.collectInputs(instance, phase);
+    const context = this.createContext(instance, phase, inputs);
+    // A step rerun after a rejected approval gets the reviewer's comment with its arguments
+    const args = {
+      ...mapping.args(context),
+      ...(context.feedback && { feedback: context.feedback }),
+      ...options.toolArgs
+    };
+    const registry = await this.getToolRegistry();
+    const result = await registry.executeTool(mapping.tool, args, {
+      workflowInstanceId: instance.instanceId,
+      phase: phase.name
+    });
+
+    const text = (result?.content || [])
+      .filter(item => item.type === 'text')
+      .map(item => item.text)
+      .join('\n\n');
+
+    if (result?.isError) {
+      throw new Error(`${mapping.tool} failed: ${result.metadata?.error || text}`);
+    }
+
+    const artifacts = [];
+    const name = this.artifactName(phase.creates || phase.updates);
+    if (name) {
+      const filePath = await this.writeArtifact(instance, name, text);
+      instance.addArtifact({
+        name,
+        type: this.artifactType(name),
+        path: filePath,
+        content: filePath ? undefined : text,
+        phaseId: phase.id,
+        agent: phase.agent,
+        tool: mapping.tool,
+        updated: !phase.creates
+      });
+      artifacts.push(name);
+    }
+
+    return {
+      ...base,
+      executed: true,
+      tool: mapping.tool,
+      inputs: inputs.map(input => input.name),
+      artifacts,
+      metadata: result?.metadata
+    };
+  }
+
+  /**
+   * Resolve the artifacts a phase requires
+   * @returns {Promise<Object[]>} [{ name, content }]
+   */
+  async collectInputs(instance, phase) {
+    const required = [].concat(phase.requires || []).map(name => this.artifactName(name)).filter(Boolean);
+    const inputs = [];
+
+    for (const name of required) {
+      if (name.startsWith('all_artifacts')) {
+        for (const artifact of this.latestArtifacts(instance)) {
+          inputs.push({ name: artifact.name, content: await this.readArtifact(artifact) });
+        }
+        continue;
+      }
+
+      // "sharded_docs_or_brownfield_docs" takes the first alternative that exists
+      const alternatives = name.split('_or_');
+      let input = null;
+      for (const alternative of alternatives) {
+        const content = await this.readInput(instance, alternative);
+        if (content !== null) {
+          input = { name: alternative, content };
+          break;
+        }
+      }
+
+      if (!input) {
+        throw new Error(`Required artifact not available for phase "${phase.name}": ${name}`);
+      }
+      inputs.push(input);
+    }
+
+    // A rejected step reruns with the reviewer's comment alongside its inputs
+    if (phase.feedback) {
+      inputs.push({ name: 'approval-feedback', content: phase.feedback });
+    }
+
+    return inputs;
+  }
+
+  /**
+   * Content of the latest artifact with this name, or of a project document
+   * produced outside the workflow, e.g. saved to docs/ by hand
+   * @returns {Promise<string|null>} Content, or null when neither exists
+   */
+  async readInput(instance, name) {
+    const artifact = this.latestArtifacts(instance).find(candidate => candidate.name === name);
+    if (artifact) {
+      return this.readArtifact(artifact);
+    }
+    return this.readProjectDocument(instance, name);
+  }
+
+  /**
+   * Latest version of each artifact, in production order
+   */
+  latestArtifacts(instance) {
+    const byName = new Map();
+    for (const artifact of instance.getArtifacts()) {
+      byName.delete(artifact.name);
+      byName.set(artifact.name, artifact);
+    }
+    return [...byName.values()];
+  }
+
+  async readArtifact(artifact) {
+    if (typeof artifact.content === 'string') {
+      return artifact.content;
+    }
+    return artifact.path ? fs.readFile(artifact.path, 'utf-8').catch(() => '') : '';
+  }
+
+  async readProjectDocument(instance, name) {
+    const projectRoot = instance.options?.projectRoot;
+    if (!projectRoot) {
+      return null;
+    }
+
+    for (const candidate of [path.join(projectRoot, 'docs', name), path.join(projectRoot, name)]) {
+      try {
+        return await fs.readFile(candidate, 'utf-8');
+      } catch (error) {
+        // Try the next location
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Write artifact content into the instance workspace
+   * @returns {Promise<string|null>} File path, or null when the instance has no workspace
+   */
+  async writeArtifact(instance, name, content) {
+    if (!instance.workflowDir) {
+      return null;
+    }
+
+    const fileName = path.extname(name) ? name : `${name}.md`;
+    const filePath = path.join(instance.workflowDir, 'artifacts', fileName);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  /**
+   * Normalize a creates/updates/requires entry: "prd.md (if needed)" -> "prd.md"
+   */
+  artifactName(value) {
+    if (!value || typeof value !== 'string') {
+      return null;
+    }
+    const name = value.split(/\s+\(/)[0].trim();
+    return /\s/.test(name) ? name.toLowerCase().replace(/[^a-z0-9.]+/g, '-') : name;
+  }
+
+  artifactType(name) {
+    const types = [
+      [/brief/, 'brief'],
+      [/prd/, 'requirements'],
+      [/architecture/, 'architecture'],
+      [/spec/, 'specification'],
+      [/story/, 'story'],
+      [/prompt/, 'prompt']
+    ];
+    return types.find(([pattern]) => pattern.test(name))?.[1] || 'document';
+  }
+
+  /**
+   * Helpers given to argument builders
+   */
+  createContext(instance, phase, inputs) {
+    const projectPath = instance.options?.projectRoot || process.cwd();
+    const projectName = instance.options?.projectName || path.basename(projectPath);
+    const content = name => (name ? inputs.find(input => input.name === name)?.content : inputs[0]?.content) || '';
+    const lines = name => content(name).split('\n');
+
+    return {
+      phase,
+      projectPath,
+      projectName,
+      slug: projectName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project',
+      workflowType: instance.template?.type,
+      inputs,
+      feedback: phase.feedback || '',
+      content,
+      allContent: () => inputs.map(input => input.content).join('\n\n'),
+      headings: name => lines(name).filter(line => /^#{1,3}\s/.test(line)).map(line => line.replace(/^#+\s*/, '')).slice(0, 20),
+      firstHeading: name => lines(name).find(line => /^#\s/.test(line))?.replace(/^#\s*/, '') || null,
+      // First prose paragraph, for fields that take a short description
+      summary: name => (content(name).split(/\n\s*\n/).find(block => block.trim() && !/^\s*[#|>`-]/.test(block)) || '').trim().slice(0, 500)
+    };
+  }
+}
+
+export default WorkflowStepRunner;
@@ -1,9 +1,6 @@
 import chalk from 'chalk';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import os from 'os';
+import { readFile, writeFile } from 'fs/promises';
 
 let TaskManager, TaskDependencyManager;
 try {
@@ -28,6 +25,79 @@ function getStatusIcon(status) {
   return icons[status] || '❓';
 }
 
+/**
+ * Open the task store of the project around the cwd; outside a project this throws
+ * rather than creating one (only sa init does). Tasks changed from the CLI are
+ * recorded in the task history as the local user.
+ */
+function openTasks(options = {}) {
+  let username;
+  try {
+    username = os.userInfo().username;
+  } catch (error) {
+    username = process.env.USER || process.env.USERNAME;
+  }
+  return TaskManager.open({ actor: { type: 'human', id: username }, requireProject: true, ...options });
+}
+
+/**
+ * Accepts an ISO date or a relative duration such as 90s, 30m, 12h or 2d
+ */
+function parseSince(value, option = '--since') {
+  const relative = /^(\d+)([smhd])$/.exec(value);
+  if (relative) {
+    const unit = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3 }[relative[2]];
+    return new Date(Date.now() - Number(relative[1]) * unit);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${option} value '${value}' (use a date or a duration like 12h)`);
+  }
+  return date;
+}
+
+function printHistory(entries, showTask = false) {
+  if (entries.length === 0) {
+    console.log(chalk.gray('No recorded changes.'));
+    return;
+  }
+
+  for (const entry of entries) {
+    const actor = entry.actor || {};
+    const who = `${actor.type === 'agent' ? '🤖' : actor.type === 'human' ? '👤' : '⚙️'} ${actor.name || actor.id || actor.type || 'system'}`;
+    const task = showTask && entry.taskId ? `${chalk.white(entry.taskId)} ` : '';
+    console.log(`${chalk.gray(new Date(entry.timestamp).toLocaleString())} ${task}${entry.description} ${chalk.gray(who)}`);
+
+    if (entry.action !== 'status') {
+      for (const change of entry.changes || []) {
+        console.log(chalk.gray(`    ${change.field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`));
+      }
+    }
+  }
+}
+
+/**
+ * Report an undo, redo or restore; dry runs and unconfirmed restores only preview it
+ */
+function printRewrite(result, verb) {
+  if (result.changes.length === 0) {
+    console.log(chalk.gray(`Nothing to ${verb}: the tasks already match.`));
+    return;
+  }
+
+  const heading = result.applied ? chalk.green(`✅ ${verb[0].toUpperCase()}${verb.slice(1)} applied (revision ${result.revision})`) : chalk.yellow(`⚠️  ${verb[0].toUpperCase()}${verb.slice(1)} would make these changes:`);
+  console.log(heading + '\n');
+  printHistory(result.changes, true);
+
+  if (result.conflicts.length > 0) {
+    console.log(chalk.yellow(`\n${result.conflicts.length} change(s) conflict with later edits:`));
+    for (const conflict of result.conflicts) {
+      console.log(chalk.yellow(`    ${conflict.taskId || conflict.tag}: ${conflict.reason}`));
+    }
+  }
+}
+
 function getPriorityColor(priority) {
   switch (priority) {
     case 'critical': return chalk.red;
@@ -45,8 +115,7 @@ export const taskCommand = {
         throw new Error('TaskManager not available');
       }
 
-      const taskManager = new TaskManager(path.join(__dirname, '../../sa-engine/data/tasks'));
-      await taskManager.initialize();
+      const taskManager = await openTasks();
 
       console.log(chalk.blue('📋 Task Management System\n'));
 
@@ -57,6 +126,15 @@ export const taskCommand = {
       if (options.assignee) filters.assignee = options.assignee;
       if (options.search) filters.search = options.search;
       if (options.tags) filters.tags = options.tags.split(',');
+      if (options.query) filters.query = taskManager.parseQuery(options.query);
+
+      if (options.saveQuery) {
+        if (!options.query) {
+          throw new Error('--save-query needs a --query to save');
+        }
+        taskManager.saveQuery(options.saveQuery, options.query);
+        console.log(chalk.green(`✅ Saved query @${options.saveQuery}`) + chalk.gray(` = ${options.query}\n`));
+      }
 
       const tasks = taskManager.listTasks(filters, options.tag);
       const stats = taskManager.getStats(options.tag);
@@ -107,6 +185,37 @@ export const taskCommand = {
     }
   },
 
+  async queries(options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      const taskManager = await openTasks();
+
+      if (options.delete) {
+        taskManager.deleteQuery(options.delete);
+        console.log(chalk.green(`✅ Deleted query @${options.delete}`));
+        return;
+      }
+
+      const queries = Object.entries(taskManager.getSavedQueries());
+      if (queries.length === 0) {
+        console.log(chalk.gray('No saved queries.'));
+        console.log(chalk.gray('\nTip: Save one with: sa task list --query "status:pending priority>=high" --save-query urgent'));
+        return;
+      }
+
+      const width = Math.max(...queries.map(([name]) => name.length)) + 1;
+      for (const [name, query] of queries) {
+        console.log(`${chalk.cyan(`@${name}`.padEnd(width + 1))} ${query}`);
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Error managing queries:'), error.message);
+      process.exitCode = 1;
+    }
+  },
+
   groupTasksByStatus(tasks) {
     const grouped = {
       'pending': [],
@@ -158,12 +267,12 @@ export const taskCommand = {
         return;
       }
 
-      const taskManager = new TaskManager(path.join(__dirname, '../../sa-engine/data/tasks'));
-      await taskManager.initialize();
+      const taskManager = await openTasks();
 
       const task = taskManager.getTask(id, options.tag);
       if (!task) {
         console.log(chalk.red(`❌ Task '${id}' not found`));
+        process.exitCode = 1;
         return;
       }
 
@@ -231,8 +340,41 @@ export const taskCommand = {
         console.log(`${chalk.gray('Actual Hours:')} ${task.actualHours}`);
       }
 
+      if (options.history) {
+        console.log(chalk.white.bold('\nHistory:'));
+        printHistory(taskManager.getTaskHistory(id, { tag: options.tag, limit: Number(options.limit) || 20 }));
+      }
+
     } catch (error) {
       console.error(chalk.red('❌ Error showing task:'), error.message);
+      process.exitCode = 1;
+    }
+  },
+
+  async history(id, options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      const taskManager = await openTasks();
+      const filters = {
+        tag: options.tag,
+        actorType: options.actor,
+        since: options.since ? parseSince(options.since) : undefined,
+        limit: Number(options.limit) || 50
+      };
+
+      const entries = id
+        ? taskManager.getTaskHistory(id, { ...filters, includeSubtasks: true })
+        : taskManager.getTagHistory(options.tag, filters);
+
+      console.log(chalk.blue(`📜 Task History: ${id ? `task ${id}` : `tag ${options.tag || taskManager.currentTag}`}\n`));
+      printHistory(entries, !id || entries.some(entry => entry.taskId !== id));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error showing task history:'), error.message);
+      process.exitCode = 1;
     }
   },
 
@@ -247,15 +389,13 @@ export const taskCommand = {
         return;
       }
 
-      const taskManager = new TaskManager(path.join(__dirname, '../../sa-engine/data/tasks'));
-      await taskManager.initialize();
+      const taskManager = await openTasks();
 
       const taskData = {
         title,
         description: options.description || title,
         priority: options.priority || 'medium',
-        type: options.type || 'feature',
-        status: 'pending'
+        type: options.type || 'feature'
       };
 
       if (options.assignee) {
@@ -307,8 +447,7 @@ export const taskCommand = {
         return;
       }
 
-      const taskManager = new TaskManager(path.join(__dirname, '../../sa-engine/data/tasks'));
-      await taskManager.initialize();
+      const taskManager = await openTasks();
 
       const updates = {};
       if (options.title) updates.title = options.title;
@@ -318,13 +457,14 @@ export const taskCommand = {
       if (options.type) updates.type = options.type;
       if (options.due) updates.dueDate = new Date(options.due);
       if (options.notes) updates.notes = (updates.notes || '') + '\n' + options.notes;
+      if (options.actualHours !== undefined) updates.actualHours = Number(options.actualHours);
 
       if (Object.keys(updates).length === 0) {
         console.log(chalk.yellow('⚠️  No updates specified'));
         return;
       }
 
-      const updatedTask = await taskManager.updateTask(id, updates, options.tag);
+      const updatedTask = await taskManager.updateTask(id, updates, options.tag, { force: options.force });
       console.log(chalk.green(`✅ Task updated: ${updatedTask.id}`));
       console.log(chalk.gray(`Title: ${updatedTask.title}`));
       console.log(chalk.gray(`Status: ${getStatusIcon(updatedTask.status)} ${updatedTask.status}`));
@@ -332,6 +472,58 @@ export const taskCommand = {
 
     } catch (error) {
       console.error(chalk.red('❌ Error updating task:'), error.message);
+      if (error.code === 'INVALID_TRANSITION' && !error.hook) {
+        console.log(chalk.gray(error.allowed.length > 0
+          ? `Allowed from '${error.from}': ${error.allowed.join(', ')} (see: sa task workflow)`
+          : 'See the statuses of this tag with: sa task workflow'));
+      }
+      process.exitCode = 1;
+    }
+  },
+
+  async workflow(options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      const taskManager = await openTasks();
+      const tag = options.tag || null;
+
+      if (options.set) {
+        const definition = JSON.parse(await readFile(options.set, 'utf8'));
+        await taskManager.setWorkflow(definition, tag);
+        console.log(chalk.green(`✅ Workflow ${tag ? `for tag '${tag}'` : 'default'} updated`));
+      } else if (options.reset) {
+        if (!tag) {
+          throw new Error('--reset needs --tag (the default workflow can only be replaced with --set)');
+        }
+        await taskManager.setWorkflow(null, tag);
+        console.log(chalk.green(`✅ Tag '${tag}' uses the default workflow again`));
+      }
+
+      const workflow = taskManager.getWorkflow(tag);
+      if (options.json) {
+        console.log(JSON.stringify(workflow.toJSON(), null, 2));
+        return;
+      }
+
+      console.log(chalk.blue(`🔀 Status workflow: ${tag || taskManager.currentTag}\n`));
+      for (const status of workflow.statuses) {
+        const next = workflow.next(status);
+        const initial = status === workflow.initial ? chalk.gray(' (initial)') : '';
+        console.log(`  ${getStatusIcon(status)} ${chalk.white.bold(status)}${initial} → ${next.length > 0 ? next.join(', ') : chalk.gray('final')}`);
+
+        for (const phase of ['enter', 'exit']) {
+          for (const hook of workflow.hooks[status]?.[phase] || []) {
+            const action = hook.run ? `run ${hook.run}` : `require ${hook.require.join(', ')}`;
+            console.log(chalk.gray(`      on ${phase}: ${action}`));
+          }
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('❌ Error managing workflow:'), error.message);
+      process.exitCode = 1;
     }
   },
 
@@ -346,8 +538,7 @@ export const taskCommand = {
         return;
       }
 
-      const taskManager = new TaskManager(path.join(__dirname, '../../sa-engine/data/tasks'));
-      await taskManager.initialize();
+      const taskManager = await openTasks();
 
       const task = taskManager.getTask(id, options.tag);
       if (!task) {
@@ -369,14 +560,236 @@ export const taskCommand = {
     }
   },
 
+  async undo(options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      const taskManager = await openTasks();
+      const result = await taskManager.undo({ dryRun: options.dryRun, force: options.force });
+      printRewrite(result, 'undo');
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error undoing task change:'), error.message);
+      if (error.conflicts) {
+        console.log(chalk.gray('Use --force to undo the rest anyway'));
+      }
+      process.exitCode = 1;
+    }
+  },
+
+  async redo(options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      const taskManager = await openTasks();
+      const result = await taskManager.redo({ dryRun: options.dryRun, force: options.force });
+      printRewrite(result, 'redo');
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error redoing task change:'), error.message);
+      if (error.conflicts) {
+        console.log(chalk.gray('Use --force to redo the rest anyway'));
+      }
+      process.exitCode = 1;
+    }
+  },
+
+  async restore(options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      if (!options.at) {
+        console.log(chalk.red('❌ --at <time> is required'));
+        return;
+      }
+
+      const taskManager = await openTasks();
+      const at = parseSince(options.at, '--at');
+      // --yes confirms the restore; --force, as for undo, also applies it over later edits
+      const result = await taskManager.restore(at, { dryRun: !options.yes, force: options.force });
+      console.log(chalk.blue(`⏪ Restore tasks to ${at.toLocaleString()}\n`));
+      printRewrite(result, 'restore');
+
+      if (!result.applied && result.changes.length > 0) {
+        console.log(chalk.gray('\nUse --yes to confirm the restore (it can be undone with: sa task undo)'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error restoring tasks:'), error.message);
+      if (error.conflicts) {
+        console.log(chalk.gray('Use --force to restore the rest anyway'));
+      }
+      process.exitCode = 1;
+    }
+  },
+
+  async import(file, options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      if (!options.format) {
+        console.log(chalk.red('❌ --format is required (github-issues-json, jira-csv, linear-csv, taskmaster-json, csv)'));
+        process.exitCode = 1;
+        return;
+      }
+
+      const taskManager = await openTasks();
+      const content = await readFile(file, 'utf8');
+      const result = await taskManager.importTasks(content, options.format, {
+        tag: options.tag,
+        dryRun: options.dryRun,
+        fromTag: options.fromTag
+      });
+
+      const verb = result.dryRun ? 'Would import' : 'Imported';
+      console.log(chalk.blue(`📥 ${verb} ${result.created.length} tasks into tag '${result.tag}'${result.createdTag ? ' (new tag)' : ''}\n`));
+
+      for (const entry of result.created) {
+        const indent = '  '.repeat(entry.id.split('.').length);
+        console.log(`${indent}${chalk.gray(entry.key.padEnd(12))} → ${chalk.white(entry.id.padEnd(8))} ${entry.title}`);
+      }
+
+      if (result.skipped.length > 0) {
+        console.log(chalk.yellow(`\nSkipped ${result.skipped.length}:`));
+        for (const entry of result.skipped) {
+          console.log(chalk.yellow(`  ${entry.key}${entry.id ? ` (task ${entry.id})` : ''}: ${entry.reason}`));
+        }
+      }
+
+      if (result.unmapped.length > 0) {
+        console.log(chalk.gray(`\nUnmapped fields (not imported): ${result.unmapped.join(', ')}`));
+      }
+
+      if (result.warnings.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${result.warnings.length} warning(s):`));
+        result.warnings.forEach(warning => console.log(chalk.yellow(`  ${warning}`)));
+      }
+
+      if (options.idMap) {
+        await writeFile(options.idMap, JSON.stringify(result.idMap, null, 2) + '\n');
+        console.log(chalk.gray(`\nID map written to ${options.idMap}`));
+      }
+
+      if (result.dryRun) {
+        console.log(chalk.gray('\nDry run: nothing was saved. Run again without --dry-run to import.'));
+      } else if (result.created.length > 0) {
+        console.log(chalk.gray('\nTip: Revert the whole import with: sa task undo'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error importing tasks:'), error.message);
+      process.exitCode = 1;
+    }
+  },
+
+  async export(options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      // Without --format, go by the output file's extension
+      const byExtension = { csv: 'csv', ics: 'ics', html: 'html', htm: 'html', md: 'markdown', json: 'json' };
+      const extension = options.output ? options.output.split('.').pop().toLowerCase() : null;
+      const format = options.format || byExtension[extension] || 'json';
+
+      const taskManager = await openTasks();
+      const content = await taskManager.exportTasks(format, options.tag, { title: options.title, start: options.start });
+
+      if (!options.output) {
+        process.stdout.write(content.endsWith('\n') ? content : content + '\n');
+        return;
+      }
+
+      await writeFile(options.output, content);
+      console.log(chalk.green(`✅ Exported ${options.tag ? `tag '${options.tag}'` : 'tasks'} as ${format} to ${options.output}`));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error exporting tasks:'), error.message);
+      process.exitCode = 1;
+    }
+  },
+
+  async schedule(options = {}) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      // --capacity dev=4,alice=6 gives part-time assignees fewer hours per day
+      const capacity = {};
+      for (const entry of (options.capacity || '').split(',').filter(Boolean)) {
+        const [assignee, hours] = entry.split('=');
+        if (!assignee || !(Number(hours) > 0)) {
+          throw new Error(`Invalid --capacity entry '${entry}' (use assignee=hours)`);
+        }
+        capacity[assignee.trim()] = Number(hours);
+      }
+
+      const taskManager = await openTasks();
+      const result = taskManager.scheduleTasks({
+        tag: options.tag,
+        start: options.start,
+        hoursPerDay: options.hoursPerDay ? Number(options.hoursPerDay) : undefined,
+        holidays: options.holidays ? options.holidays.split(',') : undefined,
+        capacity
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      for (const schedule of result.tags) {
+        console.log(chalk.blue.bold(`📅 ${schedule.name}`) + chalk.gray(` (${schedule.tag})`));
+        if (schedule.tasks.length === 0) {
+          console.log(chalk.gray(`  No open tasks (${schedule.completed} completed).\n`));
+          continue;
+        }
+
+        console.log(`  Projected completion: ${chalk.white.bold(schedule.projectedFinish)}` +
+          chalk.gray(` · ${schedule.remainingHours}h of work over ${schedule.durationDays} working days from ${schedule.start}`));
+        console.log(`  Critical path: ${chalk.red(schedule.criticalPath.join(' → '))}\n`);
+
+        console.log(chalk.gray(`  ${'ID'.padEnd(8)} ${'Start'.padEnd(10)} ${'Finish'.padEnd(10)} ${'Slack'.padStart(6)}  Task`));
+        for (const task of schedule.tasks) {
+          const color = task.critical ? chalk.red : task.summary ? chalk.gray : chalk.white;
+          const slack = `${task.slackDays}d`.padStart(6);
+          const notes = [
+            task.assignee ? `@${task.assignee}` : null,
+            task.waitsFor ? `after ${task.waitsFor}` : null,
+            task.daysLate > 0 ? chalk.yellow(`${task.daysLate}d past due ${task.dueDate}`) : null
+          ].filter(Boolean).join(' ');
+          console.log(`  ${color(task.id.padEnd(8))} ${task.earliestStart} ${task.earliestFinish} ${slack}  ${color(task.title)} ${chalk.gray(notes)}`);
+        }
+
+        if (schedule.unestimated.length > 0) {
+          console.log(chalk.yellow(`\n  ⚠️  No estimate (assumed ${schedule.calendar.hoursPerDay}h): ${schedule.unestimated.join(', ')}`));
+        }
+        console.log();
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error scheduling tasks:'), error.message);
+      process.exitCode = 1;
+    }
+  },
+
   async deps(id, options = {}) {
     try {
       if (!TaskManager || !TaskDependencyManager) {
         throw new Error('TaskManager or TaskDependencyManager not available');
       }
 
-      const taskManager = new TaskManager(path.join(__dirname, '../../sa-engine/data/tasks'));
-      await taskManager.initialize();
+      const taskManager = await openTasks();
 
       const depManager = new TaskDependencyManager(taskManager);
       await depManager.initialize();
@@ -454,5 +867,35 @@ export const taskCommand = {
     } catch (error) {
       console.error(chalk.red('❌ Error managing dependencies:'), error.message);
     }
+  },
+
+  async storage(backend) {
+    try {
+      if (!TaskManager) {
+        throw new Error('TaskManager not available');
+      }
+
+      if (!backend) {
+        const taskManager = await TaskManager.open({ requireProject: true });
+        console.log(chalk.blue('🗄️  Task Storage\n'));
+        console.log(`Backend: ${chalk.white.bold(taskManager.storageBackend)}`);
+        console.log(`File:    ${taskManager.tasksFile}`);
+        console.log(`Tasks:   ${taskManager.getTotalTaskCount()}`);
+        console.log(chalk.gray('\nTip: Migrate with: sa task storage <json|sqlite|jsonl>'));
+        await taskManager.cleanup();
+        return;
+      }
+
+      const result = await TaskManager.migrateStorage({ to: backend });
+      console.log(chalk.green(`✅ Migrated ${result.totalTasks} tasks from ${result.from} to ${result.to}`));
+      console.log(chalk.gray(`   Tasks: ${result.tasksFile}`));
+      if (result.archived) {
+        console.log(chalk.gray(`   Previous store moved to ${result.archived}`));
+      }
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error changing task storage:'), error.message);
+      process.exitCode = 1;
+    }
   }
 };
\ No newline at end of file
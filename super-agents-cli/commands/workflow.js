@@ -7,6 +7,7 @@ import { table, getBorderCharacters } from 'table';
 import cliProgress from 'cli-progress';
 import boxen from 'boxen';
 import figlet from 'figlet';
+import path from 'path';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
@@ -774,6 +775,43 @@ class WorkflowCLI {
       stopTracking();
     }
   }
+
+  /**
+   * Approve or reject the checkpoint a persisted workflow instance is waiting on
+   */
+  async decideApproval(decision, instanceId, options) {
+    const spinner = ora(`${decision === 'approve' ? 'Approving' : 'Rejecting'} ${instanceId}...`).start();
+    const { WorkflowInstanceManager } = await import('../../sa-engine/workflows/WorkflowInstanceManager.js');
+    const { default: ProjectLocator } = await import('../../sa-engine/tasks/ProjectLocator.js');
+    // Same storage as sa_workflow_approval, so decisions work from any directory in the project
+    const projectRoot = ProjectLocator.resolveProjectRoot(options.projectRoot || process.cwd());
+    const manager = new WorkflowInstanceManager({ storageDir: path.join(projectRoot, '.sa-workflows') });
+
+    try {
+      await manager.initialize();
+      const decide = decision === 'approve' ? manager.approveInstance : manager.rejectInstance;
+      const { approval, status, pendingApprovals } = await decide.call(manager, instanceId, {
+        comment: options.comment,
+        phaseId: options.phase,
+        decidedBy: process.env.USER || null
+      });
+
+      spinner.succeed(`${approval.artifact || approval.phaseId} ${approval.status}`);
+      if (decision === 'reject') {
+        console.log(chalk.yellow(`Sent back to ${approval.agent || approval.producerPhaseId} with the comment as feedback`));
+      }
+      console.log(chalk.gray(`Workflow status: ${status}`));
+      if (pendingApprovals.length > 0) {
+        console.log(chalk.gray(`Still awaiting: ${pendingApprovals.map(pending => pending.phaseId).join(', ')}`));
+      }
+    } catch (error) {
+      spinner.fail(`Failed to ${decision} workflow: ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      // The decision already persisted the instance; shutdown() would write every instance again
+      manager.stopMonitoring();
+    }
+  }
 }
 
 // Export command functions
@@ -791,6 +829,16 @@ export const workflowCommand = {
   track: async (options) => {
     const cli = new WorkflowCLI();
     await cli.track(options);
+  },
+
+  approve: async (instanceId, options) => {
+    const cli = new WorkflowCLI();
+    await cli.decideApproval('approve', instanceId, options);
+  },
+
+  reject: async (instanceId, options) => {
+    const cli = new WorkflowCLI();
+    await cli.decideApproval('reject', instanceId, options);
   }
 };
 
@@ -246,17 +246,89 @@ task
   .option('-a, --assignee <assignee>', 'filter by assignee')
   .option('--search <term>', 'search in title/description')
   .option('--tags <tags>', 'filter by tags (comma-separated)')
+  .option('-q, --query <query>', 'filter with a query, e.g. "status:pending priority>=high due<7d" or "@saved"')
+  .option('--save-query <name>', 'save --query under a name for later use as @name')
   .option('--tag <tag>', 'use specific tag context')
   .option('--tree', 'display as tree')
   .option('--stats', 'show statistics')
   .action(taskCommand.list);
 
+task
+  .command('queries')
+  .description('List saved task queries')
+  .option('--delete <name>', 'delete a saved query')
+  .action(taskCommand.queries);
+
 task
   .command('show <id>')
   .description('Show task details')
   .option('--tag <tag>', 'use specific tag context')
+  .option('--history', 'show the change history')
+  .option('--limit <n>', 'number of history entries to show', '20')
   .action(taskCommand.show);
 
+task
+  .command('history [id]')
+  .description('Show recorded task changes, for one task or the whole tag')
+  .option('--tag <tag>', 'use specific tag context')
+  .option('--since <time>', 'only changes since a date or duration (90s, 30m, 12h, 2d)')
+  .option('--actor <type>', 'only changes by agent, human or system')
+  .option('--limit <n>', 'number of entries to show', '50')
+  .action(taskCommand.history);
+
+task
+  .command('undo')
+  .description('Undo the most recent task change')
+  .option('--dry-run', 'preview the changes without applying them')
+  .option('--force', 'apply even if later edits conflict')
+  .action(taskCommand.undo);
+
+task
+  .command('redo')
+  .description('Redo the most recently undone task change')
+  .option('--dry-run', 'preview the changes without applying them')
+  .option('--force', 'apply even if later edits conflict')
+  .action(taskCommand.redo);
+
+task
+  .command('restore')
+  .description('Restore tasks to how they were at a point in time (previews unless --yes)')
+  .option('--at <time>', 'date or duration ago (90s, 30m, 12h, 2d)')
+  .option('-y, --yes', 'confirm the restore')
+  .option('--force', 'apply even if later edits conflict')
+  .action(taskCommand.restore);
+
+task
+  .command('import <file>')
+  .description('Import tasks from a GitHub, Jira, Linear, Task Master or CSV export')
+  .option('-f, --format <format>', 'github-issues-json, jira-csv, linear-csv, taskmaster-json or csv')
+  .option('--tag <tag>', 'import into this tag (created if missing)')
+  .option('--dry-run', 'show what would be imported without saving')
+  .option('--from-tag <tag>', 'Task Master tag to read (default: master)')
+  .option('--id-map <file>', 'write the external → task ID mapping as JSON')
+  .action(taskCommand.import);
+
+task
+  .command('export')
+  .description('Export tasks as JSON, Markdown, CSV, iCalendar, Gantt JSON or an HTML report')
+  .option('-f, --format <format>', 'json, markdown, csv, ics, gantt or html (default: from --output extension, else json)')
+  .option('-o, --output <file>', 'write to a file instead of stdout')
+  .option('--tag <tag>', 'export one tag (csv, ics, gantt and html export all tags by default)')
+  .option('--title <title>', 'title of the HTML report or Gantt chart')
+  .option('--start <date>', 'Gantt: day to start unscheduled tasks (default: today)')
+  .action(taskCommand.export);
+
+task
+  .command('schedule')
+  .description('Forecast start and finish dates, slack and the critical path from estimates')
+  .option('--tag <tag>', 'schedule one tag (default: every tag)')
+  .option('--start <date>', 'first day of the schedule (default: today)')
+  .option('--hours-per-day <hours>', 'working hours per day (default: 8)')
+  .option('--holidays <dates>', 'non-working dates (comma-separated YYYY-MM-DD)')
+  .option('--capacity <list>', 'hours per day by assignee, e.g. dev=4,alice=6')
+  .option('--json', 'print the schedule as JSON')
+  .action(taskCommand.schedule);
+
 task
   .command('create <title>')
   .description('Create a new task')
@@ -281,9 +353,20 @@ task
   .option('-t, --type <type>', 'new type')
   .option('--due <date>', 'new due date')
   .option('--notes <notes>', 'add notes')
+  .option('--actual-hours <hours>', 'hours actually spent')
+  .option('--force', "skip the workflow's transition rules and hooks")
   .option('--tag <tag>', 'use specific tag context')
   .action(taskCommand.update);
 
+task
+  .command('workflow')
+  .description('Show or change the status workflow of a tag')
+  .option('--tag <tag>', 'tag to show or change (--set without it changes the default workflow)')
+  .option('--set <file>', 'set the workflow from a JSON file ({ initial, transitions, hooks })')
+  .option('--reset', 'make the tag use the default workflow again')
+  .option('--json', 'print the workflow as JSON')
+  .action(taskCommand.workflow);
+
 task
   .command('delete <id>')
   .description('Delete task')
@@ -302,6 +385,11 @@ task
   .option('--tag <tag>', 'use specific tag context')
   .action(taskCommand.deps);
 
+task
+  .command('storage [backend]')
+  .description('Show the task storage backend, or migrate tasks to another one (json, sqlite, jsonl)')
+  .action(taskCommand.storage);
+
 // Planning and workflow
 program
   .command('plan')
@@ -374,6 +462,22 @@ workflow
   .option('--workflow <id>', 'specific workflow to track')
   .action(workflowCommand.track);
 
+workflow
+  .command('approve <instance>')
+  .description('Approve the checkpoint a workflow instance is waiting on')
+  .option('-c, --comment <comment>', 'approval comment')
+  .option('--phase <id>', 'phase to approve when several are waiting')
+  .option('--project-root <dir>', 'project root (default: nearest project above the current directory)')
+  .action(workflowCommand.approve);
+
+workflow
+  .command('reject <instance>')
+  .description('Reject a checkpoint and send the work back to the producing agent')
+  .option('-c, --comment <comment>', 'feedback for the producing agent')
+  .option('--phase <id>', 'phase to reject when several are waiting')
+  .option('--project-root <dir>', 'project root (default: nearest project above the current directory)')
+  .action(workflowCommand.reject);
+
 // Automation commands
 const automation = program
   .command('automation')
@@ -458,6 +562,7 @@ program
   .command('dashboard')
   .description('Launch interactive terminal dashboard')
   .option('--mode <mode>', 'dashboard mode (overview, tasks, workflows, agents)', 'overview')
+  .option('-q, --query <query>', 'tasks mode: initial task query (press / to change it)')
   .action(async (options) => {
     const { TerminalUI } = await import('./ui/terminal-ui.js');
     const ui = new TerminalUI();
@@ -466,9 +571,14 @@ program
       case 'overview':
         ui.createDashboard();
         break;
-      case 'tasks':
-        // TODO: Load tasks and create task manager
+      case 'tasks': {
+        const { default: TaskManager } = await import('../sa-engine/tasks/TaskManager.js');
+        const taskManager = await TaskManager.open({ requireProject: true });
+        const filter = query => taskManager.listTasks(query ? { query } : {});
+        // Filter before the screen opens so an invalid --query is reported on the console
+        ui.createTaskManager(filter(options.query), { query: options.query, filter });
         break;
+      }
       case 'workflows':
         // TODO: Load workflows and create workflow monitor
         break;
@@ -8,6 +8,8 @@ import boxen from 'boxen';
 import gradient from 'gradient-string';
 import figlet from 'figlet';
 
+const TASK_HEADERS = ['ID', 'Title', 'Status', 'Priority', 'Agent'];
+
 /**
  * Super Agents Terminal UI Components
  * Rich terminal interface components for enhanced CLI experience
@@ -256,19 +258,25 @@ export class TerminalUI {
 
   /**
    * Create task management interface
+   * @param {Array} tasks - Tasks to show
+   * @param {Object} [options]
+   * @param {string} [options.query] - Task query the tasks were filtered with
+   * @param {Function} [options.filter] - query => tasks; enables filtering with '/'
    */
-  createTaskManager(tasks) {
+  createTaskManager(tasks, options = {}) {
     if (!this.screen) this.initScreen();
 
+    let query = options.query || '';
+    const label = () => query ? ` Tasks: ${query} ` : ' Tasks ';
+
     // Task list
     const taskList = blessed.listtable({
       top: 0,
       left: 0,
       width: '60%',
       height: '100%',
-      label: ' Tasks ',
-      headers: ['ID', 'Title', 'Status', 'Priority', 'Agent'],
-      data: this.formatTasksForTable(tasks),
+      label: label(),
+      data: [TASK_HEADERS, ...this.formatTasksForTable(tasks)],
       keys: true,
       vi: true,
       style: {
@@ -327,6 +335,38 @@ export class TerminalUI {
       }
     });
 
+    // '/' re-filters the list with a task query, e.g. "status:pending priority>=high"
+    if (options.filter) {
+      const prompt = blessed.prompt({
+        top: 'center',
+        left: 'center',
+        width: '60%',
+        height: 8,
+        label: ' Filter (task query, empty for all) ',
+        border: { type: 'line' },
+        style: { border: { fg: 'cyan' } }
+      });
+      this.screen.append(prompt);
+
+      taskList.key('/', () => {
+        prompt.input('Query:', query, (err, value) => {
+          if (!err && value !== null && value !== undefined) {
+            try {
+              tasks = options.filter(value.trim());
+              query = value.trim();
+              taskList.setLabel(label());
+              taskList.setData([TASK_HEADERS, ...this.formatTasksForTable(tasks)]);
+              taskDetails.setContent(`${tasks.length} task(s)`);
+            } catch (error) {
+              taskDetails.setContent(`Invalid query: ${error.message}`);
+            }
+          }
+          taskList.focus();
+          this.screen.render();
+        });
+      });
+    }
+
     taskList.focus();
     this.screen.render();
 
@@ -497,7 +537,7 @@ Status: ${workflow.status || 'Unknown'}
       task.title.substring(0, 30),
       task.status,
       task.priority,
-      task.assignee || 'Unassigned'
+      task.assignee ? task.assignee.name || task.assignee.id || task.assignee.type : 'Unassigned'
     ]);
   }
 
@@ -512,7 +552,7 @@ Description: ${task.description || 'No description'}
 Status: ${task.status}
 Priority: ${task.priority}
 Type: ${task.type}
-Assignee: ${task.assignee || 'Unassigned'}
+Assignee: ${task.assignee ? task.assignee.name || task.assignee.id || task.assignee.type : 'Unassigned'}
 Created: ${task.createdAt ? new Date(task.createdAt).toLocaleString() : 'Unknown'}
 Updated: ${task.updatedAt ? new Date(task.updatedAt).toLocaleString() : 'Unknown'}
 